@@ -7,7 +7,8 @@ const {
   comparePassword,
   validatePassword,
 } = require("../utils/passwordUtils");
-const { generateOTP, sendOTP, verifyOTP } = require("../utils/sms");
+const { generateOTP, verifyOTP } = require("../utils/sms");
+const { sendOTP } = require("../utils/notifications");
 const { verifyAccessToken: verifyMsg91AccessToken } = require("../utils/msg91");
 
 function buildDataUrl(image) {
@@ -565,7 +566,10 @@ exports.sendChangePasswordOTP = async (req, res) => {
     });
     await otp.save();
 
-    const smsResult = await sendOTP(user.phone, otpCode, "change_password");
+    const smsResult = await sendOTP(user.phone, otpCode, "change_password", {
+      user: user._id,
+      locale: user.preferences?.language,
+    });
     if (smsResult.success) {
       return res.json({ success: true, message: "OTP sent successfully" });
     }
@@ -626,7 +630,10 @@ exports.sendLoginOTP = async (req, res) => {
     await otp.save();
 
     // Send OTP via SMS
-    const smsResult = await sendOTP(user.phone, otpCode, "login");
+    const smsResult = await sendOTP(user.phone, otpCode, "login", {
+      user: user._id,
+      locale: user.preferences?.language,
+    });
 
     if (smsResult.success) {
       res.json({
@@ -1074,7 +1081,10 @@ exports.sendPasswordResetOTP = async (req, res) => {
     await otp.save();
 
     // Send OTP via SMS
-    const smsResult = await sendOTP(user.phone, otpCode, "password_reset");
+    const smsResult = await sendOTP(user.phone, otpCode, "password_reset", {
+      user: user._id,
+      locale: user.preferences?.language,
+    });
 
     if (smsResult.success) {
       res.json({
@@ -1,5 +1,7 @@
 const jwt = require("jsonwebtoken");
 const User = require("../models/User");
+const Ambulance = require("../models/Ambulance");
+const { hashDriverToken } = require("../utils/ambulanceTracking");
 
 // Basic authentication middleware
 const auth = async (req, res, next) => {
@@ -152,10 +154,103 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
+// Browser EventSource can't send an Authorization header, so streams accept
+// a short-lived token in the query string instead. It is signed with its own
+// secret so a token leaked through access logs can't be used as a bearer token.
+const STREAM_TOKEN_SECRET = `${
+  process.env.JWT_SECRET || "healthcare_secret_key_2024"
+}:stream`;
+
+const signStreamToken = (userId) =>
+  jwt.sign({ userId, type: "stream" }, STREAM_TOKEN_SECRET, {
+    expiresIn: "60s",
+  });
+
+// Admin authentication for SSE endpoints: Authorization header or ?streamToken=
+const adminStreamAuth = async (req, res, next) => {
+  if (req.header("Authorization") || !req.query.streamToken) {
+    return adminAuth(req, res, next);
+  }
+
+  try {
+    const decoded = jwt.verify(req.query.streamToken, STREAM_TOKEN_SECRET);
+    const user = await User.findById(decoded.userId).select("-password");
+
+    if (!user || !user.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid token or user not found.",
+      });
+    }
+    if (!["admin", "superuser", "masteruser"].includes(user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied. Admin privileges required.",
+      });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    if (["JsonWebTokenError", "TokenExpiredError"].includes(error.name)) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid or expired stream token.",
+      });
+    }
+
+    console.error("Stream auth middleware error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Authentication failed.",
+      error: error.message,
+    });
+  }
+};
+
+// Driver app authentication: `X-Driver-Token` issued per ambulance by an
+// admin. Sets req.ambulance instead of req.user.
+const driverAuth = async (req, res, next) => {
+  try {
+    const token = req.header("X-Driver-Token");
+
+    if (!token) {
+      return res.status(401).json({
+        success: false,
+        message: "Access denied. No driver token provided.",
+      });
+    }
+
+    const ambulance = await Ambulance.findOne({
+      driverTokenHash: hashDriverToken(token),
+    });
+
+    if (!ambulance || !ambulance.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid driver token.",
+      });
+    }
+
+    req.ambulance = ambulance;
+    next();
+  } catch (error) {
+    console.error("Driver auth middleware error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Authentication failed.",
+      error: error.message,
+    });
+  }
+};
+
 module.exports = {
   auth,
   adminAuth,
   superuserAuth,
   masteruserAuth,
   optionalAuth,
+  signStreamToken,
+  adminStreamAuth,
+  driverAuth,
 };
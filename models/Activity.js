@@ -20,7 +20,23 @@ const activitySchema = new mongoose.Schema(
         "user_deleted",
         "appointment_booked",
         "appointment_cancelled",
+        "appointment_rescheduled",
+        "waitlist_joined",
         "appointment_completed",
+        "payment_received",
+        "payment_refunded",
+        "lab_order_placed",
+        "lab_order_updated",
+        "lab_order_cancelled",
+        "pharmacy_order_placed",
+        "pharmacy_order_updated",
+        "pharmacy_order_cancelled",
+        "ambulance_requested",
+        "ambulance_request_updated",
+        "ambulance_request_cancelled",
+        "leave_added",
+        "leave_updated",
+        "leave_deleted",
         "admin_login",
         "system_update",
       ],
@@ -1,4 +1,6 @@
 const mongoose = require("mongoose");
+const { searchIndexPlugin } = require("../utils/searchIndex");
+const { PRECISIONS, geocodePlugin } = require("../utils/geocoding");
 
 const ambulanceSchema = new mongoose.Schema(
   {
@@ -43,15 +45,81 @@ const ambulanceSchema = new mongoose.Schema(
       required: false,
       trim: true,
     },
+    zipCode: {
+      type: String,
+      required: false,
+      trim: true,
+    },
     coordinates: {
       type: [Number], // [longitude, latitude]
       index: "2dsphere",
       default: [0, 0],
     },
+    // How coordinates were obtained: "precise" when set explicitly (map
+    // pin, GPS), otherwise the geocoding estimate they came from
+    coordinatesPrecision: { type: String, enum: PRECISIONS },
+    // Basic, advanced or intensive care life support
+    vehicleType: {
+      type: String,
+      enum: ["BLS", "ALS", "ICU"],
+      default: "BLS",
+    },
+    equipment: [String],
+    is24Hours: {
+      type: Boolean,
+      default: false,
+    },
+    // Fares in rupees (see utils/ambulanceFares): the base fare covers the
+    // first `includedKm`, then `perKmRate` applies
+    baseRate: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    includedKm: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    perKmRate: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Added to the fare for trips starting at night
+    nightSurchargePercent: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: 100,
+    },
     isAvailable: {
       type: Boolean,
       default: true,
     },
+    // Latest GPS ping from the driver app (see utils/ambulanceTracking)
+    lastLocationAt: Date,
+    speedKmh: Number,
+    heading: Number,
+    // Most recent pings, oldest first, capped at LOCATION_HISTORY_LIMIT
+    locationHistory: {
+      type: [
+        {
+          _id: false,
+          coordinates: [Number], // [longitude, latitude]
+          speedKmh: Number,
+          heading: Number,
+          accuracy: Number,
+          recordedAt: Date,
+        },
+      ],
+      select: false,
+    },
+    // SHA-256 of the driver app token; the token itself is only shown once
+    driverTokenHash: {
+      type: String,
+      select: false,
+    },
     image: {
       data: Buffer,
       contentType: String,
@@ -81,5 +149,19 @@ const ambulanceSchema = new mongoose.Schema(
 
 // Index for search optimization
 ambulanceSchema.index({ name: "text", city: "text", location: "text" });
+ambulanceSchema.index({ driverTokenHash: 1 }, { unique: true, sparse: true });
+
+// Fill in coordinates from the address when none are given
+ambulanceSchema.plugin(geocodePlugin, {
+  fields: {
+    zipCode: "zipCode",
+    address: "location",
+    place: "city",
+    state: "state",
+  },
+});
+
+// Keep this model's search index entries (SearchDocument) up to date
+ambulanceSchema.plugin(searchIndexPlugin, { type: "ambulance" });
 
 module.exports = mongoose.model("Ambulance", ambulanceSchema);
@@ -0,0 +1,87 @@
+const mongoose = require("mongoose");
+
+// An emergency pickup request and the ambulance dispatched to it
+// (see utils/ambulanceDispatch)
+const ambulanceRequestSchema = new mongoose.Schema(
+  {
+    requestId: {
+      type: String,
+      unique: true,
+      required: true,
+    },
+    patient: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    pickup: {
+      address: { type: String, required: true, trim: true },
+      landmark: String,
+      coordinates: {
+        type: [Number], // [longitude, latitude]
+        required: true,
+      },
+    },
+    destination: {
+      address: String,
+      coordinates: [Number], // [longitude, latitude]
+    },
+    patientDetails: {
+      name: { type: String, required: true },
+      phone: { type: String, required: true },
+    },
+    emergencyType: String,
+    notes: String,
+    ambulance: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Ambulance",
+    },
+    assignedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    status: {
+      type: String,
+      enum: [
+        "requested",
+        "assigned",
+        "en_route",
+        "arrived",
+        "completed",
+        "cancelled",
+      ],
+      default: "requested",
+    },
+    statusHistory: [
+      {
+        status: String,
+        note: String,
+        changedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        changedAt: { type: Date, default: Date.now },
+      },
+    ],
+    assignedAt: Date,
+    arrivedAt: Date,
+    completedAt: Date,
+    cancelledAt: Date,
+    cancellationReason: String,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Ensure requestId exists before validation to satisfy the `required: true` constraint
+ambulanceRequestSchema.pre("validate", function (next) {
+  if (!this.requestId) {
+    this.requestId =
+      "AR" + Date.now() + Math.random().toString(36).substr(2, 5).toUpperCase();
+  }
+  next();
+});
+
+ambulanceRequestSchema.index({ patient: 1, createdAt: -1 });
+ambulanceRequestSchema.index({ status: 1, createdAt: 1 });
+ambulanceRequestSchema.index({ ambulance: 1, status: 1 });
+
+module.exports = mongoose.model("AmbulanceRequest", ambulanceRequestSchema);
@@ -58,6 +58,9 @@ const bookingSchema = new mongoose.Schema(
       default: "card",
     },
     paymentId: String,
+    // Set while an invoice is being numbered for this booking (see
+    // utils/invoices issueInvoice)
+    invoiceClaimedAt: Date,
     diagnosis: String,
     prescription: String,
     followUpDate: Date,
@@ -72,6 +75,71 @@ const bookingSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    // Previous slots, oldest first, appended on every reschedule
+    rescheduleHistory: [
+      {
+        appointmentDate: Date,
+        appointmentTime: String,
+        clinic: { type: mongoose.Schema.Types.ObjectId, ref: "Clinic" },
+        reason: String,
+        rescheduledBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        rescheduledAt: { type: Date, default: Date.now },
+      },
+    ],
+    // Seat held against the doctor's slot counters (see utils/slotReservation)
+    slotReservation: {
+      source: {
+        type: String,
+        enum: ["bookingSchedule", "clinicSchedule", "unscheduled"],
+      },
+      // Set only for unscheduled days; unique so the same time can't be taken twice
+      lockKey: String,
+      releasedAt: Date,
+    },
+    // SMS reminders queued for this appointment and how delivery went
+    reminders: [
+      {
+        kind: String, // hours before the appointment, e.g. "24h"
+        scheduledFor: Date,
+        job: { type: mongoose.Schema.Types.ObjectId, ref: "ScheduledJob" },
+        notification: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "NotificationOutbox",
+        },
+        status: {
+          type: String,
+          enum: [
+            "scheduled",
+            "sent",
+            "retrying",
+            "failed",
+            "skipped",
+            "cancelled",
+          ],
+          default: "scheduled",
+        },
+        provider: String,
+        providerMessageId: String,
+        sentAt: Date,
+        error: String,
+      },
+    ],
+    // Fee kept and amount refunded when cancelled or marked no-show
+    // (see utils/cancellationPolicy)
+    cancellation: {
+      cancelledAt: Date,
+      cancelledBy: { type: String, enum: ["patient", "provider"] },
+      kind: { type: String, enum: ["cancelled", "no_show"] },
+      rule: String,
+      policy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "CancellationPolicy",
+      },
+      feePercent: Number,
+      feeAmount: Number,
+      refundAmount: Number,
+      refund: { type: mongoose.Schema.Types.ObjectId, ref: "Refund" },
+    },
   },
   {
     timestamps: true,
@@ -100,5 +168,9 @@ bookingSchema.pre("validate", function (next) {
 bookingSchema.index({ patient: 1, appointmentDate: 1 });
 bookingSchema.index({ doctor: 1, appointmentDate: 1 });
 bookingSchema.index({ status: 1 });
+bookingSchema.index(
+  { "slotReservation.lockKey": 1 },
+  { unique: true, sparse: true }
+);
 
 module.exports = mongoose.model("Booking", bookingSchema);
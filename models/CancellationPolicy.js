@@ -0,0 +1,63 @@
+const mongoose = require("mongoose");
+
+// Money rules applied when a booking is cancelled or marked no-show.
+// Most specific wins: doctor at clinic, then doctor, then clinic, then the
+// global policy (doctor and clinic both null).
+const cancellationPolicySchema = new mongoose.Schema(
+  {
+    doctor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Doctor",
+      default: null,
+    },
+    clinic: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Clinic",
+      default: null,
+    },
+    name: {
+      type: String,
+      trim: true,
+      default: "Cancellation policy",
+    },
+    // Patients cancelling at least this many hours ahead get a full refund
+    freeCancellationHours: {
+      type: Number,
+      min: 0,
+      default: 24,
+    },
+    // Share of the fee kept when the patient cancels inside that window
+    lateCancellationFeePercent: {
+      type: Number,
+      min: 0,
+      max: 100,
+      default: 50,
+    },
+    // Share of the fee returned when the patient doesn't turn up
+    noShowRefundPercent: {
+      type: Number,
+      min: 0,
+      max: 100,
+      default: 0,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// One active policy per doctor/clinic combination
+cancellationPolicySchema.index(
+  { doctor: 1, clinic: 1 },
+  { unique: true, partialFilterExpression: { isActive: true } }
+);
+
+module.exports = mongoose.model("CancellationPolicy", cancellationPolicySchema);
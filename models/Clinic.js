@@ -1,4 +1,6 @@
 const mongoose = require("mongoose");
+const { searchIndexPlugin } = require("../utils/searchIndex");
+const { PRECISIONS, geocodePlugin } = require("../utils/geocoding");
 
 const clinicSchema = new mongoose.Schema(
   {
@@ -18,6 +20,26 @@ const clinicSchema = new mongoose.Schema(
       unique: true,
       sparse: true, // Allow multiple null values
     },
+    // GST registration, printed on invoices (see utils/invoices)
+    gstin: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      match: [
+        /^\d{2}[A-Z]{5}\d{4}[A-Z][A-Z\d]Z[A-Z\d]$/,
+        "Please enter a valid GSTIN",
+      ],
+    },
+    // Up to 6 letters/digits starting this clinic's invoice numbers
+    invoicePrefix: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      match: [
+        /^[A-Z0-9]{1,6}$/,
+        "Invoice prefix must be 1-6 letters or digits",
+      ],
+    },
     email: {
       type: String,
       required: true,
@@ -53,6 +75,9 @@ const clinicSchema = new mongoose.Schema(
       type: [Number], // [longitude, latitude]
       index: "2dsphere",
     },
+    // How coordinates were obtained: "precise" when set explicitly (map
+    // pin, GPS), otherwise the geocoding estimate they came from
+    coordinatesPrecision: { type: String, enum: PRECISIONS },
     operatingHours: {
       monday: {
         open: String,
@@ -226,11 +251,26 @@ clinicSchema.methods.removeDoctor = function (doctorId) {
 clinicSchema.index({
   name: "text",
   services: "text",
-  "address.city": "text",
+  address: "text",
+  place: "text",
+  state: "text",
 });
 
 // Ensure virtual fields are serialized
 clinicSchema.set("toJSON", { virtuals: true });
 clinicSchema.set("toObject", { virtuals: true });
 
+// Fill in coordinates from the address when none are given
+clinicSchema.plugin(geocodePlugin, {
+  fields: {
+    zipCode: "zipCode",
+    address: "address",
+    place: "place",
+    state: "state",
+  },
+});
+
+// Keep this model's search index entries (SearchDocument) up to date
+clinicSchema.plugin(searchIndexPlugin, { type: "clinic" });
+
 module.exports = mongoose.model("Clinic", clinicSchema);
@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const { searchIndexPlugin } = require("../utils/searchIndex");
 
 const DepartmentSchema = new mongoose.Schema(
   {
@@ -17,4 +18,7 @@ const DepartmentSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+// Doctors' search entries include department names
+DepartmentSchema.plugin(searchIndexPlugin, { type: "department" });
+
 module.exports = mongoose.model("Department", DepartmentSchema);
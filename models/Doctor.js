@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const { searchIndexPlugin } = require("../utils/searchIndex");
 
 const doctorSchema = new mongoose.Schema(
   {
@@ -339,4 +340,7 @@ doctorSchema.index({
 // Geospatial index for location-based search
 doctorSchema.index({ "address.location": "2dsphere" });
 
+// Keep this model's search index entries (SearchDocument) up to date
+doctorSchema.plugin(searchIndexPlugin, { type: "doctor" });
+
 module.exports = mongoose.model("Doctor", doctorSchema);
@@ -0,0 +1,119 @@
+const mongoose = require("mongoose");
+
+const partySchema = new mongoose.Schema(
+  {
+    name: String,
+    address: String,
+    state: String,
+    stateCode: String,
+    gstin: String,
+    phone: String,
+    email: String,
+  },
+  { _id: false }
+);
+
+// Issued once per paid booking and never edited afterwards: everything
+// printed is copied here at issue time (see utils/invoices)
+const invoiceSchema = new mongoose.Schema(
+  {
+    invoiceNumber: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    series: {
+      type: String,
+      required: true,
+    },
+    sequence: {
+      type: Number,
+      required: true,
+    },
+    financialYear: String, // e.g. "2025-26"
+    // "Tax Invoice" when GST is charged, "Bill of Supply" for exempt services
+    documentType: {
+      type: String,
+      enum: ["Tax Invoice", "Bill of Supply"],
+      required: true,
+    },
+    booking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Booking",
+      required: true,
+      unique: true,
+    },
+    bookingId: String,
+    patient: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    doctor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Doctor",
+    },
+    clinic: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Clinic",
+    },
+    issuedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    seller: partySchema,
+    buyer: partySchema,
+    practitioner: {
+      name: String,
+      qualification: String,
+      licenseNumber: String,
+    },
+    placeOfSupply: {
+      state: String,
+      stateCode: String,
+    },
+    appointment: {
+      date: Date,
+      time: String,
+    },
+    items: [
+      {
+        description: String,
+        sac: String,
+        quantity: { type: Number, default: 1 },
+        taxableValue: Number,
+        cgstRate: Number,
+        cgstAmount: Number,
+        sgstRate: Number,
+        sgstAmount: Number,
+        igstRate: Number,
+        igstAmount: Number,
+        total: Number,
+      },
+    ],
+    // Amounts in rupees; the consultation fee is treated as tax-inclusive
+    taxableValue: Number,
+    cgstTotal: Number,
+    sgstTotal: Number,
+    igstTotal: Number,
+    taxTotal: Number,
+    total: Number,
+    currency: {
+      type: String,
+      default: "INR",
+    },
+    payment: {
+      method: String,
+      reference: String,
+      paidAt: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+invoiceSchema.index({ clinic: 1, issuedAt: -1 });
+invoiceSchema.index({ issuedAt: -1 });
+invoiceSchema.index({ patient: 1, issuedAt: -1 });
+
+module.exports = mongoose.model("Invoice", invoiceSchema);
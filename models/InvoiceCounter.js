@@ -0,0 +1,21 @@
+const mongoose = require("mongoose");
+
+// Last invoice number handed out per series (clinic + financial year)
+const invoiceCounterSchema = new mongoose.Schema(
+  {
+    series: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    seq: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+module.exports = mongoose.model("InvoiceCounter", invoiceCounterSchema);
@@ -0,0 +1,38 @@
+const mongoose = require("mongoose");
+
+// A patient's pending lab order: tests and packages from a single lab
+const labCartSchema = new mongoose.Schema(
+  {
+    patient: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      unique: true,
+    },
+    lab: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Pathology",
+    },
+    items: [
+      {
+        // A Test of the lab, or the lab's own Pathology listing (test/package)
+        itemModel: {
+          type: String,
+          enum: ["Test", "Pathology"],
+          required: true,
+        },
+        item: {
+          type: mongoose.Schema.Types.ObjectId,
+          refPath: "items.itemModel",
+          required: true,
+        },
+        addedAt: { type: Date, default: Date.now },
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+module.exports = mongoose.model("LabCart", labCartSchema);
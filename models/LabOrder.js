@@ -0,0 +1,121 @@
+const mongoose = require("mongoose");
+
+const labOrderSchema = new mongoose.Schema(
+  {
+    orderId: {
+      type: String,
+      unique: true,
+      required: true,
+    },
+    patient: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    lab: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Pathology",
+      required: true,
+    },
+    // Prices are copied at checkout so later catalogue changes don't apply
+    items: [
+      {
+        itemModel: {
+          type: String,
+          enum: ["Test", "Pathology"],
+          required: true,
+        },
+        item: {
+          type: mongoose.Schema.Types.ObjectId,
+          refPath: "items.itemModel",
+          required: true,
+        },
+        name: String,
+        isPackage: { type: Boolean, default: false },
+        sampleType: String,
+        price: Number, // listed price
+        finalPrice: Number, // after the lab's discount
+      },
+    ],
+    collectionType: {
+      type: String,
+      enum: ["home", "walk_in"],
+      required: true,
+    },
+    // Requested window on `date`, "HH:MM" (24-hour) times
+    slot: {
+      date: { type: Date, required: true },
+      start: { type: String, required: true },
+      end: { type: String, required: true },
+    },
+    // Required for home collection
+    address: {
+      line1: String,
+      area: String,
+      city: String,
+      pincode: String,
+      landmark: String,
+    },
+    patientDetails: {
+      name: { type: String, required: true },
+      phone: { type: String, required: true },
+      age: Number,
+      gender: String,
+    },
+    subtotal: Number,
+    discount: Number,
+    collectionFee: {
+      type: Number,
+      default: 0,
+    },
+    total: Number,
+    paymentMethod: {
+      type: String,
+      enum: ["card", "upi", "wallet", "cash"],
+      default: "cash",
+    },
+    paymentStatus: {
+      type: String,
+      enum: ["pending", "paid", "refunded"],
+      default: "pending",
+    },
+    status: {
+      type: String,
+      enum: [
+        "placed",
+        "sample_collected",
+        "processing",
+        "report_ready",
+        "cancelled",
+      ],
+      default: "placed",
+    },
+    statusHistory: [
+      {
+        status: String,
+        note: String,
+        changedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        changedAt: { type: Date, default: Date.now },
+      },
+    ],
+    notes: String,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Ensure orderId exists before validation to satisfy the `required: true` constraint
+labOrderSchema.pre("validate", function (next) {
+  if (!this.orderId) {
+    this.orderId =
+      "LO" + Date.now() + Math.random().toString(36).substr(2, 5).toUpperCase();
+  }
+  next();
+});
+
+labOrderSchema.index({ patient: 1, createdAt: -1 });
+labOrderSchema.index({ lab: 1, "slot.date": 1 });
+labOrderSchema.index({ status: 1 });
+
+module.exports = mongoose.model("LabOrder", labOrderSchema);
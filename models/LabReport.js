@@ -0,0 +1,75 @@
+const mongoose = require("mongoose");
+
+// Results for one test/package of a lab order (see utils/labReports)
+const labReportSchema = new mongoose.Schema(
+  {
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "LabOrder",
+      required: true,
+    },
+    patient: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    lab: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Pathology",
+    },
+    itemModel: {
+      type: String,
+      enum: ["Test", "Pathology"],
+      required: true,
+    },
+    item: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: "itemModel",
+      required: true,
+    },
+    name: String,
+    results: [
+      {
+        component: { type: String, required: true },
+        // Numeric results use `value`; qualitative ones ("Negative") `textValue`
+        value: Number,
+        textValue: String,
+        unit: String,
+        referenceRange: String,
+        flag: {
+          type: String,
+          enum: ["normal", "low", "high", "abnormal", null],
+          default: null,
+        },
+        remarks: String,
+      },
+    ],
+    // Optional signed PDF from the lab, stored like entity images
+    attachment: {
+      data: Buffer,
+      contentType: String,
+      fileName: String,
+      size: Number,
+    },
+    status: {
+      type: String,
+      enum: ["draft", "final"],
+      default: "draft",
+    },
+    notes: String,
+    enteredBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    finalizedAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+labReportSchema.index({ order: 1, item: 1 }, { unique: true });
+labReportSchema.index({ patient: 1, finalizedAt: -1 });
+labReportSchema.index({ patient: 1, "results.component": 1 });
+
+module.exports = mongoose.model("LabReport", labReportSchema);
@@ -0,0 +1,122 @@
+const mongoose = require("mongoose");
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const leaveSchema = new mongoose.Schema(
+  {
+    // doctor: a doctor's personal leave (optionally at one clinic only)
+    // clinic: a clinic closure affecting every doctor consulting there
+    // region: a public holiday for a state, optionally narrowed to a city
+    scope: {
+      type: String,
+      enum: ["doctor", "clinic", "region"],
+      required: true,
+    },
+    kind: {
+      type: String,
+      enum: ["leave", "holiday", "closure"],
+      default: "leave",
+    },
+    doctor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Doctor",
+      required: function () {
+        return this.scope === "doctor";
+      },
+    },
+    clinic: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Clinic",
+      default: null,
+      required: function () {
+        return this.scope === "clinic";
+      },
+    },
+    region: {
+      state: {
+        type: String,
+        trim: true,
+        required: function () {
+          return this.scope === "region";
+        },
+      },
+      city: { type: String, trim: true },
+    },
+    // Inclusive day range, stored as start-of-day
+    startDate: {
+      type: Date,
+      required: true,
+    },
+    endDate: {
+      type: Date,
+      required: true,
+    },
+    // Optional partial-day window applied on each day of the range
+    startTime: {
+      type: String,
+      match: [TIME_PATTERN, "Time must be in HH:MM (24-hour) format"],
+    },
+    endTime: {
+      type: String,
+      match: [TIME_PATTERN, "Time must be in HH:MM (24-hour) format"],
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Normalize the range to whole days before validation
+leaveSchema.pre("validate", function (next) {
+  if (this.startDate) {
+    const start = new Date(this.startDate);
+    start.setHours(0, 0, 0, 0);
+    this.startDate = start;
+  }
+  if (this.startDate && !this.endDate) {
+    this.endDate = this.startDate;
+  }
+  if (this.endDate) {
+    const end = new Date(this.endDate);
+    end.setHours(0, 0, 0, 0);
+    this.endDate = end;
+  }
+  if (this.endDate < this.startDate) {
+    this.invalidate("endDate", "endDate must be on or after startDate");
+  }
+  if (Boolean(this.startTime) !== Boolean(this.endTime)) {
+    this.invalidate(
+      "endTime",
+      "startTime and endTime must be provided together"
+    );
+  } else if (this.startTime && this.startTime >= this.endTime) {
+    this.invalidate("endTime", "endTime must be after startTime");
+  }
+  next();
+});
+
+// Check whether an "HH:MM" appointment time falls inside this leave
+leaveSchema.methods.coversTime = function (time) {
+  if (!this.startTime || !this.endTime || !time) return true;
+  return time >= this.startTime && time < this.endTime;
+};
+
+// Index for efficient queries
+leaveSchema.index({ scope: 1, doctor: 1, startDate: 1, endDate: 1 });
+leaveSchema.index({ scope: 1, clinic: 1, startDate: 1, endDate: 1 });
+leaveSchema.index({ scope: 1, "region.state": 1, startDate: 1 });
+
+module.exports = mongoose.model("Leave", leaveSchema);
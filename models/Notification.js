@@ -0,0 +1,56 @@
+const mongoose = require("mongoose");
+
+// In-app inbox entry shown behind the client's bell icon
+const notificationSchema = new mongoose.Schema(
+  {
+    // Doctor accounts share their Doctor _id, so bookings notify `booking.doctor` directly
+    recipient: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    type: {
+      type: String,
+      required: true,
+      enum: [
+        "booking_created",
+        "booking_cancelled",
+        "access_request_submitted",
+        "access_request_approved",
+        "access_request_rejected",
+        "review_reply",
+        "lab_order_updated",
+        "pharmacy_order_updated",
+        "ambulance_requested",
+        "ambulance_request_updated",
+      ],
+    },
+    title: {
+      type: String,
+      required: true,
+    },
+    message: {
+      type: String,
+      required: true,
+    },
+    targetId: mongoose.Schema.Types.ObjectId,
+    targetModel: String,
+    // User whose action caused the notification
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    isRead: {
+      type: Boolean,
+      default: false,
+    },
+    readAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+notificationSchema.index({ recipient: 1, isRead: 1, createdAt: -1 });
+
+module.exports = mongoose.model("Notification", notificationSchema);
@@ -0,0 +1,80 @@
+const mongoose = require("mongoose");
+
+// One record per outgoing message (OTP, booking update, reminder), written
+// before the provider is called so every send can be traced and retried
+const notificationOutboxSchema = new mongoose.Schema(
+  {
+    channel: {
+      type: String,
+      enum: ["sms"],
+      default: "sms",
+    },
+    provider: {
+      type: String,
+      required: true,
+    },
+    to: {
+      type: String,
+      required: true,
+    },
+    template: {
+      type: String,
+      required: true,
+    },
+    locale: {
+      type: String,
+      default: "en",
+    },
+    // Rendered text; sensitive values (OTPs) are masked once delivery settles
+    body: {
+      type: String,
+      required: true,
+    },
+    redactedBody: String,
+    // For OTP-route providers; cleared once delivery settles
+    otp: String,
+    status: {
+      type: String,
+      enum: ["queued", "sent", "retrying", "failed"],
+      default: "queued",
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    maxAttempts: {
+      type: Number,
+      default: 4,
+    },
+    nextAttemptAt: Date,
+    sentAt: Date,
+    providerMessageId: String,
+    lastError: String,
+    // Per-attempt log
+    deliveries: [
+      {
+        provider: String,
+        success: Boolean,
+        providerMessageId: String,
+        error: String,
+        attemptedAt: { type: Date, default: Date.now },
+      },
+    ],
+    // What the message is about, e.g. a Booking
+    targetId: mongoose.Schema.Types.ObjectId,
+    targetModel: String,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+notificationOutboxSchema.index({ status: 1, nextAttemptAt: 1 });
+notificationOutboxSchema.index({ targetModel: 1, targetId: 1 });
+notificationOutboxSchema.index({ to: 1, createdAt: -1 });
+
+module.exports = mongoose.model("NotificationOutbox", notificationOutboxSchema);
@@ -1,4 +1,6 @@
 const mongoose = require("mongoose");
+const { searchIndexPlugin } = require("../utils/searchIndex");
+const { PRECISIONS, geocodePlugin } = require("../utils/geocoding");
 
 const pathologySchema = new mongoose.Schema(
   {
@@ -45,6 +47,11 @@ const pathologySchema = new mongoose.Schema(
     state: { type: String, required: true, trim: true },
     zipCode: { type: String, required: true, trim: true },
     country: { type: String, default: "India", trim: true },
+    // [longitude, latitude]; left unset until the lab's location is known
+    coordinates: { type: [Number], default: undefined, index: "2dsphere" },
+    // How coordinates were obtained: "precise" when set explicitly (map
+    // pin, GPS), otherwise the geocoding estimate they came from
+    coordinatesPrecision: { type: String, enum: PRECISIONS },
     rating: {
       average: { type: Number, default: 0, min: 0, max: 5 },
       count: { type: Number, default: 0 },
@@ -78,4 +85,17 @@ pathologySchema.index({ isPackage: 1 });
 pathologySchema.index({ isActive: 1 });
 pathologySchema.index({ category: 1 });
 
+// Fill in coordinates from the address when none are given
+pathologySchema.plugin(geocodePlugin, {
+  fields: {
+    zipCode: "zipCode",
+    address: "address",
+    place: "place",
+    state: "state",
+  },
+});
+
+// Keep this model's search index entries (SearchDocument) up to date
+pathologySchema.plugin(searchIndexPlugin, { type: "pathology" });
+
 module.exports = mongoose.model("Pathology", pathologySchema);
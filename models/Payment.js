@@ -0,0 +1,75 @@
+const mongoose = require("mongoose");
+
+// Payment intent for a booking, mirrored from the gateway (see utils/payments)
+const paymentSchema = new mongoose.Schema(
+  {
+    booking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Booking",
+      required: true,
+    },
+    patient: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    // In rupees, like Booking.consultationFee
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    currency: {
+      type: String,
+      default: "INR",
+    },
+    method: {
+      type: String,
+      enum: ["card", "upi", "wallet"],
+    },
+    gateway: {
+      type: String,
+      required: true,
+    },
+    gatewayIntentId: {
+      type: String,
+      required: true,
+    },
+    // Set once the gateway reports a captured payment (needed for refunds)
+    gatewayPaymentId: String,
+    // Handed to the client to complete checkout
+    clientSecret: String,
+    checkoutUrl: String,
+    status: {
+      type: String,
+      enum: ["created", "paid", "failed", "refunded", "expired"],
+      default: "created",
+    },
+    failureReason: String,
+    refundedAmount: {
+      type: Number,
+      default: 0,
+    },
+    expiresAt: Date,
+    paidAt: Date,
+    refundedAt: Date,
+    // Webhook/reconciliation events already applied, for idempotency
+    events: [
+      {
+        eventId: { type: String, required: true },
+        type: String,
+        status: String,
+        ignored: { type: Boolean, default: false },
+        receivedAt: { type: Date, default: Date.now },
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+paymentSchema.index({ gateway: 1, gatewayIntentId: 1 }, { unique: true });
+paymentSchema.index({ booking: 1, createdAt: -1 });
+paymentSchema.index({ status: 1, expiresAt: 1 });
+
+module.exports = mongoose.model("Payment", paymentSchema);
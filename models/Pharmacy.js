@@ -1,4 +1,6 @@
 const mongoose = require("mongoose");
+const { searchIndexPlugin } = require("../utils/searchIndex");
+const { PRECISIONS, geocodePlugin } = require("../utils/geocoding");
 
 const pharmacySchema = new mongoose.Schema(
   {
@@ -48,6 +50,9 @@ const pharmacySchema = new mongoose.Schema(
       type: [Number], // [longitude, latitude]
       index: "2dsphere",
     },
+    // How coordinates were obtained: "precise" when set explicitly (map
+    // pin, GPS), otherwise the geocoding estimate they came from
+    coordinatesPrecision: { type: String, enum: PRECISIONS },
     operatingHours: {
       monday: {
         open: String,
@@ -86,14 +91,7 @@ const pharmacySchema = new mongoose.Schema(
       },
     },
     services: [String],
-    medications: [
-      {
-        name: String,
-        category: String,
-        price: Number,
-        availability: { type: Boolean, default: true },
-      },
-    ],
+    // Stocked medications live in PharmacyInventory
     image: String,
     imageUrl: String, // Public URL for pharmacy image
     rating: {
@@ -130,7 +128,22 @@ const pharmacySchema = new mongoose.Schema(
 pharmacySchema.index({
   name: "text",
   services: "text",
-  "address.city": "text",
+  address: "text",
+  place: "text",
+  state: "text",
 });
 
+// Fill in coordinates from the address when none are given
+pharmacySchema.plugin(geocodePlugin, {
+  fields: {
+    zipCode: "zipCode",
+    address: "address",
+    place: "place",
+    state: "state",
+  },
+});
+
+// Keep this model's search index entries (SearchDocument) up to date
+pharmacySchema.plugin(searchIndexPlugin, { type: "pharmacy" });
+
 module.exports = mongoose.model("Pharmacy", pharmacySchema);
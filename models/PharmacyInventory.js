@@ -0,0 +1,92 @@
+const mongoose = require("mongoose");
+
+// One medication stocked by a pharmacy, with its batches (see
+// utils/pharmacyInventory). Replaces the old embedded Pharmacy.medications.
+const pharmacyInventorySchema = new mongoose.Schema(
+  {
+    pharmacy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Pharmacy",
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // Lowercased name for uniqueness and case-insensitive lookups
+    nameKey: {
+      type: String,
+      required: true,
+    },
+    sku: {
+      type: String,
+      trim: true,
+    },
+    manufacturer: {
+      type: String,
+      trim: true,
+    },
+    category: {
+      type: String,
+      trim: true,
+    },
+    // Selling price (MRP) in rupees
+    price: {
+      type: Number,
+      min: 0,
+    },
+    // Schedule H/H1 style items that need a prescription to be ordered
+    requiresPrescription: {
+      type: Boolean,
+      default: false,
+    },
+    // Listed for sale; stock is tracked separately through batches
+    availability: {
+      type: Boolean,
+      default: true,
+    },
+    batches: [
+      {
+        batchNumber: { type: String, required: true, trim: true },
+        expiryDate: { type: Date, required: true },
+        quantity: { type: Number, required: true, min: 0 },
+        costPrice: Number,
+        receivedAt: { type: Date, default: Date.now },
+      },
+    ],
+    // Units across all batches, expired or not; kept in sync on save
+    stockQuantity: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Low-stock threshold for the inventory report
+    reorderLevel: {
+      type: Number,
+      default: 10,
+      min: 0,
+    },
+  },
+  {
+    timestamps: true,
+    optimisticConcurrency: true,
+  }
+);
+
+pharmacyInventorySchema.pre("validate", function (next) {
+  if (this.name) this.nameKey = this.name.trim().toLowerCase();
+  this.stockQuantity = this.batches.reduce((sum, b) => sum + b.quantity, 0);
+  next();
+});
+
+pharmacyInventorySchema.index({ pharmacy: 1, nameKey: 1 }, { unique: true });
+pharmacyInventorySchema.index(
+  { pharmacy: 1, sku: 1 },
+  { unique: true, partialFilterExpression: { sku: { $type: "string" } } }
+);
+pharmacyInventorySchema.index({ pharmacy: 1, category: 1, nameKey: 1 });
+pharmacyInventorySchema.index({ pharmacy: 1, "batches.expiryDate": 1 });
+pharmacyInventorySchema.index({ nameKey: 1 });
+
+module.exports = mongoose.model("PharmacyInventory", pharmacyInventorySchema);
@@ -0,0 +1,120 @@
+const mongoose = require("mongoose");
+
+const pharmacyOrderSchema = new mongoose.Schema(
+  {
+    orderId: {
+      type: String,
+      unique: true,
+      required: true,
+    },
+    patient: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    pharmacy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Pharmacy",
+      required: true,
+    },
+    // Copied from PharmacyInventory at order time
+    items: [
+      {
+        medication: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "PharmacyInventory",
+          required: true,
+        },
+        name: String,
+        category: String,
+        price: Number,
+        requiresPrescription: { type: Boolean, default: false },
+        quantity: { type: Number, required: true, min: 1 },
+        // Set when the pharmacy responds; less than quantity if short
+        fulfilledQuantity: { type: Number, min: 0 },
+        note: String,
+        // Inventory batches the fulfilled units were taken from on accept
+        stockBatches: [
+          {
+            _id: false,
+            batch: mongoose.Schema.Types.ObjectId,
+            quantity: Number,
+          },
+        ],
+      },
+    ],
+    // Fulfilled units are taken out of stock when the pharmacy accepts, and
+    // put back if the order is then cancelled
+    stockReserved: { type: Boolean, default: false },
+    // Image uploaded through utils/upload; served only via the orders API
+    prescription: {
+      path: String,
+      originalName: String,
+      uploadedAt: Date,
+    },
+    deliveryType: {
+      type: String,
+      enum: ["pickup", "delivery"],
+      default: "pickup",
+    },
+    address: {
+      line1: String,
+      area: String,
+      city: String,
+      pincode: String,
+      landmark: String,
+    },
+    patientDetails: {
+      name: { type: String, required: true },
+      phone: { type: String, required: true },
+    },
+    // Amounts in rupees; `total` follows what the pharmacy can fulfil
+    subtotal: Number,
+    total: Number,
+    paymentMethod: {
+      type: String,
+      enum: ["card", "upi", "wallet", "cash"],
+      default: "cash",
+    },
+    status: {
+      type: String,
+      enum: [
+        "placed",
+        "accepted",
+        "partially_fulfilled",
+        "rejected",
+        "ready",
+        "completed",
+        "cancelled",
+      ],
+      default: "placed",
+    },
+    statusHistory: [
+      {
+        status: String,
+        note: String,
+        changedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        changedAt: { type: Date, default: Date.now },
+      },
+    ],
+    rejectionReason: String,
+    notes: String,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Ensure orderId exists before validation to satisfy the `required: true` constraint
+pharmacyOrderSchema.pre("validate", function (next) {
+  if (!this.orderId) {
+    this.orderId =
+      "PO" + Date.now() + Math.random().toString(36).substr(2, 5).toUpperCase();
+  }
+  next();
+});
+
+pharmacyOrderSchema.index({ patient: 1, createdAt: -1 });
+pharmacyOrderSchema.index({ pharmacy: 1, status: 1, createdAt: -1 });
+
+module.exports = mongoose.model("PharmacyOrder", pharmacyOrderSchema);
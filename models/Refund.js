@@ -0,0 +1,58 @@
+const mongoose = require("mongoose");
+
+// One record per refund issued against a payment (see utils/payments)
+const refundSchema = new mongoose.Schema(
+  {
+    booking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Booking",
+      required: true,
+    },
+    payment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Payment",
+      required: true,
+    },
+    // In rupees
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    currency: {
+      type: String,
+      default: "INR",
+    },
+    status: {
+      type: String,
+      enum: ["pending", "succeeded", "failed"],
+      default: "pending",
+    },
+    gateway: String,
+    gatewayRefundId: String,
+    reason: String,
+    failureReason: String,
+    // Cancellation policy outcome that produced this refund, if any
+    policy: {
+      policyId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "CancellationPolicy",
+      },
+      rule: String,
+      feePercent: Number,
+      feeAmount: Number,
+    },
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+refundSchema.index({ booking: 1, createdAt: -1 });
+refundSchema.index({ payment: 1 });
+
+module.exports = mongoose.model("Refund", refundSchema);
@@ -39,6 +39,13 @@ const reviewSchema = new mongoose.Schema(
       maxlength: 1000,
     },
 
+    // Response from the reviewed doctor/clinic or an admin
+    reply: {
+      comment: { type: String, trim: true, maxlength: 1000 },
+      repliedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      repliedAt: Date,
+    },
+
     // Status
     isApproved: {
       type: Boolean,
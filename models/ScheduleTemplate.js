@@ -0,0 +1,114 @@
+const mongoose = require("mongoose");
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const timeField = {
+  type: String,
+  required: true,
+  match: [TIME_PATTERN, "Time must be in HH:MM (24-hour) format"],
+};
+
+const scheduleTemplateSchema = new mongoose.Schema(
+  {
+    doctor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Doctor",
+      required: true,
+    },
+    // When set, the template feeds clinicDetails[].clinicSchedule for this
+    // clinic; otherwise it feeds the doctor's general bookingSchedule
+    clinic: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Clinic",
+      default: null,
+    },
+    name: {
+      type: String,
+      trim: true,
+      default: "Weekly schedule",
+    },
+    // Weekly recurring rules; a day may have several sessions (e.g. morning/evening)
+    rules: [
+      {
+        day: {
+          type: String,
+          enum: [
+            "monday",
+            "tuesday",
+            "wednesday",
+            "thursday",
+            "friday",
+            "saturday",
+            "sunday",
+          ],
+          required: true,
+        },
+        startTime: timeField,
+        endTime: {
+          ...timeField,
+          validate: {
+            validator: function (value) {
+              return !this.startTime || value > this.startTime;
+            },
+            message: "Rule endTime must be after startTime",
+          },
+        },
+        slotDuration: {
+          type: Number, // minutes
+          default: 15,
+          min: 5,
+          max: 240,
+        },
+        breaks: [
+          {
+            startTime: timeField,
+            endTime: timeField,
+          },
+        ],
+        maxBookings: {
+          type: Number,
+          default: 1,
+          min: 1,
+        },
+      },
+    ],
+    effectiveFrom: {
+      type: Date,
+      required: true,
+      default: Date.now,
+    },
+    effectiveUntil: {
+      type: Date,
+      validate: {
+        validator: function (value) {
+          return !value || !this.effectiveFrom || value >= this.effectiveFrom;
+        },
+        message: "effectiveUntil must be on or after effectiveFrom",
+      },
+    },
+    // Number of days ahead the generator keeps materialized
+    windowDays: {
+      type: Number,
+      default: 30,
+      min: 1,
+      max: 180,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    lastGeneratedAt: Date,
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Index for efficient queries
+scheduleTemplateSchema.index({ doctor: 1, clinic: 1, isActive: 1 });
+
+module.exports = mongoose.model("ScheduleTemplate", scheduleTemplateSchema);
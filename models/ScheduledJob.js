@@ -0,0 +1,49 @@
+const mongoose = require("mongoose");
+
+// Persisted background job, picked up by utils/jobScheduler once due.
+// Jobs live in MongoDB so anything pending survives a server restart.
+const scheduledJobSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      required: true,
+    },
+    runAt: {
+      type: Date,
+      required: true,
+    },
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    status: {
+      type: String,
+      enum: ["pending", "running", "completed", "failed", "cancelled"],
+      default: "pending",
+    },
+    // Optional dedupe key, e.g. one reminder per booking/kind/slot
+    uniqueKey: String,
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    maxAttempts: {
+      type: Number,
+      default: 3,
+    },
+    lockedAt: Date,
+    lockedBy: String,
+    completedAt: Date,
+    lastError: String,
+    result: mongoose.Schema.Types.Mixed,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+scheduledJobSchema.index({ status: 1, runAt: 1 });
+scheduledJobSchema.index({ uniqueKey: 1 }, { unique: true, sparse: true });
+scheduledJobSchema.index({ "payload.bookingId": 1, status: 1 });
+
+module.exports = mongoose.model("ScheduledJob", scheduledJobSchema);
@@ -0,0 +1,47 @@
+const mongoose = require("mongoose");
+
+// Denormalized copy of a doctor, clinic, lab, test, pharmacy or ambulance
+// for search. Kept in sync by the searchIndexPlugin hooks on those models
+// and rebuilt with scripts/rebuild-search-index.js.
+const searchDocumentSchema = new mongoose.Schema(
+  {
+    entityType: {
+      type: String,
+      enum: ["doctor", "clinic", "pathology", "test", "pharmacy", "ambulance"],
+      required: true,
+    },
+    entityId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    name: { type: String, required: true },
+    // Lowercased words from every searchable field, matched by prefix
+    keywords: [{ type: String }],
+    specializations: [{ type: String }],
+    // City, state, place and address text for location filters
+    locations: [{ type: String }],
+    // Every place the entity can be found ([lng, lat] points; a doctor's
+    // clinics). Absent when none has real coordinates.
+    location: {
+      type: { type: String, enum: ["MultiPoint"] },
+      coordinates: { type: [[Number]], default: undefined },
+    },
+    rating: {
+      average: { type: Number, default: 0 },
+      count: { type: Number, default: 0 },
+    },
+    fee: { type: Number },
+    experience: { type: Number },
+    // The entity fields returned in search results
+    summary: { type: mongoose.Schema.Types.Mixed, required: true },
+    indexedAt: { type: Date, default: Date.now },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+searchDocumentSchema.index({ entityType: 1, entityId: 1 }, { unique: true });
+searchDocumentSchema.index({ entityType: 1, keywords: 1 });
+searchDocumentSchema.index({ entityType: 1, specializations: 1 });
+searchDocumentSchema.index({ entityType: 1, "rating.average": -1 });
+searchDocumentSchema.index({ location: "2dsphere" });
+
+module.exports = mongoose.model("SearchDocument", searchDocumentSchema);
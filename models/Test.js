@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const { searchIndexPlugin } = require("../utils/searchIndex");
 
 const testSchema = new mongoose.Schema(
   {
@@ -65,4 +66,7 @@ testSchema.index({ pathologyLab: 1 });
 testSchema.index({ category: 1 });
 testSchema.index({ isActive: 1 });
 
+// Keep this model's search index entries (SearchDocument) up to date
+testSchema.plugin(searchIndexPlugin, { type: "test" });
+
 module.exports = mongoose.model("Test", testSchema);
@@ -83,6 +83,8 @@ const userSchema = new mongoose.Schema(
         email: { type: Boolean, default: true },
         sms: { type: Boolean, default: true },
       },
+      // Locale for SMS and other outgoing messages (see utils/notificationTemplates)
+      language: { type: String, enum: ["en", "hi"], default: "en" },
       theme: { type: String, default: "light" },
     },
     // Access request fields
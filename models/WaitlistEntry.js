@@ -0,0 +1,79 @@
+const mongoose = require("mongoose");
+
+const waitlistEntrySchema = new mongoose.Schema(
+  {
+    patient: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    doctor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Doctor",
+      required: true,
+    },
+    // null means the doctor's general schedule
+    clinic: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Clinic",
+      default: null,
+    },
+    // Day the patient wants to be seen (start of day)
+    date: {
+      type: Date,
+      required: true,
+    },
+    // Optional "HH:MM"; when empty any freed slot on the day is offered
+    preferredTime: {
+      type: String,
+      default: null,
+    },
+    patientDetails: {
+      name: { type: String, required: true },
+      phone: { type: String, required: true },
+      email: String,
+      age: Number,
+      gender: String,
+    },
+    symptoms: String,
+    reasonForVisit: String,
+    status: {
+      type: String,
+      enum: ["waiting", "offered", "booked", "expired", "cancelled"],
+      default: "waiting",
+    },
+    // Slot currently held for this patient. For scheduled slots the seat stays
+    // counted on the doctor's schedule while the hold is active.
+    offer: {
+      appointmentTime: String,
+      source: {
+        type: String,
+        enum: ["bookingSchedule", "clinicSchedule", "unscheduled"],
+      },
+      offeredAt: Date,
+      expiresAt: Date,
+      fromBooking: { type: mongoose.Schema.Types.ObjectId, ref: "Booking" },
+      smsStatus: String,
+    },
+    booking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Booking",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Queue order lookups: first waiting entry for a doctor/clinic/day
+waitlistEntrySchema.index({
+  doctor: 1,
+  clinic: 1,
+  date: 1,
+  status: 1,
+  createdAt: 1,
+});
+waitlistEntrySchema.index({ status: 1, "offer.expiresAt": 1 });
+waitlistEntrySchema.index({ patient: 1, createdAt: -1 });
+
+module.exports = mongoose.model("WaitlistEntry", waitlistEntrySchema);
@@ -8,6 +8,7 @@ const {
   masteruserAuth,
 } = require("../middleware/auth");
 const { createActivity } = require("../utils/activity");
+const { createNotification, notifyRoles } = require("../utils/inbox");
 
 const router = express.Router();
 
@@ -71,6 +72,15 @@ router.post("/", auth, async (req, res) => {
       userAgent: req.get("User-Agent"),
     });
 
+    await notifyRoles(["superuser", "masteruser"], {
+      type: "access_request_submitted",
+      title: "New access request",
+      message: `${req.user.username} requested ${requestedRole} access`,
+      targetId: accessRequest._id,
+      targetModel: "AccessRequest",
+      actor: req.user.id,
+    });
+
     res.status(201).json({
       success: true,
       message: "Access request submitted successfully",
@@ -238,6 +248,23 @@ router.patch("/:id/review", superuserAuth, async (req, res) => {
       userAgent: req.get("User-Agent"),
     });
 
+    await createNotification({
+      recipient: accessRequest.user._id,
+      type: `access_request_${status}`,
+      title: `Access request ${status}`,
+      message:
+        status === "approved"
+          ? `Your request for ${accessRequest.requestedRole} access was approved`
+          : `Your request for ${
+              accessRequest.requestedRole
+            } access was rejected${
+              rejectionReason ? `: ${rejectionReason}` : ""
+            }`,
+      targetId: accessRequest._id,
+      targetModel: "AccessRequest",
+      actor: req.user.id,
+    });
+
     res.json({
       success: true,
       message: `Access request ${status} successfully`,
@@ -0,0 +1,438 @@
+const express = require("express");
+const Ambulance = require("../models/Ambulance");
+const AmbulanceRequest = require("../models/AmbulanceRequest");
+const User = require("../models/User");
+const { auth } = require("../middleware/auth");
+const { createActivity } = require("../utils/activity");
+const { notifyRoles } = require("../utils/inbox");
+const {
+  ACTIVE_STATUSES,
+  findNearestAmbulances,
+  assignAmbulance,
+  updateRequestStatus,
+} = require("../utils/ambulanceDispatch");
+const { trackRequest } = require("../utils/ambulanceTracking");
+
+const router = express.Router();
+
+const isAdmin = (user) => ["admin", "superuser"].includes(user.role);
+
+// [lng, lat] from a { lat, lng } body field, or null when invalid
+const toCoordinates = (point) => {
+  const lat = parseFloat(point && point.lat);
+  const lng = parseFloat(point && point.lng);
+  if (isNaN(lat) || isNaN(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+    return null;
+  }
+  return [lng, lat];
+};
+
+// Request an ambulance. Returns the request with the nearest available
+// ambulances an operator can dispatch.
+router.post("/", auth, async (req, res) => {
+  try {
+    const { pickup, destination, emergencyType, notes } = req.body;
+
+    const pickupCoordinates = toCoordinates(pickup);
+    if (!pickup || !pickup.address || !pickupCoordinates) {
+      return res.status(400).json({
+        success: false,
+        message: "Pickup address with valid lat and lng is required",
+      });
+    }
+
+    const existing = await AmbulanceRequest.findOne({
+      patient: req.user.id,
+      status: { $in: ACTIVE_STATUSES },
+    }).select("requestId status");
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: "You already have an active ambulance request",
+        data: existing,
+      });
+    }
+
+    let { patientDetails } = req.body;
+    if (!patientDetails || !patientDetails.name || !patientDetails.phone) {
+      const user = await User.findById(req.user.id).select(
+        "firstName lastName phone"
+      );
+      patientDetails = {
+        ...patientDetails,
+        name:
+          patientDetails?.name || `${user.firstName} ${user.lastName}`.trim(),
+        phone: patientDetails?.phone || user.phone,
+      };
+    }
+
+    const request = new AmbulanceRequest({
+      patient: req.user.id,
+      pickup: {
+        address: pickup.address,
+        landmark: pickup.landmark,
+        coordinates: pickupCoordinates,
+      },
+      destination: destination
+        ? {
+            address: destination.address,
+            coordinates: toCoordinates(destination) || undefined,
+          }
+        : undefined,
+      patientDetails,
+      emergencyType,
+      notes,
+      statusHistory: [{ status: "requested", changedBy: req.user.id }],
+    });
+    await request.save();
+
+    const candidates = await findNearestAmbulances(pickupCoordinates);
+
+    await notifyRoles(["admin", "superuser"], {
+      type: "ambulance_requested",
+      title: "New ambulance request",
+      message: `${patientDetails.name} needs an ambulance at ${pickup.address}`,
+      targetId: request._id,
+      targetModel: "AmbulanceRequest",
+      actor: req.user.id,
+    });
+
+    await createActivity({
+      type: "ambulance_requested",
+      message: `Ambulance request ${request.requestId} created (${candidates.length} nearby available)`,
+      user: req.user.id,
+      targetId: request._id,
+      targetModel: "AmbulanceRequest",
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Ambulance requested",
+      data: request,
+      candidates,
+    });
+  } catch (error) {
+    console.error("Create ambulance request error:", error);
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    res.status(500).json({
+      success: false,
+      message: "Failed to request ambulance",
+      error: error.message,
+    });
+  }
+});
+
+// My requests; admins see all, oldest waiting first with ?status=requested
+router.get("/", auth, async (req, res) => {
+  try {
+    const { status, page = 1, limit = 20 } = req.query;
+
+    const query = isAdmin(req.user) ? {} : { patient: req.user.id };
+    if (status === "active") query.status = { $in: ACTIVE_STATUSES };
+    else if (status) query.status = status;
+
+    const requests = await AmbulanceRequest.find(query)
+      .populate("ambulance", "name vehicleNumber driverName driverPhone")
+      .sort({ createdAt: status === "requested" ? 1 : -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await AmbulanceRequest.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: requests,
+      pagination: {
+        total,
+        page: parseInt(page),
+        pages: Math.ceil(total / limit),
+        limit: parseInt(limit),
+      },
+    });
+  } catch (error) {
+    console.error("Get ambulance requests error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch ambulance requests",
+      error: error.message,
+    });
+  }
+});
+
+// Request details and current status
+router.get("/:id", auth, async (req, res) => {
+  try {
+    const request = await AmbulanceRequest.findById(req.params.id)
+      .populate(
+        "ambulance",
+        "name vehicleNumber driverName driverPhone phone coordinates"
+      )
+      .populate("patient", "firstName lastName phone");
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: "Ambulance request not found",
+      });
+    }
+    if (request.patient._id.toString() !== req.user.id && !isAdmin(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied",
+      });
+    }
+
+    res.json({ success: true, data: request });
+  } catch (error) {
+    console.error("Get ambulance request error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch ambulance request",
+      error: error.message,
+    });
+  }
+});
+
+// Live ambulance location with distance and ETA, for the patient who
+// requested it (and admins)
+router.get("/:id/tracking", auth, async (req, res) => {
+  try {
+    const request = await AmbulanceRequest.findById(req.params.id).select(
+      "requestId patient ambulance status pickup destination"
+    );
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: "Ambulance request not found",
+      });
+    }
+    if (request.patient.toString() !== req.user.id && !isAdmin(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied",
+      });
+    }
+    if (
+      !request.ambulance ||
+      !["assigned", "en_route", "arrived"].includes(request.status)
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: `Tracking isn't available while the request is ${request.status}`,
+      });
+    }
+
+    const ambulance = await Ambulance.findById(request.ambulance).select(
+      "name vehicleNumber driverName driverPhone coordinates lastLocationAt speedKmh heading"
+    );
+    if (!ambulance) {
+      return res.status(404).json({
+        success: false,
+        message: "Ambulance not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        requestId: request.requestId,
+        ambulance: {
+          _id: ambulance._id,
+          name: ambulance.name,
+          vehicleNumber: ambulance.vehicleNumber,
+          driverName: ambulance.driverName,
+          driverPhone: ambulance.driverPhone,
+        },
+        ...trackRequest(request, ambulance),
+      },
+    });
+  } catch (error) {
+    console.error("Track ambulance request error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch ambulance location",
+      error: error.message,
+    });
+  }
+});
+
+// Nearest available ambulances for a request (Admin only); ?radius in km
+router.get("/:id/candidates", auth, async (req, res) => {
+  try {
+    if (!isAdmin(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied",
+      });
+    }
+
+    const request = await AmbulanceRequest.findById(req.params.id).select(
+      "pickup status"
+    );
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: "Ambulance request not found",
+      });
+    }
+
+    const candidates = await findNearestAmbulances(request.pickup.coordinates, {
+      radiusKm: Math.min(parseFloat(req.query.radius) || 25, 100),
+      limit: Math.min(parseInt(req.query.limit, 10) || 5, 20),
+    });
+
+    res.json({ success: true, data: candidates });
+  } catch (error) {
+    console.error("Get ambulance candidates error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to find nearby ambulances",
+      error: error.message,
+    });
+  }
+});
+
+// Dispatch an ambulance to the request (Admin only)
+router.put("/:id/assign", auth, async (req, res) => {
+  try {
+    if (!isAdmin(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied",
+      });
+    }
+
+    const request = await AmbulanceRequest.findById(req.params.id);
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: "Ambulance request not found",
+      });
+    }
+
+    const result = await assignAmbulance(request, req.body.ambulanceId, {
+      actorId: req.user.id,
+    });
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Ambulance assigned",
+      data: result.request,
+    });
+  } catch (error) {
+    console.error("Assign ambulance error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to assign ambulance",
+      error: error.message,
+    });
+  }
+});
+
+// Move the request along en_route/arrived/completed, or back to requested
+// to unassign (Admin only)
+router.put("/:id/status", auth, async (req, res) => {
+  try {
+    if (!isAdmin(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied",
+      });
+    }
+
+    const request = await AmbulanceRequest.findById(req.params.id);
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: "Ambulance request not found",
+      });
+    }
+
+    const result = await updateRequestStatus(request, req.body.status, {
+      actorId: req.user.id,
+      note: req.body.note,
+    });
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Ambulance request status updated",
+      data: result.request,
+    });
+  } catch (error) {
+    console.error("Update ambulance request status error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update ambulance request status",
+      error: error.message,
+    });
+  }
+});
+
+// Cancel a request. Patients can cancel until the ambulance is on its way;
+// admins until it arrives.
+router.put("/:id/cancel", auth, async (req, res) => {
+  try {
+    const request = await AmbulanceRequest.findById(req.params.id);
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: "Ambulance request not found",
+      });
+    }
+
+    const admin = isAdmin(req.user);
+    if (!admin && request.patient.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied",
+      });
+    }
+    if (!admin && !["requested", "assigned"].includes(request.status)) {
+      return res.status(400).json({
+        success: false,
+        message: "The ambulance is already on its way; call the driver instead",
+      });
+    }
+
+    const result = await updateRequestStatus(request, "cancelled", {
+      actorId: req.user.id,
+      note:
+        req.body.reason ||
+        (admin ? "Cancelled by operator" : "Cancelled by patient"),
+    });
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Ambulance request cancelled",
+      data: result.request,
+    });
+  } catch (error) {
+    console.error("Cancel ambulance request error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to cancel ambulance request",
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
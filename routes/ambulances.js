@@ -1,9 +1,23 @@
 const express = require("express");
 const multer = require("multer");
 const Ambulance = require("../models/Ambulance");
-const { auth, adminAuth } = require("../middleware/auth");
+const AmbulanceRequest = require("../models/AmbulanceRequest");
+const { auth, adminAuth, driverAuth } = require("../middleware/auth");
 const { createActivity } = require("../utils/activity");
 const { sendBackfillResponse } = require("../utils/localImageBackfill");
+const {
+  ACTIVE_STATUSES,
+  findNearestAmbulances,
+} = require("../utils/ambulanceDispatch");
+const {
+  ROAD_DISTANCE_FACTOR,
+  estimateTripKm,
+  quoteFare,
+} = require("../utils/ambulanceFares");
+const {
+  issueDriverToken,
+  recordLocation,
+} = require("../utils/ambulanceTracking");
 
 const router = express.Router();
 
@@ -13,6 +27,48 @@ const upload = multer({
   limits: { fileSize: 5 * 1024 * 1024 },
 });
 
+const NUMERIC_FIELDS = [
+  "baseRate",
+  "includedKm",
+  "perKmRate",
+  "nightSurchargePercent",
+];
+
+// Form fields arrive as strings from multipart bodies
+const normalizeAmbulanceData = (body) => {
+  const ambulanceData = { ...body };
+  // Location and the driver token are managed by their own endpoints
+  delete ambulanceData.driverTokenHash;
+  delete ambulanceData.locationHistory;
+
+  // Parse list fields if they're comma-separated strings
+  for (const field of ["services", "equipment"]) {
+    if (ambulanceData[field] && typeof ambulanceData[field] === "string") {
+      ambulanceData[field] = ambulanceData[field]
+        .split(",")
+        .map((s) => s.trim())
+        .filter(Boolean);
+    }
+  }
+
+  // Convert numeric fields
+  for (const field of NUMERIC_FIELDS) {
+    if (ambulanceData[field] !== undefined && ambulanceData[field] !== "") {
+      ambulanceData[field] = parseFloat(ambulanceData[field]);
+    }
+  }
+  for (const field of ["is24Hours", "isAvailable"]) {
+    if (ambulanceData[field] !== undefined) {
+      ambulanceData[field] = [true, "true"].includes(ambulanceData[field]);
+    }
+  }
+  if (typeof ambulanceData.vehicleType === "string") {
+    ambulanceData.vehicleType = ambulanceData.vehicleType.toUpperCase();
+  }
+
+  return ambulanceData;
+};
+
 router.post("/backfill-local-images", adminAuth, (req, res) =>
   sendBackfillResponse(req, res, {
     Model: Ambulance,
@@ -67,6 +123,78 @@ router.get("/", auth, async (req, res) => {
   }
 });
 
+// Fare estimate for a trip from pickup to drop with each nearby available
+// ambulance: ?pickupLat=&pickupLng=&dropLat=&dropLng=[&vehicleType=ALS]
+router.get("/fare-quote", async (req, res) => {
+  try {
+    const point = (latKey, lngKey) => {
+      const lat = parseFloat(req.query[latKey]);
+      const lng = parseFloat(req.query[lngKey]);
+      return isNaN(lat) ||
+        isNaN(lng) ||
+        Math.abs(lat) > 90 ||
+        Math.abs(lng) > 180
+        ? null
+        : [lng, lat];
+    };
+    const pickup = point("pickupLat", "pickupLng");
+    const drop = point("dropLat", "dropLng");
+    if (!pickup || !drop) {
+      return res.status(400).json({
+        success: false,
+        message: "Valid pickup and drop coordinates are required",
+      });
+    }
+
+    const vehicleType = req.query.vehicleType
+      ? String(req.query.vehicleType).toUpperCase()
+      : undefined;
+    if (vehicleType && !["BLS", "ALS", "ICU"].includes(vehicleType)) {
+      return res.status(400).json({
+        success: false,
+        message: "vehicleType must be BLS, ALS or ICU",
+      });
+    }
+
+    const ambulances = await findNearestAmbulances(pickup, {
+      radiusKm: Math.min(parseFloat(req.query.radius) || 25, 100),
+      limit: Math.min(parseInt(req.query.limit, 10) || 5, 20),
+      vehicleType,
+    });
+
+    const tripKm = estimateTripKm(pickup, drop);
+    const now = new Date();
+    const quotes = ambulances.map((ambulance) => ({
+      ambulance: {
+        _id: ambulance._id,
+        name: ambulance.name,
+        vehicleType: ambulance.vehicleType,
+        equipment: ambulance.equipment,
+        is24Hours: ambulance.is24Hours,
+      },
+      distanceToPickup: ambulance.distance,
+      fare: quoteFare(ambulance, tripKm, now),
+    }));
+
+    res.json({
+      success: true,
+      data: {
+        tripKm,
+        // Straight-line distance scaled to approximate the road route
+        roadDistanceFactor: ROAD_DISTANCE_FACTOR,
+        quotes,
+      },
+    });
+  } catch (error) {
+    console.error("Ambulance fare quote error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to estimate ambulance fare",
+      error: error.message,
+    });
+  }
+});
+
 // Get ambulance by ID (admin and above only)
 router.get("/:id", auth, async (req, res) => {
   try {
@@ -113,15 +241,7 @@ router.get("/public/:id", async (req, res) => {
 // Create new ambulance (admin and above only)
 router.post("/", auth, upload.single("image"), async (req, res) => {
   try {
-    const ambulanceData = { ...req.body };
-
-    // Parse services if it's a string
-    if (ambulanceData.services && typeof ambulanceData.services === "string") {
-      ambulanceData.services = ambulanceData.services
-        .split(",")
-        .map((s) => s.trim())
-        .filter(Boolean);
-    }
+    const ambulanceData = normalizeAmbulanceData(req.body);
 
     const ambulance = new Ambulance(ambulanceData);
 
@@ -172,21 +292,7 @@ router.put("/:id", auth, upload.single("image"), async (req, res) => {
       });
     }
 
-    const ambulanceData = { ...req.body };
-
-    // Parse services if it's a string
-    if (ambulanceData.services && typeof ambulanceData.services === "string") {
-      ambulanceData.services = ambulanceData.services
-        .split(",")
-        .map((s) => s.trim())
-        .filter(Boolean);
-    }
-
-    // Convert numeric fields
-    if (ambulanceData.baseRate)
-      ambulanceData.baseRate = parseFloat(ambulanceData.baseRate);
-    if (ambulanceData.perKmRate)
-      ambulanceData.perKmRate = parseFloat(ambulanceData.perKmRate);
+    const ambulanceData = normalizeAmbulanceData(req.body);
 
     if (req.file && req.file.buffer) {
       ambulanceData.image = {
@@ -266,10 +372,14 @@ router.delete("/:id", auth, async (req, res) => {
 // Get ambulances for public search (no auth required)
 router.get("/search/public", async (req, res) => {
   try {
-    const { place, state, search = "" } = req.query;
+    const { place, state, vehicleType, search = "" } = req.query;
 
     let query = { isActive: true, isAvailable: true };
 
+    if (vehicleType) {
+      query.vehicleType = String(vehicleType).toUpperCase();
+    }
+
     if (place) {
       query.place = new RegExp(place, "i");
     }
@@ -288,7 +398,7 @@ router.get("/search/public", async (req, res) => {
 
     const ambulances = await Ambulance.find(query)
       .select(
-        "name place state baseRate perKmRate is24Hours image contentType imageUrl"
+        "name place city state vehicleType equipment baseRate includedKm perKmRate nightSurchargePercent is24Hours image contentType imageUrl"
       )
       .sort({ createdAt: -1 })
       .limit(50);
@@ -307,4 +417,104 @@ router.get("/search/public", async (req, res) => {
   }
 });
 
+// Issue a driver app token for GPS updates (Admin only). Shown once;
+// issuing a new one revokes the previous token.
+router.post("/:id/driver-token", adminAuth, async (req, res) => {
+  try {
+    const token = await issueDriverToken(req.params.id);
+    if (!token) {
+      return res.status(404).json({
+        success: false,
+        message: "Ambulance not found",
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: "Driver token issued. Store it now; it won't be shown again.",
+      data: { token },
+    });
+  } catch (error) {
+    console.error("Issue driver token error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to issue driver token",
+      error: error.message,
+    });
+  }
+});
+
+// GPS ping from the driver app: { lat, lng, speedKmh, heading, accuracy,
+// recordedAt }. Responds with the dispatch the ambulance is serving, if any.
+router.post("/driver/location", driverAuth, async (req, res) => {
+  try {
+    const lat = parseFloat(req.body.lat);
+    const lng = parseFloat(req.body.lng);
+    if (isNaN(lat) || isNaN(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+      return res.status(400).json({
+        success: false,
+        message: "Valid lat and lng are required",
+      });
+    }
+
+    const now = new Date();
+    let recordedAt = req.body.recordedAt ? new Date(req.body.recordedAt) : now;
+    // Device clocks drift; never accept a ping from the future
+    if (isNaN(recordedAt.getTime()) || recordedAt > now) recordedAt = now;
+
+    const optionalNumber = (value) =>
+      value === undefined || value === null || isNaN(parseFloat(value))
+        ? undefined
+        : parseFloat(value);
+
+    const applied = await recordLocation(req.ambulance._id, {
+      lat,
+      lng,
+      speedKmh: optionalNumber(req.body.speedKmh),
+      heading: optionalNumber(req.body.heading),
+      accuracy: optionalNumber(req.body.accuracy),
+      recordedAt,
+    });
+
+    const request = await AmbulanceRequest.findOne({
+      ambulance: req.ambulance._id,
+      status: { $in: ACTIVE_STATUSES },
+    }).select("requestId status");
+
+    res.json({
+      success: true,
+      message: applied ? "Location updated" : "Older ping ignored",
+      data: { applied, request },
+    });
+  } catch (error) {
+    console.error("Driver location update error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update location",
+      error: error.message,
+    });
+  }
+});
+
+// The dispatch the driver is currently serving
+router.get("/driver/assignment", driverAuth, async (req, res) => {
+  try {
+    const request = await AmbulanceRequest.findOne({
+      ambulance: req.ambulance._id,
+      status: { $in: ACTIVE_STATUSES },
+    }).select(
+      "requestId status pickup destination patientDetails emergencyType notes assignedAt"
+    );
+
+    res.json({ success: true, data: request });
+  } catch (error) {
+    console.error("Get driver assignment error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch assignment",
+      error: error.message,
+    });
+  }
+});
+
 module.exports = router;
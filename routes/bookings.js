@@ -3,12 +3,144 @@ const Booking = require("../models/Booking");
 const Doctor = require("../models/Doctor");
 const User = require("../models/User");
 const OTP = require("../models/OTP");
+const WaitlistEntry = require("../models/WaitlistEntry");
 const { auth } = require("../middleware/auth");
 const { createActivity } = require("../utils/activity");
-const { generateOTP, sendOTP, verifyOTP } = require("../utils/sms");
+const { generateOTP, verifyOTP } = require("../utils/sms");
+const { sendOTP } = require("../utils/notifications");
+const {
+  getDayBounds,
+  getAppointmentDateTime,
+  validateBookingSlot,
+  reserveSlot,
+  releaseSeat,
+} = require("../utils/slotReservation");
+const { offerSeat, releaseToWaitlist } = require("../utils/waitlist");
+const { findBlockingLeave } = require("../utils/leaveCalendar");
+const {
+  scheduleBookingReminders,
+  cancelBookingReminders,
+} = require("../utils/reminders");
+const { notifyBookingParties } = require("../utils/inbox");
+const {
+  requiresOnlinePayment,
+  createPaymentIntent,
+  recordCashPayment,
+} = require("../utils/payments");
+const {
+  resolvePolicy,
+  quoteCancellation,
+  settleCancellation,
+} = require("../utils/cancellationPolicy");
+const { issueInvoice, renderInvoicesPdf } = require("../utils/invoices");
 
 const router = express.Router();
 
+// Hours before an appointment after which patients can no longer reschedule
+const RESCHEDULE_CUTOFF_HOURS = Number.isFinite(
+  parseFloat(process.env.RESCHEDULE_CUTOFF_HOURS)
+)
+  ? parseFloat(process.env.RESCHEDULE_CUTOFF_HOURS)
+  : 2;
+
+// Statuses a booking may move to from each status. Patients may only take
+// the "cancelled" step, and only before the appointment.
+const STATUS_TRANSITIONS = {
+  pending: ["confirmed", "cancelled"],
+  confirmed: ["completed", "cancelled", "no_show"],
+  completed: [],
+  cancelled: [],
+  no_show: [],
+};
+
+// Run the booking-time checks for a slot and take a seat in it. Shared by
+// booking creation and rescheduling so both enforce the same rules.
+// `doctor` must have clinicDetails.clinic populated with name/state/place.
+const reserveBookingSlot = async (
+  doctor,
+  { clinicId, appointmentDate, appointmentTime }
+) => {
+  const slotCheck = validateBookingSlot(doctor, {
+    clinicId,
+    appointmentDate,
+    appointmentTime,
+  });
+  if (!slotCheck.success) {
+    return { success: false, message: slotCheck.message };
+  }
+
+  // Leave and holidays override the schedule
+  const blockingLeave = await findBlockingLeave({
+    doctor,
+    clinic: slotCheck.clinicDetail && slotCheck.clinicDetail.clinic,
+    date: appointmentDate,
+    time: appointmentTime,
+  });
+  if (blockingLeave) {
+    return {
+      success: false,
+      message: "Doctor is not available on the selected date",
+      leave: {
+        kind: blockingLeave.kind,
+        reason: blockingLeave.reason,
+        startDate: blockingLeave.startDate,
+        endDate: blockingLeave.endDate,
+      },
+    };
+  }
+
+  // Unscheduled days keep the legacy one-booking-per-time rule (regardless of
+  // clinic); a waitlist hold on the time counts as taken
+  if (slotCheck.source === "unscheduled") {
+    const { start, end } = getDayBounds(appointmentDate);
+    const [existingBooking, activeHold] = await Promise.all([
+      Booking.findOne({
+        doctor: doctor._id,
+        appointmentDate: new Date(appointmentDate),
+        appointmentTime,
+        status: { $in: ["pending", "confirmed"] },
+      }),
+      WaitlistEntry.findOne({
+        doctor: doctor._id,
+        date: { $gte: start, $lt: end },
+        status: "offered",
+        "offer.appointmentTime": appointmentTime,
+        "offer.expiresAt": { $gt: new Date() },
+      }),
+    ]);
+    if (existingBooking || activeHold) {
+      return {
+        success: false,
+        message: "This time slot is already booked",
+        canJoinWaitlist: true,
+      };
+    }
+  }
+
+  // Reserve capacity atomically against the slot counters
+  const reservation = await reserveSlot({
+    doctorId: doctor._id,
+    clinicId,
+    appointmentDate,
+    appointmentTime,
+    source: slotCheck.source,
+    capacity: slotCheck.capacity,
+  });
+  if (!reservation.success) {
+    return {
+      success: false,
+      message: reservation.message,
+      canJoinWaitlist: true,
+    };
+  }
+
+  return {
+    success: true,
+    fee: slotCheck.fee,
+    reservation: reservation.reservation,
+  };
+};
+
 // Create new booking
 router.post("/", auth, async (req, res) => {
   try {
@@ -26,7 +158,7 @@ router.post("/", auth, async (req, res) => {
     // Validate doctor exists
     const doctor = await Doctor.findById(doctorId).populate(
       "clinicDetails.clinic",
-      "name"
+      "name state place"
     );
     if (!doctor) {
       return res.status(404).json({
@@ -35,87 +167,18 @@ router.post("/", auth, async (req, res) => {
       });
     }
 
-    let selectedClinicDetail = null;
-    if (clinicId) {
-      selectedClinicDetail = (doctor.clinicDetails || []).find(
-        (cd) => cd.clinic && cd.clinic._id.toString() === clinicId
-      );
-      if (!selectedClinicDetail) {
-        return res.status(400).json({
-          success: false,
-          message: "Doctor is not associated with the selected clinic",
-        });
-      }
-    }
-
-    // Check if slot is available (conflict across doctor regardless of clinic)
-    const existingBooking = await Booking.findOne({
-      doctor: doctorId,
-      appointmentDate: new Date(appointmentDate),
+    // Validate against schedule, leave calendar and capacity
+    const slot = await reserveBookingSlot(doctor, {
+      clinicId,
+      appointmentDate,
       appointmentTime,
-      status: { $in: ["pending", "confirmed"] },
     });
-
-    if (existingBooking) {
-      return res.status(400).json({
-        success: false,
-        message: "This time slot is already booked",
-      });
-    }
-
-    // Validate against schedule
-    const dateOnly = new Date(appointmentDate);
-    dateOnly.setHours(0, 0, 0, 0);
-    let isSlotAllowed = true;
-    let effectiveFee = doctor.consultationFee || doctor.doctorFees || 0;
-
-    if (selectedClinicDetail) {
-      // Use clinic-specific fee if provided
-      if (typeof selectedClinicDetail.consultationFee === "number") {
-        effectiveFee = selectedClinicDetail.consultationFee;
-      }
-
-      // Check clinic-specific date schedule
-      if (Array.isArray(selectedClinicDetail.clinicSchedule)) {
-        const daySchedule = selectedClinicDetail.clinicSchedule.find(
-          (s) => new Date(s.date).setHours(0, 0, 0, 0) === dateOnly.getTime()
-        );
-        if (daySchedule) {
-          if (daySchedule.isAvailable === false) {
-            isSlotAllowed = false;
-          } else {
-            const slot = (daySchedule.slots || []).find(
-              (sl) =>
-                sl.startTime === appointmentTime && sl.isAvailable !== false
-            );
-            if (!slot) isSlotAllowed = false;
-          }
-        }
-      }
-    } else {
-      // General doctor schedule
-      if (Array.isArray(doctor.bookingSchedule)) {
-        const daySchedule = doctor.bookingSchedule.find(
-          (s) => new Date(s.date).setHours(0, 0, 0, 0) === dateOnly.getTime()
-        );
-        if (daySchedule) {
-          if (daySchedule.isAvailable === false) {
-            isSlotAllowed = false;
-          } else {
-            const slot = (daySchedule.slots || []).find(
-              (sl) =>
-                sl.startTime === appointmentTime && sl.isAvailable !== false
-            );
-            if (!slot) isSlotAllowed = false;
-          }
-        }
-      }
-    }
-
-    if (!isSlotAllowed) {
+    if (!slot.success) {
       return res.status(400).json({
         success: false,
-        message: "Selected slot is not available",
+        message: slot.message,
+        leave: slot.leave,
+        canJoinWaitlist: slot.canJoinWaitlist,
       });
     }
 
@@ -136,12 +199,37 @@ router.post("/", auth, async (req, res) => {
       },
       symptoms,
       reasonForVisit,
-      consultationFee: effectiveFee,
+      consultationFee: slot.fee,
       paymentMethod,
       status: "confirmed",
+      slotReservation: slot.reservation,
     });
+    // Online payments confirm the booking only once the gateway reports success
+    const awaitingPayment = requiresOnlinePayment(booking);
+    if (awaitingPayment) booking.status = "pending";
 
-    await booking.save();
+    try {
+      await booking.save();
+    } catch (saveError) {
+      // Hand the seat back so a failed insert doesn't leak capacity
+      await releaseSeat({
+        doctorId,
+        clinicId,
+        appointmentDate,
+        appointmentTime,
+        source: slot.reservation.source,
+      });
+      if (saveError.code === 11000) {
+        return res.status(400).json({
+          success: false,
+          message: "This time slot is already booked",
+        });
+      }
+      throw saveError;
+    }
+
+    await scheduleBookingReminders(booking);
+    await notifyBookingParties(booking, "booking_created", req.user.id);
 
     // Create activity log
     await createActivity({
@@ -152,6 +240,17 @@ router.post("/", auth, async (req, res) => {
       targetModel: "Booking",
     });
 
+    let payment = null;
+    if (awaitingPayment) {
+      try {
+        payment = await createPaymentIntent(booking);
+      } catch (paymentError) {
+        // The booking stays pending; the client can retry via /api/payments/intents
+        console.error("Booking payment intent error:", paymentError);
+        payment = { success: false, message: "Failed to start payment" };
+      }
+    }
+
     // Populate booking details for response
     await booking.populate([
       { path: "doctor", select: "name specialization consultationFee" },
@@ -160,8 +259,15 @@ router.post("/", auth, async (req, res) => {
 
     res.status(201).json({
       success: true,
-      message: "Appointment booked successfully",
+      message: awaitingPayment
+        ? "Appointment reserved, complete payment to confirm"
+        : "Appointment booked successfully",
       booking,
+      ...(payment && {
+        payment: payment.payment || null,
+        publicKey: payment.publicKey,
+        paymentError: payment.success ? undefined : payment.message,
+      }),
     });
   } catch (error) {
     console.error("Booking creation error:", error);
@@ -397,9 +503,70 @@ router.put("/:bookingId/status", auth, async (req, res) => {
       });
     }
 
+    const isStaff =
+      booking.doctor.toString() === req.user.id ||
+      ["admin", "superuser"].includes(req.user.role);
+    if (!isStaff && status !== "cancelled") {
+      return res.status(403).json({
+        success: false,
+        message: "Patients can only cancel their bookings",
+      });
+    }
+    if (!(STATUS_TRANSITIONS[booking.status] || []).includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot change a ${booking.status} booking to ${status}`,
+      });
+    }
+
+    // Same rule as DELETE /:bookingId: past appointments can't be cancelled
+    if (
+      status === "cancelled" &&
+      new Date() > getAppointmentDateTime(booking)
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "Cannot cancel a past/expired booking",
+      });
+    }
+
+    // Bookings paid online are confirmed by the payment webhook
+    // (applyPaymentEvent), not by hand
+    if (
+      status === "confirmed" &&
+      requiresOnlinePayment(booking) &&
+      booking.paymentStatus !== "paid"
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "This booking is confirmed once its payment is received",
+      });
+    }
+
     booking.status = status;
     await booking.save();
 
+    // Cancelled and no-show bookings give their seat back (waitlist first)
+    // and refund whatever the cancellation policy allows
+    let settlement;
+    if (["cancelled", "no_show"].includes(status)) {
+      await releaseToWaitlist(booking);
+      settlement = await settleCancellation(booking, {
+        actorId: req.user.id,
+        kind: status,
+      });
+    }
+    if (!["pending", "confirmed"].includes(status)) {
+      await cancelBookingReminders(booking);
+    }
+    // Cash is collected at the visit; record it so a receipt can be issued
+    if (status === "completed") {
+      await recordCashPayment(booking, { actorId: req.user.id });
+    }
+    if (status === "cancelled") {
+      await notifyBookingParties(booking, "booking_cancelled", req.user.id);
+    }
+
     // Create activity log
     await createActivity({
       type: "booking_status_updated",
@@ -413,6 +580,8 @@ router.put("/:bookingId/status", auth, async (req, res) => {
       success: true,
       message: "Booking status updated successfully",
       booking,
+      cancellation: settlement && settlement.cancellation,
+      refundError: settlement && settlement.refundError,
     });
   } catch (error) {
     console.error("Update booking status error:", error);
@@ -471,13 +640,12 @@ router.get("/:bookingId", auth, async (req, res) => {
   }
 });
 
-// Update booking status
-router.put("/:bookingId/status", auth, async (req, res) => {
+// Invoice/receipt for a paid booking, as PDF (default) or JSON (?format=json)
+router.get("/:bookingId/invoice", auth, async (req, res) => {
   try {
-    const { bookingId } = req.params;
-    const { status, diagnosis, prescription, notes } = req.body;
-
-    const booking = await Booking.findById(bookingId);
+    const booking = await Booking.findById(req.params.bookingId).select(
+      "patient doctor clinic"
+    );
     if (!booking) {
       return res.status(404).json({
         success: false,
@@ -485,45 +653,93 @@ router.put("/:bookingId/status", auth, async (req, res) => {
       });
     }
 
-    // Check permissions
-    const canUpdate =
+    const canAccess =
+      booking.patient.toString() === req.user.id ||
       booking.doctor.toString() === req.user.id ||
+      (booking.clinic && booking.clinic.toString() === req.user.id) ||
       ["admin", "superuser"].includes(req.user.role);
 
-    if (!canUpdate) {
+    if (!canAccess) {
       return res.status(403).json({
         success: false,
         message: "Access denied",
       });
     }
 
-    // Update booking
-    booking.status = status;
-    if (diagnosis) booking.diagnosis = diagnosis;
-    if (prescription) booking.prescription = prescription;
-    if (notes) booking.notes = notes;
+    const result = await issueInvoice(booking._id);
+    if (!result.success) {
+      return res
+        .status(result.status)
+        .json({ success: false, message: result.message });
+    }
 
-    await booking.save();
+    if (req.query.format === "json") {
+      return res.json({ success: true, invoice: result.invoice });
+    }
 
-    // Create activity log
-    await createActivity({
-      type: `appointment_${status}`,
-      message: `Appointment ${status} for booking ${booking.bookingId}`,
-      user: req.user.id,
-      targetId: booking._id,
-      targetModel: "Booking",
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader(
+      "Content-Disposition",
+      `inline; filename="${result.invoice.invoiceNumber}.pdf"`
+    );
+    res.send(renderInvoicesPdf([result.invoice]));
+  } catch (error) {
+    console.error("Get booking invoice error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to generate invoice",
+      error: error.message,
+    });
+  }
+});
+
+// Preview the cancellation fee and refund under the applicable policy
+router.get("/:bookingId/cancellation-quote", auth, async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.bookingId);
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: "Booking not found",
+      });
+    }
+
+    const canAccess =
+      booking.patient.toString() === req.user.id ||
+      booking.doctor.toString() === req.user.id ||
+      ["admin", "superuser"].includes(req.user.role);
+
+    if (!canAccess) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied",
+      });
+    }
+
+    if (!["pending", "confirmed"].includes(booking.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Booking is already ${booking.status}`,
+        cancellation: booking.cancellation,
+      });
+    }
+
+    const policy = await resolvePolicy(booking);
+    const quote = quoteCancellation(booking, policy, {
+      cancelledBy:
+        booking.patient.toString() === req.user.id ? "patient" : "provider",
+      kind: req.query.kind === "no_show" ? "no_show" : "cancelled",
     });
 
     res.json({
       success: true,
-      message: "Booking updated successfully",
-      booking,
+      quote,
     });
   } catch (error) {
-    console.error("Update booking status error:", error);
+    console.error("Cancellation quote error:", error);
     res.status(500).json({
       success: false,
-      message: "Failed to update booking",
+      message: "Failed to compute cancellation quote",
       error: error.message,
     });
   }
@@ -556,15 +772,16 @@ router.delete("/:bookingId", auth, async (req, res) => {
       });
     }
 
+    if (!(STATUS_TRANSITIONS[booking.status] || []).includes("cancelled")) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot cancel a ${booking.status} booking`,
+      });
+    }
+
     // Disallow cancellation for past bookings
     try {
-      const scheduled = new Date(booking.appointmentDate);
-      if (booking.appointmentTime) {
-        const [h, m] = String(booking.appointmentTime)
-          .split(":")
-          .map((v) => parseInt(v, 10) || 0);
-        scheduled.setHours(h, m, 0, 0);
-      }
+      const scheduled = getAppointmentDateTime(booking);
       if (new Date() > scheduled) {
         return res.status(400).json({
           success: false,
@@ -580,6 +797,13 @@ router.delete("/:bookingId", auth, async (req, res) => {
     booking.status = "cancelled";
     booking.notes = reason || "Cancelled by user";
     await booking.save();
+    // Freed seat goes to the first waitlisted patient, if any
+    await releaseToWaitlist(booking);
+    const settlement = await settleCancellation(booking, {
+      actorId: req.user.id,
+    });
+    await cancelBookingReminders(booking);
+    await notifyBookingParties(booking, "booking_cancelled", req.user.id);
 
     // Create activity log
     await createActivity({
@@ -593,6 +817,8 @@ router.delete("/:bookingId", auth, async (req, res) => {
     res.json({
       success: true,
       message: "Booking cancelled successfully",
+      cancellation: settlement.cancellation,
+      refundError: settlement.refundError,
     });
   } catch (error) {
     console.error("Cancel booking error:", error);
@@ -604,6 +830,220 @@ router.delete("/:bookingId", auth, async (req, res) => {
   }
 });
 
+// Reschedule booking to a new date/time (and optionally clinic)
+router.put("/:bookingId/reschedule", auth, async (req, res) => {
+  try {
+    const { bookingId } = req.params;
+    const { appointmentDate, appointmentTime, reason } = req.body;
+
+    if (!appointmentDate || !appointmentTime) {
+      return res.status(400).json({
+        success: false,
+        message: "appointmentDate and appointmentTime are required",
+      });
+    }
+
+    const booking = await Booking.findById(bookingId);
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: "Booking not found",
+      });
+    }
+
+    // Check permissions
+    const isAdmin = ["admin", "superuser"].includes(req.user.role);
+    const canReschedule =
+      booking.patient.toString() === req.user.id ||
+      booking.doctor.toString() === req.user.id ||
+      isAdmin;
+
+    if (!canReschedule) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied",
+      });
+    }
+
+    if (!["pending", "confirmed"].includes(booking.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot reschedule a ${booking.status} booking`,
+      });
+    }
+
+    // Admins (front desk) may move bookings inside the cut-off window
+    const hoursUntilAppointment =
+      (getAppointmentDateTime(booking) - Date.now()) / 3600000;
+    if (!isAdmin && hoursUntilAppointment < RESCHEDULE_CUTOFF_HOURS) {
+      return res.status(400).json({
+        success: false,
+        message: `Bookings can only be rescheduled up to ${RESCHEDULE_CUTOFF_HOURS} hours before the appointment`,
+      });
+    }
+
+    if (
+      getAppointmentDateTime({ appointmentDate, appointmentTime }) <= new Date()
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "New appointment time must be in the future",
+      });
+    }
+
+    // Clinic defaults to the current one; pass null to move to the general schedule
+    const clinicId =
+      req.body.clinicId !== undefined
+        ? req.body.clinicId || null
+        : booking.clinic
+        ? booking.clinic.toString()
+        : null;
+
+    const previous = {
+      appointmentDate: booking.appointmentDate,
+      appointmentTime: booking.appointmentTime,
+      clinic: booking.clinic,
+    };
+    const sameClinic =
+      String(previous.clinic || "") === String(clinicId || "");
+    if (
+      sameClinic &&
+      previous.appointmentTime === appointmentTime &&
+      new Date(previous.appointmentDate).setHours(0, 0, 0, 0) ===
+        new Date(appointmentDate).setHours(0, 0, 0, 0)
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "Booking is already scheduled for this slot",
+      });
+    }
+
+    const doctor = await Doctor.findById(booking.doctor).populate(
+      "clinicDetails.clinic",
+      "name state place"
+    );
+    if (!doctor) {
+      return res.status(404).json({
+        success: false,
+        message: "Doctor not found",
+      });
+    }
+
+    // Same validation as booking creation; takes a seat in the new slot
+    const slot = await reserveBookingSlot(doctor, {
+      clinicId,
+      appointmentDate,
+      appointmentTime,
+    });
+    if (!slot.success) {
+      return res.status(400).json({
+        success: false,
+        message: slot.message,
+        leave: slot.leave,
+        canJoinWaitlist: slot.canJoinWaitlist,
+      });
+    }
+
+    const previousReservation =
+      booking.slotReservation && booking.slotReservation.source
+        ? {
+            source: booking.slotReservation.source,
+            released: Boolean(booking.slotReservation.releasedAt),
+          }
+        : null;
+
+    booking.rescheduleHistory.push({
+      ...previous,
+      reason,
+      rescheduledBy: req.user.id,
+      rescheduledAt: new Date(),
+    });
+    booking.appointmentDate = new Date(appointmentDate);
+    booking.appointmentTime = appointmentTime;
+    booking.clinic = clinicId || undefined;
+    booking.slotReservation = slot.reservation;
+    // Fee follows the new clinic unless the patient has already paid
+    if (booking.paymentStatus !== "paid") {
+      booking.consultationFee = slot.fee;
+    }
+    // Force a version check so two concurrent reschedules can't both win
+    booking.increment();
+
+    try {
+      await booking.save();
+    } catch (saveError) {
+      await releaseSeat({
+        doctorId: doctor._id,
+        clinicId,
+        appointmentDate,
+        appointmentTime,
+        source: slot.reservation.source,
+      });
+      if (saveError.code === 11000) {
+        return res.status(400).json({
+          success: false,
+          message: "This time slot is already booked",
+        });
+      }
+      if (saveError.name === "VersionError") {
+        return res.status(409).json({
+          success: false,
+          message: "Booking was modified concurrently, please retry",
+        });
+      }
+      throw saveError;
+    }
+
+    // Only now give back the old seat, so a failed move keeps the original slot
+    if (previousReservation && !previousReservation.released) {
+      await offerSeat({
+        doctorId: doctor._id,
+        clinicId: previous.clinic,
+        appointmentDate: previous.appointmentDate,
+        appointmentTime: previous.appointmentTime,
+        source: previousReservation.source,
+        fromBooking: booking._id,
+      });
+    }
+
+    // Reminders follow the appointment to its new slot
+    await cancelBookingReminders(booking);
+    await scheduleBookingReminders(booking);
+
+    // Create activity log
+    await createActivity({
+      type: "appointment_rescheduled",
+      message: `Appointment ${booking.bookingId} rescheduled to ${appointmentDate} ${appointmentTime}`,
+      user: req.user.id,
+      targetId: booking._id,
+      targetModel: "Booking",
+      metadata: {
+        from: previous,
+        to: { appointmentDate, appointmentTime, clinic: clinicId },
+        reason,
+      },
+    });
+
+    await booking.populate([
+      { path: "doctor", select: "name specialization consultationFee" },
+      { path: "clinic", select: "name address" },
+    ]);
+
+    res.json({
+      success: true,
+      message: "Booking rescheduled successfully",
+      booking,
+    });
+  } catch (error) {
+    console.error("Reschedule booking error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to reschedule booking",
+      error: error.message,
+    });
+  }
+});
+
 // Get doctor's bookings
 router.get("/doctor/:doctorId", auth, async (req, res) => {
   try {
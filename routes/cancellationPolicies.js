@@ -0,0 +1,127 @@
+const express = require("express");
+const CancellationPolicy = require("../models/CancellationPolicy");
+const { adminAuth } = require("../middleware/auth");
+const { DEFAULT_POLICY } = require("../utils/cancellationPolicy");
+
+const router = express.Router();
+
+const duplicatePolicy = (res) =>
+  res.status(409).json({
+    success: false,
+    message: "An active policy already exists for this doctor/clinic",
+  });
+
+// List cancellation policies (Admin only). `defaults` applies when none match.
+router.get("/", adminAuth, async (req, res) => {
+  try {
+    const { doctorId, clinicId, includeInactive } = req.query;
+
+    const query = includeInactive === "true" ? {} : { isActive: true };
+    if (doctorId) query.doctor = doctorId;
+    if (clinicId) query.clinic = clinicId;
+
+    const policies = await CancellationPolicy.find(query)
+      .populate("doctor", "name")
+      .populate("clinic", "name")
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: policies,
+      defaults: DEFAULT_POLICY,
+    });
+  } catch (error) {
+    console.error("Get cancellation policies error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch cancellation policies",
+      error: error.message,
+    });
+  }
+});
+
+// Create a policy; leave doctor and clinic empty for the global policy
+router.post("/", adminAuth, async (req, res) => {
+  try {
+    const policy = new CancellationPolicy({
+      ...req.body,
+      doctor: req.body.doctor || null,
+      clinic: req.body.clinic || null,
+      createdBy: req.user.id,
+    });
+    await policy.save();
+
+    res.status(201).json({
+      success: true,
+      message: "Cancellation policy created",
+      data: policy,
+    });
+  } catch (error) {
+    console.error("Create cancellation policy error:", error);
+    if (error.code === 11000) return duplicatePolicy(res);
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    res.status(500).json({
+      success: false,
+      message: "Failed to create cancellation policy",
+      error: error.message,
+    });
+  }
+});
+
+// Update a policy
+router.put("/:id", adminAuth, async (req, res) => {
+  try {
+    const policy = await CancellationPolicy.findById(req.params.id);
+    if (!policy) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Cancellation policy not found" });
+    }
+
+    const { createdBy, ...updates } = req.body;
+    policy.set(updates);
+    await policy.save();
+
+    res.json({
+      success: true,
+      message: "Cancellation policy updated",
+      data: policy,
+    });
+  } catch (error) {
+    console.error("Update cancellation policy error:", error);
+    if (error.code === 11000) return duplicatePolicy(res);
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    res.status(500).json({
+      success: false,
+      message: "Failed to update cancellation policy",
+      error: error.message,
+    });
+  }
+});
+
+// Delete a policy; bookings fall back to the next most specific one
+router.delete("/:id", adminAuth, async (req, res) => {
+  try {
+    const policy = await CancellationPolicy.findByIdAndDelete(req.params.id);
+    if (!policy) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Cancellation policy not found" });
+    }
+
+    res.json({ success: true, message: "Cancellation policy deleted" });
+  } catch (error) {
+    console.error("Delete cancellation policy error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to delete cancellation policy",
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -8,10 +8,40 @@ const Activity = require("../models/Activity");
 const Pathology = require("../models/Pathology");
 const Department = require("../models/Department");
 const Ambulance = require("../models/Ambulance");
-const { auth, adminAuth } = require("../middleware/auth");
+const mongoose = require("mongoose");
+const {
+  auth,
+  adminAuth,
+  adminStreamAuth,
+  signStreamToken,
+} = require("../middleware/auth");
+const { activityEvents } = require("../utils/activity");
 
 const router = express.Router();
 
+// Most activities replayed to a reconnecting stream before going live
+const ACTIVITY_REPLAY_LIMIT = 500;
+// Ids remembered per stream to skip activities already sent; enough to
+// cover a full replay
+const RECENT_SENT_IDS = ACTIVITY_REPLAY_LIMIT;
+
+// `activity.user` must be populated
+const formatActivity = (activity) => ({
+  id: activity._id,
+  type: activity.type,
+  message: activity.message,
+  user: activity.user
+    ? {
+        name: `${activity.user.firstName} ${activity.user.lastName}`,
+        username: activity.user.username,
+        role: activity.user.role,
+      }
+    : null,
+  targetModel: activity.targetModel,
+  timestamp: activity.createdAt,
+  ipAddress: activity.ipAddress,
+});
+
 // Get dashboard statistics with real-time data
 router.get("/stats", adminAuth, async (req, res) => {
   try {
@@ -143,21 +173,7 @@ router.get("/realtime-activity", adminAuth, async (req, res) => {
       .sort({ createdAt: -1 })
       .limit(parseInt(limit));
 
-    const formattedActivities = activities.map((activity) => ({
-      id: activity._id,
-      type: activity.type,
-      message: activity.message,
-      user: activity.user
-        ? {
-            name: `${activity.user.firstName} ${activity.user.lastName}`,
-            username: activity.user.username,
-            role: activity.user.role,
-          }
-        : null,
-      targetModel: activity.targetModel,
-      timestamp: activity.createdAt,
-      ipAddress: activity.ipAddress,
-    }));
+    const formattedActivities = activities.map(formatActivity);
 
     res.json({
       success: true,
@@ -173,6 +189,112 @@ router.get("/realtime-activity", adminAuth, async (req, res) => {
   }
 });
 
+// Short-lived token for opening the activity stream with EventSource
+router.post("/activity-stream/token", adminAuth, (req, res) => {
+  res.json({
+    success: true,
+    token: signStreamToken(req.user._id),
+    expiresIn: 60,
+  });
+});
+
+// Live activity feed (Server-Sent Events). Filter with ?types=a,b; on
+// reconnect the Last-Event-ID header (or ?lastEventId=) replays anything
+// missed since that activity before switching to live events. If more than
+// ACTIVITY_REPLAY_LIMIT were missed, a `replay_truncated` event comes first
+// and only the latest ones are replayed.
+router.get("/activity-stream", adminStreamAuth, async (req, res) => {
+  const types = req.query.types
+    ? req.query.types
+        .split(",")
+        .map((t) => t.trim())
+        .filter(Boolean)
+    : null;
+  const lastEventId = req.header("Last-Event-ID") || req.query.lastEventId;
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+  res.write("retry: 5000\n\n");
+
+  // Activities created while the replay query runs are buffered and sent
+  // after it. Live events can arrive out of id order (each is populated
+  // before it's emitted), so duplicates of replayed ones are caught by
+  // remembering the most recently sent ids rather than comparing ids.
+  const sentIds = new Set();
+  let buffered = [];
+  let replaying = true;
+
+  const send = (activity) => {
+    const id = activity._id.toString();
+    if (sentIds.has(id)) return;
+    res.write(
+      `id: ${id}\nevent: activity\ndata: ${JSON.stringify(
+        formatActivity(activity)
+      )}\n\n`
+    );
+    sentIds.add(id);
+    if (sentIds.size > RECENT_SENT_IDS) {
+      sentIds.delete(sentIds.values().next().value);
+    }
+  };
+
+  const onActivity = (activity) => {
+    if (types && !types.includes(activity.type)) return;
+    if (replaying) {
+      buffered.push(activity);
+    } else {
+      send(activity);
+    }
+  };
+
+  activityEvents.on("created", onActivity);
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), 25000);
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    activityEvents.off("created", onActivity);
+  });
+
+  try {
+    if (lastEventId && mongoose.isValidObjectId(lastEventId)) {
+      const query = { _id: { $gt: lastEventId } };
+      if (types) query.type = { $in: types };
+
+      // Newest first, one past the limit to tell whether any were left out
+      const missed = await Activity.find(query)
+        .populate("user", "firstName lastName username role")
+        .sort({ _id: -1 })
+        .limit(ACTIVITY_REPLAY_LIMIT + 1);
+      if (missed.length > ACTIVITY_REPLAY_LIMIT) {
+        // Only the latest activities are replayed; the client should reload
+        // the feed in full to get the ones before them
+        res.write(
+          `event: replay_truncated\ndata: ${JSON.stringify({
+            message: "Too much activity was missed to replay, reload the feed",
+            limit: ACTIVITY_REPLAY_LIMIT,
+          })}\n\n`
+        );
+      }
+      missed.slice(0, ACTIVITY_REPLAY_LIMIT).reverse().forEach(send);
+    }
+  } catch (error) {
+    console.error("Activity stream replay error:", error);
+    res.write(
+      `event: error\ndata: ${JSON.stringify({
+        message: "Failed to replay missed activity",
+      })}\n\n`
+    );
+  }
+
+  replaying = false;
+  buffered.forEach(send);
+  buffered = [];
+});
+
 // Get department statistics
 router.get("/departments", adminAuth, async (req, res) => {
   try {
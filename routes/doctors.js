@@ -8,6 +8,16 @@ const Department = require("../models/Department");
 const { auth, adminAuth } = require("../middleware/auth");
 const { createActivity } = require("../utils/activity");
 const { sendBackfillResponse } = require("../utils/localImageBackfill");
+const {
+  applyScheduleEdit,
+  updateDoctorSchedules,
+} = require("../utils/slotReservation");
+const {
+  findLeaves,
+  leaveCoversDay,
+  getDayLeaves,
+  filterSlotsByLeaves,
+} = require("../utils/leaveCalendar");
 
 const router = express.Router();
 
@@ -705,6 +715,53 @@ router.post("/", adminAuth, upload.single("image"), async (req, res) => {
   }
 });
 
+// Fold an edit's bookingSchedule and clinicDetails[].clinicSchedule into the
+// stored doctor's, keeping the live booking counters. A clinic sent without
+// a schedule keeps its stored one. Returns { update } or { error, bookedSlots }.
+const buildScheduleUpdate = (stored, updates) => {
+  const update = { ...updates };
+  if (updates.bookingSchedule) {
+    const edit = applyScheduleEdit(
+      stored.bookingSchedule,
+      updates.bookingSchedule
+    );
+    if (edit.error) return edit;
+    update.bookingSchedule = edit.schedule;
+  }
+
+  if (Array.isArray(updates.clinicDetails)) {
+    const incomingFor = (clinic) =>
+      updates.clinicDetails.find(
+        (cd) => cd.clinic && String(cd.clinic) === String(clinic)
+      );
+    // Removing a clinic drops its schedule along with any booked slots
+    for (const detail of stored.clinicDetails || []) {
+      if (incomingFor(detail.clinic)) continue;
+      const edit = applyScheduleEdit(detail.clinicSchedule, []);
+      if (edit.error) return edit;
+    }
+
+    update.clinicDetails = [];
+    for (const detail of updates.clinicDetails) {
+      const storedDetail = (stored.clinicDetails || []).find(
+        (cd) => cd.clinic && String(cd.clinic) === String(detail.clinic)
+      );
+      const storedSchedule = storedDetail ? storedDetail.clinicSchedule : [];
+      if (!detail.clinicSchedule) {
+        update.clinicDetails.push({
+          ...detail,
+          clinicSchedule: storedSchedule,
+        });
+        continue;
+      }
+      const edit = applyScheduleEdit(storedSchedule, detail.clinicSchedule);
+      if (edit.error) return edit;
+      update.clinicDetails.push({ ...detail, clinicSchedule: edit.schedule });
+    }
+  }
+  return { update };
+};
+
 // Update doctor (Admin only)
 router.put("/:id", adminAuth, upload.single("image"), async (req, res) => {
   try {
@@ -845,6 +902,21 @@ router.put("/:id", adminAuth, upload.single("image"), async (req, res) => {
       });
     }
 
+    // Refuse schedule edits that drop booked slots before touching the image
+    const editsSchedules = Boolean(
+      updates.bookingSchedule || updates.clinicDetails
+    );
+    if (editsSchedules) {
+      const check = buildScheduleUpdate(doctor.toObject(), updates);
+      if (check.error) {
+        return res.status(409).json({
+          success: false,
+          message: check.error,
+          bookedSlots: check.bookedSlots,
+        });
+      }
+    }
+
     // Handle image update
     if (req.file) {
       // Delete old image if exists
@@ -898,10 +970,27 @@ router.put("/:id", adminAuth, upload.single("image"), async (req, res) => {
       updates.isFeatured = isFeaturedValue;
     }
 
-    const updatedDoctor = await Doctor.findByIdAndUpdate(doctorId, updates, {
-      new: true,
-      runValidators: true,
-    });
+    let updatedDoctor;
+    if (editsSchedules) {
+      // Schedules carry the live booking counters, so they're merged into
+      // the stored copy and written conditionally, like the /schedule routes
+      const result = await updateDoctorSchedules(doctorId, (stored) =>
+        buildScheduleUpdate(stored, updates)
+      );
+      if (!result.success) {
+        return res.status(result.status).json({
+          success: false,
+          message: result.message,
+          ...(result.bookedSlots && { bookedSlots: result.bookedSlots }),
+        });
+      }
+      updatedDoctor = result.doctor;
+    } else {
+      updatedDoctor = await Doctor.findByIdAndUpdate(doctorId, updates, {
+        new: true,
+        runValidators: true,
+      });
+    }
 
     // Update department's doctors array if department changed
     if (updates.department) {
@@ -1164,7 +1253,7 @@ router.get("/:id/availability", async (req, res) => {
     const doctorId = req.params.id;
 
     const doctor = await Doctor.findById(doctorId).select(
-      "bookingSchedule availableDateTime clinicDetails"
+      "bookingSchedule availableDateTime clinicDetails state city"
     );
     if (!doctor) {
       return res.status(404).json({
@@ -1173,6 +1262,29 @@ router.get("/:id/availability", async (req, res) => {
       });
     }
 
+    if (clinicId && !mongoose.isValidObjectId(clinicId)) {
+      return res.status(400).json({
+        success: false,
+        message: "Doctor is not associated with the selected clinic",
+      });
+    }
+
+    // Clinic location is needed to resolve clinic closures and regional holidays
+    const Clinic = require("../models/Clinic");
+    const clinic = clinicId
+      ? await Clinic.findById(clinicId).select("state place")
+      : null;
+
+    const summarizeLeave = (leave) => ({
+      scope: leave.scope,
+      kind: leave.kind,
+      reason: leave.reason,
+      startDate: leave.startDate,
+      endDate: leave.endDate,
+      startTime: leave.startTime,
+      endTime: leave.endTime,
+    });
+
     const normalizeSlots = (schedule) => {
       if (!schedule) return [];
       const slots = schedule.slots || [];
@@ -1181,7 +1293,9 @@ router.get("/:id/availability", async (req, res) => {
         .map((s) => ({
           time: s.startTime,
           endTime: s.endTime,
-          available: s.isAvailable !== false,
+          available:
+            s.isAvailable !== false &&
+            (s.currentBookings || 0) < (s.maxBookings || 1),
           currentBookings: s.currentBookings || 0,
           maxBookings: s.maxBookings || 1,
         }));
@@ -1207,13 +1321,21 @@ router.get("/:id/availability", async (req, res) => {
         const scheduleItem = (cd.clinicSchedule || []).find(
           (s) => new Date(s.date).setHours(0, 0, 0, 0) === day.getTime()
         );
+        const { leaves, isFullDay } = await getDayLeaves({
+          doctor,
+          clinic,
+          date: day,
+        });
 
         return res.json({
           success: true,
           data: {
             date: day,
             clinicId,
-            slots: normalizeSlots(scheduleItem),
+            slots: isFullDay
+              ? []
+              : filterSlotsByLeaves(normalizeSlots(scheduleItem), leaves),
+            leaves: leaves.map(summarizeLeave),
           },
         });
       }
@@ -1222,9 +1344,16 @@ router.get("/:id/availability", async (req, res) => {
       const scheduleItem = (doctor.bookingSchedule || []).find(
         (s) => new Date(s.date).setHours(0, 0, 0, 0) === day.getTime()
       );
+      const { leaves, isFullDay } = await getDayLeaves({ doctor, date: day });
       return res.json({
         success: true,
-        data: { date: day, slots: normalizeSlots(scheduleItem) },
+        data: {
+          date: day,
+          slots: isFullDay
+            ? []
+            : filterSlotsByLeaves(normalizeSlots(scheduleItem), leaves),
+          leaves: leaves.map(summarizeLeave),
+        },
       });
     }
 
@@ -1252,12 +1381,32 @@ router.get("/:id/availability", async (req, res) => {
       });
     }
 
+    // Close or trim days covered by leave/holidays
+    const leaves = await findLeaves({
+      doctor,
+      clinic,
+      from: rangeStart,
+      to: rangeEnd,
+    });
+    availability = availability.map((schedule) => {
+      const dayLeaves = leaves.filter((leave) =>
+        leaveCoversDay(leave, schedule.date)
+      );
+      if (!dayLeaves.length) return schedule;
+      const item = schedule.toObject();
+      if (dayLeaves.some((leave) => !leave.startTime)) {
+        return { ...item, isAvailable: false, slots: [] };
+      }
+      return { ...item, slots: filterSlotsByLeaves(item.slots, dayLeaves) };
+    });
+
     res.json({
       success: true,
       data: {
         doctorId,
         availability,
         generalSchedule: doctor.availableDateTime,
+        leaves: leaves.map(summarizeLeave),
       },
     });
   } catch (error) {
@@ -1285,17 +1434,20 @@ router.put("/:id/schedule", adminAuth, async (req, res) => {
       });
     }
 
-    const updated = await Doctor.findByIdAndUpdate(
-      id,
-      { bookingSchedule },
-      { new: true, runValidators: true }
-    );
-
-    if (!updated) {
-      return res
-        .status(404)
-        .json({ success: false, message: "Doctor not found" });
+    // Counters are owned by the booking flow; don't let the admin payload reset them
+    const result = await updateDoctorSchedules(id, (doctor) => {
+      const edit = applyScheduleEdit(doctor.bookingSchedule, bookingSchedule);
+      if (edit.error) return edit;
+      return { update: { bookingSchedule: edit.schedule } };
+    });
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message,
+        ...(result.bookedSlots && { bookedSlots: result.bookedSlots }),
+      });
     }
+    const updated = result.doctor;
 
     await createActivity({
       type: "doctor_updated",
@@ -1329,39 +1481,40 @@ router.put("/:id/clinics/:clinicId/schedule", adminAuth, async (req, res) => {
       });
     }
 
-    // Ensure doctor exists and is associated with clinic
-    const doctor = await Doctor.findById(id).select("clinicDetails name");
-    if (!doctor) {
-      return res
-        .status(404)
-        .json({ success: false, message: "Doctor not found" });
-    }
-
-    const hasClinic = (doctor.clinicDetails || []).some(
-      (cd) => cd.clinic && cd.clinic.toString() === clinicId
-    );
-    if (!hasClinic) {
-      return res.status(400).json({
+    const result = await updateDoctorSchedules(id, (doctor) => {
+      const clinicDetail = (doctor.clinicDetails || []).find(
+        (cd) => cd.clinic && cd.clinic.toString() === clinicId
+      );
+      if (!clinicDetail) {
+        return {
+          error: "Doctor is not associated with this clinic",
+          status: 400,
+        };
+      }
+      const edit = applyScheduleEdit(
+        clinicDetail.clinicSchedule,
+        clinicSchedule
+      );
+      if (edit.error) return edit;
+      return {
+        update: {
+          $set: { "clinicDetails.$[elem].clinicSchedule": edit.schedule },
+        },
+        options: { arrayFilters: [{ "elem.clinic": clinicDetail.clinic }] },
+      };
+    });
+    if (!result.success) {
+      return res.status(result.status).json({
         success: false,
-        message: "Doctor is not associated with this clinic",
+        message: result.message,
+        ...(result.bookedSlots && { bookedSlots: result.bookedSlots }),
       });
     }
-
-    const updated = await Doctor.findOneAndUpdate(
-      { _id: id },
-      { $set: { "clinicDetails.$[elem].clinicSchedule": clinicSchedule } },
-      {
-        new: true,
-        arrayFilters: [
-          { "elem.clinic": new mongoose.Types.ObjectId(clinicId) },
-        ],
-        runValidators: true,
-      }
-    );
+    const updated = result.doctor;
 
     await createActivity({
       type: "doctor_updated",
-      message: `Updated clinic schedule for doctor ${doctor.name}`,
+      message: `Updated clinic schedule for doctor ${updated.name}`,
       user: req.user.id,
       targetId: id,
       targetModel: "Doctor",
@@ -0,0 +1,119 @@
+const express = require("express");
+const Invoice = require("../models/Invoice");
+const { adminAuth } = require("../middleware/auth");
+const { renderInvoicesPdf, invoicesToCsv } = require("../utils/invoices");
+
+const router = express.Router();
+
+// Invoices rendered into a single PDF are capped to keep responses bounded
+const MAX_PDF_EXPORT = 500;
+const MAX_CSV_EXPORT = 10000;
+
+const buildInvoiceQuery = ({ clinicId, doctorId, from, to, search }) => {
+  const query = {};
+  if (clinicId) query.clinic = clinicId === "none" ? null : clinicId;
+  if (doctorId) query.doctor = doctorId;
+  if (from || to) {
+    query.issuedAt = {};
+    if (from) query.issuedAt.$gte = new Date(from);
+    if (to) {
+      const end = new Date(to);
+      // Date-only bounds include the whole day
+      if (/^\d{4}-\d{2}-\d{2}$/.test(to)) end.setUTCHours(23, 59, 59, 999);
+      query.issuedAt.$lte = end;
+    }
+  }
+  if (search) {
+    const pattern = new RegExp(
+      search.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"),
+      "i"
+    );
+    query.$or = [
+      { invoiceNumber: pattern },
+      { bookingId: pattern },
+      { "buyer.name": pattern },
+      { "buyer.phone": pattern },
+    ];
+  }
+  return query;
+};
+
+// List issued invoices (Admin only)
+router.get("/", adminAuth, async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const query = buildInvoiceQuery(req.query);
+
+    const invoices = await Invoice.find(query)
+      .populate("clinic", "name")
+      .populate("doctor", "name")
+      .sort({ issuedAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await Invoice.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: invoices,
+      pagination: {
+        total,
+        page: parseInt(page),
+        pages: Math.ceil(total / limit),
+        limit: parseInt(limit),
+      },
+    });
+  } catch (error) {
+    console.error("Get invoices error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch invoices",
+      error: error.message,
+    });
+  }
+});
+
+// Bulk export as a CSV register (default) or one combined PDF (Admin only)
+router.get("/export", adminAuth, async (req, res) => {
+  try {
+    const format = req.query.format === "pdf" ? "pdf" : "csv";
+    const cap = format === "pdf" ? MAX_PDF_EXPORT : MAX_CSV_EXPORT;
+    const query = buildInvoiceQuery(req.query);
+
+    const total = await Invoice.countDocuments(query);
+    if (total > cap) {
+      return res.status(400).json({
+        success: false,
+        message: `Too many invoices to export (${total}); narrow the date range to at most ${cap}`,
+      });
+    }
+
+    const invoices = await Invoice.find(query).sort({ issuedAt: 1 });
+    const stamp = new Date().toISOString().slice(0, 10);
+
+    if (format === "pdf") {
+      res.setHeader("Content-Type", "application/pdf");
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="invoices-${stamp}.pdf"`
+      );
+      return res.send(renderInvoicesPdf(invoices));
+    }
+
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="invoices-${stamp}.csv"`
+    );
+    res.send(invoicesToCsv(invoices));
+  } catch (error) {
+    console.error("Export invoices error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to export invoices",
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
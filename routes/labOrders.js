@@ -0,0 +1,392 @@
+const express = require("express");
+const LabCart = require("../models/LabCart");
+const LabOrder = require("../models/LabOrder");
+const Pathology = require("../models/Pathology");
+const User = require("../models/User");
+const { auth } = require("../middleware/auth");
+const { createActivity } = require("../utils/activity");
+const {
+  parseClockTime,
+  formatClockTime,
+  labOf,
+  loadItem,
+  loadCartItems,
+  priceLines,
+  validateCollection,
+  updateOrderStatus,
+} = require("../utils/labOrders");
+
+const router = express.Router();
+
+const isAdmin = (user) => ["admin", "superuser"].includes(user.role);
+
+const cartResponse = async (cart, collectionType) => {
+  if (!cart || !cart.items.length) {
+    return { lab: null, items: [], pricing: priceLines([], collectionType) };
+  }
+  const lines = await loadCartItems(cart);
+  const lab = await Pathology.findById(cart.lab).select(
+    "name address place state phone homeCollection"
+  );
+  return { lab, items: lines, pricing: priceLines(lines, collectionType) };
+};
+
+// Current cart with prices (?collectionType=home adds the collection fee)
+router.get("/cart", auth, async (req, res) => {
+  try {
+    const cart = await LabCart.findOne({ patient: req.user.id });
+    res.json({
+      success: true,
+      data: await cartResponse(cart, req.query.collectionType),
+    });
+  } catch (error) {
+    console.error("Get lab cart error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch cart",
+      error: error.message,
+    });
+  }
+});
+
+// Add a test or package. A cart holds items from one lab; pass
+// `replace: true` to empty it when switching labs.
+router.post("/cart/items", auth, async (req, res) => {
+  try {
+    const { itemModel = "Test", itemId, replace } = req.body;
+
+    const item = await loadItem(itemModel, itemId);
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: "Test or package not found",
+      });
+    }
+    const lab = labOf(itemModel, item);
+
+    let cart = await LabCart.findOne({ patient: req.user.id });
+    if (!cart) cart = new LabCart({ patient: req.user.id, items: [] });
+
+    if (
+      cart.items.length &&
+      cart.lab &&
+      cart.lab.toString() !== lab.toString()
+    ) {
+      if (!replace) {
+        return res.status(409).json({
+          success: false,
+          message:
+            "Your cart has items from another lab. Clear it or pass replace to switch labs.",
+        });
+      }
+      cart.items = [];
+    }
+
+    cart.lab = lab;
+    if (
+      !cart.items.some((line) => line.item.toString() === item._id.toString())
+    ) {
+      cart.items.push({ itemModel, item: item._id });
+    }
+    await cart.save();
+
+    res.json({
+      success: true,
+      message: "Added to cart",
+      data: await cartResponse(cart),
+    });
+  } catch (error) {
+    console.error("Add to lab cart error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to add to cart",
+      error: error.message,
+    });
+  }
+});
+
+// Remove one item from the cart
+router.delete("/cart/items/:itemId", auth, async (req, res) => {
+  try {
+    const cart = await LabCart.findOneAndUpdate(
+      { patient: req.user.id },
+      { $pull: { items: { item: req.params.itemId } } },
+      { new: true }
+    );
+
+    res.json({
+      success: true,
+      message: "Removed from cart",
+      data: await cartResponse(cart),
+    });
+  } catch (error) {
+    console.error("Remove from lab cart error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to remove from cart",
+      error: error.message,
+    });
+  }
+});
+
+// Empty the cart
+router.delete("/cart", auth, async (req, res) => {
+  try {
+    await LabCart.deleteOne({ patient: req.user.id });
+    res.json({ success: true, message: "Cart cleared" });
+  } catch (error) {
+    console.error("Clear lab cart error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to clear cart",
+      error: error.message,
+    });
+  }
+});
+
+// Place an order for everything in the cart
+router.post("/checkout", auth, async (req, res) => {
+  try {
+    const { collectionType, slot, address, paymentMethod, notes } = req.body;
+
+    const cart = await LabCart.findOne({ patient: req.user.id });
+    const lines = cart ? await loadCartItems(cart) : [];
+    if (!lines.length) {
+      return res.status(400).json({
+        success: false,
+        message: "Your cart is empty",
+      });
+    }
+
+    const invalid = validateCollection(lines, {
+      collectionType,
+      slot,
+      address,
+    });
+    if (invalid) {
+      return res.status(400).json({ success: false, message: invalid });
+    }
+
+    let { patientDetails } = req.body;
+    if (!patientDetails || !patientDetails.name || !patientDetails.phone) {
+      const user = await User.findById(req.user.id).select(
+        "firstName lastName phone"
+      );
+      patientDetails = {
+        ...patientDetails,
+        name:
+          patientDetails?.name || `${user.firstName} ${user.lastName}`.trim(),
+        phone: patientDetails?.phone || user.phone,
+      };
+    }
+
+    const order = new LabOrder({
+      patient: req.user.id,
+      lab: cart.lab,
+      ...priceLines(lines, collectionType),
+      collectionType,
+      slot: {
+        date: slot.date,
+        start: formatClockTime(parseClockTime(slot.start)),
+        end: formatClockTime(parseClockTime(slot.end)),
+      },
+      address: collectionType === "home" ? address : undefined,
+      patientDetails,
+      paymentMethod,
+      notes,
+      statusHistory: [{ status: "placed", changedBy: req.user.id }],
+    });
+    await order.save();
+    await LabCart.deleteOne({ _id: cart._id });
+
+    await createActivity({
+      type: "lab_order_placed",
+      message: `Lab order ${order.orderId} placed (${lines.length} item${
+        lines.length === 1 ? "" : "s"
+      }, ${collectionType === "home" ? "home collection" : "walk-in"})`,
+      user: req.user.id,
+      targetId: order._id,
+      targetModel: "LabOrder",
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Lab order placed",
+      data: order,
+    });
+  } catch (error) {
+    console.error("Lab checkout error:", error);
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    res.status(500).json({
+      success: false,
+      message: "Failed to place lab order",
+      error: error.message,
+    });
+  }
+});
+
+// My lab orders; admins see all and may filter by lab and status
+router.get("/", auth, async (req, res) => {
+  try {
+    const { status, labId, page = 1, limit = 20 } = req.query;
+
+    const query = isAdmin(req.user) ? {} : { patient: req.user.id };
+    if (status) query.status = status;
+    if (labId && isAdmin(req.user)) query.lab = labId;
+
+    const orders = await LabOrder.find(query)
+      .populate("lab", "name address place phone")
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await LabOrder.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: orders,
+      pagination: {
+        total,
+        page: parseInt(page),
+        pages: Math.ceil(total / limit),
+        limit: parseInt(limit),
+      },
+    });
+  } catch (error) {
+    console.error("Get lab orders error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch lab orders",
+      error: error.message,
+    });
+  }
+});
+
+// Order details
+router.get("/:id", auth, async (req, res) => {
+  try {
+    const order = await LabOrder.findById(req.params.id)
+      .populate("lab", "name address place state phone email")
+      .populate("patient", "firstName lastName email phone");
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Lab order not found",
+      });
+    }
+    if (order.patient._id.toString() !== req.user.id && !isAdmin(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied",
+      });
+    }
+
+    res.json({ success: true, data: order });
+  } catch (error) {
+    console.error("Get lab order error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch lab order",
+      error: error.message,
+    });
+  }
+});
+
+// Move an order along placed -> sample_collected -> processing ->
+// report_ready (Admin only)
+router.put("/:id/status", auth, async (req, res) => {
+  try {
+    const { status, note } = req.body;
+
+    if (!isAdmin(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied",
+      });
+    }
+
+    const order = await LabOrder.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Lab order not found",
+      });
+    }
+
+    const result = await updateOrderStatus(order, status, {
+      actorId: req.user.id,
+      note,
+    });
+    if (!result.success) {
+      return res
+        .status(result.status)
+        .json({ success: false, message: result.message });
+    }
+
+    res.json({
+      success: true,
+      message: "Lab order updated",
+      data: result.order,
+    });
+  } catch (error) {
+    console.error("Update lab order status error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update lab order",
+      error: error.message,
+    });
+  }
+});
+
+// Cancel my order before the sample is collected
+router.put("/:id/cancel", auth, async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    const order = await LabOrder.findOneAndUpdate(
+      { _id: req.params.id, patient: req.user.id, status: "placed" },
+      {
+        status: "cancelled",
+        $push: {
+          statusHistory: {
+            status: "cancelled",
+            note: reason || "Cancelled by patient",
+            changedBy: req.user.id,
+          },
+        },
+      },
+      { new: true }
+    );
+    if (!order) {
+      return res.status(400).json({
+        success: false,
+        message: "Only your orders awaiting sample collection can be cancelled",
+      });
+    }
+
+    await createActivity({
+      type: "lab_order_cancelled",
+      message: `Lab order ${order.orderId} cancelled`,
+      user: req.user.id,
+      targetId: order._id,
+      targetModel: "LabOrder",
+    });
+
+    res.json({
+      success: true,
+      message: "Lab order cancelled",
+      data: order,
+    });
+  } catch (error) {
+    console.error("Cancel lab order error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to cancel lab order",
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
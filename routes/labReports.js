@@ -0,0 +1,371 @@
+const express = require("express");
+const multer = require("multer");
+const path = require("path");
+const LabOrder = require("../models/LabOrder");
+const LabReport = require("../models/LabReport");
+const { auth } = require("../middleware/auth");
+const { updateOrderStatus } = require("../utils/labOrders");
+const {
+  getItemComponents,
+  buildResults,
+  compareWithPrevious,
+  getTrends,
+} = require("../utils/labReports");
+
+const router = express.Router();
+
+// Report PDFs are kept in the database and served only through this router
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    if (
+      file.mimetype === "application/pdf" &&
+      path.extname(file.originalname).toLowerCase() === ".pdf"
+    ) {
+      return cb(null, true);
+    }
+    cb(new Error("Only PDF files are allowed!"), false);
+  },
+});
+
+const isAdmin = (user) => ["admin", "superuser"].includes(user.role);
+
+// Patients see their own final reports; admins see everything
+const canViewReport = (report, user) =>
+  isAdmin(user) ||
+  (report.patient.toString() === user.id && report.status === "final");
+
+// Enter or update results for one item of an order (Admin only). Accepts
+// JSON, or multipart with a `report` PDF and `results` as a JSON string.
+// `finalize: true` publishes the report to the patient.
+router.put(
+  "/order/:orderId/items/:itemId",
+  auth,
+  upload.single("report"),
+  async (req, res) => {
+    try {
+      if (!isAdmin(req.user)) {
+        return res.status(403).json({
+          success: false,
+          message: "Access denied",
+        });
+      }
+
+      const order = await LabOrder.findById(req.params.orderId);
+      if (!order) {
+        return res.status(404).json({
+          success: false,
+          message: "Lab order not found",
+        });
+      }
+      if (!["sample_collected", "processing"].includes(order.status)) {
+        return res.status(400).json({
+          success: false,
+          message: `Results can't be entered while the order is ${order.status}`,
+        });
+      }
+      const line = order.items.find(
+        (i) => i.item.toString() === req.params.itemId
+      );
+      if (!line) {
+        return res.status(404).json({
+          success: false,
+          message: "Item is not part of this order",
+        });
+      }
+
+      let report = await LabReport.findOne({
+        order: order._id,
+        item: line.item,
+      });
+      if (report && report.status === "final") {
+        return res.status(400).json({
+          success: false,
+          message: "Report is already final",
+        });
+      }
+
+      let entries = req.body.results;
+      if (typeof entries === "string") {
+        try {
+          entries = JSON.parse(entries);
+        } catch (e) {
+          return res.status(400).json({
+            success: false,
+            message: "results must be a JSON array",
+          });
+        }
+      }
+
+      if (!report) {
+        report = new LabReport({
+          order: order._id,
+          patient: order.patient,
+          lab: order.lab,
+          itemModel: line.itemModel,
+          item: line.item,
+          name: line.name,
+        });
+      }
+
+      if (entries !== undefined) {
+        const components = await getItemComponents(line.itemModel, line.item);
+        const built = buildResults(
+          components,
+          Array.isArray(entries) ? entries : [],
+          order.patientDetails?.gender
+        );
+        if (built.errors) {
+          return res.status(400).json({
+            success: false,
+            message: "Invalid results",
+            errors: built.errors,
+          });
+        }
+        report.results = built.results;
+      }
+      if (req.file) {
+        report.attachment = {
+          data: req.file.buffer,
+          contentType: req.file.mimetype,
+          fileName: req.file.originalname,
+          size: req.file.size,
+        };
+      }
+      if (req.body.notes !== undefined) report.notes = req.body.notes;
+      report.enteredBy = req.user.id;
+
+      const finalize = [true, "true"].includes(req.body.finalize);
+      if (finalize) {
+        if (!report.results.length && !report.attachment?.data) {
+          return res.status(400).json({
+            success: false,
+            message: "Add results or a PDF before finalizing",
+          });
+        }
+        report.status = "final";
+        report.finalizedAt = new Date();
+      }
+      await report.save();
+
+      // Entering results means the lab is working on the sample; the order
+      // is ready once every item has a final report
+      let current = order;
+      if (current.status === "sample_collected") {
+        const moved = await updateOrderStatus(current, "processing", {
+          actorId: req.user.id,
+        });
+        if (moved.success) current = moved.order;
+      }
+      if (finalize && current.status === "processing") {
+        const finalCount = await LabReport.countDocuments({
+          order: order._id,
+          status: "final",
+        });
+        if (finalCount >= order.items.length) {
+          const ready = await updateOrderStatus(current, "report_ready", {
+            actorId: req.user.id,
+          });
+          if (ready.success) current = ready.order;
+        }
+      }
+
+      const data = report.toObject();
+      delete data.attachment?.data;
+      res.json({
+        success: true,
+        message: finalize ? "Report published" : "Results saved",
+        data,
+        orderStatus: current.status,
+      });
+    } catch (error) {
+      console.error("Save lab report error:", error);
+      if (error.name === "ValidationError") {
+        return res.status(400).json({ success: false, message: error.message });
+      }
+      res.status(500).json({
+        success: false,
+        message: "Failed to save lab report",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Reports for an order
+router.get("/order/:orderId", auth, async (req, res) => {
+  try {
+    const order = await LabOrder.findById(req.params.orderId).select(
+      "patient status orderId"
+    );
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Lab order not found",
+      });
+    }
+    if (order.patient.toString() !== req.user.id && !isAdmin(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied",
+      });
+    }
+
+    const query = { order: order._id };
+    if (!isAdmin(req.user)) query.status = "final";
+    const reports = await LabReport.find(query).select("-attachment.data");
+
+    res.json({ success: true, data: reports, orderStatus: order.status });
+  } catch (error) {
+    console.error("Get order lab reports error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch lab reports",
+      error: error.message,
+    });
+  }
+});
+
+// Component values over time (?component=Hemoglobin); admins pass patientId
+router.get("/trends", auth, async (req, res) => {
+  try {
+    const patientId =
+      isAdmin(req.user) && req.query.patientId
+        ? req.query.patientId
+        : req.user.id;
+
+    const trends = await getTrends(patientId, {
+      component: req.query.component,
+    });
+
+    res.json({ success: true, data: trends });
+  } catch (error) {
+    console.error("Get lab trends error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch lab trends",
+      error: error.message,
+    });
+  }
+});
+
+// My report history, newest first; admins pass patientId
+router.get("/", auth, async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+
+    const query = { status: "final" };
+    if (isAdmin(req.user)) {
+      if (req.query.patientId) query.patient = req.query.patientId;
+      if (req.query.status) query.status = req.query.status;
+    } else {
+      query.patient = req.user.id;
+    }
+
+    const reports = await LabReport.find(query)
+      .select("-attachment.data")
+      .populate("lab", "name")
+      .populate("order", "orderId slot")
+      .sort({ finalizedAt: -1, updatedAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await LabReport.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: reports,
+      pagination: {
+        total,
+        page: parseInt(page),
+        pages: Math.ceil(total / limit),
+        limit: parseInt(limit),
+      },
+    });
+  } catch (error) {
+    console.error("Get lab reports error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch lab reports",
+      error: error.message,
+    });
+  }
+});
+
+// Report with each value compared to the patient's previous result
+router.get("/:id", auth, async (req, res) => {
+  try {
+    const report = await LabReport.findById(req.params.id)
+      .select("-attachment.data")
+      .populate("lab", "name address place phone")
+      .populate("order", "orderId slot collectionType patientDetails");
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: "Lab report not found",
+      });
+    }
+    if (!canViewReport(report, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: report,
+      comparison: await compareWithPrevious(report),
+    });
+  } catch (error) {
+    console.error("Get lab report error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch lab report",
+      error: error.message,
+    });
+  }
+});
+
+// Download the attached PDF
+router.get("/:id/attachment", auth, async (req, res) => {
+  try {
+    const report = await LabReport.findById(req.params.id).select(
+      "patient status attachment"
+    );
+    if (!report || !report.attachment || !report.attachment.data) {
+      return res.status(404).json({
+        success: false,
+        message: "Report PDF not found",
+      });
+    }
+    if (!canViewReport(report, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied",
+      });
+    }
+
+    res.setHeader("Content-Type", report.attachment.contentType);
+    res.setHeader(
+      "Content-Disposition",
+      `inline; filename="${(report.attachment.fileName || "report.pdf").replace(
+        /"/g,
+        ""
+      )}"`
+    );
+    res.send(report.attachment.data);
+  } catch (error) {
+    console.error("Get lab report PDF error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch report PDF",
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
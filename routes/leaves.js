@@ -0,0 +1,197 @@
+const express = require("express");
+const Leave = require("../models/Leave");
+const { adminAuth } = require("../middleware/auth");
+const { createActivity } = require("../utils/activity");
+const { escapeRegex } = require("../utils/regex");
+const { findConflictingBookings } = require("../utils/leaveCalendar");
+
+const router = express.Router();
+
+const describeLeave = (leave) => {
+  if (leave.scope === "region") {
+    const place = [leave.region.city, leave.region.state]
+      .filter(Boolean)
+      .join(", ");
+    return `${leave.kind} in ${place}`;
+  }
+  return `${leave.scope} ${leave.kind}`;
+};
+
+// List leaves and holidays (Admin only)
+router.get("/", adminAuth, async (req, res) => {
+  try {
+    const { scope, doctorId, clinicId, state, from, to } = req.query;
+    const { page = 1, limit = 50 } = req.query;
+
+    const query = { isActive: true };
+    if (scope) query.scope = scope;
+    if (doctorId) query.doctor = doctorId;
+    if (clinicId) query.clinic = clinicId;
+    if (state) {
+      query["region.state"] = new RegExp(`^${escapeRegex(state)}$`, "i");
+    }
+    if (from) query.endDate = { $gte: new Date(from) };
+    if (to) query.startDate = { $lte: new Date(to) };
+
+    const leaves = await Leave.find(query)
+      .populate("doctor", "name")
+      .populate("clinic", "name")
+      .sort({ startDate: 1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await Leave.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: leaves,
+      pagination: {
+        total,
+        page: parseInt(page),
+        pages: Math.ceil(total / limit),
+        limit: parseInt(limit),
+      },
+    });
+  } catch (error) {
+    console.error("Get leaves error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch leaves",
+      error: error.message,
+    });
+  }
+});
+
+// Bookings that collide with a leave
+router.get("/:id/conflicts", adminAuth, async (req, res) => {
+  try {
+    const leave = await Leave.findById(req.params.id);
+    if (!leave) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Leave not found" });
+    }
+
+    const conflicts = await findConflictingBookings(leave);
+
+    res.json({
+      success: true,
+      data: { leave, conflicts, total: conflicts.length },
+    });
+  } catch (error) {
+    console.error("Get leave conflicts error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch conflicting bookings",
+      error: error.message,
+    });
+  }
+});
+
+// Create leave/holiday; the response includes bookings that now need rescheduling
+router.post("/", adminAuth, async (req, res) => {
+  try {
+    const leave = new Leave({ ...req.body, createdBy: req.user.id });
+    await leave.save();
+
+    const conflicts = await findConflictingBookings(leave);
+
+    await createActivity({
+      type: "leave_added",
+      message: `Added ${describeLeave(leave)} (${conflicts.length} conflicting bookings)`,
+      user: req.user.id,
+      targetId: leave._id,
+      targetModel: "Leave",
+      metadata: { conflictingBookings: conflicts.map((b) => b.bookingId) },
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Leave added",
+      data: { leave, conflicts, total: conflicts.length },
+    });
+  } catch (error) {
+    console.error("Create leave error:", error);
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    res.status(500).json({
+      success: false,
+      message: "Failed to add leave",
+      error: error.message,
+    });
+  }
+});
+
+// Update leave/holiday
+router.put("/:id", adminAuth, async (req, res) => {
+  try {
+    const leave = await Leave.findById(req.params.id);
+    if (!leave) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Leave not found" });
+    }
+
+    const { createdBy, ...updates } = req.body;
+    leave.set(updates);
+    await leave.save();
+
+    const conflicts = await findConflictingBookings(leave);
+
+    await createActivity({
+      type: "leave_updated",
+      message: `Updated ${describeLeave(leave)}`,
+      user: req.user.id,
+      targetId: leave._id,
+      targetModel: "Leave",
+    });
+
+    res.json({
+      success: true,
+      message: "Leave updated",
+      data: { leave, conflicts, total: conflicts.length },
+    });
+  } catch (error) {
+    console.error("Update leave error:", error);
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    res.status(500).json({
+      success: false,
+      message: "Failed to update leave",
+      error: error.message,
+    });
+  }
+});
+
+// Delete leave/holiday
+router.delete("/:id", adminAuth, async (req, res) => {
+  try {
+    const leave = await Leave.findByIdAndDelete(req.params.id);
+    if (!leave) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Leave not found" });
+    }
+
+    await createActivity({
+      type: "leave_deleted",
+      message: `Removed ${describeLeave(leave)}`,
+      user: req.user.id,
+      targetId: leave._id,
+      targetModel: "Leave",
+    });
+
+    res.json({ success: true, message: "Leave deleted" });
+  } catch (error) {
+    console.error("Delete leave error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to delete leave",
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
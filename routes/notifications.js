@@ -0,0 +1,124 @@
+const express = require("express");
+const Notification = require("../models/Notification");
+const { auth } = require("../middleware/auth");
+
+const router = express.Router();
+
+// Get current user's notifications (newest first)
+router.get("/", auth, async (req, res) => {
+  try {
+    const { unread, type, page = 1, limit = 20 } = req.query;
+
+    const query = { recipient: req.user.id };
+    if (unread === "true") query.isRead = false;
+    if (type) query.type = type;
+
+    const [notifications, total, unreadCount] = await Promise.all([
+      Notification.find(query)
+        .populate("actor", "firstName lastName username")
+        .sort({ createdAt: -1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit),
+      Notification.countDocuments(query),
+      Notification.countDocuments({ recipient: req.user.id, isRead: false }),
+    ]);
+
+    res.json({
+      success: true,
+      data: notifications,
+      unreadCount,
+      pagination: {
+        total,
+        page: parseInt(page),
+        pages: Math.ceil(total / limit),
+        limit: parseInt(limit),
+      },
+    });
+  } catch (error) {
+    console.error("Get notifications error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch notifications",
+      error: error.message,
+    });
+  }
+});
+
+// Unread badge count for the bell icon
+router.get("/unread-count", auth, async (req, res) => {
+  try {
+    const unreadCount = await Notification.countDocuments({
+      recipient: req.user.id,
+      isRead: false,
+    });
+
+    res.json({ success: true, unreadCount });
+  } catch (error) {
+    console.error("Get unread notification count error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch unread count",
+      error: error.message,
+    });
+  }
+});
+
+// Mark all of the current user's notifications as read
+router.patch("/read-all", auth, async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { recipient: req.user.id, isRead: false },
+      { isRead: true, readAt: new Date() }
+    );
+
+    res.json({
+      success: true,
+      message: "All notifications marked as read",
+      updated: result.modifiedCount,
+    });
+  } catch (error) {
+    console.error("Mark all notifications read error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to mark notifications as read",
+      error: error.message,
+    });
+  }
+});
+
+// Mark a single notification as read
+router.patch("/:id/read", auth, async (req, res) => {
+  try {
+    const notification = await Notification.findOne({
+      _id: req.params.id,
+      recipient: req.user.id,
+    });
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: "Notification not found",
+      });
+    }
+
+    if (!notification.isRead) {
+      notification.isRead = true;
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    res.json({
+      success: true,
+      message: "Notification marked as read",
+      data: notification,
+    });
+  } catch (error) {
+    console.error("Mark notification read error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to mark notification as read",
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
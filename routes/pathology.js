@@ -28,6 +28,35 @@ const upload = multer({
   },
 });
 
+// Lab location from a JSON or multipart body: `coordinates` as [lng, lat]
+// (or its JSON string), or separate `latitude` and `longitude`. Returns
+// undefined when none was sent and null when it is invalid.
+const parseCoordinates = (body) => {
+  let coordinates = body.coordinates;
+  if (typeof coordinates === "string") {
+    try {
+      coordinates = JSON.parse(coordinates);
+    } catch (e) {
+      return null;
+    }
+  }
+  if (
+    coordinates === undefined &&
+    body.latitude !== undefined &&
+    body.longitude !== undefined
+  ) {
+    coordinates = [body.longitude, body.latitude];
+  }
+  if (coordinates === undefined || coordinates === "") return undefined;
+  if (!Array.isArray(coordinates) || coordinates.length !== 2) return null;
+
+  const [lng, lat] = coordinates.map(Number);
+  if (isNaN(lng) || isNaN(lat) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+    return null;
+  }
+  return [lng, lat];
+};
+
 router.post("/backfill-local-images", adminAuth, (req, res) =>
   sendBackfillResponse(req, res, {
     Model: Pathology,
@@ -334,6 +363,17 @@ router.post("/", auth, upload.single("image"), async (req, res) => {
         pathologyData.components = [];
       }
     }
+    const coordinates = parseCoordinates(req.body);
+    if (coordinates === null) {
+      return res.status(400).json({
+        success: false,
+        message: "coordinates must be [longitude, latitude]",
+      });
+    }
+    delete pathologyData.latitude;
+    delete pathologyData.longitude;
+    if (coordinates) pathologyData.coordinates = coordinates;
+    else delete pathologyData.coordinates;
     // Reconstruct homeCollection from FormData if sent as flat fields
     const hasHc =
       req.body["homeCollection[available]"] !== undefined ||
@@ -581,6 +621,18 @@ router.put("/:id", auth, upload.single("image"), async (req, res) => {
       }
     }
 
+    const coordinates = parseCoordinates(req.body);
+    if (coordinates === null) {
+      return res.status(400).json({
+        success: false,
+        message: "coordinates must be [longitude, latitude]",
+      });
+    }
+    delete updates.latitude;
+    delete updates.longitude;
+    if (coordinates) updates.coordinates = coordinates;
+    else delete updates.coordinates;
+
     // Support bracketed homeCollection fields from FormData
     const hasHcUpdate =
       req.body["homeCollection[available]"] !== undefined ||
@@ -0,0 +1,249 @@
+const express = require("express");
+const Payment = require("../models/Payment");
+const Booking = require("../models/Booking");
+const Refund = require("../models/Refund");
+const { auth, adminAuth } = require("../middleware/auth");
+const { getGateway } = require("../utils/paymentGateways");
+const {
+  createPaymentIntent,
+  applyPaymentEvent,
+  reconcilePayment,
+  refundPayment,
+} = require("../utils/payments");
+
+const router = express.Router();
+
+const canAccessBooking = (booking, user) =>
+  booking.patient.toString() === user.id ||
+  ["admin", "superuser"].includes(user.role);
+
+// Create (or fetch the open) payment intent for a booking
+router.post("/intents", auth, async (req, res) => {
+  try {
+    const { bookingId } = req.body;
+
+    const booking = await Booking.findOne({ bookingId });
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: "Booking not found",
+      });
+    }
+    if (!canAccessBooking(booking, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied",
+      });
+    }
+
+    const result = await createPaymentIntent(booking);
+    if (!result.success) {
+      return res
+        .status(result.status)
+        .json({ success: false, message: result.message });
+    }
+
+    res.status(result.reused ? 200 : 201).json({
+      success: true,
+      message: result.reused
+        ? "Payment already in progress"
+        : "Payment intent created",
+      payment: result.payment,
+      publicKey: result.publicKey,
+    });
+  } catch (error) {
+    console.error("Create payment intent error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to create payment intent",
+      error: error.message,
+    });
+  }
+});
+
+// Payments for a booking
+router.get("/booking/:bookingId", auth, async (req, res) => {
+  try {
+    const booking = await Booking.findOne({ bookingId: req.params.bookingId });
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: "Booking not found",
+      });
+    }
+    if (!canAccessBooking(booking, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied",
+      });
+    }
+
+    const payments = await Payment.find({ booking: booking._id })
+      .select("-events")
+      .sort({ createdAt: -1 });
+    const refunds = await Refund.find({ booking: booking._id }).sort({
+      createdAt: -1,
+    });
+
+    res.json({
+      success: true,
+      data: payments,
+      refunds,
+      paymentStatus: booking.paymentStatus,
+      cancellation: booking.cancellation,
+    });
+  } catch (error) {
+    console.error("Get booking payments error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch payments",
+      error: error.message,
+    });
+  }
+});
+
+// Gateway webhook. Signed with the gateway's secret over the raw body
+// (captured by the JSON parser in server.js); safe to deliver more than once.
+router.post("/webhook/:gateway", async (req, res) => {
+  const gateway = getGateway(req.params.gateway);
+  if (!gateway) {
+    return res.status(404).json({
+      success: false,
+      message: "Unknown payment gateway",
+    });
+  }
+
+  let event;
+  try {
+    event = gateway.verifyWebhook(req.rawBody || "", req.headers);
+  } catch (error) {
+    console.error("Payment webhook rejected:", error.message);
+    return res.status(400).json({
+      success: false,
+      message: "Invalid webhook",
+    });
+  }
+
+  try {
+    const result = await applyPaymentEvent(gateway.name, event);
+    if (!result.success) {
+      // Acknowledge anyway so the gateway stops retrying an unknown intent
+      console.error("Payment webhook not applied:", event, result.message);
+    }
+    res.json({ success: true, received: true });
+  } catch (error) {
+    console.error("Payment webhook error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to process webhook",
+      error: error.message,
+    });
+  }
+});
+
+// Simulate the mock gateway completing a payment (development only)
+if (process.env.NODE_ENV !== "production") {
+  router.post("/mock/:intentId/:outcome", auth, async (req, res) => {
+    try {
+      const { intentId, outcome } = req.params;
+      if (!["succeeded", "failed"].includes(outcome)) {
+        return res.status(400).json({
+          success: false,
+          message: "Outcome must be 'succeeded' or 'failed'",
+        });
+      }
+
+      const gateway = getGateway("mock");
+      const { rawBody, headers } = gateway.buildWebhook(intentId, outcome);
+      const result = await applyPaymentEvent(
+        gateway.name,
+        gateway.verifyWebhook(Buffer.from(rawBody), headers)
+      );
+      if (!result.success) {
+        return res
+          .status(result.status)
+          .json({ success: false, message: result.message });
+      }
+
+      res.json({ success: true, payment: result.payment });
+    } catch (error) {
+      console.error("Mock payment error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to simulate payment",
+        error: error.message,
+      });
+    }
+  });
+}
+
+// Re-check a payment with its gateway (Admin only)
+router.post("/:id/reconcile", adminAuth, async (req, res) => {
+  try {
+    const payment = await Payment.findById(req.params.id);
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        message: "Payment not found",
+      });
+    }
+
+    const result = await reconcilePayment(payment);
+    res.json({
+      success: true,
+      message: result.unchanged
+        ? "Payment is still pending at the gateway"
+        : "Payment reconciled",
+      payment: result.payment,
+    });
+  } catch (error) {
+    console.error("Reconcile payment error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to reconcile payment",
+      error: error.message,
+    });
+  }
+});
+
+// Refund a captured payment in full or in part (Admin only)
+router.post("/:id/refund", adminAuth, async (req, res) => {
+  try {
+    const { amount, reason } = req.body;
+
+    const payment = await Payment.findById(req.params.id);
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        message: "Payment not found",
+      });
+    }
+
+    const result = await refundPayment(payment, {
+      amount: amount !== undefined ? Number(amount) : undefined,
+      reason,
+      requestedBy: req.user.id,
+    });
+    if (!result.success) {
+      return res
+        .status(result.status)
+        .json({ success: false, message: result.message });
+    }
+
+    res.json({
+      success: true,
+      message: "Refund issued",
+      refundId: result.refundId,
+      amount: result.amount,
+    });
+  } catch (error) {
+    console.error("Refund payment error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to refund payment",
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
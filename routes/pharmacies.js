@@ -3,8 +3,15 @@ const multer = require("multer");
 const path = require("path");
 const fs = require("fs").promises;
 const Pharmacy = require("../models/Pharmacy");
+const PharmacyInventory = require("../models/PharmacyInventory");
 const { auth, adminAuth } = require("../middleware/auth");
 const { createActivity } = require("../utils/activity");
+const {
+  buildInventoryQuery,
+  withStock,
+  inventoryReport,
+} = require("../utils/pharmacyInventory");
+const { findMedicineNearby } = require("../utils/pharmacyAvailability");
 
 const router = express.Router();
 
@@ -114,6 +121,56 @@ router.get("/", async (req, res) => {
   }
 });
 
+// Nearby open pharmacies with a medicine in stock, nearest first.
+// ?name=paracetamol&lat=..&lng=..&radius=5 (km); includeClosed=true also
+// lists pharmacies that are closed right now.
+router.get("/medicine-availability", async (req, res) => {
+  try {
+    const { name = "", radius = 5, includeClosed = "", limit = 20 } = req.query;
+    const lat = parseFloat(req.query.lat);
+    const lng = parseFloat(req.query.lng);
+
+    if (name.trim().length < 2) {
+      return res.status(400).json({
+        success: false,
+        message: "Medicine name must be at least 2 characters",
+      });
+    }
+    if (isNaN(lat) || isNaN(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+      return res.status(400).json({
+        success: false,
+        message: "Valid lat and lng are required",
+      });
+    }
+    const radiusKm = Math.min(Math.max(parseFloat(radius) || 5, 0.1), 50);
+
+    const results = await findMedicineNearby({
+      name,
+      lat,
+      lng,
+      radiusKm,
+      includeClosed: includeClosed === "true",
+      limit: Math.min(parseInt(limit, 10) || 20, 50),
+    });
+
+    res.json({
+      success: true,
+      data: {
+        results,
+        radius: radiusKm,
+        total: results.length,
+      },
+    });
+  } catch (error) {
+    console.error("Medicine availability search error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to search medicine availability",
+      error: error.message,
+    });
+  }
+});
+
 // Get single pharmacy
 router.get("/:id", async (req, res) => {
   try {
@@ -442,13 +499,29 @@ router.post("/:id/reviews", auth, async (req, res) => {
   }
 });
 
-// Search medications in pharmacy
+const loadPharmacy = (id) => Pharmacy.findById(id).select("name isActive");
+
+const parseBatch = ({ batchNumber, expiryDate, quantity, costPrice }) => ({
+  batchNumber,
+  expiryDate,
+  quantity: parseInt(quantity, 10),
+  costPrice: costPrice !== undefined ? parseFloat(costPrice) : undefined,
+});
+
+// Search medications in pharmacy. `inStock=true` limits to items with
+// unexpired stock; admins may pass `all=true` to include unlisted items.
 router.get("/:id/medications", async (req, res) => {
   try {
-    const { search = "", category = "", page = 1, limit = 20 } = req.query;
-    const pharmacyId = req.params.id;
+    const {
+      search = "",
+      category = "",
+      inStock = "",
+      all = "",
+      page = 1,
+      limit = 20,
+    } = req.query;
 
-    const pharmacy = await Pharmacy.findById(pharmacyId);
+    const pharmacy = await loadPharmacy(req.params.id);
     if (!pharmacy) {
       return res.status(404).json({
         success: false,
@@ -456,34 +529,28 @@ router.get("/:id/medications", async (req, res) => {
       });
     }
 
-    let medications = pharmacy.medications || [];
-
-    // Apply search filters
-    if (search) {
-      medications = medications.filter((med) =>
-        med.name.toLowerCase().includes(search.toLowerCase())
-      );
-    }
+    const query = buildInventoryQuery(pharmacy._id, {
+      search,
+      category,
+      inStock: inStock === "true",
+      includeUnlisted: all === "true",
+    });
 
-    if (category) {
-      medications = medications.filter(
-        (med) => med.category.toLowerCase() === category.toLowerCase()
-      );
-    }
+    const items = await PharmacyInventory.find(query)
+      .sort({ nameKey: 1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
 
-    // Pagination
-    const startIndex = (page - 1) * limit;
-    const endIndex = startIndex + parseInt(limit);
-    const paginatedMedications = medications.slice(startIndex, endIndex);
+    const total = await PharmacyInventory.countDocuments(query);
 
     res.json({
       success: true,
       data: {
-        medications: paginatedMedications,
+        medications: items.map((item) => withStock(item)),
         pagination: {
-          total: medications.length,
+          total,
           page: parseInt(page),
-          pages: Math.ceil(medications.length / limit),
+          pages: Math.ceil(total / limit),
           limit: parseInt(limit),
         },
       },
@@ -498,13 +565,10 @@ router.get("/:id/medications", async (req, res) => {
   }
 });
 
-// Add medication to pharmacy
-router.post("/:id/medications", adminAuth, async (req, res) => {
+// Low-stock items and batches expiring within `days` (Admin only)
+router.get("/:id/inventory-report", adminAuth, async (req, res) => {
   try {
-    const pharmacyId = req.params.id;
-    const { name, category, price, availability = true } = req.body;
-
-    const pharmacy = await Pharmacy.findById(pharmacyId);
+    const pharmacy = await loadPharmacy(req.params.id);
     if (!pharmacy) {
       return res.status(404).json({
         success: false,
@@ -512,35 +576,76 @@ router.post("/:id/medications", adminAuth, async (req, res) => {
       });
     }
 
-    // Check if medication already exists
-    const existingMedication = pharmacy.medications.find(
-      (med) => med.name.toLowerCase() === name.toLowerCase()
-    );
+    const days = Math.max(parseInt(req.query.days, 10) || 30, 0);
+    const report = await inventoryReport(pharmacy._id, { days });
 
-    if (existingMedication) {
-      return res.status(400).json({
+    res.json({
+      success: true,
+      data: { pharmacy: { _id: pharmacy._id, name: pharmacy.name }, ...report },
+    });
+  } catch (error) {
+    console.error("Inventory report error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to build inventory report",
+      error: error.message,
+    });
+  }
+});
+
+// Add medication to pharmacy, optionally with its first stock batches
+router.post("/:id/medications", adminAuth, async (req, res) => {
+  try {
+    const {
+      name,
+      sku,
+      manufacturer,
+      category,
+      price,
+      reorderLevel,
+      availability = true,
+      requiresPrescription = false,
+      batches = [],
+    } = req.body;
+
+    const pharmacy = await loadPharmacy(req.params.id);
+    if (!pharmacy) {
+      return res.status(404).json({
         success: false,
-        message: "Medication already exists in this pharmacy",
+        message: "Pharmacy not found",
       });
     }
 
-    // Add medication
-    pharmacy.medications.push({
+    const item = new PharmacyInventory({
+      pharmacy: pharmacy._id,
       name,
+      sku,
+      manufacturer,
       category,
       price: parseFloat(price),
+      reorderLevel,
       availability,
+      requiresPrescription: [true, "true"].includes(requiresPrescription),
+      batches: batches.map(parseBatch),
     });
-
-    await pharmacy.save();
+    await item.save();
 
     res.status(201).json({
       success: true,
       message: "Medication added successfully",
-      data: pharmacy.medications[pharmacy.medications.length - 1],
+      data: withStock(item),
     });
   } catch (error) {
     console.error("Add medication error:", error);
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: "Medication or SKU already exists in this pharmacy",
+      });
+    }
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ success: false, message: error.message });
+    }
     res.status(500).json({
       success: false,
       message: "Failed to add medication",
@@ -549,4 +654,206 @@ router.post("/:id/medications", adminAuth, async (req, res) => {
   }
 });
 
+// Update medication details (Admin only); stock changes go through batches
+router.put("/:id/medications/:medicationId", adminAuth, async (req, res) => {
+  try {
+    const item = await PharmacyInventory.findOne({
+      _id: req.params.medicationId,
+      pharmacy: req.params.id,
+    });
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: "Medication not found",
+      });
+    }
+
+    for (const field of [
+      "name",
+      "sku",
+      "manufacturer",
+      "category",
+      "reorderLevel",
+    ]) {
+      if (req.body[field] !== undefined) item[field] = req.body[field];
+    }
+    if (req.body.price !== undefined) item.price = parseFloat(req.body.price);
+    for (const field of ["availability", "requiresPrescription"]) {
+      if (req.body[field] !== undefined) {
+        item[field] = [true, "true"].includes(req.body[field]);
+      }
+    }
+    await item.save();
+
+    res.json({
+      success: true,
+      message: "Medication updated successfully",
+      data: withStock(item),
+    });
+  } catch (error) {
+    console.error("Update medication error:", error);
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: "Medication or SKU already exists in this pharmacy",
+      });
+    }
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    res.status(500).json({
+      success: false,
+      message: "Failed to update medication",
+      error: error.message,
+    });
+  }
+});
+
+// Remove medication from pharmacy (Admin only)
+router.delete("/:id/medications/:medicationId", adminAuth, async (req, res) => {
+  try {
+    const item = await PharmacyInventory.findOneAndDelete({
+      _id: req.params.medicationId,
+      pharmacy: req.params.id,
+    });
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: "Medication not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Medication removed successfully",
+    });
+  } catch (error) {
+    console.error("Delete medication error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to remove medication",
+      error: error.message,
+    });
+  }
+});
+
+// Receive stock (Admin only). A batch number already on file is topped up.
+router.post(
+  "/:id/medications/:medicationId/batches",
+  adminAuth,
+  async (req, res) => {
+    try {
+      const item = await PharmacyInventory.findOne({
+        _id: req.params.medicationId,
+        pharmacy: req.params.id,
+      });
+      if (!item) {
+        return res.status(404).json({
+          success: false,
+          message: "Medication not found",
+        });
+      }
+
+      const batch = parseBatch(req.body);
+      if (!batch.batchNumber || !batch.expiryDate || !(batch.quantity > 0)) {
+        return res.status(400).json({
+          success: false,
+          message:
+            "batchNumber, expiryDate and a positive quantity are required",
+        });
+      }
+
+      const existing = item.batches.find(
+        (b) => b.batchNumber === String(batch.batchNumber).trim()
+      );
+      if (existing) {
+        if (
+          existing.expiryDate.getTime() !== new Date(batch.expiryDate).getTime()
+        ) {
+          return res.status(400).json({
+            success: false,
+            message: "Batch is already on file with a different expiry date",
+          });
+        }
+        existing.quantity += batch.quantity;
+      } else {
+        item.batches.push(batch);
+      }
+      await item.save();
+
+      res.status(201).json({
+        success: true,
+        message: "Stock received",
+        data: withStock(item),
+      });
+    } catch (error) {
+      console.error("Receive stock error:", error);
+      if (error.name === "VersionError") {
+        return res.status(409).json({
+          success: false,
+          message: "Stock was updated concurrently, please retry",
+        });
+      }
+      if (error.name === "ValidationError" || error.name === "CastError") {
+        return res.status(400).json({ success: false, message: error.message });
+      }
+      res.status(500).json({
+        success: false,
+        message: "Failed to receive stock",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Correct a batch's stock count after a physical count (Admin only)
+router.put(
+  "/:id/medications/:medicationId/batches/:batchId",
+  adminAuth,
+  async (req, res) => {
+    try {
+      const item = await PharmacyInventory.findOne({
+        _id: req.params.medicationId,
+        pharmacy: req.params.id,
+      });
+      const batch = item && item.batches.id(req.params.batchId);
+      if (!batch) {
+        return res.status(404).json({
+          success: false,
+          message: "Batch not found",
+        });
+      }
+
+      const quantity = parseInt(req.body.quantity, 10);
+      if (isNaN(quantity) || quantity < 0) {
+        return res.status(400).json({
+          success: false,
+          message: "quantity must be zero or more",
+        });
+      }
+      batch.quantity = quantity;
+      await item.save();
+
+      res.json({
+        success: true,
+        message: "Stock updated",
+        data: withStock(item),
+      });
+    } catch (error) {
+      console.error("Update batch error:", error);
+      if (error.name === "VersionError") {
+        return res.status(409).json({
+          success: false,
+          message: "Stock was updated concurrently, please retry",
+        });
+      }
+      res.status(500).json({
+        success: false,
+        message: "Failed to update stock",
+        error: error.message,
+      });
+    }
+  }
+);
+
 module.exports = router;
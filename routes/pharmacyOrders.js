@@ -0,0 +1,460 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const path = require("path");
+const Pharmacy = require("../models/Pharmacy");
+const PharmacyInventory = require("../models/PharmacyInventory");
+const PharmacyOrder = require("../models/PharmacyOrder");
+const User = require("../models/User");
+const { auth } = require("../middleware/auth");
+const { createActivity } = require("../utils/activity");
+const { createUploadMiddleware, deleteFile } = require("../utils/upload");
+const {
+  buildOrderItems,
+  applyFulfilment,
+  updatePharmacyOrderStatus,
+} = require("../utils/pharmacyOrders");
+
+const router = express.Router();
+
+// Prescriptions live under uploads/prescriptions, which server.js keeps out
+// of the public static route
+const upload = createUploadMiddleware("prescriptions");
+
+const isAdmin = (user) => ["admin", "superuser"].includes(user.role);
+
+// Multipart bodies carry nested fields as JSON strings
+const parseJsonField = (value) => {
+  if (typeof value !== "string") return value;
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return undefined;
+  }
+};
+
+// Place an order. Multipart with `items` ([{ medicationId, quantity }]) and a
+// `prescription` image, which is required when any item needs one.
+router.post("/", auth, upload.single("prescription"), async (req, res) => {
+  const prescriptionPath = req.file
+    ? `/uploads/prescriptions/${req.file.filename}`
+    : null;
+  const reject = async (status, body) => {
+    if (prescriptionPath) await deleteFile(prescriptionPath);
+    return res.status(status).json({ success: false, ...body });
+  };
+
+  try {
+    const {
+      pharmacyId,
+      deliveryType = "pickup",
+      paymentMethod,
+      notes,
+    } = req.body;
+    const entries = parseJsonField(req.body.items);
+    const address = parseJsonField(req.body.address);
+    let patientDetails = parseJsonField(req.body.patientDetails);
+
+    if (!Array.isArray(entries)) {
+      return reject(400, { message: "items must be a JSON array" });
+    }
+
+    const pharmacy = await Pharmacy.findById(pharmacyId);
+    if (!pharmacy || !pharmacy.isActive) {
+      return reject(404, { message: "Pharmacy not found" });
+    }
+
+    const inventory = await PharmacyInventory.find({
+      pharmacy: pharmacy._id,
+      _id: {
+        $in: entries
+          .map((e) => e && e.medicationId)
+          .filter((id) => mongoose.isValidObjectId(id)),
+      },
+    });
+    const built = buildOrderItems(inventory, entries);
+    if (built.errors) {
+      return reject(400, { message: "Invalid items", errors: built.errors });
+    }
+    if (built.requiresPrescription && !req.file) {
+      return reject(400, {
+        message: "A prescription is required for this order",
+        items: built.items
+          .filter((i) => i.requiresPrescription)
+          .map((i) => i.name),
+      });
+    }
+    if (deliveryType === "delivery" && (!address || !address.line1)) {
+      return reject(400, { message: "Delivery address is required" });
+    }
+
+    if (!patientDetails || !patientDetails.name || !patientDetails.phone) {
+      const user = await User.findById(req.user.id).select(
+        "firstName lastName phone"
+      );
+      patientDetails = {
+        ...patientDetails,
+        name:
+          patientDetails?.name || `${user.firstName} ${user.lastName}`.trim(),
+        phone: patientDetails?.phone || user.phone,
+      };
+    }
+
+    const order = new PharmacyOrder({
+      patient: req.user.id,
+      pharmacy: pharmacy._id,
+      items: built.items,
+      subtotal: built.subtotal,
+      total: built.subtotal,
+      prescription: req.file
+        ? {
+            path: prescriptionPath,
+            originalName: req.file.originalname,
+            uploadedAt: new Date(),
+          }
+        : undefined,
+      deliveryType,
+      address: deliveryType === "delivery" ? address : undefined,
+      patientDetails,
+      paymentMethod,
+      notes,
+      statusHistory: [{ status: "placed", changedBy: req.user.id }],
+    });
+    await order.save();
+
+    await createActivity({
+      type: "pharmacy_order_placed",
+      message: `Pharmacy order ${order.orderId} placed with ${pharmacy.name} (${
+        built.items.length
+      } item${built.items.length === 1 ? "" : "s"})`,
+      user: req.user.id,
+      targetId: order._id,
+      targetModel: "PharmacyOrder",
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Pharmacy order placed",
+      data: order,
+    });
+  } catch (error) {
+    console.error("Place pharmacy order error:", error);
+    if (prescriptionPath) await deleteFile(prescriptionPath);
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    res.status(500).json({
+      success: false,
+      message: "Failed to place pharmacy order",
+      error: error.message,
+    });
+  }
+});
+
+// My pharmacy orders; admins see all and may filter by pharmacy and status
+router.get("/", auth, async (req, res) => {
+  try {
+    const { status, pharmacyId, page = 1, limit = 20 } = req.query;
+
+    const query = isAdmin(req.user) ? {} : { patient: req.user.id };
+    if (status) query.status = status;
+    if (pharmacyId && isAdmin(req.user)) query.pharmacy = pharmacyId;
+
+    const orders = await PharmacyOrder.find(query)
+      .populate("pharmacy", "name address place phone")
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await PharmacyOrder.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: orders,
+      pagination: {
+        total,
+        page: parseInt(page),
+        pages: Math.ceil(total / limit),
+        limit: parseInt(limit),
+      },
+    });
+  } catch (error) {
+    console.error("Get pharmacy orders error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch pharmacy orders",
+      error: error.message,
+    });
+  }
+});
+
+// Order details
+router.get("/:id", auth, async (req, res) => {
+  try {
+    const order = await PharmacyOrder.findById(req.params.id)
+      .populate("pharmacy", "name address place state phone email")
+      .populate("patient", "firstName lastName email phone");
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Pharmacy order not found",
+      });
+    }
+    if (order.patient._id.toString() !== req.user.id && !isAdmin(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied",
+      });
+    }
+
+    res.json({ success: true, data: order });
+  } catch (error) {
+    console.error("Get pharmacy order error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch pharmacy order",
+      error: error.message,
+    });
+  }
+});
+
+// The uploaded prescription image, for the patient and pharmacy staff only
+router.get("/:id/prescription", auth, async (req, res) => {
+  try {
+    const order = await PharmacyOrder.findById(req.params.id).select(
+      "patient prescription"
+    );
+    if (!order || !order.prescription || !order.prescription.path) {
+      return res.status(404).json({
+        success: false,
+        message: "Prescription not found",
+      });
+    }
+    if (order.patient.toString() !== req.user.id && !isAdmin(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied",
+      });
+    }
+
+    res.sendFile(
+      path.join(
+        __dirname,
+        "..",
+        "uploads",
+        "prescriptions",
+        path.basename(order.prescription.path)
+      ),
+      (err) => {
+        if (err && !res.headersSent) {
+          res.status(404).json({
+            success: false,
+            message: "Prescription not found",
+          });
+        }
+      }
+    );
+  } catch (error) {
+    console.error("Get prescription error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch prescription",
+      error: error.message,
+    });
+  }
+});
+
+// Pharmacy's answer to a placed order (Admin only). `decision` is "accept",
+// "reject" or "partial"; partial takes per-item
+// [{ itemId, fulfilledQuantity, note }] and unlisted items are fulfilled in full.
+// Accepting takes the fulfilled units out of stock; if any are short nothing
+// is taken and a 409 lists the shortages.
+router.put("/:id/respond", auth, async (req, res) => {
+  try {
+    if (!isAdmin(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied",
+      });
+    }
+
+    const { decision, items = [], reason } = req.body;
+    if (!["accept", "reject", "partial"].includes(decision)) {
+      return res.status(400).json({
+        success: false,
+        message: "decision must be accept, reject or partial",
+      });
+    }
+
+    const order = await PharmacyOrder.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Pharmacy order not found",
+      });
+    }
+    if (decision === "reject" && !reason) {
+      return res.status(400).json({
+        success: false,
+        message: "A reason is required to reject an order",
+      });
+    }
+
+    const fulfilment = applyFulfilment(
+      order,
+      decision === "reject"
+        ? order.items.map((i) => ({ itemId: i._id, fulfilledQuantity: 0 }))
+        : decision === "partial"
+        ? items
+        : []
+    );
+    if (fulfilment.error) {
+      return res.status(400).json({
+        success: false,
+        message: fulfilment.error,
+      });
+    }
+
+    const result = await updatePharmacyOrderStatus(order, fulfilment.status, {
+      actorId: req.user.id,
+      note: reason,
+      set: {
+        items: fulfilment.items,
+        total: fulfilment.total,
+        ...(fulfilment.status === "rejected" && { rejectionReason: reason }),
+      },
+    });
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message,
+        ...(result.shortages && { shortages: result.shortages }),
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Order ${fulfilment.status.replace("_", " ")}`,
+      data: result.order,
+    });
+  } catch (error) {
+    console.error("Respond to pharmacy order error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update pharmacy order",
+      error: error.message,
+    });
+  }
+});
+
+// Move an accepted order on to ready/completed, or cancel it and release
+// its stock (Admin only)
+router.put("/:id/status", auth, async (req, res) => {
+  try {
+    if (!isAdmin(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied",
+      });
+    }
+
+    const { status, note } = req.body;
+    if (!["ready", "completed", "cancelled"].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: "Use /respond to accept or reject an order",
+      });
+    }
+
+    const order = await PharmacyOrder.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Pharmacy order not found",
+      });
+    }
+
+    const result = await updatePharmacyOrderStatus(order, status, {
+      actorId: req.user.id,
+      note,
+    });
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message,
+      });
+    }
+
+    // Stock that couldn't be deducted on hand-over or put back on cancel
+    // needs a manual inventory correction
+    res.json({
+      success: true,
+      message:
+        result.stockShortages || result.unreturnedStock
+          ? "Pharmacy order status updated; check the inventory for these items"
+          : "Pharmacy order status updated",
+      data: result.order,
+      ...(result.stockShortages && { stockShortages: result.stockShortages }),
+      ...(result.unreturnedStock && {
+        unreturnedStock: result.unreturnedStock,
+      }),
+    });
+  } catch (error) {
+    console.error("Update pharmacy order status error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update pharmacy order status",
+      error: error.message,
+    });
+  }
+});
+
+// Cancel my order before the pharmacy responds
+router.put("/:id/cancel", auth, async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    const order = await PharmacyOrder.findOneAndUpdate(
+      { _id: req.params.id, patient: req.user.id, status: "placed" },
+      {
+        status: "cancelled",
+        $push: {
+          statusHistory: {
+            status: "cancelled",
+            note: reason || "Cancelled by patient",
+            changedBy: req.user.id,
+          },
+        },
+      },
+      { new: true }
+    );
+    if (!order) {
+      return res.status(400).json({
+        success: false,
+        message: "Only your orders awaiting the pharmacy can be cancelled",
+      });
+    }
+
+    await createActivity({
+      type: "pharmacy_order_cancelled",
+      message: `Pharmacy order ${order.orderId} cancelled`,
+      user: req.user.id,
+      targetId: order._id,
+      targetModel: "PharmacyOrder",
+    });
+
+    res.json({
+      success: true,
+      message: "Pharmacy order cancelled",
+      data: order,
+    });
+  } catch (error) {
+    console.error("Cancel pharmacy order error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to cancel pharmacy order",
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
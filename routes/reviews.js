@@ -6,6 +6,7 @@ const Clinic = require("../models/Clinic");
 const Pathology = require("../models/Pathology");
 const Ambulance = require("../models/Ambulance");
 const { auth } = require("../middleware/auth");
+const { createNotification } = require("../utils/inbox");
 
 // Get reviews for an entity
 router.get("/:entityType/:entityId", async (req, res) => {
@@ -225,6 +226,71 @@ router.put("/:id", auth, async (req, res) => {
   }
 });
 
+// Reply to a review (the reviewed doctor/clinic account, or admin)
+router.put("/:id/reply", auth, async (req, res) => {
+  try {
+    const { comment } = req.body;
+
+    if (!comment || !comment.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: "Reply comment is required",
+      });
+    }
+
+    const review = await Review.findById(req.params.id);
+
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: "Review not found",
+      });
+    }
+
+    // Doctor/clinic accounts share the _id of the entity they manage
+    if (
+      review.entityId.toString() !== req.user.id &&
+      req.user.role !== "admin" &&
+      req.user.role !== "superuser"
+    ) {
+      return res.status(403).json({
+        success: false,
+        message: "You can only reply to reviews of your own profile",
+      });
+    }
+
+    review.reply = {
+      comment,
+      repliedBy: req.user.id,
+      repliedAt: new Date(),
+    };
+    await review.save();
+
+    await createNotification({
+      recipient: review.userId,
+      type: "review_reply",
+      title: "New reply to your review",
+      message: comment.length > 120 ? `${comment.slice(0, 117)}...` : comment,
+      targetId: review._id,
+      targetModel: "Review",
+      actor: req.user.id,
+    });
+
+    res.json({
+      success: true,
+      message: "Reply saved successfully",
+      data: review,
+    });
+  } catch (error) {
+    console.error("Reply to review error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to reply to review",
+      error: error.message,
+    });
+  }
+});
+
 // Delete a review (requires authentication)
 router.delete("/:id", auth, async (req, res) => {
   try {
@@ -0,0 +1,272 @@
+const express = require("express");
+const ScheduleTemplate = require("../models/ScheduleTemplate");
+const Doctor = require("../models/Doctor");
+const { adminAuth } = require("../middleware/auth");
+const { createActivity } = require("../utils/activity");
+const {
+  generateScheduleDays,
+  materializeSchedule,
+} = require("../utils/scheduleGenerator");
+
+const router = express.Router();
+
+// Ensure the doctor exists and, for clinic templates, works at that clinic
+const checkTemplateTarget = async (doctorId, clinicId) => {
+  const doctor = await Doctor.findById(doctorId).select("name clinicDetails");
+  if (!doctor) {
+    return { status: 404, message: "Doctor not found" };
+  }
+  if (clinicId) {
+    const hasClinic = (doctor.clinicDetails || []).some(
+      (cd) => cd.clinic && cd.clinic.toString() === clinicId.toString()
+    );
+    if (!hasClinic) {
+      return {
+        status: 400,
+        message: "Doctor is not associated with this clinic",
+      };
+    }
+  }
+  return { doctor };
+};
+
+// List schedule templates (Admin only)
+router.get("/", adminAuth, async (req, res) => {
+  try {
+    const { doctorId, clinicId, isActive } = req.query;
+
+    const query = {};
+    if (doctorId) query.doctor = doctorId;
+    if (clinicId) query.clinic = clinicId === "none" ? null : clinicId;
+    if (isActive !== undefined) query.isActive = isActive === "true";
+
+    const templates = await ScheduleTemplate.find(query)
+      .populate("doctor", "name")
+      .populate("clinic", "name")
+      .sort({ doctor: 1, effectiveFrom: -1 });
+
+    res.json({ success: true, data: templates });
+  } catch (error) {
+    console.error("Get schedule templates error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch schedule templates",
+      error: error.message,
+    });
+  }
+});
+
+// Preview generated slots without saving. Accepts a saved templateId or an
+// unsaved template body (same shape as POST /).
+router.post("/preview", adminAuth, async (req, res) => {
+  try {
+    const { templateId, from, days, ...templateData } = req.body;
+
+    let template;
+    if (templateId) {
+      template = await ScheduleTemplate.findById(templateId);
+      if (!template) {
+        return res
+          .status(404)
+          .json({ success: false, message: "Schedule template not found" });
+      }
+    } else {
+      template = new ScheduleTemplate(templateData);
+      const validationError = template.validateSync();
+      if (validationError) {
+        return res.status(400).json({
+          success: false,
+          message: validationError.message,
+        });
+      }
+    }
+
+    const schedule = generateScheduleDays([template], {
+      from: from ? new Date(from) : new Date(),
+      days: Math.min(parseInt(days) || template.windowDays || 30, 180),
+    });
+
+    res.json({
+      success: true,
+      data: {
+        template,
+        schedule,
+        totalSlots: schedule.reduce((sum, day) => sum + day.slots.length, 0),
+      },
+    });
+  } catch (error) {
+    console.error("Preview schedule template error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to preview schedule",
+      error: error.message,
+    });
+  }
+});
+
+// Get single schedule template
+router.get("/:id", adminAuth, async (req, res) => {
+  try {
+    const template = await ScheduleTemplate.findById(req.params.id)
+      .populate("doctor", "name")
+      .populate("clinic", "name");
+    if (!template) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Schedule template not found" });
+    }
+    res.json({ success: true, data: template });
+  } catch (error) {
+    console.error("Get schedule template error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch schedule template",
+      error: error.message,
+    });
+  }
+});
+
+// Create schedule template
+router.post("/", adminAuth, async (req, res) => {
+  try {
+    const { doctor: doctorId, clinic: clinicId } = req.body;
+
+    const target = await checkTemplateTarget(doctorId, clinicId);
+    if (!target.doctor) {
+      return res
+        .status(target.status)
+        .json({ success: false, message: target.message });
+    }
+
+    const template = new ScheduleTemplate({
+      ...req.body,
+      clinic: clinicId || null,
+      createdBy: req.user.id,
+    });
+    await template.save();
+
+    await createActivity({
+      type: "doctor_updated",
+      message: `Created schedule template "${template.name}" for doctor ${target.doctor.name}`,
+      user: req.user.id,
+      targetId: target.doctor._id,
+      targetModel: "Doctor",
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Schedule template created",
+      data: template,
+    });
+  } catch (error) {
+    console.error("Create schedule template error:", error);
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    res.status(500).json({
+      success: false,
+      message: "Failed to create schedule template",
+      error: error.message,
+    });
+  }
+});
+
+// Update schedule template
+router.put("/:id", adminAuth, async (req, res) => {
+  try {
+    const template = await ScheduleTemplate.findById(req.params.id);
+    if (!template) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Schedule template not found" });
+    }
+
+    // The doctor/clinic target is fixed; create a new template to move it
+    const { doctor, clinic, createdBy, ...updates } = req.body;
+    template.set(updates);
+    await template.save();
+
+    res.json({
+      success: true,
+      message: "Schedule template updated",
+      data: template,
+    });
+  } catch (error) {
+    console.error("Update schedule template error:", error);
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    res.status(500).json({
+      success: false,
+      message: "Failed to update schedule template",
+      error: error.message,
+    });
+  }
+});
+
+// Delete schedule template (already generated days are kept)
+router.delete("/:id", adminAuth, async (req, res) => {
+  try {
+    const template = await ScheduleTemplate.findByIdAndDelete(req.params.id);
+    if (!template) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Schedule template not found" });
+    }
+    res.json({ success: true, message: "Schedule template deleted" });
+  } catch (error) {
+    console.error("Delete schedule template error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to delete schedule template",
+      error: error.message,
+    });
+  }
+});
+
+// Materialize the template's doctor/clinic schedule for the rolling window.
+// All active templates for the same doctor/clinic are combined.
+router.post("/:id/generate", adminAuth, async (req, res) => {
+  try {
+    const template = await ScheduleTemplate.findById(req.params.id);
+    if (!template) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Schedule template not found" });
+    }
+
+    const { from, days } = req.body;
+    const result = await materializeSchedule({
+      doctorId: template.doctor,
+      clinicId: template.clinic,
+      from: from ? new Date(from) : new Date(),
+      days: days ? Math.min(parseInt(days), 180) : undefined,
+    });
+    if (!result.success) {
+      return res.status(400).json({ success: false, message: result.message });
+    }
+
+    await createActivity({
+      type: "doctor_updated",
+      message: `Generated ${result.days} days of schedule for doctor ${result.doctorName}`,
+      user: req.user.id,
+      targetId: template.doctor,
+      targetModel: "Doctor",
+    });
+
+    res.json({
+      success: true,
+      message: "Schedule generated",
+      data: { days: result.days, schedule: result.schedule },
+    });
+  } catch (error) {
+    console.error("Generate schedule error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to generate schedule",
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
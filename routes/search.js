@@ -5,13 +5,18 @@ const Pharmacy = require("../models/Pharmacy");
 const Ambulance = require("../models/Ambulance");
 const Department = require("../models/Department");
 const Pathology = require("../models/Pathology");
+const {
+  rankedSearch,
+  parseNear,
+  nearbyDistances,
+  matchingEntityIds,
+  suggestEntities,
+} = require("../utils/searchEngine");
+const { analyzeQuery, stemOf } = require("../utils/searchVocabulary");
+const { escapeRegex } = require("../utils/regex");
 
 const router = express.Router();
 
-function escapeRegex(value = "") {
-  return String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
-}
-
 function buildSearchRegex(value = "") {
   const trimmed = String(value).trim();
   const withoutDoctorPrefix = trimmed.replace(/^dr\.?\s*/i, "").trim();
@@ -23,6 +28,23 @@ function buildSearchRegex(value = "") {
   return new RegExp(escapeRegex(trimmed), "i");
 }
 
+// Query regex that also matches the spelling-corrected query and any
+// synonyms, e.g. "cardiolgist" or "heart doctor" find cardiology
+function buildQueryRegex(value, analysis) {
+  const regex = buildSearchRegex(value);
+  if (!analysis) return regex;
+
+  const alternatives = [
+    analysis.didYouMean,
+    ...analysis.synonyms.map((s) => s.to),
+  ].filter(Boolean);
+  alternatives.push(...alternatives.map(stemOf).filter(Boolean));
+  if (!alternatives.length) return regex;
+
+  const pattern = [regex.source, ...new Set(alternatives.map(escapeRegex))];
+  return new RegExp(pattern.join("|"), "i");
+}
+
 function matchesText(doc, q, fields) {
   if (!q || q.trim() === "") return true;
 
@@ -38,68 +60,25 @@ function matchesText(doc, q, fields) {
   );
 }
 
-// Helper function to calculate distance between two points (Haversine formula)
-function calculateDistance(lat1, lon1, lat2, lon2) {
-  const R = 6371; // Earth's radius in km
-  const dLat = ((lat2 - lat1) * Math.PI) / 180;
-  const dLon = ((lon2 - lon1) * Math.PI) / 180;
-  const a =
-    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-    Math.cos((lat1 * Math.PI) / 180) *
-      Math.cos((lat2 * Math.PI) / 180) *
-      Math.sin(dLon / 2) *
-      Math.sin(dLon / 2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-  const distance = R * c;
-  return distance; // Distance in km
+// Query filter limiting a search to entities within the "near me" radius
+function nearbyFilter(nearby) {
+  return nearby ? { _id: { $in: [...nearby.keys()] } } : {};
 }
 
-// Helper function to add distance to results
-function addDistanceToResults(results, userLat, userLng) {
-  return results.map((item) => {
-    let coordinates = null;
-
-    // Extract coordinates based on entity type
-    // Doctor: address.location.coordinates
-    if (item.address?.location?.coordinates) {
-      coordinates = item.address.location.coordinates;
-    }
-    // Clinic, Ambulance: coordinates
-    else if (item.coordinates) {
-      coordinates = item.coordinates;
-    }
-    // Pathology: may have coordinates field
-    else if (item.location?.coordinates) {
-      coordinates = item.location.coordinates;
-    }
-
-    if (coordinates && coordinates.length === 2 && userLat && userLng) {
-      const [itemLng, itemLat] = coordinates;
-      if (itemLat && itemLng && itemLat !== 0 && itemLng !== 0) {
-        const distance = calculateDistance(
-          parseFloat(userLat),
-          parseFloat(userLng),
-          itemLat,
-          itemLng
-        );
-        return {
-          ...(item.toObject ? item.toObject() : item),
-          distance: parseFloat(distance.toFixed(2)),
-        };
-      }
-    }
-
-    return { ...(item.toObject ? item.toObject() : item), distance: null };
-  });
+// Keep only ids within the "near me" radius
+function withinRadius(ids, nearby) {
+  return nearby ? ids.filter((id) => nearby.has(String(id))) : ids;
 }
 
-// Helper function to sort results by distance
-function sortByDistance(results) {
-  return results.sort((a, b) => {
-    if (a.distance === null) return 1;
-    if (b.distance === null) return -1;
-    return a.distance - b.distance;
-  });
+// Attach each result's distance in km from the search index and, when
+// sorting by distance, order them nearest first
+function applyDistances(results, nearby, sort) {
+  const withDistance = results.map((item) => ({
+    ...(item.toObject ? item.toObject() : item),
+    distance: nearby.get(String(item._id)) ?? null,
+  }));
+  if (sort !== "distance") return withDistance;
+  return withDistance.sort((a, b) => a.distance - b.distance);
 }
 
 router.get("/", async (req, res) => {
@@ -116,6 +95,7 @@ router.get("/", async (req, res) => {
       fee,
       rating,
       distance = 50,
+      sort = "distance",
       limit = 20,
       page = 1,
     } = req.query;
@@ -126,12 +106,19 @@ router.get("/", async (req, res) => {
     const hasValidSearchQuery = q && q.trim().length >= 3;
     const hasShortQuery = q && q.trim().length > 0 && q.trim().length < 3;
 
+    const analysis = q ? await analyzeQuery(q) : null;
+
     const skip = (page - 1) * limit;
     const results = {};
     const lim = parseInt(limit);
-    const userLat = lat ? parseFloat(lat) : null;
-    const userLng = lng ? parseFloat(lng) : null;
-    const maxDistance = parseInt(distance) * 1000; // Convert km to meters
+    // "Near me": only records with real coordinates within `distance` km,
+    // located through the search index (doctors by their clinics too)
+    const near = parseNear({ lat, lng, distance });
+    const nearbyOf = (entityType) =>
+      near ? nearbyDistances(entityType, near) : null;
+    // Near a point every in-radius record is loaded so the nearest can be
+    // picked; otherwise extra rows are fetched for pagination
+    const fetchLimit = near ? 0 : lim * 3;
 
     // Parse location string - could be "City" or "City, State"
     let cityPart = null;
@@ -197,7 +184,8 @@ router.get("/", async (req, res) => {
     // --- DOCTORS ---
     // Only search doctors if type is "all" or "doctors" (not when searching for ambulance/clinic specifically)
     if ((type === "all" || type === "doctors") && type !== "ambulance" && type !== "clinics") {
-      let baseQuery = { isActive: true };
+      const nearby = await nearbyOf("doctor");
+      let baseQuery = { isActive: true, ...nearbyFilter(nearby) };
       if (specialization) baseQuery.specialization = specialization;
 
       // Handle department filtering
@@ -286,47 +274,12 @@ router.get("/", async (req, res) => {
       console.log("Doctor base query:", JSON.stringify(baseQuery, null, 2));
 
       if (q) {
-        const regex = buildSearchRegex(q);
-
-        // Check if query matches a department name/heading/specialization
-        let departmentIds = [];
-        let isDepartmentSearch = false;
-        try {
-          const deptDocs = await Department.find({
-            $or: [
-              { name: regex },
-              { heading: regex },
-              { specialization: regex },
-            ],
-            isActive: true,
-          }).select("_id name heading");
-          departmentIds = deptDocs.map((d) => d._id);
-          isDepartmentSearch = deptDocs.length > 0;
-        } catch (e) {
-          departmentIds = [];
-        }
-
-        // If it's a department search, show doctors in that department
-        // If it's a doctor name search, do wildcard search on name
+        // Doctors are indexed with their department names, so "cardiology"
+        // finds everyone in that department
+        const doctorIds = await matchingEntityIds("doctor", analysis);
         const searchQuery = {
           ...baseQuery,
-          $or: isDepartmentSearch
-            ? [
-                // Department search: show all doctors in that department
-                departmentIds.length
-                  ? { department: { $in: departmentIds } }
-                  : null,
-              ].filter(Boolean)
-            : [
-                // Doctor name search: wildcard search on name field
-                { name: regex },
-                // Also include specialization and bio for flexibility
-                { specialization: regex },
-                { qualification: regex },
-                { bio: regex },
-                { city: regex },
-                { state: regex },
-              ],
+          _id: { $in: withinRadius(doctorIds, nearby) },
         };
 
         // Add location filter if present
@@ -343,7 +296,7 @@ router.get("/", async (req, res) => {
           .select("-reviews -__v")
           .populate("department", "name")
           .populate("clinicDetails.clinic", "name address place state city")
-          .limit(lim * 3) // Get more results for distance sorting
+          .limit(fetchLimit)
           .lean();
       } else {
         // No text query, just location and filters
@@ -363,20 +316,16 @@ router.get("/", async (req, res) => {
           .select("-reviews -__v")
           .populate("department", "name")
           .populate("clinicDetails.clinic", "name address place state city")
-          .limit(lim * 3) // Get more results for distance sorting
+          .limit(fetchLimit)
           .lean();
       }
 
       console.log(`Found ${doctors.length} doctors before distance sorting`);
 
-      // Add distance calculation and sort by distance
-      if (userLat && userLng) {
-        doctors = addDistanceToResults(doctors, userLat, userLng);
-        doctors = sortByDistance(doctors);
-        // Filter by max distance if coordinates are available
-        doctors = doctors.filter(
-          (d) => d.distance === null || d.distance <= parseInt(distance)
-        );
+      // Distance from the search point, nearest first unless sort says
+      // otherwise
+      if (nearby) {
+        doctors = applyDistances(doctors, nearby, sort);
       }
 
       // Apply pagination after distance sorting
@@ -389,7 +338,8 @@ router.get("/", async (req, res) => {
     // --- CLINICS ---
     // Only search clinics if type is "all" or "clinics" (not when searching for ambulance specifically)
     if ((type === "all" || type === "clinics") && type !== "ambulance") {
-      let baseQuery = { isActive: true };
+      const nearby = await nearbyOf("clinic");
+      let baseQuery = { isActive: true, ...nearbyFilter(nearby) };
 
       let clinics;
       const clinicLocationFilter = buildLocationFilter(
@@ -398,47 +348,16 @@ router.get("/", async (req, res) => {
       );
 
       if (q) {
-        // Wildcard search for clinic names
-        const regex = buildSearchRegex(q);
-
-        // Find matching departments
-        let departmentIds = [];
-        try {
-          const deptDocs = await Department.find({
-            $or: [
-              { name: regex },
-              { heading: regex },
-              { specialization: regex },
-            ],
-            isActive: true,
-          }).select("_id");
-          departmentIds = deptDocs.map((d) => d._id);
-        } catch (e) {
-          departmentIds = [];
-        }
-
-        // Find doctors matching query or department
-        const doctorMatch = await Doctor.find({
-          isActive: true,
-          $or: [
-            { name: regex },
-            { specialization: regex },
-            departmentIds.length
-              ? { department: { $in: departmentIds } }
-              : null,
-          ].filter(Boolean),
-        }).select("_id");
-        const doctorIds = doctorMatch.map((d) => d._id);
+        // Clinics matching the query, or with a doctor who does
+        const [clinicIds, doctorIds] = await Promise.all([
+          matchingEntityIds("clinic", analysis),
+          matchingEntityIds("doctor", analysis),
+        ]);
 
         const searchQuery = {
           ...baseQuery,
           $or: [
-            { name: regex },
-            { services: { $in: [regex] } },
-            { facilities: { $in: [regex] } },
-            { place: regex },
-            { state: regex },
-            { address: regex },
+            { _id: { $in: clinicIds } },
             doctorIds.length ? { "doctors.doctor": { $in: doctorIds } } : null,
           ].filter(Boolean),
         };
@@ -451,7 +370,7 @@ router.get("/", async (req, res) => {
         clinics = await Clinic.find(searchQuery)
           .select("-reviews -__v")
           .populate("doctors.doctor", "name qualification experience")
-          .limit(lim * 3) // Get more results for distance sorting
+          .limit(fetchLimit)
           .lean();
       } else {
         const searchQuery = { ...baseQuery };
@@ -469,18 +388,14 @@ router.get("/", async (req, res) => {
         clinics = await Clinic.find(searchQuery)
           .select("-reviews -__v")
           .populate("doctors.doctor", "name qualification experience")
-          .limit(lim * 3) // Get more results for distance sorting
+          .limit(fetchLimit)
           .lean();
       }
 
-      // Add distance calculation and sort by distance
-      if (userLat && userLng) {
-        clinics = addDistanceToResults(clinics, userLat, userLng);
-        clinics = sortByDistance(clinics);
-        // Filter by max distance if coordinates are available
-        clinics = clinics.filter(
-          (c) => c.distance === null || c.distance <= parseInt(distance)
-        );
+      // Distance from the search point, nearest first unless sort says
+      // otherwise
+      if (nearby) {
+        clinics = applyDistances(clinics, nearby, sort);
       }
 
       // Apply pagination after distance sorting
@@ -491,7 +406,8 @@ router.get("/", async (req, res) => {
 
     // --- PATHOLOGIES ---
     if (type === "all" || type === "pathology") {
-      let baseQuery = { isActive: true };
+      const nearby = await nearbyOf("pathology");
+      let baseQuery = { isActive: true, ...nearbyFilter(nearby) };
       let pathologies;
       const pathologyLocationFilter = buildLocationFilter(
         ["place", "address", "city"],
@@ -499,18 +415,14 @@ router.get("/", async (req, res) => {
       );
 
       if (q) {
-        const regex = buildSearchRegex(q);
-
         const searchQuery = {
           ...baseQuery,
-          $or: [
-            { name: regex },
-            { category: regex },
-            { description: regex },
-            { "components.name": regex },
-            { place: regex },
-            { state: regex },
-          ],
+          _id: {
+            $in: withinRadius(
+              await matchingEntityIds("pathology", analysis),
+              nearby
+            ),
+          },
         };
 
         // Add location filter if present
@@ -519,7 +431,7 @@ router.get("/", async (req, res) => {
         }
 
         pathologies = await Pathology.find(searchQuery)
-          .limit(lim * 3) // Get more results for distance sorting
+          .limit(fetchLimit)
           .lean();
       } else {
         const searchQuery = { ...baseQuery };
@@ -530,18 +442,14 @@ router.get("/", async (req, res) => {
         }
 
         pathologies = await Pathology.find(searchQuery)
-          .limit(lim * 3) // Get more results for distance sorting
+          .limit(fetchLimit)
           .lean();
       }
 
-      // Add distance calculation and sort by distance
-      if (userLat && userLng) {
-        pathologies = addDistanceToResults(pathologies, userLat, userLng);
-        pathologies = sortByDistance(pathologies);
-        // Filter by max distance if coordinates are available
-        pathologies = pathologies.filter(
-          (p) => p.distance === null || p.distance <= parseInt(distance)
-        );
+      // Distance from the search point, nearest first unless sort says
+      // otherwise
+      if (nearby) {
+        pathologies = applyDistances(pathologies, nearby, sort);
       }
 
       // Apply pagination after distance sorting
@@ -552,7 +460,8 @@ router.get("/", async (req, res) => {
 
     // --- PHARMACIES ---
     if (type === "all" || type === "pharmacies") {
-      let baseQuery = { isActive: true };
+      const nearby = await nearbyOf("pharmacy");
+      let baseQuery = { isActive: true, ...nearbyFilter(nearby) };
 
       let pharmacies;
       const pharmacyLocationFilter = buildLocationFilter(
@@ -561,40 +470,25 @@ router.get("/", async (req, res) => {
       );
 
       if (q) {
-        const regex = buildSearchRegex(q);
-
-        try {
-          const searchQuery = {
-            $text: { $search: q },
-            ...baseQuery,
-          };
-
-          // Add location filter if present
-          if (Object.keys(pharmacyLocationFilter).length > 0) {
-            searchQuery.$and = [pharmacyLocationFilter];
-          }
-
-          pharmacies = await Pharmacy.find(searchQuery)
-            .select("-reviews -medications -__v")
-            .limit(lim * 3)
-            .lean();
-        } catch (error) {
-          // Fallback to manual search if text index fails
-          const searchQuery = {
-            ...baseQuery,
-            name: regex,
-          };
-
-          // Add location filter if present
-          if (Object.keys(pharmacyLocationFilter).length > 0) {
-            Object.assign(searchQuery, pharmacyLocationFilter);
-          }
+        const searchQuery = {
+          ...baseQuery,
+          _id: {
+            $in: withinRadius(
+              await matchingEntityIds("pharmacy", analysis),
+              nearby
+            ),
+          },
+        };
 
-          pharmacies = await Pharmacy.find(searchQuery)
-            .select("-reviews -medications -__v")
-            .limit(lim * 3)
-            .lean();
+        // Add location filter if present
+        if (Object.keys(pharmacyLocationFilter).length > 0) {
+          searchQuery.$and = [pharmacyLocationFilter];
         }
+
+        pharmacies = await Pharmacy.find(searchQuery)
+          .select("-reviews -medications -__v")
+          .limit(fetchLimit)
+          .lean();
       } else {
         const searchQuery = { ...baseQuery };
 
@@ -605,18 +499,14 @@ router.get("/", async (req, res) => {
 
         pharmacies = await Pharmacy.find(searchQuery)
           .select("-reviews -medications -__v")
-          .limit(lim * 3)
+          .limit(fetchLimit)
           .lean();
       }
 
-      // Add distance calculation and sort by distance
-      if (userLat && userLng) {
-        pharmacies = addDistanceToResults(pharmacies, userLat, userLng);
-        pharmacies = sortByDistance(pharmacies);
-        // Filter by max distance if coordinates are available
-        pharmacies = pharmacies.filter(
-          (p) => p.distance === null || p.distance <= parseInt(distance)
-        );
+      // Distance from the search point, nearest first unless sort says
+      // otherwise
+      if (nearby) {
+        pharmacies = applyDistances(pharmacies, nearby, sort);
       }
 
       // Apply pagination after distance sorting
@@ -628,7 +518,8 @@ router.get("/", async (req, res) => {
     // --- AMBULANCES ---
     // When type is "ambulance", ONLY search ambulances (not doctors/clinics)
     if (type === "ambulance" || type === "all") {
-      let baseQuery = { isActive: true };
+      const nearby = await nearbyOf("ambulance");
+      let baseQuery = { isActive: true, ...nearbyFilter(nearby) };
 
       let ambulances;
       // For ambulances, ONLY search by location (city, state, location)
@@ -640,12 +531,16 @@ router.get("/", async (req, res) => {
 
       // If query is provided, treat it as location search only (wildcard)
       if (q && !locationRegex) {
-        const regex = buildSearchRegex(q);
         ambulances = await Ambulance.find({
           ...baseQuery,
-          $or: [{ city: regex }, { state: regex }, { location: regex }],
+          _id: {
+            $in: withinRadius(
+              await matchingEntityIds("ambulance", analysis),
+              nearby
+            ),
+          },
         })
-          .limit(lim * 3)
+          .limit(fetchLimit)
           .lean();
       } else {
         const searchQuery = { ...baseQuery };
@@ -660,19 +555,13 @@ router.get("/", async (req, res) => {
           JSON.stringify(searchQuery, null, 2)
         );
 
-        ambulances = await Ambulance.find(searchQuery)
-          .limit(lim * 3)
-          .lean();
+        ambulances = await Ambulance.find(searchQuery).limit(fetchLimit).lean();
       }
 
-      // Add distance calculation and sort by distance
-      if (userLat && userLng) {
-        ambulances = addDistanceToResults(ambulances, userLat, userLng);
-        ambulances = sortByDistance(ambulances);
-        // Filter by max distance if coordinates are available
-        ambulances = ambulances.filter(
-          (a) => a.distance === null || a.distance <= parseInt(distance)
-        );
+      // Distance from the search point, nearest first unless sort says
+      // otherwise
+      if (nearby) {
+        ambulances = applyDistances(ambulances, nearby, sort);
       } else {
         // Sort by availability if no location provided
         ambulances = ambulances.sort((a, b) => {
@@ -708,11 +597,13 @@ router.get("/", async (req, res) => {
       totalResults,
       page: parseInt(page),
       limit: lim,
+      didYouMean: analysis ? analysis.didYouMean : null,
       query: {
         searchTerm: q,
         type,
         location: city || (lat && lng ? `${lat},${lng}` : null),
         filters: { specialization, experience, fee, rating, distance },
+        sort,
       },
     });
   } catch (error) {
@@ -725,22 +616,81 @@ router.get("/", async (req, res) => {
   }
 });
 
+// Ranked search: one list across doctors, clinics, labs, tests, pharmacies
+// and ambulances ordered by a common relevance score, with the points behind
+// each score. Accepts the same parameters as GET / (type may be a comma list).
+router.get("/ranked", async (req, res) => {
+  try {
+    const {
+      q = "",
+      type = "all",
+      lat,
+      lng,
+      city,
+      specialization,
+      experience,
+      fee,
+      rating,
+      distance = 50,
+      sort = "relevance",
+      limit = 20,
+      page = 1,
+    } = req.query;
+
+    const search = await rankedSearch({
+      q,
+      type,
+      lat,
+      lng,
+      city,
+      specialization,
+      experience,
+      fee,
+      rating,
+      distance,
+      sort,
+      limit,
+      page,
+    });
+
+    res.json({
+      success: true,
+      data: search.results,
+      counts: search.counts,
+      capped: search.capped,
+      pagination: search.pagination,
+      didYouMean: search.didYouMean,
+      query: {
+        searchTerm: q,
+        type,
+        location: city || (lat && lng ? `${lat},${lng}` : null),
+        filters: { specialization, experience, fee, rating, distance },
+        sort,
+        corrections: search.corrections,
+        synonyms: search.synonyms,
+      },
+    });
+  } catch (error) {
+    console.error("Ranked search error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Search failed",
+      error: error.message,
+    });
+  }
+});
+
 // Suggestions endpoint - allows shorter queries for better UX
 router.get("/suggestions", async (req, res) => {
   try {
     const { q, type = "all" } = req.query;
     const suggestions = [];
-    const hasQuery = typeof q === "string" && q.length > 0;
-    
-    // Normalize query to handle "Dr." with or without space for suggestions too
-    let normalizedQuery = q;
-    if (hasQuery) {
-      normalizedQuery = q.replace(/\b(Dr|dr)\.?\s*/gi, (match) => {
-        // Replace with pattern that matches "Dr" followed by optional "." and optional space
-        return 'Dr\\.?\\s*';
-      });
-    }
-    const regex = hasQuery ? new RegExp(normalizedQuery, "i") : null;
+    const hasQuery = typeof q === "string" && q.trim().length > 0;
+
+    // Typos and synonyms widen the match; "Dr." with or without a space is
+    // handled by buildSearchRegex
+    const analysis = hasQuery ? await analyzeQuery(q) : null;
+    const regex = hasQuery ? buildQueryRegex(q, analysis) : null;
 
     // Default suggestions when no query: show departments
     if (!hasQuery) {
@@ -759,62 +709,40 @@ router.get("/suggestions", async (req, res) => {
       return res.json({ suggestions });
     }
 
-    // Doctors
-    if (type === "all" || type === "doctors") {
-      const doctors = await Doctor.find(
-        hasQuery
-          ? {
-              isActive: true,
-              $or: [{ name: regex }, { specialization: regex }],
-            }
-          : { isActive: true }
-      )
-        .select("name specialization")
-        .limit(10);
-
-      doctors.forEach((doctor) => {
+    // Doctors, clinics, labs, pharmacies and ambulances come from the
+    // search index, labelled from the entity summary stored there
+    const addIndexed = async (entityType, subtext, text = (d) => d.name) => {
+      const docs = await suggestEntities(entityType, analysis);
+      docs.forEach((doc) => {
         suggestions.push({
-          type: "doctor",
-          text: `Dr. ${doctor.name}`,
-          subtext: doctor.specialization,
-          id: doctor._id,
+          type: entityType,
+          text: text(doc),
+          subtext: subtext(doc.summary),
+          id: doc.entityId,
         });
       });
+    };
+
+    // Doctors
+    if (type === "all" || type === "doctors") {
+      await addIndexed(
+        "doctor",
+        (d) => d.department?.heading || d.department?.name,
+        (d) => `Dr. ${d.name}`
+      );
     }
 
     // Clinics
     if (type === "all" || type === "clinics") {
-      const clinics = await Clinic.find(
-        hasQuery ? { isActive: true, name: regex } : { isActive: true }
-      )
-        .select("name address.city place state")
-        .limit(10);
-
-      clinics.forEach((clinic) => {
-        suggestions.push({
-          type: "clinic",
-          text: clinic.name,
-          subtext:
-            clinic.address?.city || clinic.place || clinic.state || "Clinic",
-          id: clinic._id,
-        });
-      });
+      await addIndexed("clinic", (c) => c.place || c.state || "Clinic");
     }
 
     // Departments
     if (type === "all" || type === "departments") {
-      const depts = await Department.find(
-        hasQuery
-          ? {
-              isActive: true,
-              $or: [
-                { name: regex },
-                { heading: regex },
-                { specialization: regex },
-              ],
-            }
-          : { isActive: true }
-      )
+      const depts = await Department.find({
+        isActive: true,
+        $or: [{ name: regex }, { heading: regex }, { specialization: regex }],
+      })
         .select("name heading specialization")
         .limit(10);
 
@@ -830,67 +758,26 @@ router.get("/suggestions", async (req, res) => {
 
     // Pathologies
     if (type === "all" || type === "pathology") {
-      const paths = await Pathology.find(
-        hasQuery
-          ? { isActive: true, $or: [{ name: regex }, { category: regex }] }
-          : { isActive: true }
-      )
-        .select("name category place state")
-        .limit(10);
-
-      paths.forEach((p) => {
-        suggestions.push({
-          type: "pathology",
-          text: p.name,
-          subtext: p.category || p.place || p.state || "Pathology",
-          id: p._id,
-        });
-      });
+      await addIndexed(
+        "pathology",
+        (p) => p.category || p.place || p.state || "Pathology"
+      );
     }
 
     // Pharmacies
     if (type === "all" || type === "pharmacies") {
-      const pharms = await Pharmacy.find(
-        hasQuery ? { isActive: true, name: regex } : { isActive: true }
-      )
-        .select("name address.city state")
-        .limit(10);
-
-      pharms.forEach((ph) => {
-        suggestions.push({
-          type: "pharmacy",
-          text: ph.name,
-          subtext: ph.address?.city || ph.state || "Pharmacy",
-          id: ph._id,
-        });
-      });
+      await addIndexed("pharmacy", (p) => p.place || p.state || "Pharmacy");
     }
 
     // Ambulances - only show when type is "all" or "ambulance"
     if (type === "all" || type === "ambulance") {
-      const ambulances = await Ambulance.find(
-        hasQuery
-          ? {
-              isActive: true,
-              // For ambulance suggestions, search by location (city, state, location)
-              $or: [{ city: regex }, { state: regex }, { location: regex }],
-            }
-          : { isActive: true }
-      )
-        .select("name city state location")
-        .limit(10);
-
-      ambulances.forEach((ambulance) => {
-        suggestions.push({
-          type: "ambulance",
-          text: ambulance.name,
-          subtext: ambulance.city || ambulance.state || "Ambulance",
-          id: ambulance._id,
-        });
-      });
+      await addIndexed("ambulance", (a) => a.city || a.state || "Ambulance");
     }
 
-    res.json({ suggestions: suggestions.slice(0, 15) });
+    res.json({
+      suggestions: suggestions.slice(0, 15),
+      didYouMean: analysis.didYouMean,
+    });
   } catch (error) {
     res.status(500).json({
       success: false,
@@ -0,0 +1,286 @@
+const express = require("express");
+const WaitlistEntry = require("../models/WaitlistEntry");
+const Doctor = require("../models/Doctor");
+const { auth, adminAuth } = require("../middleware/auth");
+const { createActivity } = require("../utils/activity");
+const { getDayBounds } = require("../utils/slotReservation");
+const { acceptOffer, passOnOffer } = require("../utils/waitlist");
+const { notifyBookingParties } = require("../utils/inbox");
+
+const router = express.Router();
+
+// Join the waitlist for a doctor/clinic/day
+router.post("/", auth, async (req, res) => {
+  try {
+    const {
+      doctorId,
+      clinicId,
+      date,
+      preferredTime,
+      patientDetails = {},
+      symptoms,
+      reasonForVisit,
+    } = req.body;
+
+    if (!doctorId || !date) {
+      return res.status(400).json({
+        success: false,
+        message: "doctorId and date are required",
+      });
+    }
+
+    const { start } = getDayBounds(date);
+    if (start < getDayBounds(new Date()).start) {
+      return res.status(400).json({
+        success: false,
+        message: "Cannot join the waitlist for a past date",
+      });
+    }
+
+    const doctor = await Doctor.findById(doctorId).select("name clinicDetails");
+    if (!doctor) {
+      return res.status(404).json({
+        success: false,
+        message: "Doctor not found",
+      });
+    }
+    if (
+      clinicId &&
+      !(doctor.clinicDetails || []).some(
+        (cd) => cd.clinic && cd.clinic.toString() === clinicId
+      )
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "Doctor is not associated with the selected clinic",
+      });
+    }
+
+    const existing = await WaitlistEntry.findOne({
+      patient: req.user.id,
+      doctor: doctorId,
+      clinic: clinicId || null,
+      date: start,
+      status: { $in: ["waiting", "offered"] },
+    });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: "You are already on the waitlist for this day",
+        entry: existing,
+      });
+    }
+
+    const entry = new WaitlistEntry({
+      patient: req.user.id,
+      doctor: doctorId,
+      clinic: clinicId || null,
+      date: start,
+      preferredTime: preferredTime || null,
+      patientDetails: {
+        ...patientDetails,
+        name:
+          patientDetails.patientName ||
+          patientDetails.name ||
+          `${req.user.firstName} ${req.user.lastName}`,
+        email: patientDetails.email || req.user.email,
+        phone: patientDetails.phone || req.user.phone,
+      },
+      symptoms,
+      reasonForVisit,
+    });
+    await entry.save();
+
+    const position = await WaitlistEntry.countDocuments({
+      doctor: doctorId,
+      clinic: clinicId || null,
+      date: start,
+      status: "waiting",
+      createdAt: { $lte: entry.createdAt },
+    });
+
+    await createActivity({
+      type: "waitlist_joined",
+      message: `Patient joined waitlist for Dr. ${doctor.name}`,
+      user: req.user.id,
+      targetId: entry._id,
+      targetModel: "WaitlistEntry",
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Added to waitlist",
+      entry,
+      position,
+    });
+  } catch (error) {
+    console.error("Join waitlist error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to join waitlist",
+      error: error.message,
+    });
+  }
+});
+
+// Get current user's waitlist entries
+router.get("/my", auth, async (req, res) => {
+  try {
+    const entries = await WaitlistEntry.find({ patient: req.user.id })
+      .populate("doctor", "name specialization imageUrl")
+      .populate("clinic", "name address")
+      .populate("booking", "bookingId appointmentDate appointmentTime status")
+      .sort({ createdAt: -1 })
+      .limit(50);
+
+    res.json({ success: true, entries });
+  } catch (error) {
+    console.error("Get my waitlist error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch waitlist",
+      error: error.message,
+    });
+  }
+});
+
+// Get waitlist (Admin only)
+router.get("/", adminAuth, async (req, res) => {
+  try {
+    const {
+      doctorId,
+      clinicId,
+      date,
+      status,
+      page = 1,
+      limit = 50,
+    } = req.query;
+
+    const query = {};
+    if (doctorId) query.doctor = doctorId;
+    if (clinicId) query.clinic = clinicId;
+    if (status && status !== "all") query.status = status;
+    if (date) {
+      const { start, end } = getDayBounds(date);
+      query.date = { $gte: start, $lt: end };
+    }
+
+    const entries = await WaitlistEntry.find(query)
+      .populate("doctor", "name")
+      .populate("clinic", "name")
+      .populate("patient", "firstName lastName phone")
+      .sort({ date: 1, createdAt: 1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await WaitlistEntry.countDocuments(query);
+
+    res.json({
+      success: true,
+      entries,
+      pagination: {
+        total,
+        page: parseInt(page),
+        pages: Math.ceil(total / limit),
+        limit: parseInt(limit),
+      },
+    });
+  } catch (error) {
+    console.error("Get waitlist error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch waitlist",
+      error: error.message,
+    });
+  }
+});
+
+// Accept a held slot offer and turn it into a booking
+router.post("/:id/accept", auth, async (req, res) => {
+  try {
+    const result = await acceptOffer(req.params.id, req.user);
+    if (!result.success) {
+      return res
+        .status(result.status)
+        .json({ success: false, message: result.message });
+    }
+
+    await notifyBookingParties(result.booking, "booking_created", req.user.id);
+
+    await createActivity({
+      type: "appointment_booked",
+      message: `Waitlist slot booked (${result.booking.bookingId})`,
+      user: req.user.id,
+      targetId: result.booking._id,
+      targetModel: "Booking",
+    });
+
+    await result.booking.populate([
+      { path: "doctor", select: "name specialization consultationFee" },
+      { path: "patient", select: "firstName lastName email phone" },
+    ]);
+
+    res.status(201).json({
+      success: true,
+      message: "Appointment booked successfully",
+      booking: result.booking,
+    });
+  } catch (error) {
+    console.error("Accept waitlist offer error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to accept offer",
+      error: error.message,
+    });
+  }
+});
+
+// Leave the waitlist (or decline a held offer, passing it to the next patient)
+router.delete("/:id", auth, async (req, res) => {
+  try {
+    const entry = await WaitlistEntry.findById(req.params.id);
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: "Waitlist entry not found",
+      });
+    }
+
+    const canRemove =
+      entry.patient.toString() === req.user.id ||
+      ["admin", "superuser"].includes(req.user.role);
+    if (!canRemove) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied",
+      });
+    }
+
+    const cancelled = await WaitlistEntry.findOneAndUpdate(
+      { _id: entry._id, status: { $in: ["waiting", "offered"] } },
+      { status: "cancelled" }
+    );
+    if (!cancelled) {
+      return res.status(400).json({
+        success: false,
+        message: `Waitlist entry is already ${entry.status}`,
+      });
+    }
+
+    // findOneAndUpdate returns the pre-update document
+    if (cancelled.status === "offered") {
+      await passOnOffer(cancelled);
+    }
+
+    res.json({ success: true, message: "Removed from waitlist" });
+  } catch (error) {
+    console.error("Leave waitlist error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to leave waitlist",
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,110 @@
+// Fill in missing coordinates of clinics, pharmacies, pathology labs and
+// ambulances from their address and PIN code, using the bundled dataset
+// (data/india-pincodes.json). New and edited records are geocoded by the
+// model hooks; this covers records saved before that.
+//
+//   node scripts/backfill-coordinates.js
+//   node scripts/backfill-coordinates.js --models=Clinic,Pharmacy --dry-run
+//
+// Records that already have coordinates but no coordinatesPrecision are
+// marked "precise". --refresh also re-estimates coordinates that are
+// estimates, e.g. after importing a fuller PIN code list.
+
+require("dotenv").config();
+const mongoose = require("mongoose");
+
+const Clinic = require("../models/Clinic");
+const Pharmacy = require("../models/Pharmacy");
+const Pathology = require("../models/Pathology");
+const Ambulance = require("../models/Ambulance");
+const { ESTIMATED_PRECISIONS } = require("../utils/geocoding");
+const { hasCoordinates } = require("../utils/geo");
+const { flushSearchIndex } = require("../utils/searchIndex");
+
+const MODELS = { Clinic, Pharmacy, Pathology, Ambulance };
+
+const arg = (name) => {
+  const prefix = `--${name}=`;
+  const found = process.argv.find((a) => a.startsWith(prefix));
+  return found ? found.slice(prefix.length) : undefined;
+};
+
+async function backfill(Model, { dryRun, refresh }) {
+  const counts = { precise: 0, geocoded: 0, unmatched: 0 };
+  const filter = refresh
+    ? {
+        $or: [
+          { coordinatesPrecision: { $exists: false } },
+          { coordinatesPrecision: { $in: ESTIMATED_PRECISIONS } },
+        ],
+      }
+    : { coordinatesPrecision: { $exists: false } };
+
+  const cursor = Model.find(filter).lean().cursor();
+  for await (const record of cursor) {
+    let update;
+    if (hasCoordinates(record.coordinates) && !record.coordinatesPrecision) {
+      update = { coordinatesPrecision: "precise" };
+      counts.precise++;
+    } else {
+      const result = Model.geocodeRecord(record);
+      if (!result) {
+        counts.unmatched++;
+        continue;
+      }
+      update = {
+        coordinates: result.coordinates,
+        coordinatesPrecision: result.precision,
+      };
+      counts.geocoded++;
+    }
+    // Going through mongoose keeps the search index in sync
+    if (!dryRun) await Model.updateOne({ _id: record._id }, { $set: update });
+  }
+  return counts;
+}
+
+async function run() {
+  const uri =
+    process.env.MONGODB_URI ||
+    process.env.MONGO_URI ||
+    "mongodb://127.0.0.1:27017/healthcare";
+  await mongoose.connect(uri, { dbName: process.env.MONGODB_DB || undefined });
+
+  const names = arg("models")
+    ? arg("models")
+        .split(",")
+        .map((m) => m.trim())
+    : Object.keys(MODELS);
+  const unknown = names.filter((m) => !MODELS[m]);
+  if (unknown.length) {
+    throw new Error(
+      `Unknown model(s): ${unknown.join(", ")}. Use ${Object.keys(MODELS).join(
+        ", "
+      )}`
+    );
+  }
+
+  const options = {
+    dryRun: process.argv.includes("--dry-run"),
+    refresh: process.argv.includes("--refresh"),
+  };
+  for (const name of names) {
+    const counts = await backfill(MODELS[name], options);
+    // eslint-disable-next-line no-console
+    console.log(
+      `${name}: ${counts.geocoded} geocoded, ${counts.precise} marked precise, ${counts.unmatched} without a match` +
+        (options.dryRun ? " (dry run, nothing written)" : "")
+    );
+  }
+
+  // Index updates from the writes above are batched; finish them first
+  await flushSearchIndex();
+  await mongoose.disconnect();
+}
+
+run().catch((err) => {
+  // eslint-disable-next-line no-console
+  console.error("Backfill failed:", err);
+  process.exit(1);
+});
@@ -0,0 +1,39 @@
+const mongoose = require("mongoose");
+const ScheduleTemplate = require("../models/ScheduleTemplate");
+const { materializeSchedule } = require("../utils/scheduleGenerator");
+require("dotenv").config();
+
+// Roll every active schedule template forward. Intended to run daily (cron)
+// so each doctor always has `windowDays` of date-wise slots ahead.
+async function generateSchedules() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log("Connected to MongoDB");
+
+    const targets = await ScheduleTemplate.aggregate([
+      { $match: { isActive: true } },
+      { $group: { _id: { doctor: "$doctor", clinic: "$clinic" } } },
+    ]);
+    console.log(`Found ${targets.length} doctor/clinic schedules to generate`);
+
+    for (const { _id: target } of targets) {
+      const result = await materializeSchedule({
+        doctorId: target.doctor,
+        clinicId: target.clinic,
+      });
+      const label = `${target.doctor}${target.clinic ? ` @ ${target.clinic}` : ""}`;
+      if (result.success) {
+        console.log(`- ${label}: generated ${result.days} days`);
+      } else {
+        console.warn(`- ${label}: skipped (${result.message})`);
+      }
+    }
+  } catch (error) {
+    console.error("Error generating schedules:", error);
+  } finally {
+    await mongoose.disconnect();
+    console.log("Disconnected from MongoDB");
+  }
+}
+
+generateSchedules();
@@ -0,0 +1,156 @@
+// Refresh the PIN code centroids in data/india-pincodes.json from the India
+// Post "All India Pincode Directory" CSV (data.gov.in). The bundled table
+// covers most PIN codes already; this adds new ones and updates the rest.
+//
+//   node scripts/import-pincodes.js path/to/pincode-directory.csv
+//
+// Every post office row with a latitude and longitude is averaged into its
+// PIN code's centroid; district names are added as localities when missing.
+
+const fs = require("fs");
+const path = require("path");
+
+const DATA_FILE = path.join(__dirname, "../data/india-pincodes.json");
+
+// Split one CSV line, allowing quoted values with commas and "" escapes
+const parseLine = (line) => {
+  const cells = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      cells.push(cell);
+      cell = "";
+    } else {
+      cell += ch;
+    }
+  }
+  cells.push(cell);
+  return cells.map((c) => c.trim());
+};
+
+const round = (n) => Math.round(n * 10000) / 10000;
+
+// The dataset's layout: one table entry per line, so diffs stay readable
+const formatDataset = (data) => {
+  const table = (entries) => {
+    const lines = Object.entries(entries).map(
+      ([key, value]) => `    ${JSON.stringify(key)}: ${JSON.stringify(value)}`
+    );
+    return lines.length ? `{\n${lines.join(",\n")}\n  }` : "{}";
+  };
+  const fields = Object.entries(data).map(
+    ([key, value]) =>
+      `  ${JSON.stringify(key)}: ${
+        value && typeof value === "object" && !Array.isArray(value)
+          ? table(value)
+          : JSON.stringify(value)
+      }`
+  );
+  return `{\n${fields.join(",\n")}\n}\n`;
+};
+
+const lowerName = (value) =>
+  String(value || "")
+    .toLowerCase()
+    .replace(/&/g, " and ")
+    .replace(/[^a-z\s]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+
+function run() {
+  const file = process.argv[2];
+  if (!file) {
+    throw new Error("Usage: node scripts/import-pincodes.js <directory.csv>");
+  }
+
+  const lines = fs.readFileSync(file, "utf8").split(/\r?\n/);
+  const header = parseLine(lines[0]).map((h) => h.toLowerCase());
+  const column = (name) => {
+    const index = header.indexOf(name);
+    if (index === -1) throw new Error(`CSV has no "${name}" column`);
+    return index;
+  };
+  const cols = {
+    pincode: column("pincode"),
+    district: column("district"),
+    state: column("statename"),
+    latitude: column("latitude"),
+    longitude: column("longitude"),
+  };
+
+  // pincode -> running sums, district|state -> running sums
+  const pins = new Map();
+  const districts = new Map();
+  const add = (map, key, lng, lat) => {
+    const sum = map.get(key) || { lng: 0, lat: 0, n: 0 };
+    sum.lng += lng;
+    sum.lat += lat;
+    sum.n++;
+    map.set(key, sum);
+  };
+
+  let skipped = 0;
+  for (const line of lines.slice(1)) {
+    if (!line.trim()) continue;
+    const cells = parseLine(line);
+    const pin = cells[cols.pincode];
+    const lat = parseFloat(cells[cols.latitude]);
+    const lng = parseFloat(cells[cols.longitude]);
+    // Rows without a location, or with one outside India, are left out
+    if (
+      !/^[1-9]\d{5}$/.test(pin) ||
+      !(lat >= 6 && lat <= 38) ||
+      !(lng >= 68 && lng <= 98)
+    ) {
+      skipped++;
+      continue;
+    }
+    add(pins, pin, lng, lat);
+    const district = lowerName(cells[cols.district]);
+    const state = lowerName(cells[cols.state]);
+    if (district && state) add(districts, `${district}|${state}`, lng, lat);
+  }
+
+  const centre = (sum) => [round(sum.lng / sum.n), round(sum.lat / sum.n)];
+  const data = JSON.parse(fs.readFileSync(DATA_FILE, "utf8"));
+  pins.forEach((sum, pin) => {
+    data.pincodes[pin] = centre(sum);
+  });
+  data.pincodes = Object.fromEntries(
+    Object.entries(data.pincodes).sort(([a], [b]) => a.localeCompare(b))
+  );
+  let localities = 0;
+  for (const [key, sum] of districts) {
+    if (!data.localities[key]) {
+      data.localities[key] = centre(sum);
+      localities++;
+    }
+  }
+
+  fs.writeFileSync(DATA_FILE, formatDataset(data));
+  // eslint-disable-next-line no-console
+  console.log(
+    `Imported ${pins.size} PIN codes and ${localities} new localities (${skipped} rows skipped).`
+  );
+}
+
+try {
+  run();
+} catch (err) {
+  // eslint-disable-next-line no-console
+  console.error("Import failed:", err.message);
+  process.exit(1);
+}
@@ -0,0 +1,106 @@
+// Migration: move medications embedded in Pharmacy documents into the
+// PharmacyInventory collection, keeping their _ids so existing pharmacy
+// orders still resolve. The old array is removed afterwards.
+//
+// The embedded list had no stock counts. Pass an opening stock to give each
+// available item a starting batch:
+//   node scripts/migrate-pharmacy-inventory.js --opening-stock=50 --opening-expiry=2027-12-31
+
+require("dotenv").config();
+const mongoose = require("mongoose");
+
+const Pharmacy = require("../models/Pharmacy");
+const PharmacyInventory = require("../models/PharmacyInventory");
+
+const arg = (name) => {
+  const prefix = `--${name}=`;
+  const found = process.argv.find((a) => a.startsWith(prefix));
+  return found ? found.slice(prefix.length) : undefined;
+};
+
+async function run() {
+  const uri =
+    process.env.MONGODB_URI ||
+    process.env.MONGO_URI ||
+    "mongodb://127.0.0.1:27017/healthcare";
+  await mongoose.connect(uri, { dbName: process.env.MONGODB_DB || undefined });
+
+  const openingStock = parseInt(arg("opening-stock"), 10) || 0;
+  const openingExpiry = arg("opening-expiry");
+  if (openingStock && isNaN(new Date(openingExpiry).getTime())) {
+    throw new Error("--opening-expiry=YYYY-MM-DD is required with stock");
+  }
+
+  // Read the raw documents; medications is no longer in the schema
+  const pharmacies = await Pharmacy.collection
+    .find({ "medications.0": { $exists: true } })
+    .project({ name: 1, medications: 1 })
+    .toArray();
+
+  let created = 0;
+  let skipped = 0;
+  for (const pharmacy of pharmacies) {
+    const seen = new Set();
+    for (const med of pharmacy.medications) {
+      const key = String(med.name || "")
+        .trim()
+        .toLowerCase();
+      if (!key || seen.has(key)) {
+        skipped++;
+        continue;
+      }
+      seen.add(key);
+
+      const exists = await PharmacyInventory.exists({
+        pharmacy: pharmacy._id,
+        nameKey: key,
+      });
+      if (exists) {
+        skipped++;
+        continue;
+      }
+
+      const available = med.availability !== false;
+      await PharmacyInventory.create({
+        _id: med._id,
+        pharmacy: pharmacy._id,
+        name: med.name,
+        category: med.category,
+        price: med.price,
+        availability: available,
+        requiresPrescription: Boolean(med.requiresPrescription),
+        batches:
+          available && openingStock
+            ? [
+                {
+                  batchNumber: "OPENING",
+                  expiryDate: new Date(openingExpiry),
+                  quantity: openingStock,
+                },
+              ]
+            : [],
+      });
+      created++;
+    }
+  }
+
+  if (pharmacies.length) {
+    await Pharmacy.collection.updateMany(
+      { _id: { $in: pharmacies.map((p) => p._id) } },
+      { $unset: { medications: "" } }
+    );
+  }
+
+  // eslint-disable-next-line no-console
+  console.log(
+    `Migration complete. Pharmacies: ${pharmacies.length}, Created: ${created}, Skipped: ${skipped}`
+  );
+
+  await mongoose.disconnect();
+}
+
+run().catch((err) => {
+  // eslint-disable-next-line no-console
+  console.error("Migration failed:", err);
+  process.exit(1);
+});
@@ -0,0 +1,120 @@
+// Rebuild the SearchDocument collection from the source collections. Model
+// hooks keep it current afterwards; rerun after bulk imports or direct
+// database edits that bypass mongoose.
+//
+//   node scripts/rebuild-search-index.js
+//   node scripts/rebuild-search-index.js --types=doctor,clinic
+//
+// Text indexes whose fields no longer match the schema are always replaced:
+// MongoDB allows one text index per collection, so the new one can't build
+// while the old one exists. --sync-indexes also brings the other indexes of
+// the source models in line with their schemas.
+
+require("dotenv").config();
+const mongoose = require("mongoose");
+
+require("../models/Doctor");
+require("../models/Clinic");
+require("../models/Department");
+require("../models/Pathology");
+require("../models/Test");
+require("../models/Pharmacy");
+require("../models/Ambulance");
+const SearchDocument = require("../models/SearchDocument");
+const { ENTITY_TYPES, rebuildIndex } = require("../utils/searchIndex");
+
+const arg = (name) => {
+  const prefix = `--${name}=`;
+  const found = process.argv.find((a) => a.startsWith(prefix));
+  return found ? found.slice(prefix.length) : undefined;
+};
+
+// Drop a stored text index whose fields differ from the schema's and build
+// the schema's instead. Returns the dropped index name, if any.
+async function replaceTextIndex(Model) {
+  const definition = Model.schema
+    .indexes()
+    .map(([fields]) => fields)
+    .find((fields) => Object.values(fields).includes("text"));
+  if (!definition) return null;
+  const fields = Object.keys(definition)
+    .filter((f) => definition[f] === "text")
+    .sort()
+    .join();
+
+  let indexes;
+  try {
+    indexes = await Model.collection.indexes();
+  } catch (error) {
+    // Nothing to replace in a collection that doesn't exist yet
+    if (error.codeName === "NamespaceNotFound") return null;
+    throw error;
+  }
+  const stale = indexes.find(
+    (index) =>
+      index.key._fts === "text" &&
+      Object.keys(index.weights || {})
+        .sort()
+        .join() !== fields
+  );
+  if (!stale) return null;
+
+  await Model.collection.dropIndex(stale.name);
+  await Model.createIndexes();
+  return stale.name;
+}
+
+async function run() {
+  const uri =
+    process.env.MONGODB_URI ||
+    process.env.MONGO_URI ||
+    "mongodb://127.0.0.1:27017/healthcare";
+  await mongoose.connect(uri, { dbName: process.env.MONGODB_DB || undefined });
+
+  const types = arg("types")
+    ? arg("types")
+        .split(",")
+        .map((t) => t.trim())
+    : Object.keys(ENTITY_TYPES);
+  const unknown = types.filter((t) => !ENTITY_TYPES[t]);
+  if (unknown.length) {
+    throw new Error(
+      `Unknown type(s): ${unknown.join(", ")}. Use ${Object.keys(
+        ENTITY_TYPES
+      ).join(", ")}`
+    );
+  }
+
+  await SearchDocument.syncIndexes();
+  const models = [...new Set(Object.values(ENTITY_TYPES).map((t) => t.model))];
+  for (const name of models) {
+    const dropped = await replaceTextIndex(mongoose.model(name));
+    if (dropped) {
+      // eslint-disable-next-line no-console
+      console.log(`${name}: replaced outdated text index ${dropped}`);
+    }
+  }
+  if (process.argv.includes("--sync-indexes")) {
+    for (const type of types) {
+      await mongoose.model(ENTITY_TYPES[type].model).syncIndexes();
+    }
+  }
+
+  const counts = await rebuildIndex(types);
+
+  // eslint-disable-next-line no-console
+  console.log(
+    "Search index rebuilt.",
+    Object.entries(counts)
+      .map(([type, c]) => `${type}: ${c.indexed} indexed, ${c.removed} removed`)
+      .join("; ")
+  );
+
+  await mongoose.disconnect();
+}
+
+run().catch((err) => {
+  // eslint-disable-next-line no-console
+  console.error("Rebuild failed:", err);
+  process.exit(1);
+});
@@ -12,6 +12,16 @@ dotenv.config();
 // Connect to MongoDB
 connectDB();
 
+// Expire waitlist slot holds in the background once DB is connected
+mongoose.connection.once("open", () => {
+  require("./utils/waitlist").startWaitlistSweeper();
+  // Load job handlers before the scheduler starts picking up persisted jobs
+  require("./utils/notifications");
+  require("./utils/reminders");
+  require("./utils/payments");
+  require("./utils/jobScheduler").startScheduler();
+});
+
 // Drop obsolete indexes once DB is connected (idempotent)
 mongoose.connection.once("open", async () => {
   try {
@@ -95,11 +105,26 @@ const app = express();
 
 // Middleware
 // Allow primitive JSON values (e.g., "null") to avoid body-parser strict errors for DELETE
-app.use(express.json({ limit: "10mb", strict: false }));
+// Payment webhooks keep the raw body for signature verification
+app.use(
+  express.json({
+    limit: "10mb",
+    strict: false,
+    verify: (req, res, buf) => {
+      if (req.originalUrl.startsWith("/api/payments/webhook")) {
+        req.rawBody = buf;
+      }
+    },
+  })
+);
 app.use(express.urlencoded({ extended: true, limit: "10mb" }));
 app.use(morgan("combined"));
 
 // Serve static files for uploads
+// Prescriptions are private; they're served through /api/pharmacy-orders
+app.use("/uploads/prescriptions", (req, res) => {
+  res.status(404).json({ success: false, message: "Not found" });
+});
 app.use("/uploads", express.static(path.join(__dirname, "uploads")));
 app.use(
   "/sources",
@@ -137,17 +162,28 @@ app.use("/api/auth", require("./routes/auth"));
 app.use("/api/users", require("./routes/users"));
 app.use("/api/patients", require("./routes/patients"));
 app.use("/api/doctors", require("./routes/doctors"));
+app.use("/api/schedule-templates", require("./routes/scheduleTemplates"));
+app.use("/api/leaves", require("./routes/leaves"));
+app.use("/api/waitlist", require("./routes/waitlist"));
 app.use("/api/clinics", require("./routes/clinics"));
 app.use("/api/pharmacies", require("./routes/pharmacies"));
+app.use("/api/pharmacy-orders", require("./routes/pharmacyOrders"));
 app.use("/api/pathology", require("./routes/pathology"));
 app.use("/api/pathologies", require("./routes/pathology")); // Admin panel uses plural
 app.use("/api/tests", require("./routes/tests"));
+app.use("/api/lab-orders", require("./routes/labOrders"));
+app.use("/api/lab-reports", require("./routes/labReports"));
 app.use("/api/departments", require("./routes/department"));
 app.use("/api/bookings", require("./routes/bookings"));
+app.use("/api/payments", require("./routes/payments"));
+app.use("/api/cancellation-policies", require("./routes/cancellationPolicies"));
+app.use("/api/invoices", require("./routes/invoices"));
 app.use("/api/ambulances", require("./routes/ambulances"));
+app.use("/api/ambulance-requests", require("./routes/ambulanceRequests"));
 app.use("/api/banners", require("./routes/banners"));
 app.use("/api/faqs", require("./routes/faqs"));
 app.use("/api/access-requests", require("./routes/accessRequests"));
+app.use("/api/notifications", require("./routes/notifications"));
 app.use("/api/dashboard", require("./routes/dashboard"));
 app.use("/api/search", require("./routes/search"));
 app.use("/api/reviews", require("./routes/reviews"));
@@ -1,5 +1,11 @@
+const EventEmitter = require("events");
 const Activity = require("../models/Activity");
 
+// Emits "created" with each saved activity (user populated) for live feeds
+const activityEvents = new EventEmitter();
+// One listener per open dashboard stream
+activityEvents.setMaxListeners(0);
+
 const createActivity = async ({
   type,
   message,
@@ -23,6 +29,11 @@ const createActivity = async ({
     });
 
     await activity.save();
+
+    if (activityEvents.listenerCount("created") > 0) {
+      await activity.populate("user", "firstName lastName username role");
+      activityEvents.emit("created", activity);
+    }
     return activity;
   } catch (error) {
     console.error("Failed to create activity log:", error);
@@ -61,6 +72,7 @@ const getUserActivity = async (userId, limit = 20) => {
 };
 
 module.exports = {
+  activityEvents,
   createActivity,
   getRecentActivity,
   getUserActivity,
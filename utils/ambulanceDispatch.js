@@ -0,0 +1,230 @@
+const Ambulance = require("../models/Ambulance");
+const AmbulanceRequest = require("../models/AmbulanceRequest");
+const { createNotification } = require("./inbox");
+const { createActivity } = require("./activity");
+
+// Status each request status may move to. An assigned request can go back
+// to "requested" if the operator unassigns the ambulance.
+const AMBULANCE_REQUEST_TRANSITIONS = {
+  requested: ["assigned", "cancelled"],
+  assigned: ["en_route", "requested", "cancelled"],
+  en_route: ["arrived", "cancelled"],
+  arrived: ["completed"],
+  completed: [],
+  cancelled: [],
+};
+
+// Requests that still hold (or are waiting for) an ambulance
+const ACTIVE_STATUSES = ["requested", "assigned", "en_route", "arrived"];
+
+// Statuses that hand the ambulance back to the pool
+const RELEASING_STATUSES = ["requested", "completed", "cancelled"];
+
+const STATUS_MESSAGES = {
+  requested: "We're finding another ambulance for you.",
+  assigned: "An ambulance has been assigned to your request.",
+  en_route: "Your ambulance is on the way.",
+  arrived: "Your ambulance has arrived at the pickup point.",
+  completed: "Your ambulance trip is complete.",
+  cancelled: "Your ambulance request was cancelled.",
+};
+
+const STATUS_DATES = {
+  arrived: "arrivedAt",
+  completed: "completedAt",
+  cancelled: "cancelledAt",
+};
+
+const canTransition = (from, to) =>
+  (AMBULANCE_REQUEST_TRANSITIONS[from] || []).includes(to);
+
+// Available ambulances nearest to [lng, lat], with distance in km.
+// `vehicleType` limits the search to BLS, ALS or ICU vehicles.
+const findNearestAmbulances = async (
+  [lng, lat],
+  { radiusKm = 25, limit = 5, vehicleType } = {}
+) => {
+  const ambulances = await Ambulance.aggregate([
+    {
+      $geoNear: {
+        near: { type: "Point", coordinates: [lng, lat] },
+        distanceField: "distance",
+        maxDistance: radiusKm * 1000,
+        spherical: true,
+        // [0, 0] is the model default for ambulances without a location;
+        // city or district centre estimates aren't a location either
+        query: {
+          isActive: true,
+          isAvailable: true,
+          coordinates: { $ne: [0, 0] },
+          coordinatesPrecision: { $nin: ["district", "locality"] },
+          ...(vehicleType && { vehicleType }),
+        },
+      },
+    },
+    { $limit: limit },
+    {
+      $project: {
+        name: 1,
+        vehicleNumber: 1,
+        driverName: 1,
+        driverPhone: 1,
+        phone: 1,
+        city: 1,
+        coordinates: 1,
+        vehicleType: 1,
+        equipment: 1,
+        is24Hours: 1,
+        baseRate: 1,
+        includedKm: 1,
+        perKmRate: 1,
+        nightSurchargePercent: 1,
+        distance: 1,
+      },
+    },
+  ]);
+
+  return ambulances.map((a) => ({
+    ...a,
+    distance: parseFloat((a.distance / 1000).toFixed(2)),
+  }));
+};
+
+const notifyAndLog = async (request, status, actorId) => {
+  await createNotification({
+    recipient: request.patient,
+    type: "ambulance_request_updated",
+    title: `Ambulance request ${request.requestId}`,
+    message: STATUS_MESSAGES[status],
+    targetId: request._id,
+    targetModel: "AmbulanceRequest",
+    actor: actorId,
+  });
+
+  await createActivity({
+    type:
+      status === "cancelled"
+        ? "ambulance_request_cancelled"
+        : "ambulance_request_updated",
+    message: `Ambulance request ${request.requestId} status updated to ${status}`,
+    user: actorId,
+    targetId: request._id,
+    targetModel: "AmbulanceRequest",
+  });
+};
+
+// Dispatch an ambulance to a waiting request. The ambulance is claimed by
+// flipping isAvailable so it can't be sent to two requests at once.
+const assignAmbulance = async (request, ambulanceId, { actorId } = {}) => {
+  if (request.status !== "requested") {
+    return {
+      success: false,
+      status: 400,
+      message: `Cannot assign an ambulance to a ${request.status} request`,
+    };
+  }
+
+  const ambulance = await Ambulance.findOneAndUpdate(
+    { _id: ambulanceId, isActive: true, isAvailable: true },
+    { isAvailable: false },
+    { new: true }
+  );
+  if (!ambulance) {
+    return {
+      success: false,
+      status: 409,
+      message: "Ambulance is not available",
+    };
+  }
+
+  const updated = await AmbulanceRequest.findOneAndUpdate(
+    { _id: request._id, status: "requested" },
+    {
+      status: "assigned",
+      ambulance: ambulance._id,
+      assignedBy: actorId,
+      assignedAt: new Date(),
+      $push: {
+        statusHistory: {
+          status: "assigned",
+          note: `${ambulance.name} (${ambulance.vehicleNumber})`,
+          changedBy: actorId,
+        },
+      },
+    },
+    { new: true }
+  );
+  if (!updated) {
+    await Ambulance.updateOne({ _id: ambulance._id }, { isAvailable: true });
+    return {
+      success: false,
+      status: 409,
+      message: "Request was updated concurrently, please retry",
+    };
+  }
+
+  await notifyAndLog(updated, "assigned", actorId);
+  return { success: true, request: updated, ambulance };
+};
+
+// Move a request to `status`. Completing, cancelling or unassigning hands
+// the ambulance back to the pool.
+const updateRequestStatus = async (request, status, { actorId, note } = {}) => {
+  if (status === "assigned") {
+    return {
+      success: false,
+      status: 400,
+      message: "Use assign to dispatch an ambulance",
+    };
+  }
+  if (!canTransition(request.status, status)) {
+    return {
+      success: false,
+      status: 400,
+      message: `Cannot move a request from ${request.status} to ${status}`,
+    };
+  }
+
+  const update = {
+    status,
+    $push: { statusHistory: { status, note, changedBy: actorId } },
+  };
+  if (STATUS_DATES[status]) update[STATUS_DATES[status]] = new Date();
+  if (status === "cancelled") update.cancellationReason = note;
+  if (status === "requested") {
+    update.$unset = { ambulance: "", assignedBy: "", assignedAt: "" };
+  }
+
+  // Conditional on the current status so concurrent updates can't skip a step
+  const updated = await AmbulanceRequest.findOneAndUpdate(
+    { _id: request._id, status: request.status },
+    update,
+    { new: true }
+  );
+  if (!updated) {
+    return {
+      success: false,
+      status: 409,
+      message: "Request was updated concurrently, please retry",
+    };
+  }
+
+  if (request.ambulance && RELEASING_STATUSES.includes(status)) {
+    await Ambulance.updateOne(
+      { _id: request.ambulance },
+      { isAvailable: true }
+    );
+  }
+
+  await notifyAndLog(updated, status, actorId);
+  return { success: true, request: updated };
+};
+
+module.exports = {
+  AMBULANCE_REQUEST_TRANSITIONS,
+  ACTIVE_STATUSES,
+  canTransition,
+  findNearestAmbulances,
+  assignAmbulance,
+  updateRequestStatus,
+};
@@ -0,0 +1,70 @@
+const { distanceKm } = require("./geo");
+
+// Roads are longer than the straight line between two points; quotes scale
+// the straight-line distance by this factor
+const ROAD_DISTANCE_FACTOR =
+  parseFloat(process.env.AMBULANCE_ROAD_DISTANCE_FACTOR) || 1.3;
+// Night surcharge window in IST hours, e.g. 22 to 6
+const NIGHT_START_HOUR = parseInt(process.env.AMBULANCE_NIGHT_START_HOUR, 10);
+const NIGHT_END_HOUR = parseInt(process.env.AMBULANCE_NIGHT_END_HOUR, 10);
+const NIGHT_HOURS = {
+  start: isNaN(NIGHT_START_HOUR) ? 22 : NIGHT_START_HOUR,
+  end: isNaN(NIGHT_END_HOUR) ? 6 : NIGHT_END_HOUR,
+};
+const IST_OFFSET_MINUTES = 330;
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const isNightTime = (at = new Date()) => {
+  const hour = new Date(
+    at.getTime() + IST_OFFSET_MINUTES * 60000
+  ).getUTCHours();
+  return NIGHT_HOURS.start > NIGHT_HOURS.end
+    ? hour >= NIGHT_HOURS.start || hour < NIGHT_HOURS.end
+    : hour >= NIGHT_HOURS.start && hour < NIGHT_HOURS.end;
+};
+
+// Estimated road distance in km between two [lng, lat] points
+const estimateTripKm = (pickup, drop) =>
+  parseFloat((distanceKm(pickup, drop) * ROAD_DISTANCE_FACTOR).toFixed(2));
+
+// Itemized fare for a trip of `tripKm` starting at `at`
+const quoteFare = (ambulance, tripKm, at = new Date()) => {
+  const includedKm = ambulance.includedKm || 0;
+  const chargeableKm = Math.max(tripKm - includedKm, 0);
+  const items = [
+    {
+      label: includedKm ? `Base fare (first ${includedKm} km)` : "Base fare",
+      amount: roundAmount(ambulance.baseRate || 0),
+    },
+    {
+      label: `Distance (${chargeableKm.toFixed(2)} km x ${
+        ambulance.perKmRate || 0
+      }/km)`,
+      amount: roundAmount(chargeableKm * (ambulance.perKmRate || 0)),
+    },
+  ];
+
+  const night = isNightTime(at);
+  if (night && ambulance.nightSurchargePercent) {
+    const fare = items.reduce((sum, i) => sum + i.amount, 0);
+    items.push({
+      label: `Night surcharge (${ambulance.nightSurchargePercent}%)`,
+      amount: roundAmount((fare * ambulance.nightSurchargePercent) / 100),
+    });
+  }
+
+  return {
+    tripKm,
+    night,
+    items,
+    total: roundAmount(items.reduce((sum, i) => sum + i.amount, 0)),
+  };
+};
+
+module.exports = {
+  ROAD_DISTANCE_FACTOR,
+  isNightTime,
+  estimateTripKm,
+  quoteFare,
+};
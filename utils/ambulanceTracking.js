@@ -0,0 +1,114 @@
+const crypto = require("crypto");
+const Ambulance = require("../models/Ambulance");
+const { distanceKm, hasCoordinates } = require("./geo");
+
+const LOCATION_HISTORY_LIMIT =
+  parseInt(process.env.AMBULANCE_LOCATION_HISTORY_LIMIT, 10) || 100;
+// Straight-line distance is turned into an ETA at this average speed
+const AVERAGE_SPEED_KMH =
+  parseFloat(process.env.AMBULANCE_AVERAGE_SPEED_KMH) || 30;
+// A location older than this is flagged so the app can say "last seen ..."
+const STALE_LOCATION_MS = 2 * 60 * 1000;
+
+const hashDriverToken = (token) =>
+  crypto.createHash("sha256").update(String(token)).digest("hex");
+
+// New driver app token for an ambulance; replaces (and revokes) any old one
+const issueDriverToken = async (ambulanceId) => {
+  const token = crypto.randomBytes(24).toString("hex");
+  const updated = await Ambulance.updateOne(
+    { _id: ambulanceId },
+    { driverTokenHash: hashDriverToken(token) }
+  );
+  return updated.matchedCount ? token : null;
+};
+
+// Store a GPS ping as the ambulance's current location and append it to the
+// capped history. Pings older than the current location (delivered out of
+// order) are ignored. Returns whether the ping was applied.
+const recordLocation = async (
+  ambulanceId,
+  { lat, lng, speedKmh, heading, accuracy, recordedAt = new Date() }
+) => {
+  const coordinates = [lng, lat];
+  const result = await Ambulance.updateOne(
+    {
+      _id: ambulanceId,
+      $or: [
+        { lastLocationAt: { $exists: false } },
+        { lastLocationAt: { $lt: recordedAt } },
+      ],
+    },
+    {
+      $set: { coordinates, lastLocationAt: recordedAt, speedKmh, heading },
+      $push: {
+        locationHistory: {
+          $each: [{ coordinates, speedKmh, heading, accuracy, recordedAt }],
+          $slice: -LOCATION_HISTORY_LIMIT,
+        },
+      },
+    }
+  );
+  return result.modifiedCount > 0;
+};
+
+// Where the ambulance is headed for a request: the pickup until it arrives,
+// then the destination if one was given
+const trackingTarget = (request) => {
+  if (["assigned", "en_route"].includes(request.status)) {
+    return { kind: "pickup", coordinates: request.pickup.coordinates };
+  }
+  if (
+    request.status === "arrived" &&
+    request.destination &&
+    request.destination.coordinates &&
+    request.destination.coordinates.length === 2
+  ) {
+    return {
+      kind: "destination",
+      coordinates: request.destination.coordinates,
+    };
+  }
+  return null;
+};
+
+// Live position of the ambulance on a request with straight-line distance
+// and ETA to its current target
+const trackRequest = (request, ambulance, at = new Date()) => {
+  const located =
+    ambulance.lastLocationAt && hasCoordinates(ambulance.coordinates);
+  const target = trackingTarget(request);
+
+  const tracking = {
+    status: request.status,
+    location: located
+      ? {
+          coordinates: ambulance.coordinates,
+          heading: ambulance.heading,
+          speedKmh: ambulance.speedKmh,
+          updatedAt: ambulance.lastLocationAt,
+          stale: at - ambulance.lastLocationAt > STALE_LOCATION_MS,
+        }
+      : null,
+    target: target ? target.kind : null,
+    distanceKm: null,
+    etaMinutes: null,
+    estimatedArrival: null,
+  };
+  if (!located || !target) return tracking;
+
+  const distance = distanceKm(ambulance.coordinates, target.coordinates);
+  const minutes = Math.ceil((distance / AVERAGE_SPEED_KMH) * 60);
+  tracking.distanceKm = parseFloat(distance.toFixed(2));
+  tracking.etaMinutes = minutes;
+  tracking.estimatedArrival = new Date(at.getTime() + minutes * 60000);
+  return tracking;
+};
+
+module.exports = {
+  LOCATION_HISTORY_LIMIT,
+  hashDriverToken,
+  issueDriverToken,
+  recordLocation,
+  trackRequest,
+};
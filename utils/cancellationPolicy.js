@@ -0,0 +1,170 @@
+const Booking = require("../models/Booking");
+const CancellationPolicy = require("../models/CancellationPolicy");
+const Payment = require("../models/Payment");
+const { getAppointmentDateTime } = require("./slotReservation");
+const { refundPayment } = require("./payments");
+
+// Used when no policy has been configured, not even a global one
+const DEFAULT_POLICY = {
+  _id: null,
+  name: "Default cancellation policy",
+  freeCancellationHours:
+    parseFloat(process.env.CANCELLATION_FREE_HOURS) >= 0
+      ? parseFloat(process.env.CANCELLATION_FREE_HOURS)
+      : 24,
+  lateCancellationFeePercent:
+    parseFloat(process.env.CANCELLATION_LATE_FEE_PERCENT) >= 0
+      ? parseFloat(process.env.CANCELLATION_LATE_FEE_PERCENT)
+      : 50,
+  noShowRefundPercent: parseFloat(process.env.NO_SHOW_REFUND_PERCENT) || 0,
+};
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Most specific active policy for the booking's doctor and clinic
+const resolvePolicy = async (booking) => {
+  const policies = await CancellationPolicy.find({
+    isActive: true,
+    doctor: { $in: [booking.doctor?._id || booking.doctor, null] },
+    clinic: { $in: [booking.clinic?._id || booking.clinic || null, null] },
+  });
+  if (!policies.length) return DEFAULT_POLICY;
+
+  // Doctor outranks clinic; both together outrank either
+  const specificity = (policy) =>
+    (policy.doctor ? 2 : 0) + (policy.clinic ? 1 : 0);
+  return policies.reduce((best, policy) =>
+    specificity(policy) > specificity(best) ? policy : best
+  );
+};
+
+// Work out the fee and refund for cancelling `booking` now (or at `at`).
+// `cancelledBy` is "patient" or "provider"; providers cancelling always
+// refund in full. Nothing is refundable unless the booking was paid.
+const quoteCancellation = (
+  booking,
+  policy,
+  { cancelledBy = "patient", kind = "cancelled", at = new Date() } = {}
+) => {
+  const paidAmount =
+    booking.paymentStatus === "paid" ? booking.consultationFee || 0 : 0;
+  const hoursBefore = (getAppointmentDateTime(booking) - at) / 3600000;
+
+  let rule;
+  let feePercent;
+  if (kind === "no_show") {
+    rule = "no_show";
+    feePercent = 100 - policy.noShowRefundPercent;
+  } else if (cancelledBy === "provider") {
+    rule = "provider_cancelled";
+    feePercent = 0;
+  } else if (hoursBefore >= policy.freeCancellationHours) {
+    rule = "free_window";
+    feePercent = 0;
+  } else {
+    rule = "late_cancellation";
+    feePercent = policy.lateCancellationFeePercent;
+  }
+
+  const feeAmount = roundAmount((paidAmount * feePercent) / 100);
+  return {
+    kind,
+    cancelledBy,
+    rule,
+    policy: policy._id,
+    policyName: policy.name,
+    freeCancellationHours: policy.freeCancellationHours,
+    hoursBefore: Math.round(hoursBefore * 10) / 10,
+    paidAmount,
+    feePercent,
+    feeAmount,
+    refundAmount: roundAmount(paidAmount - feeAmount),
+  };
+};
+
+const cancelledByFor = (booking, actorId) =>
+  actorId && booking.patient.toString() === actorId.toString()
+    ? "patient"
+    : "provider";
+
+// Record the cancellation (or no-show) outcome on the booking and refund the
+// refundable share of a paid booking. Runs once per booking; later calls
+// return the outcome already recorded.
+const settleCancellation = async (booking, { actorId, kind = "cancelled" }) => {
+  const policy = await resolvePolicy(booking);
+  const quote = quoteCancellation(booking, policy, {
+    cancelledBy: cancelledByFor(booking, actorId),
+    kind,
+  });
+
+  const claimed = await Booking.findOneAndUpdate(
+    { _id: booking._id, "cancellation.cancelledAt": { $exists: false } },
+    {
+      cancellation: {
+        cancelledAt: new Date(),
+        cancelledBy: quote.cancelledBy,
+        kind,
+        rule: quote.rule,
+        policy: quote.policy,
+        feePercent: quote.feePercent,
+        feeAmount: quote.feeAmount,
+        refundAmount: quote.refundAmount,
+      },
+    },
+    { new: true }
+  );
+  if (!claimed) {
+    const current = await Booking.findById(booking._id).select("cancellation");
+    return {
+      cancellation: current && current.cancellation,
+      alreadySettled: true,
+    };
+  }
+  if (quote.refundAmount <= 0) {
+    return { cancellation: claimed.cancellation };
+  }
+
+  const payment = await Payment.findOne({
+    booking: booking._id,
+    status: "paid",
+  }).sort({ paidAt: -1 });
+  if (!payment) {
+    console.error("No captured payment to refund for booking:", booking._id);
+    return { cancellation: claimed.cancellation, refundError: "No payment" };
+  }
+
+  const result = await refundPayment(payment, {
+    amount: quote.refundAmount,
+    reason:
+      kind === "no_show"
+        ? "No-show refund"
+        : `Booking cancelled (${quote.rule.replace(/_/g, " ")})`,
+    requestedBy: actorId,
+    policy: {
+      policyId: quote.policy,
+      rule: quote.rule,
+      feePercent: quote.feePercent,
+      feeAmount: quote.feeAmount,
+    },
+  });
+  if (result.refund) {
+    claimed.cancellation.refund = result.refund;
+    await Booking.updateOne(
+      { _id: booking._id },
+      { "cancellation.refund": result.refund }
+    );
+  }
+  if (!result.success) {
+    console.error("Cancellation refund failed:", booking._id, result.message);
+    return { cancellation: claimed.cancellation, refundError: result.message };
+  }
+
+  return { cancellation: claimed.cancellation };
+};
+
+module.exports = {
+  DEFAULT_POLICY,
+  resolvePolicy,
+  quoteCancellation,
+  settleCancellation,
+};
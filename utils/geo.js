@@ -0,0 +1,26 @@
+// Great-circle distance in km between two [lng, lat] points
+const distanceKm = ([lng1, lat1], [lng2, lat2]) => {
+  const R = 6371; // Earth's radius in km
+  const dLat = ((lat2 - lat1) * Math.PI) / 180;
+  const dLon = ((lng2 - lng1) * Math.PI) / 180;
+  const a =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos((lat1 * Math.PI) / 180) *
+      Math.cos((lat2 * Math.PI) / 180) *
+      Math.sin(dLon / 2) *
+      Math.sin(dLon / 2);
+  return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+// Whether `coordinates` is a usable [lng, lat] pair. [0, 0] is the schema
+// default for entities that were never located.
+const hasCoordinates = (coordinates) =>
+  Array.isArray(coordinates) &&
+  coordinates.length === 2 &&
+  coordinates.every((c) => typeof c === "number" && !isNaN(c)) &&
+  !(coordinates[0] === 0 && coordinates[1] === 0);
+
+module.exports = {
+  distanceKm,
+  hasCoordinates,
+};
@@ -0,0 +1,199 @@
+const dataset = require("../data/india-pincodes.json");
+const { hasCoordinates } = require("./geo");
+
+// How coordinates were obtained, most to least exact. Everything but
+// "precise" is an estimate that may be replaced when the address changes.
+const PRECISIONS = ["precise", "pincode", "district", "locality"];
+const ESTIMATED_PRECISIONS = PRECISIONS.slice(1);
+
+// Older and alternative place names still common in addresses
+const PLACE_ALIASES = {
+  bangalore: "bengaluru",
+  bombay: "mumbai",
+  madras: "chennai",
+  calcutta: "kolkata",
+  gurgaon: "gurugram",
+  poona: "pune",
+  mysore: "mysuru",
+  mangalore: "mangaluru",
+  hubli: "hubballi",
+  trichy: "tiruchirappalli",
+  vizag: "visakhapatnam",
+  baroda: "vadodara",
+  allahabad: "prayagraj",
+  cochin: "kochi",
+  ernakulam: "kochi",
+  calicut: "kozhikode",
+  trivandrum: "thiruvananthapuram",
+  panjim: "panaji",
+  delhi: "new delhi",
+};
+
+const STATE_ALIASES = {
+  orissa: "odisha",
+  "nct of delhi": "delhi",
+  "jammu kashmir": "jammu and kashmir",
+  pondicherry: "puducherry",
+};
+
+const normalizeName = (value, aliases) => {
+  const name = String(value || "")
+    .toLowerCase()
+    .replace(/&/g, " and ")
+    .replace(/[^a-z\s]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+  return aliases[name] || name;
+};
+
+// place -> [{ state, coordinates }] for lookups without an exact state
+const localitiesByName = new Map();
+for (const [key, coordinates] of Object.entries(dataset.localities)) {
+  const [name, state] = key.split("|");
+  if (!localitiesByName.has(name)) localitiesByName.set(name, []);
+  localitiesByName.get(name).push({ state, coordinates });
+}
+
+// First 6-digit PIN code in any of `values` (a zipCode field or a full
+// address line such as "MG Road, Pune - 411001")
+const extractPinCode = (...values) => {
+  for (const value of values) {
+    const match = String(value || "").match(
+      /(?:^|\D)([1-9]\d{2})\s?(\d{3})(?!\d)/
+    );
+    if (match) return match[1] + match[2];
+  }
+  return null;
+};
+
+const findLocality = (place, state) => {
+  const entries = localitiesByName.get(normalizeName(place, PLACE_ALIASES));
+  if (!entries) return null;
+  const stateName = normalizeName(state, STATE_ALIASES);
+  const inState = entries.find((e) => e.state === stateName);
+  if (inState) return inState.coordinates;
+  // Without a matching state only an unambiguous name is trusted
+  return entries.length === 1 && !stateName ? entries[0].coordinates : null;
+};
+
+// Estimate [lng, lat] for an Indian address from the bundled dataset: the
+// PIN code's centroid, then the named place, then the PIN's sorting
+// district. Returns { coordinates, precision } or null when nothing matched.
+const geocodeAddress = ({ zipCode, address, place, state } = {}) => {
+  const pin = extractPinCode(zipCode, address);
+  if (pin && dataset.pincodes[pin]) {
+    return { coordinates: dataset.pincodes[pin], precision: "pincode" };
+  }
+
+  const locality = place && findLocality(place, state);
+  if (locality) return { coordinates: locality, precision: "locality" };
+
+  if (pin && dataset.districts[pin.slice(0, 3)]) {
+    return {
+      coordinates: dataset.districts[pin.slice(0, 3)],
+      precision: "district",
+    };
+  }
+  return null;
+};
+
+const isEstimated = (precision) => ESTIMATED_PRECISIONS.includes(precision);
+
+const samePoint = (a, b) => a[0] === b[0] && a[1] === b[1];
+
+// Mongoose plugin filling `coordinates` from the address when a record has
+// none, or only an estimate and its address changed, and recording how they
+// were obtained in `coordinatesPrecision`. Coordinates set explicitly are
+// marked "precise" and never overwritten. `fields` maps zipCode, address,
+// place and state to the model's paths.
+const geocodePlugin = (schema, { fields }) => {
+  const paths = Object.values(fields);
+  const addressOf = (get) => ({
+    zipCode: get(fields.zipCode),
+    address: get(fields.address),
+    place: get(fields.place),
+    state: get(fields.state),
+  });
+
+  // Estimate for a record (plain object or document), for backfills
+  schema.statics.geocodeRecord = function (record) {
+    return geocodeAddress(addressOf((path) => path && record[path]));
+  };
+
+  schema.pre("validate", function () {
+    const result = geocodeAddress(addressOf((path) => path && this.get(path)));
+
+    if (this.isModified("coordinates") && hasCoordinates(this.coordinates)) {
+      // An edit form sending back the estimate it was shown isn't a fix
+      const isEstimate =
+        result && samePoint(this.coordinates, result.coordinates);
+      if (!this.isModified("coordinatesPrecision") && !isEstimate) {
+        this.coordinatesPrecision = "precise";
+      }
+      return;
+    }
+    if (hasCoordinates(this.coordinates)) {
+      // Records located before precision was tracked count as precise
+      const addressChanged = paths.some((p) => p && this.isModified(p));
+      if (!isEstimated(this.coordinatesPrecision) || !addressChanged) return;
+    }
+
+    if (result) {
+      this.coordinates = result.coordinates;
+      this.coordinatesPrecision = result.precision;
+    }
+  });
+
+  schema.pre(["updateOne", "findOneAndUpdate"], async function () {
+    const update = this.getUpdate() || {};
+    const set = { ...update, ...update.$set };
+    // GPS pings and other writes of known coordinates need no lookup
+    if (hasCoordinates(set.coordinates) && set.coordinatesPrecision) return;
+    const touched = paths.some((p) => p && set[p] !== undefined);
+    if (!touched && set.coordinates === undefined) return;
+    if (hasCoordinates(set.coordinates) && !touched) {
+      this.set("coordinatesPrecision", "precise");
+      return;
+    }
+
+    const current = await this.model
+      .findOne(this.getFilter())
+      .select([...paths.filter(Boolean), "coordinates", "coordinatesPrecision"])
+      .lean();
+    if (!current) return;
+    const result = geocodeAddress(
+      addressOf((path) =>
+        !path ? undefined : set[path] !== undefined ? set[path] : current[path]
+      )
+    );
+
+    if (hasCoordinates(set.coordinates)) {
+      const isEstimate =
+        result && samePoint(set.coordinates, result.coordinates);
+      this.set(
+        "coordinatesPrecision",
+        isEstimate ? result.precision : "precise"
+      );
+      return;
+    }
+    if (
+      set.coordinates === undefined &&
+      hasCoordinates(current.coordinates) &&
+      !isEstimated(current.coordinatesPrecision)
+    ) {
+      return;
+    }
+    if (result) {
+      this.set("coordinates", result.coordinates);
+      this.set("coordinatesPrecision", result.precision);
+    }
+  });
+};
+
+module.exports = {
+  PRECISIONS,
+  ESTIMATED_PRECISIONS,
+  extractPinCode,
+  geocodeAddress,
+  geocodePlugin,
+};
@@ -0,0 +1,127 @@
+const Notification = require("../models/Notification");
+const Doctor = require("../models/Doctor");
+const User = require("../models/User");
+
+// Add notifications to users' in-app inboxes. Like createActivity, failures
+// are logged and swallowed so they never break the action that caused them.
+const createNotifications = async (
+  recipients,
+  { type, title, message, targetId = null, targetModel = null, actor = null }
+) => {
+  try {
+    const unique = [
+      ...new Set(recipients.filter(Boolean).map((id) => id.toString())),
+    ].filter((id) => !actor || id !== actor.toString());
+    if (!unique.length) return [];
+
+    return await Notification.insertMany(
+      unique.map((recipient) => ({
+        recipient,
+        type,
+        title,
+        message,
+        targetId,
+        targetModel,
+        actor,
+      }))
+    );
+  } catch (error) {
+    console.error("Failed to create notifications:", error);
+    return [];
+  }
+};
+
+const createNotification = async ({ recipient, ...notification }) => {
+  const [created] = await createNotifications([recipient], notification);
+  return created || null;
+};
+
+// Notify every active user holding one of the given roles
+const notifyRoles = async (roles, notification) => {
+  try {
+    const users = await User.find({ role: { $in: roles }, isActive: true })
+      .select("_id")
+      .lean();
+    return createNotifications(
+      users.map((u) => u._id),
+      notification
+    );
+  } catch (error) {
+    console.error("Failed to notify roles:", error);
+    return [];
+  }
+};
+
+const BOOKING_MESSAGES = {
+  booking_created: {
+    // Bookings awaiting payment or the clinic are still pending
+    patient: ({ doctorName, when, status }) => [
+      "Appointment booked",
+      `Your appointment with Dr. ${doctorName} on ${when} ${
+        status === "confirmed" ? "is confirmed" : "is awaiting confirmation"
+      }.`,
+    ],
+    doctor: ({ patientName, when }) => [
+      "New appointment",
+      `${patientName} booked an appointment on ${when}.`,
+    ],
+  },
+  booking_cancelled: {
+    patient: ({ doctorName, when }) => [
+      "Appointment cancelled",
+      `Your appointment with Dr. ${doctorName} on ${when} was cancelled.`,
+    ],
+    doctor: ({ patientName, when }) => [
+      "Appointment cancelled",
+      `${patientName}'s appointment on ${when} was cancelled.`,
+    ],
+  },
+};
+
+// Tell the patient and the doctor about a booking event, skipping whoever
+// performed the action
+const notifyBookingParties = async (booking, type, actor = null) => {
+  try {
+    const doctorId = booking.doctor?._id || booking.doctor;
+    const patientId = booking.patient?._id || booking.patient;
+    const doctor = booking.doctor?.name
+      ? booking.doctor
+      : await Doctor.findById(doctorId).select("name");
+    const details = {
+      doctorName: doctor ? doctor.name : "your doctor",
+      patientName: booking.patientDetails?.name || "A patient",
+      when: `${new Date(booking.appointmentDate).toDateString()} at ${
+        booking.appointmentTime
+      }`,
+      status: booking.status,
+    };
+
+    const messages = BOOKING_MESSAGES[type];
+    const base = { type, targetId: booking._id, targetModel: "Booking", actor };
+    const [patientTitle, patientMessage] = messages.patient(details);
+    const [doctorTitle, doctorMessage] = messages.doctor(details);
+
+    return [
+      ...(await createNotifications([patientId], {
+        ...base,
+        title: patientTitle,
+        message: patientMessage,
+      })),
+      ...(await createNotifications([doctorId], {
+        ...base,
+        title: doctorTitle,
+        message: doctorMessage,
+      })),
+    ];
+  } catch (error) {
+    console.error("Failed to notify booking parties:", error);
+    return [];
+  }
+};
+
+module.exports = {
+  createNotification,
+  createNotifications,
+  notifyRoles,
+  notifyBookingParties,
+};
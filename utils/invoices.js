@@ -0,0 +1,564 @@
+const Booking = require("../models/Booking");
+const Invoice = require("../models/Invoice");
+const InvoiceCounter = require("../models/InvoiceCounter");
+const Payment = require("../models/Payment");
+const { PdfDocument } = require("./pdf");
+
+// GST charged on consultations, in percent. Healthcare services by clinical
+// establishments are exempt, so by default a Bill of Supply is issued.
+const CONSULTATION_GST_RATE =
+  parseFloat(process.env.CONSULTATION_GST_RATE) || 0;
+const CONSULTATION_SAC_CODE = process.env.CONSULTATION_SAC_CODE || "9993";
+
+// Seller for bookings without a clinic (billed by the platform itself)
+const PLATFORM_SELLER = {
+  name: process.env.INVOICE_SELLER_NAME || "Healthcare Services",
+  address: process.env.INVOICE_SELLER_ADDRESS || "",
+  state: process.env.INVOICE_SELLER_STATE || "",
+  gstin: process.env.INVOICE_SELLER_GSTIN || "",
+  phone: process.env.INVOICE_SELLER_PHONE || "",
+  email: process.env.INVOICE_SELLER_EMAIL || "",
+};
+const PLATFORM_INVOICE_PREFIX = process.env.INVOICE_PREFIX || "INV";
+
+const GST_STATE_CODES = {
+  "jammu and kashmir": "01",
+  "himachal pradesh": "02",
+  punjab: "03",
+  chandigarh: "04",
+  uttarakhand: "05",
+  haryana: "06",
+  delhi: "07",
+  rajasthan: "08",
+  "uttar pradesh": "09",
+  bihar: "10",
+  sikkim: "11",
+  "arunachal pradesh": "12",
+  nagaland: "13",
+  manipur: "14",
+  mizoram: "15",
+  tripura: "16",
+  meghalaya: "17",
+  assam: "18",
+  "west bengal": "19",
+  jharkhand: "20",
+  odisha: "21",
+  chhattisgarh: "22",
+  "madhya pradesh": "23",
+  gujarat: "24",
+  "dadra and nagar haveli and daman and diu": "26",
+  maharashtra: "27",
+  karnataka: "29",
+  goa: "30",
+  lakshadweep: "31",
+  kerala: "32",
+  "tamil nadu": "33",
+  puducherry: "34",
+  "andaman and nicobar islands": "35",
+  telangana: "36",
+  "andhra pradesh": "37",
+  ladakh: "38",
+};
+
+// A GSTIN starts with its state code; otherwise look the state up by name
+const stateCodeFor = (state, gstin) => {
+  if (gstin && /^\d{2}/.test(gstin)) return gstin.slice(0, 2);
+  if (!state) return "";
+  const key = state
+    .toLowerCase()
+    .replace(/&/g, "and")
+    .replace(/\s+/g, " ")
+    .trim();
+  return GST_STATE_CODES[key] || (key === "new delhi" ? "07" : "");
+};
+
+// A claim on a booking older than this is assumed abandoned (the process
+// issuing it died) and may be taken over
+const INVOICE_CLAIM_TIMEOUT_MS = 60 * 1000;
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Indian financial year (April-March) of `date`, in IST
+const financialYear = (date = new Date()) => {
+  const ist = new Date(new Date(date).getTime() + 330 * 60000);
+  const start =
+    ist.getUTCMonth() >= 3 ? ist.getUTCFullYear() : ist.getUTCFullYear() - 1;
+  const end = String((start + 1) % 100).padStart(2, "0");
+  return {
+    label: `${start}-${end}`,
+    short: `${String(start % 100).padStart(2, "0")}${end}`,
+  };
+};
+
+// Numbers run 1, 2, 3... per clinic and financial year. GST caps invoice
+// numbers at 16 characters: prefix (<= 6) + year (4) + "-" + 5 digits.
+const nextInvoiceNumber = async (clinic, issuedAt) => {
+  const fy = financialYear(issuedAt);
+  const series = `${clinic ? clinic._id : "platform"}:${fy.label}`;
+  const counter = await InvoiceCounter.findOneAndUpdate(
+    { series },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+  const prefix = clinic
+    ? clinic.invoicePrefix ||
+      `C${clinic._id.toString().slice(-5).toUpperCase()}`
+    : PLATFORM_INVOICE_PREFIX;
+  return {
+    series,
+    sequence: counter.seq,
+    financialYear: fy.label,
+    invoiceNumber: `${prefix}${fy.short}-${String(counter.seq).padStart(
+      5,
+      "0"
+    )}`,
+  };
+};
+
+// Split a tax-inclusive amount into taxable value and CGST/SGST (same state)
+// or IGST (across states)
+const taxBreakup = (amount, rate, interState) => {
+  const taxableValue = roundAmount((amount * 100) / (100 + rate));
+  const tax = roundAmount(amount - taxableValue);
+  const half = roundAmount(tax / 2);
+  return {
+    taxableValue,
+    cgstRate: interState ? 0 : rate / 2,
+    cgstAmount: interState ? 0 : half,
+    sgstRate: interState ? 0 : rate / 2,
+    sgstAmount: interState ? 0 : roundAmount(tax - half),
+    igstRate: interState ? rate : 0,
+    igstAmount: interState ? tax : 0,
+    total: roundAmount(amount),
+  };
+};
+
+const sellerFor = (booking) => {
+  const { clinic } = booking;
+  if (!clinic) {
+    return {
+      ...PLATFORM_SELLER,
+      stateCode: stateCodeFor(PLATFORM_SELLER.state, PLATFORM_SELLER.gstin),
+    };
+  }
+  return {
+    name: clinic.name,
+    address: [clinic.address, clinic.place, clinic.state, clinic.zipCode]
+      .filter(Boolean)
+      .join(", "),
+    state: clinic.state,
+    stateCode: stateCodeFor(clinic.state, clinic.gstin),
+    gstin: clinic.gstin || "",
+    phone: clinic.phone,
+    email: clinic.email,
+  };
+};
+
+// Snapshot of everything printed on the invoice; `booking` must have doctor,
+// clinic and patient populated
+const buildInvoice = (booking, payment) => {
+  const seller = sellerFor(booking);
+  // Consultations are supplied where they are performed
+  const supplyState =
+    (booking.clinic && booking.clinic.state) ||
+    (booking.doctor && booking.doctor.state) ||
+    seller.state;
+  const placeOfSupply = {
+    state: supplyState,
+    stateCode: stateCodeFor(supplyState),
+  };
+  const interState =
+    Boolean(seller.stateCode && placeOfSupply.stateCode) &&
+    seller.stateCode !== placeOfSupply.stateCode;
+
+  const item = {
+    description: `Consultation with ${
+      booking.doctor ? booking.doctor.name : "doctor"
+    } on ${new Date(booking.appointmentDate).toDateString()} at ${
+      booking.appointmentTime
+    }`,
+    sac: CONSULTATION_SAC_CODE,
+    quantity: 1,
+    ...taxBreakup(booking.consultationFee, CONSULTATION_GST_RATE, interState),
+  };
+
+  return {
+    documentType: CONSULTATION_GST_RATE > 0 ? "Tax Invoice" : "Bill of Supply",
+    booking: booking._id,
+    bookingId: booking.bookingId,
+    patient: booking.patient && booking.patient._id,
+    doctor: booking.doctor && booking.doctor._id,
+    clinic: booking.clinic && booking.clinic._id,
+    seller,
+    buyer: {
+      name:
+        booking.patientDetails?.name ||
+        (booking.patient &&
+          `${booking.patient.firstName} ${booking.patient.lastName}`),
+      phone: booking.patientDetails?.phone || booking.patient?.phone,
+      email: booking.patientDetails?.email || booking.patient?.email,
+    },
+    practitioner: booking.doctor && {
+      name: booking.doctor.name,
+      qualification: booking.doctor.qualification,
+      licenseNumber: booking.doctor.licenseNumber,
+    },
+    placeOfSupply,
+    appointment: {
+      date: booking.appointmentDate,
+      time: booking.appointmentTime,
+    },
+    items: [item],
+    taxableValue: item.taxableValue,
+    cgstTotal: item.cgstAmount,
+    sgstTotal: item.sgstAmount,
+    igstTotal: item.igstAmount,
+    taxTotal: roundAmount(item.cgstAmount + item.sgstAmount + item.igstAmount),
+    total: item.total,
+    payment: {
+      method: (payment && payment.method) || booking.paymentMethod,
+      reference: booking.paymentId,
+      paidAt: (payment && payment.paidAt) || booking.updatedAt,
+    },
+  };
+};
+
+// Invoice for a paid booking, issuing it on first request. Returns
+// { success, invoice } or { success: false, status, message }.
+const issueInvoice = async (bookingId) => {
+  const existing = await Invoice.findOne({ booking: bookingId });
+  if (existing) return { success: true, invoice: existing };
+
+  const booking = await Booking.findById(bookingId)
+    .populate("doctor", "name qualification licenseNumber state")
+    .populate(
+      "clinic",
+      "name address place state zipCode phone email gstin invoicePrefix"
+    )
+    .populate("patient", "firstName lastName email phone");
+  if (!booking) {
+    return { success: false, status: 404, message: "Booking not found" };
+  }
+  if (!["paid", "refunded"].includes(booking.paymentStatus)) {
+    return {
+      success: false,
+      status: 400,
+      message: "Invoices are issued for paid bookings only",
+    };
+  }
+
+  const payment = await Payment.findOne({
+    booking: booking._id,
+    status: { $in: ["paid", "refunded"] },
+  }).sort({ paidAt: -1 });
+
+  // Claim the booking before taking a number, so a concurrent issue for the
+  // same booking can't use up a number and leave a gap in the series
+  const issuedAt = new Date();
+  const claimed = await Booking.findOneAndUpdate(
+    {
+      _id: booking._id,
+      $or: [
+        { invoiceClaimedAt: null },
+        {
+          invoiceClaimedAt: {
+            $lt: new Date(issuedAt.getTime() - INVOICE_CLAIM_TIMEOUT_MS),
+          },
+        },
+      ],
+    },
+    { $set: { invoiceClaimedAt: issuedAt } }
+  );
+  if (!claimed) {
+    const invoice = await Invoice.findOne({ booking: booking._id });
+    if (invoice) return { success: true, invoice };
+    return {
+      success: false,
+      status: 409,
+      message: "The invoice is being issued, try again shortly",
+    };
+  }
+  // Issued by the previous claim holder after all
+  const issued = await Invoice.findOne({ booking: booking._id });
+  if (issued) return { success: true, invoice: issued };
+
+  const number = await nextInvoiceNumber(booking.clinic, issuedAt);
+  const invoice = await Invoice.create({
+    ...buildInvoice(booking, payment),
+    ...number,
+    issuedAt,
+  });
+  return { success: true, invoice, issued: true };
+};
+
+const formatMoney = (amount) =>
+  (amount || 0).toLocaleString("en-IN", {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  });
+
+const formatDate = (date) =>
+  date
+    ? new Date(date).toLocaleDateString("en-IN", {
+        timeZone: "Asia/Kolkata",
+        day: "2-digit",
+        month: "short",
+        year: "numeric",
+      })
+    : "";
+
+const drawInvoice = (doc, invoice) => {
+  const left = 40;
+  const right = doc.width - 40;
+  const { seller, buyer, practitioner = {}, placeOfSupply = {} } = invoice;
+
+  // Seller and document details
+  doc.text(seller.name, left, 40, { size: 16, font: "bold" });
+  let y = 62;
+  for (const line of [
+    ...doc.wrap(seller.address, 300, { size: 9 }),
+    seller.gstin ? `GSTIN: ${seller.gstin}` : "",
+    [seller.phone, seller.email].filter(Boolean).join("  |  "),
+  ].filter(Boolean)) {
+    doc.text(line, left, y, { size: 9 });
+    y += 12;
+  }
+
+  doc.text(invoice.documentType.toUpperCase(), 355, 40, {
+    size: 14,
+    font: "bold",
+    align: "right",
+    width: right - 355,
+  });
+  [
+    ["Invoice No", invoice.invoiceNumber],
+    ["Date", formatDate(invoice.issuedAt)],
+    ["Booking", invoice.bookingId],
+  ].forEach(([label, value], i) => {
+    doc.text(label, 355, 62 + i * 12, { size: 9 });
+    doc.text(value, 415, 62 + i * 12, {
+      size: 9,
+      font: "bold",
+      align: "right",
+      width: right - 415,
+    });
+  });
+
+  y = Math.max(y, 110) + 8;
+  doc.line(left, y, right, y);
+  y += 10;
+
+  // Patient, practitioner and place of supply
+  const blockTop = y;
+  doc.text("Billed to", left, y, { size: 9, font: "bold" });
+  for (const line of [buyer.name, buyer.phone, buyer.email].filter(Boolean)) {
+    y += 12;
+    doc.text(line, left, y, { size: 9 });
+  }
+  let ry = blockTop;
+  doc.text("Consultation", 300, ry, { size: 9, font: "bold" });
+  for (const line of [
+    practitioner.name &&
+      `${practitioner.name}${
+        practitioner.qualification ? `, ${practitioner.qualification}` : ""
+      }`,
+    practitioner.licenseNumber && `Reg. No: ${practitioner.licenseNumber}`,
+    invoice.appointment &&
+      `Appointment: ${formatDate(invoice.appointment.date)} ${
+        invoice.appointment.time || ""
+      }`,
+    placeOfSupply.state &&
+      `Place of supply: ${placeOfSupply.state}${
+        placeOfSupply.stateCode ? ` (${placeOfSupply.stateCode})` : ""
+      }`,
+  ].filter(Boolean)) {
+    ry += 12;
+    doc.text(line, 300, ry, { size: 9 });
+  }
+  y = Math.max(y, ry) + 24;
+
+  // Line items
+  const columns = [
+    { key: "description", title: "Description", x: left, width: 190 },
+    { key: "sac", title: "SAC", x: 230, width: 40 },
+    { key: "taxableValue", title: "Taxable", x: 270, width: 65, money: true },
+    { key: "cgstAmount", title: "CGST", x: 335, width: 55, money: true },
+    { key: "sgstAmount", title: "SGST", x: 390, width: 55, money: true },
+    { key: "igstAmount", title: "IGST", x: 445, width: 55, money: true },
+    { key: "total", title: "Amount", x: 500, width: right - 500, money: true },
+  ];
+  doc.rect(left, y - 4, right - left, 18);
+  for (const col of columns) {
+    doc.text(col.title, col.x, y, {
+      size: 9,
+      font: "bold",
+      align: col.money ? "right" : "left",
+      width: col.width - 4,
+    });
+  }
+  y += 22;
+
+  for (const item of invoice.items) {
+    const description = doc.wrap(item.description, 185, { size: 9 });
+    description.forEach((line, i) => {
+      doc.text(line, left, y + i * 11, { size: 9 });
+    });
+    doc.text(item.sac, 230, y, { size: 9 });
+    for (const col of columns.filter((c) => c.money)) {
+      doc.text(formatMoney(item[col.key]), col.x, y, {
+        size: 9,
+        align: "right",
+        width: col.width - 4,
+      });
+    }
+    [
+      ["cgstRate", 335, 55],
+      ["sgstRate", 390, 55],
+      ["igstRate", 445, 55],
+    ].forEach(([key, x, width]) => {
+      if (item[key]) {
+        doc.text(`@ ${item[key]}%`, x, y + 11, {
+          size: 8,
+          align: "right",
+          width: width - 4,
+        });
+      }
+    });
+    y += Math.max(description.length, 2) * 11 + 8;
+  }
+  doc.line(left, y, right, y);
+  y += 10;
+
+  // Totals
+  const totals = [
+    ["Taxable value", invoice.taxableValue],
+    ["CGST", invoice.cgstTotal],
+    ["SGST", invoice.sgstTotal],
+    ["IGST", invoice.igstTotal],
+  ].filter(([label, amount]) => label === "Taxable value" || amount);
+  for (const [label, amount] of totals) {
+    doc.text(label, 355, y, { size: 9 });
+    doc.text(formatMoney(amount), 445, y, {
+      size: 9,
+      align: "right",
+      width: right - 445 - 4,
+    });
+    y += 13;
+  }
+  doc.text(`Total (${invoice.currency})`, 355, y + 2, {
+    size: 11,
+    font: "bold",
+  });
+  doc.text(formatMoney(invoice.total), 445, y + 2, {
+    size: 11,
+    font: "bold",
+    align: "right",
+    width: right - 445 - 4,
+  });
+  y += 34;
+
+  // Receipt
+  const { payment = {} } = invoice;
+  doc.text("Payment received", left, y, { size: 9, font: "bold" });
+  doc.text(
+    `Rs. ${formatMoney(invoice.total)} received${
+      payment.method ? ` by ${payment.method.toUpperCase()}` : ""
+    }${payment.paidAt ? ` on ${formatDate(payment.paidAt)}` : ""}${
+      payment.reference ? ` (ref. ${payment.reference})` : ""
+    }.`,
+    left,
+    y + 12,
+    { size: 9 }
+  );
+  y += 40;
+
+  if (invoice.documentType === "Bill of Supply") {
+    doc.text(
+      "Healthcare services by a clinical establishment are exempt from GST.",
+      left,
+      y,
+      { size: 8 }
+    );
+    y += 11;
+  }
+  doc.text(
+    "This is a computer-generated document and does not require a signature.",
+    left,
+    y,
+    { size: 8 }
+  );
+};
+
+// One invoice per page
+const renderInvoicesPdf = (invoices) => {
+  const doc = new PdfDocument();
+  invoices.forEach((invoice, i) => {
+    if (i > 0) doc.addPage();
+    drawInvoice(doc, invoice);
+  });
+  return doc.toBuffer();
+};
+
+const csvCell = (value) => {
+  let text = value === undefined || value === null ? "" : String(value);
+  // Spreadsheets run text cells starting with these as formulas; amounts
+  // (numbers, possibly negative) are left as they are
+  if (typeof value !== "number" && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// GST register style export, one row per invoice
+const invoicesToCsv = (invoices) => {
+  const header = [
+    "Invoice No",
+    "Date",
+    "Document Type",
+    "Booking",
+    "Seller",
+    "Seller GSTIN",
+    "Patient",
+    "Patient Phone",
+    "Place of Supply",
+    "State Code",
+    "SAC",
+    "Taxable Value",
+    "CGST",
+    "SGST",
+    "IGST",
+    "Total",
+    "Payment Method",
+    "Payment Reference",
+  ];
+  const rows = invoices.map((invoice) => [
+    invoice.invoiceNumber,
+    new Date(invoice.issuedAt).toISOString().slice(0, 10),
+    invoice.documentType,
+    invoice.bookingId,
+    invoice.seller?.name,
+    invoice.seller?.gstin,
+    invoice.buyer?.name,
+    invoice.buyer?.phone,
+    invoice.placeOfSupply?.state,
+    invoice.placeOfSupply?.stateCode,
+    invoice.items.map((item) => item.sac).join(" "),
+    invoice.taxableValue,
+    invoice.cgstTotal,
+    invoice.sgstTotal,
+    invoice.igstTotal,
+    invoice.total,
+    invoice.payment?.method,
+    invoice.payment?.reference,
+  ]);
+  return [header, ...rows].map((row) => row.map(csvCell).join(",")).join("\n");
+};
+
+module.exports = {
+  CONSULTATION_GST_RATE,
+  financialYear,
+  taxBreakup,
+  issueInvoice,
+  renderInvoicesPdf,
+  invoicesToCsv,
+};
@@ -0,0 +1,165 @@
+const os = require("os");
+const ScheduledJob = require("../models/ScheduledJob");
+
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+// A job still "running" after this long belongs to a worker that died
+const STALE_LOCK_MS =
+  (parseInt(process.env.JOB_STALE_LOCK_MINUTES, 10) || 10) * 60000;
+const BATCH_SIZE = 20;
+
+const handlers = new Map();
+
+// Register the function that runs jobs of a given type. The handler gets the
+// job document and may return a result object to be stored on the job; a
+// thrown error marks the attempt as failed and schedules a retry.
+const registerHandler = (type, handler) => {
+  handlers.set(type, handler);
+};
+
+// Persist a job to run at `runAt`. With a uniqueKey the call is idempotent:
+// an existing job is returned as-is, and a cancelled one is re-armed.
+const scheduleJob = async ({
+  type,
+  runAt,
+  payload = {},
+  uniqueKey,
+  maxAttempts,
+}) => {
+  if (!uniqueKey) {
+    return ScheduledJob.create({ type, runAt, payload, maxAttempts });
+  }
+
+  const rearmed = await ScheduledJob.findOneAndUpdate(
+    { uniqueKey, status: "cancelled" },
+    {
+      $set: { type, runAt, payload, status: "pending", attempts: 0 },
+      $unset: { lastError: 1, completedAt: 1, result: 1 },
+    },
+    { new: true }
+  );
+  if (rearmed) return rearmed;
+
+  return ScheduledJob.findOneAndUpdate(
+    { uniqueKey },
+    {
+      $setOnInsert: {
+        type,
+        runAt,
+        payload,
+        uniqueKey,
+        ...(maxAttempts && { maxAttempts }),
+      },
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+// Cancel pending jobs matching a filter; returns the cancelled jobs
+const cancelJobs = async (filter) => {
+  const jobs = await ScheduledJob.find({ ...filter, status: "pending" });
+  if (!jobs.length) return [];
+  await ScheduledJob.updateMany(
+    { _id: { $in: jobs.map((job) => job._id) }, status: "pending" },
+    { status: "cancelled" }
+  );
+  return jobs;
+};
+
+// Put jobs abandoned mid-run (crash, restart) back in the queue
+const recoverStaleJobs = () =>
+  ScheduledJob.updateMany(
+    {
+      status: "running",
+      lockedAt: { $lt: new Date(Date.now() - STALE_LOCK_MS) },
+    },
+    { status: "pending", $unset: { lockedAt: 1, lockedBy: 1 } }
+  );
+
+// Atomically take the next due job so several instances can poll safely
+const claimNextJob = () =>
+  ScheduledJob.findOneAndUpdate(
+    {
+      status: "pending",
+      runAt: { $lte: new Date() },
+      type: { $in: [...handlers.keys()] },
+    },
+    {
+      $set: { status: "running", lockedAt: new Date(), lockedBy: WORKER_ID },
+      $inc: { attempts: 1 },
+    },
+    { sort: { runAt: 1 }, new: true }
+  );
+
+const runJob = async (job) => {
+  try {
+    const result = await handlers.get(job.type)(job);
+    await ScheduledJob.updateOne(
+      { _id: job._id },
+      {
+        status: "completed",
+        completedAt: new Date(),
+        result,
+        $unset: { lockedAt: 1, lockedBy: 1 },
+      }
+    );
+  } catch (error) {
+    console.error(`Scheduled job ${job.type} (${job._id}) error:`, error);
+    const retry = job.attempts < job.maxAttempts;
+    await ScheduledJob.updateOne(
+      { _id: job._id },
+      {
+        status: retry ? "pending" : "failed",
+        lastError: error.message,
+        // Back off 1, 4, 9... minutes between attempts
+        ...(retry && {
+          runAt: new Date(Date.now() + job.attempts * job.attempts * 60000),
+        }),
+        $unset: { lockedAt: 1, lockedBy: 1 },
+      }
+    );
+  }
+};
+
+// Run every due job (up to one batch); returns how many were processed
+const processDueJobs = async () => {
+  let processed = 0;
+  while (processed < BATCH_SIZE) {
+    const job = await claimNextJob();
+    if (!job) break;
+    await runJob(job);
+    processed += 1;
+  }
+  return processed;
+};
+
+// Poll for due jobs in-process. Overlapping ticks are skipped so a slow
+// batch never runs twice.
+const startScheduler = (intervalMs = 30000) => {
+  let busy = false;
+  const tick = async () => {
+    if (busy) return;
+    busy = true;
+    try {
+      await recoverStaleJobs();
+      await processDueJobs();
+    } catch (error) {
+      console.error("Job scheduler error:", error);
+    } finally {
+      busy = false;
+    }
+  };
+
+  const timer = setInterval(tick, intervalMs);
+  timer.unref();
+  tick();
+  return timer;
+};
+
+module.exports = {
+  registerHandler,
+  scheduleJob,
+  cancelJobs,
+  processDueJobs,
+  startScheduler,
+};
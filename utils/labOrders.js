@@ -0,0 +1,225 @@
+const LabOrder = require("../models/LabOrder");
+const Test = require("../models/Test");
+const Pathology = require("../models/Pathology");
+const { getAppointmentDateTime } = require("./slotReservation");
+const { createNotification } = require("./inbox");
+const { createActivity } = require("./activity");
+
+// Status each order status may move to (lab staff/admin updates)
+const LAB_ORDER_TRANSITIONS = {
+  placed: ["sample_collected", "cancelled"],
+  sample_collected: ["processing"],
+  processing: ["report_ready"],
+  report_ready: [],
+  cancelled: [],
+};
+
+const STATUS_MESSAGES = {
+  sample_collected: "Your sample has been collected.",
+  processing: "The lab is processing your sample.",
+  report_ready: "Your report is ready.",
+  cancelled: "Your lab order was cancelled.",
+};
+
+const ITEM_MODELS = { Test, Pathology };
+
+// "HH:MM" (24-hour) or "h:mm AM/PM" to minutes after midnight; null if blank
+// or unparseable
+const parseClockTime = (value) => {
+  const match = /^\s*(\d{1,2})(?::(\d{2}))?\s*([ap]\.?m\.?)?\s*$/i.exec(
+    value || ""
+  );
+  if (!match) return null;
+  let hours = parseInt(match[1], 10);
+  const minutes = parseInt(match[2] || "0", 10);
+  const meridiem = match[3] && match[3][0].toLowerCase();
+  if (meridiem === "p" && hours < 12) hours += 12;
+  if (meridiem === "a" && hours === 12) hours = 0;
+  if (hours > 23 || minutes > 59) return null;
+  return hours * 60 + minutes;
+};
+
+const formatClockTime = (minutes) =>
+  `${String(Math.floor(minutes / 60)).padStart(2, "0")}:${String(
+    minutes % 60
+  ).padStart(2, "0")}`;
+
+const finalPrice = (item) =>
+  item.discountedPrice !== undefined &&
+  item.discountedPrice !== null &&
+  item.discountedPrice < item.price
+    ? item.discountedPrice
+    : item.price;
+
+// Lab an item belongs to: a Test's pathologyLab, or the Pathology listing itself
+const labOf = (itemModel, item) =>
+  itemModel === "Test" ? item.pathologyLab : item._id;
+
+// Load an active catalogue item; returns null if missing or inactive
+const loadItem = async (itemModel, itemId) => {
+  if (!Object.prototype.hasOwnProperty.call(ITEM_MODELS, itemModel)) {
+    return null;
+  }
+  const item = await ITEM_MODELS[itemModel]
+    .findOne({ _id: itemId, isActive: true })
+    .select(
+      "name price discountedPrice sampleType isPackage homeCollection pathologyLab"
+    );
+  return item;
+};
+
+// Current catalogue entries for cart lines, dropping ones no longer offered
+const loadCartItems = async (cart) => {
+  const lines = [];
+  for (const line of cart.items) {
+    const item = await loadItem(line.itemModel, line.item);
+    if (item) lines.push({ itemModel: line.itemModel, item });
+  }
+  return lines;
+};
+
+// Price breakdown for cart lines. Home collection is one visit, so the
+// highest collection fee among the items applies once.
+const priceLines = (lines, collectionType) => {
+  const subtotal = lines.reduce((sum, { item }) => sum + item.price, 0);
+  const payable = lines.reduce((sum, { item }) => sum + finalPrice(item), 0);
+  const collectionFee =
+    collectionType === "home"
+      ? Math.max(0, ...lines.map(({ item }) => item.homeCollection?.fee || 0))
+      : 0;
+  return {
+    items: lines.map(({ itemModel, item }) => ({
+      itemModel,
+      item: item._id,
+      name: item.name,
+      isPackage: Boolean(item.isPackage),
+      sampleType: item.sampleType,
+      price: item.price,
+      finalPrice: finalPrice(item),
+    })),
+    subtotal,
+    discount: subtotal - payable,
+    collectionFee,
+    total: payable + collectionFee,
+  };
+};
+
+const matchesArea = (areas, address) => {
+  if (!areas || !areas.length) return true;
+  const candidates = [address.area, address.city, address.pincode]
+    .filter(Boolean)
+    .map((v) => String(v).trim().toLowerCase());
+  return areas.some((area) =>
+    candidates.includes(String(area).trim().toLowerCase())
+  );
+};
+
+// Check the requested collection against every item's home collection
+// settings. Returns an error message, or null when the request is valid.
+const validateCollection = (lines, { collectionType, slot, address }) => {
+  if (!["home", "walk_in"].includes(collectionType)) {
+    return "collectionType must be 'home' or 'walk_in'";
+  }
+  if (!slot || !slot.date || !slot.start || !slot.end) {
+    return "A collection window (slot.date, slot.start, slot.end) is required";
+  }
+
+  const start = parseClockTime(slot.start);
+  const end = parseClockTime(slot.end);
+  if (start === null || end === null || end <= start) {
+    return "Collection window must have a valid start before its end";
+  }
+  const startsAt = getAppointmentDateTime({
+    appointmentDate: slot.date,
+    appointmentTime: formatClockTime(start),
+  });
+  if (isNaN(startsAt.getTime()) || startsAt <= new Date()) {
+    return "Collection window must be in the future";
+  }
+
+  if (collectionType === "walk_in") return null;
+
+  if (!address || !address.line1 || !(address.area || address.pincode)) {
+    return "Home collection needs an address with line1 and area or pincode";
+  }
+  for (const { item } of lines) {
+    const home = item.homeCollection || {};
+    if (!home.available) {
+      return `${item.name} is not available for home collection`;
+    }
+    if (!matchesArea(home.areas, address)) {
+      return `Home collection for ${item.name} is not available in your area`;
+    }
+    const from = parseClockTime(home.timing?.start);
+    const until = parseClockTime(home.timing?.end);
+    if ((from !== null && start < from) || (until !== null && end > until)) {
+      return `Home collection for ${item.name} runs ${home.timing.start}-${home.timing.end}`;
+    }
+  }
+  return null;
+};
+
+const canTransition = (from, to) =>
+  (LAB_ORDER_TRANSITIONS[from] || []).includes(to);
+
+// Move an order to `status`, telling the patient. Returns
+// { success, order } or { success: false, status, message }.
+const updateOrderStatus = async (order, status, { actorId, note } = {}) => {
+  if (!canTransition(order.status, status)) {
+    return {
+      success: false,
+      status: 400,
+      message: `Cannot move an order from ${order.status} to ${status}`,
+    };
+  }
+
+  // Conditional on the current status so concurrent updates can't skip a step
+  const updated = await LabOrder.findOneAndUpdate(
+    { _id: order._id, status: order.status },
+    {
+      status,
+      $push: { statusHistory: { status, note, changedBy: actorId } },
+    },
+    { new: true }
+  );
+  if (!updated) {
+    return {
+      success: false,
+      status: 409,
+      message: "Order was updated concurrently, please retry",
+    };
+  }
+
+  await createNotification({
+    recipient: updated.patient,
+    type: "lab_order_updated",
+    title: `Lab order ${updated.orderId}`,
+    message: STATUS_MESSAGES[status],
+    targetId: updated._id,
+    targetModel: "LabOrder",
+    actor: actorId,
+  });
+
+  await createActivity({
+    type: status === "cancelled" ? "lab_order_cancelled" : "lab_order_updated",
+    message: `Lab order ${updated.orderId} status updated to ${status}`,
+    user: actorId,
+    targetId: updated._id,
+    targetModel: "LabOrder",
+  });
+
+  return { success: true, order: updated };
+};
+
+module.exports = {
+  LAB_ORDER_TRANSITIONS,
+  parseClockTime,
+  formatClockTime,
+  labOf,
+  loadItem,
+  loadCartItems,
+  priceLines,
+  validateCollection,
+  canTransition,
+  updateOrderStatus,
+};
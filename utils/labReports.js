@@ -0,0 +1,239 @@
+const LabReport = require("../models/LabReport");
+const Test = require("../models/Test");
+const Pathology = require("../models/Pathology");
+
+const NUMBER = "(-?\\d+(?:\\.\\d+)?)";
+const BETWEEN = new RegExp(`^${NUMBER}\\s*(?:-|–|to)\\s*${NUMBER}`, "i");
+const BELOW = new RegExp(
+  `^(?:<=?|≤|up\\s*to|upto|below|less than)\\s*${NUMBER}`,
+  "i"
+);
+const ABOVE = new RegExp(
+  `^(?:>=?|≥|above|more than|greater than)\\s*${NUMBER}`,
+  "i"
+);
+
+// Pick the part of a sex-specific range ("M: 13-17, F: 12-15") that applies
+const rangeForGender = (range, gender) => {
+  const parts = range.split(/[,;]/).map((p) => p.trim());
+  const labelled = parts.filter((p) => /^(m|f|male|female)\s*[:-]/i.test(p));
+  if (labelled.length < 2) return range;
+  const wanted = String(gender || "")
+    .toLowerCase()
+    .startsWith("f")
+    ? "f"
+    : "m";
+  const match = labelled.find((p) => p.toLowerCase().startsWith(wanted));
+  return match ? match.replace(/^[a-z]+\s*[:-]\s*/i, "") : range;
+};
+
+// Numeric bounds of a reference range such as "13-17 g/dL", "< 200" or
+// "> 40"; null when the range is qualitative ("Negative") or blank
+const parseReferenceRange = (range, gender) => {
+  if (!range) return null;
+  const text = rangeForGender(String(range), gender).trim();
+  let match = BETWEEN.exec(text);
+  if (match) return { low: parseFloat(match[1]), high: parseFloat(match[2]) };
+  match = BELOW.exec(text);
+  if (match) return { low: null, high: parseFloat(match[1]) };
+  match = ABOVE.exec(text);
+  if (match) return { low: parseFloat(match[1]), high: null };
+  return null;
+};
+
+// Units compare case- and space-insensitively, with µ/mcg spelled "u"
+const normalizeUnit = (unit) =>
+  String(unit || "")
+    .toLowerCase()
+    .replace(/\s+/g, "")
+    .replace(/[µμ]/g, "u")
+    .replace(/^mcg/, "ug");
+
+const flagResult = ({ value, textValue }, referenceRange, gender) => {
+  const bounds = parseReferenceRange(referenceRange, gender);
+  if (bounds && typeof value === "number") {
+    if (bounds.low !== null && value < bounds.low) return "low";
+    if (bounds.high !== null && value > bounds.high) return "high";
+    return "normal";
+  }
+  if (!bounds && referenceRange && textValue) {
+    return textValue.trim().toLowerCase() ===
+      String(referenceRange).trim().toLowerCase()
+      ? "normal"
+      : "abnormal";
+  }
+  return null;
+};
+
+// Components a lab order item reports on. Packages include the components
+// of the tests they bundle.
+const getItemComponents = async (itemModel, itemId) => {
+  if (itemModel === "Test") {
+    const test = await Test.findById(itemId).select("components");
+    return test ? test.components : [];
+  }
+  const pathology = await Pathology.findById(itemId)
+    .select("components isPackage tests")
+    .populate("tests", "components");
+  if (!pathology) return [];
+  return [
+    ...pathology.components,
+    ...(pathology.isPackage
+      ? (pathology.tests || []).flatMap((t) => t.components || [])
+      : []),
+  ];
+};
+
+// Check entered results against the item's components and flag them.
+// Returns { results } or { errors: [...] }.
+const buildResults = (components, entries, gender) => {
+  const byName = new Map(
+    components.map((c) => [c.name.trim().toLowerCase(), c])
+  );
+  const errors = [];
+  const results = [];
+
+  for (const entry of entries || []) {
+    const component = byName.get(
+      String(entry.component || "")
+        .trim()
+        .toLowerCase()
+    );
+    if (!component) {
+      errors.push(`Unknown component: ${entry.component}`);
+      continue;
+    }
+    if (
+      entry.unit &&
+      component.unit &&
+      normalizeUnit(entry.unit) !== normalizeUnit(component.unit)
+    ) {
+      errors.push(
+        `${component.name} must be reported in ${component.unit}, not ${entry.unit}`
+      );
+      continue;
+    }
+
+    const numeric = parseReferenceRange(component.referenceRange, gender);
+    const raw = entry.value;
+    let value;
+    let textValue;
+    if (typeof raw === "number" || /^\s*-?\d+(\.\d+)?\s*$/.test(raw || "")) {
+      value = Number(raw);
+    } else if (raw !== undefined && raw !== null && String(raw).trim()) {
+      if (numeric) {
+        errors.push(`${component.name} needs a numeric value`);
+        continue;
+      }
+      textValue = String(raw).trim();
+    } else {
+      errors.push(`${component.name} has no value`);
+      continue;
+    }
+
+    const result = {
+      component: component.name,
+      value,
+      textValue,
+      unit: component.unit,
+      referenceRange: component.referenceRange,
+      remarks: entry.remarks,
+    };
+    result.flag = flagResult(result, component.referenceRange, gender);
+    results.push(result);
+  }
+
+  return errors.length ? { errors } : { results };
+};
+
+// Previous final value of each component in `report` for the same patient,
+// with the change since then
+const compareWithPrevious = async (report) => {
+  const names = report.results.map((r) => r.component);
+  const earlier = await LabReport.find({
+    patient: report.patient,
+    status: "final",
+    _id: { $ne: report._id },
+    finalizedAt: { $lt: report.finalizedAt || new Date() },
+    "results.component": { $in: names },
+  })
+    .select("results finalizedAt name")
+    .sort({ finalizedAt: -1 })
+    .limit(50);
+
+  return report.results.map((result) => {
+    let previous = null;
+    for (const other of earlier) {
+      const match = other.results.find(
+        (r) => r.component === result.component && typeof r.value === "number"
+      );
+      if (match) {
+        previous = {
+          value: match.value,
+          flag: match.flag,
+          date: other.finalizedAt,
+          report: other._id,
+        };
+        break;
+      }
+    }
+    const change =
+      previous && typeof result.value === "number"
+        ? Math.round((result.value - previous.value) * 1000) / 1000
+        : null;
+    return {
+      component: result.component,
+      value: result.value ?? result.textValue,
+      unit: result.unit,
+      flag: result.flag,
+      previous,
+      change,
+      trend:
+        change === null
+          ? null
+          : change > 0
+          ? "up"
+          : change < 0
+          ? "down"
+          : "same",
+    };
+  });
+};
+
+// Time series of a patient's numeric results, oldest first, keyed by component
+const getTrends = async (patientId, { component, limit = 50 } = {}) => {
+  const query = { patient: patientId, status: "final" };
+  if (component) query["results.component"] = component;
+
+  const reports = await LabReport.find(query)
+    .select("results finalizedAt name order")
+    .sort({ finalizedAt: -1 })
+    .limit(limit);
+
+  const series = {};
+  for (const report of reports.reverse()) {
+    for (const result of report.results) {
+      if (typeof result.value !== "number") continue;
+      if (component && result.component !== component) continue;
+      (series[result.component] = series[result.component] || []).push({
+        date: report.finalizedAt,
+        value: result.value,
+        unit: result.unit,
+        flag: result.flag,
+        referenceRange: result.referenceRange,
+        report: report._id,
+      });
+    }
+  }
+  return series;
+};
+
+module.exports = {
+  parseReferenceRange,
+  normalizeUnit,
+  flagResult,
+  getItemComponents,
+  buildResults,
+  compareWithPrevious,
+  getTrends,
+};
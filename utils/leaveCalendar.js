@@ -0,0 +1,125 @@
+const Leave = require("../models/Leave");
+const Booking = require("../models/Booking");
+const Clinic = require("../models/Clinic");
+const Doctor = require("../models/Doctor");
+const { getDayBounds } = require("./slotReservation");
+const { escapeRegex } = require("./regex");
+
+const exactMatch = (value) => new RegExp(`^${escapeRegex(value.trim())}$`, "i");
+
+// Region holiday condition for a state/city pair (city-less holidays cover the whole state)
+const regionCondition = (state, city) => {
+  if (!state) return null;
+  const cityConditions = [{ "region.city": { $in: [null, ""] } }];
+  if (city) cityConditions.push({ "region.city": exactMatch(city) });
+  return {
+    scope: "region",
+    "region.state": exactMatch(state),
+    $or: cityConditions,
+  };
+};
+
+// All active leaves touching [from, to) that apply to a doctor, either at a
+// given clinic or (clinic omitted) on the doctor's general schedule.
+// `doctor` needs _id/state/city; `clinic` needs _id/state/place.
+const findLeaves = async ({ doctor, clinic = null, from, to }) => {
+  const scopes = [
+    {
+      scope: "doctor",
+      doctor: doctor._id,
+      clinic: { $in: clinic ? [null, clinic._id] : [null] },
+    },
+  ];
+  if (clinic) {
+    scopes.push({ scope: "clinic", clinic: clinic._id });
+  }
+  [
+    regionCondition(doctor.state, doctor.city),
+    clinic && regionCondition(clinic.state, clinic.place),
+  ]
+    .filter(Boolean)
+    .forEach((condition) => scopes.push(condition));
+
+  return Leave.find({
+    isActive: true,
+    startDate: { $lt: to },
+    endDate: { $gte: from },
+    $or: scopes,
+  }).sort({ startDate: 1 });
+};
+
+const leaveCoversDay = (leave, day) => {
+  const { start } = getDayBounds(day);
+  return leave.startDate <= start && leave.endDate >= start;
+};
+
+// Leaves affecting a single day, plus whether any of them blocks the whole day
+const getDayLeaves = async ({ doctor, clinic, date }) => {
+  const { start, end } = getDayBounds(date);
+  const leaves = await findLeaves({ doctor, clinic, from: start, to: end });
+  return {
+    leaves,
+    isFullDay: leaves.some((leave) => !leave.startTime),
+  };
+};
+
+// First leave that blocks an appointment at date + time, or null
+const findBlockingLeave = async ({ doctor, clinic, date, time }) => {
+  const { leaves } = await getDayLeaves({ doctor, clinic, date });
+  return leaves.find((leave) => leave.coversTime(time)) || null;
+};
+
+// Drop slots that fall inside any of the given leaves
+const filterSlotsByLeaves = (slots, leaves) =>
+  (slots || []).filter(
+    (slot) =>
+      !leaves.some((leave) => leave.coversTime(slot.startTime || slot.time))
+  );
+
+// Active bookings that collide with a leave, for the front desk to reschedule
+const findConflictingBookings = async (leave) => {
+  const { end } = getDayBounds(leave.endDate);
+  const query = {
+    status: { $in: ["pending", "confirmed"] },
+    appointmentDate: { $gte: leave.startDate, $lt: end },
+  };
+
+  if (leave.scope === "doctor") {
+    query.doctor = leave.doctor;
+    if (leave.clinic) query.clinic = leave.clinic;
+  } else if (leave.scope === "clinic") {
+    query.clinic = leave.clinic;
+  } else {
+    const clinicQuery = { state: exactMatch(leave.region.state) };
+    const doctorQuery = { state: exactMatch(leave.region.state) };
+    if (leave.region.city) {
+      clinicQuery.place = exactMatch(leave.region.city);
+      doctorQuery.city = exactMatch(leave.region.city);
+    }
+    const [clinicIds, doctorIds] = await Promise.all([
+      Clinic.find(clinicQuery).distinct("_id"),
+      Doctor.find(doctorQuery).distinct("_id"),
+    ]);
+    query.$or = [
+      { clinic: { $in: clinicIds } },
+      { clinic: null, doctor: { $in: doctorIds } },
+    ];
+  }
+
+  const bookings = await Booking.find(query)
+    .populate("doctor", "name phone")
+    .populate("clinic", "name")
+    .populate("patient", "firstName lastName phone email")
+    .sort({ appointmentDate: 1, appointmentTime: 1 });
+
+  return bookings.filter((booking) => leave.coversTime(booking.appointmentTime));
+};
+
+module.exports = {
+  findLeaves,
+  leaveCoversDay,
+  getDayLeaves,
+  findBlockingLeave,
+  filterSlotsByLeaves,
+  findConflictingBookings,
+};
@@ -12,6 +12,19 @@ const MSG91_VERIFY_URL =
   process.env.MSG91_VERIFY_URL ||
   "https://control.msg91.com/api/v5/widget/verifyAccessToken";
 
+// Outbound SMS (used by the notification service):
+//   MSG91_OTP_TEMPLATE_ID: DLT template for the OTP API
+//   MSG91_FLOW_TEMPLATE_ID: Flow template with a single ##message## variable,
+//     used for all other transactional texts
+const MSG91_OTP_TEMPLATE_ID = process.env.MSG91_OTP_TEMPLATE_ID || "";
+const MSG91_FLOW_TEMPLATE_ID = process.env.MSG91_FLOW_TEMPLATE_ID || "";
+const MSG91_API_URL = "https://control.msg91.com/api/v5";
+
+function formatMobile(phoneNumber) {
+  const cleanPhone = String(phoneNumber).replace(/\D/g, "");
+  return cleanPhone.startsWith("91") ? cleanPhone : `91${cleanPhone}`;
+}
+
 async function verifyAccessToken(accessToken) {
   if (!MSG91_AUTHKEY) {
     return {
@@ -72,6 +85,68 @@ async function verifyAccessToken(accessToken) {
   }
 }
 
+async function msg91Request(path, { params, data }) {
+  try {
+    const response = await axios.post(`${MSG91_API_URL}${path}`, data, {
+      params,
+      headers: {
+        authkey: MSG91_AUTHKEY,
+        "Content-Type": "application/json",
+        Accept: "application/json",
+      },
+      timeout: 10000,
+    });
+    const body = response.data || {};
+    if (body.type === "success") {
+      return {
+        success: true,
+        message: "SMS sent successfully",
+        requestId: body.request_id || body.message,
+      };
+    }
+    return {
+      success: false,
+      message: body.message || "Failed to send SMS",
+      error: body,
+    };
+  } catch (error) {
+    return {
+      success: false,
+      message: "MSG91 SMS error",
+      status: error.response?.status,
+      error: error.response?.data || error.message,
+    };
+  }
+}
+
+async function sendOtp(phoneNumber, otp) {
+  if (!MSG91_AUTHKEY || !MSG91_OTP_TEMPLATE_ID) {
+    return { success: false, message: "MSG91 OTP sending not configured" };
+  }
+  return msg91Request("/otp", {
+    params: {
+      template_id: MSG91_OTP_TEMPLATE_ID,
+      mobile: formatMobile(phoneNumber),
+      otp,
+    },
+  });
+}
+
+async function sendMessage(phoneNumber, message) {
+  if (!MSG91_AUTHKEY || !MSG91_FLOW_TEMPLATE_ID) {
+    return { success: false, message: "MSG91 SMS sending not configured" };
+  }
+  return msg91Request("/flow/", {
+    data: {
+      template_id: MSG91_FLOW_TEMPLATE_ID,
+      short_url: "0",
+      recipients: [{ mobiles: formatMobile(phoneNumber), message }],
+    },
+  });
+}
+
 module.exports = {
   verifyAccessToken,
+  sendOtp,
+  sendMessage,
 };
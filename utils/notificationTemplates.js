@@ -0,0 +1,111 @@
+// Message templates for outgoing notifications, keyed by name. Each template
+// has one text per locale with {variable} placeholders; `en` is the fallback.
+//   otpVariable: variable holding an OTP, so providers with a dedicated OTP
+//     route (Fast2SMS, MSG91) can use it
+//   sensitive:   variables masked in the outbox once delivery has settled
+//   maxAttempts: delivery attempts before the message is marked failed
+const DEFAULT_LOCALE = "en";
+
+const templates = new Map();
+
+const registerTemplate = (name, definition) => {
+  if (!definition.locales || !definition.locales[DEFAULT_LOCALE]) {
+    throw new Error(`Template ${name} needs an "${DEFAULT_LOCALE}" text`);
+  }
+  templates.set(name, { sensitive: [], ...definition, name });
+};
+
+const getTemplate = (name) => templates.get(name) || null;
+
+const listTemplates = () => [...templates.values()];
+
+const interpolate = (text, variables = {}) =>
+  text.replace(/\{(\w+)\}/g, (match, key) => variables[key] ?? "");
+
+// Render a template in the requested locale (falling back to English).
+// `redacted` is the same text with sensitive variables masked.
+const renderTemplate = (name, variables = {}, locale = DEFAULT_LOCALE) => {
+  const template = getTemplate(name);
+  if (!template) {
+    throw new Error(`Unknown notification template: ${name}`);
+  }
+
+  const resolvedLocale = template.locales[locale] ? locale : DEFAULT_LOCALE;
+  const text = template.locales[resolvedLocale];
+  const masked = { ...variables };
+  template.sensitive.forEach((key) => {
+    if (masked[key] !== undefined) masked[key] = "****";
+  });
+
+  return {
+    locale: resolvedLocale,
+    body: interpolate(text, variables),
+    redacted: interpolate(text, masked),
+    otp: template.otpVariable ? variables[template.otpVariable] : undefined,
+  };
+};
+
+const otpTemplate = (purposeEn, purposeHi) => ({
+  locales: {
+    en: `Your OTP for DrHelp ${purposeEn}is {otp}. Valid for 10 minutes. Do not share this OTP with anyone.`,
+    hi: `DrHelp ${purposeHi}के लिए आपका OTP {otp} है। यह 10 मिनट तक मान्य है। इसे किसी के साथ साझा न करें।`,
+  },
+  otpVariable: "otp",
+  sensitive: ["otp"],
+  // An OTP is only useful for a few minutes
+  maxAttempts: 2,
+});
+
+registerTemplate("otp_login", otpTemplate("login ", "लॉगिन "));
+registerTemplate(
+  "otp_password_reset",
+  otpTemplate("password reset ", "पासवर्ड रीसेट ")
+);
+registerTemplate(
+  "otp_change_password",
+  otpTemplate("password change ", "पासवर्ड बदलने ")
+);
+registerTemplate(
+  "otp_verification",
+  otpTemplate("account verification ", "खाता सत्यापन ")
+);
+registerTemplate("otp", otpTemplate("", ""));
+
+registerTemplate("booking_reminder_24h", {
+  locales: {
+    en: "DrHelp reminder: your appointment with Dr. {doctorName} is tomorrow, {date} at {time}{clinic}. Booking ID: {bookingId}",
+    hi: "DrHelp अनुस्मारक: डॉ. {doctorName} के साथ आपकी अपॉइंटमेंट कल, {date} को {time} बजे{clinic} है। बुकिंग आईडी: {bookingId}",
+  },
+});
+
+registerTemplate("booking_reminder_2h", {
+  locales: {
+    en: "DrHelp reminder: your appointment with Dr. {doctorName} is today at {time}{clinic}. Please arrive 10 minutes early. Booking ID: {bookingId}",
+    hi: "DrHelp अनुस्मारक: डॉ. {doctorName} के साथ आपकी अपॉइंटमेंट आज {time} बजे{clinic} है। कृपया 10 मिनट पहले पहुंचें। बुकिंग आईडी: {bookingId}",
+  },
+});
+
+// Reminders at custom offsets (REMINDER_OFFSETS_HOURS)
+registerTemplate("booking_reminder", {
+  locales: {
+    en: "DrHelp reminder: your appointment with Dr. {doctorName} is on {date} at {time}{clinic}. Booking ID: {bookingId}",
+    hi: "DrHelp अनुस्मारक: डॉ. {doctorName} के साथ आपकी अपॉइंटमेंट {date} को {time} बजे{clinic} है। बुकिंग आईडी: {bookingId}",
+  },
+});
+
+registerTemplate("waitlist_offer", {
+  locales: {
+    en: "DrHelp: A slot with Dr. {doctorName} on {date} at {time} is now free. It is held for you for {holdMinutes} minutes - confirm in the app to book it.",
+    hi: "DrHelp: डॉ. {doctorName} के साथ {date} को {time} बजे का स्लॉट अब खाली है। यह आपके लिए {holdMinutes} मिनट तक रखा गया है - बुक करने के लिए ऐप में पुष्टि करें।",
+  },
+  // A hold only lasts a few minutes
+  maxAttempts: 2,
+});
+
+module.exports = {
+  DEFAULT_LOCALE,
+  registerTemplate,
+  getTemplate,
+  listTemplates,
+  renderTemplate,
+};
@@ -0,0 +1,241 @@
+const EventEmitter = require("events");
+const fs = require("fs");
+const path = require("path");
+const NotificationOutbox = require("../models/NotificationOutbox");
+const { sendFast2SMSOTP, sendSMS, formatPhone } = require("./sms");
+const msg91 = require("./msg91");
+const { getTemplate, renderTemplate } = require("./notificationTemplates");
+const { registerHandler, scheduleJob } = require("./jobScheduler");
+
+const RETRY_JOB = "notification_retry";
+
+// Retry n waits base * 2^(n-1) seconds: 30s, 60s, 120s by default
+const RETRY_BASE_SECONDS =
+  parseInt(process.env.NOTIFICATION_RETRY_BASE_SECONDS, 10) || 30;
+const DEFAULT_MAX_ATTEMPTS =
+  parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS, 10) || 4;
+const NOTIFICATION_LOG_FILE =
+  process.env.NOTIFICATION_LOG_FILE ||
+  path.join(__dirname, "..", "logs", "notifications.log");
+
+// Emits "settled" with the outbox record once a message is sent or has
+// finally failed, so callers can track delivery without polling
+const notificationEvents = new EventEmitter();
+
+// A provider is `{ name, send({ to, body, otp, template }) }` resolving to
+// `{ success, message, requestId }`. `otp` is set for OTP templates so
+// providers with a dedicated OTP route can use it instead of `body`.
+const providers = {
+  fast2sms: {
+    name: "fast2sms",
+    send: ({ to, body, otp }) =>
+      otp ? sendFast2SMSOTP(to, otp) : sendSMS(to, body),
+  },
+  msg91: {
+    name: "msg91",
+    send: ({ to, body, otp }) =>
+      otp ? msg91.sendOtp(to, otp) : msg91.sendMessage(to, body),
+  },
+  // Local development: print messages instead of sending them
+  console: {
+    name: "console",
+    send: async ({ to, body }) => {
+      console.log(`[SMS to ${formatPhone(to)}] ${body}`);
+      return { success: true, message: "SMS logged to console" };
+    },
+  },
+  // Local development and tests: append messages to a JSON-lines file
+  file: {
+    name: "file",
+    send: async ({ to, body, template }) => {
+      await fs.promises.mkdir(path.dirname(NOTIFICATION_LOG_FILE), {
+        recursive: true,
+      });
+      await fs.promises.appendFile(
+        NOTIFICATION_LOG_FILE,
+        `${JSON.stringify({
+          at: new Date().toISOString(),
+          to: formatPhone(to),
+          template,
+          body,
+        })}\n`
+      );
+      return { success: true, message: "SMS written to file" };
+    },
+  },
+};
+
+let defaultProvider = process.env.SMS_PROVIDER || "fast2sms";
+
+const registerProvider = (provider) => {
+  providers[provider.name] = provider;
+};
+
+const setDefaultProvider = (name) => {
+  if (!providers[name]) {
+    throw new Error(`Unknown notification provider: ${name}`);
+  }
+  defaultProvider = name;
+};
+
+const getProvider = (name) =>
+  providers[name || defaultProvider] || providers.fast2sms;
+
+// Make one delivery attempt for an outbox record. Failures are retried with
+// exponential backoff through the job scheduler until maxAttempts is reached.
+const deliver = async (outbox) => {
+  const provider = getProvider(outbox.provider);
+
+  let result;
+  try {
+    result = await provider.send({
+      to: outbox.to,
+      body: outbox.body,
+      otp: outbox.otp,
+      template: outbox.template,
+    });
+  } catch (error) {
+    result = { success: false, message: error.message };
+  }
+
+  const attempts = outbox.attempts + 1;
+  const update = {
+    $inc: { attempts: 1 },
+    $push: {
+      deliveries: {
+        provider: provider.name,
+        success: result.success,
+        providerMessageId: result.requestId,
+        error: result.success ? undefined : result.message,
+      },
+    },
+  };
+
+  let retryAt = null;
+  if (result.success) {
+    update.$set = {
+      status: "sent",
+      sentAt: new Date(),
+      providerMessageId: result.requestId,
+    };
+  } else if (attempts < outbox.maxAttempts) {
+    retryAt = new Date(
+      Date.now() + RETRY_BASE_SECONDS * 1000 * 2 ** (attempts - 1)
+    );
+    update.$set = {
+      status: "retrying",
+      nextAttemptAt: retryAt,
+      lastError: result.message,
+    };
+  } else {
+    update.$set = { status: "failed", lastError: result.message };
+  }
+
+  if (!retryAt) {
+    // Settled: nothing left to resend, so drop the sensitive values
+    if (outbox.redactedBody) update.$set.body = outbox.redactedBody;
+    update.$unset = { otp: 1, redactedBody: 1, nextAttemptAt: 1 };
+  }
+
+  const updated = await NotificationOutbox.findByIdAndUpdate(
+    outbox._id,
+    update,
+    { new: true }
+  );
+
+  if (retryAt) {
+    await scheduleJob({
+      type: RETRY_JOB,
+      runAt: retryAt,
+      payload: { outboxId: outbox._id },
+      uniqueKey: `${RETRY_JOB}:${outbox._id}:${attempts}`,
+    });
+  } else {
+    notificationEvents.emit("settled", updated);
+  }
+
+  return {
+    success: result.success,
+    message: result.message,
+    requestId: result.requestId,
+    provider: provider.name,
+    status: updated.status,
+    outboxId: outbox._id,
+  };
+};
+
+// Render a template, record it in the outbox and make the first delivery
+// attempt. Resolves to `{ success, message, status, outboxId, ... }`; never
+// throws, so a notification problem can't fail the request that caused it.
+const sendNotification = async ({
+  to,
+  template,
+  variables = {},
+  locale,
+  provider,
+  user,
+  targetId,
+  targetModel,
+}) => {
+  try {
+    if (!to) {
+      return { success: false, message: "No recipient phone number" };
+    }
+
+    const rendered = renderTemplate(template, variables, locale);
+    const outbox = await NotificationOutbox.create({
+      provider: getProvider(provider).name,
+      to,
+      template,
+      locale: rendered.locale,
+      body: rendered.body,
+      redactedBody:
+        rendered.redacted !== rendered.body ? rendered.redacted : undefined,
+      otp: rendered.otp,
+      maxAttempts: getTemplate(template).maxAttempts || DEFAULT_MAX_ATTEMPTS,
+      user,
+      targetId,
+      targetModel,
+    });
+
+    return await deliver(outbox);
+  } catch (error) {
+    console.error(`Notification ${template} error:`, error);
+    return {
+      success: false,
+      message: "Failed to send notification",
+      error: error.message,
+    };
+  }
+};
+
+// OTP by purpose ("login", "password_reset", ...), falling back to the
+// generic OTP text for purposes without their own template
+const sendOTP = (phoneNumber, otp, purpose = "login", options = {}) =>
+  sendNotification({
+    ...options,
+    to: phoneNumber,
+    template: getTemplate(`otp_${purpose}`) ? `otp_${purpose}` : "otp",
+    variables: { otp },
+  });
+
+registerHandler(RETRY_JOB, async (job) => {
+  const outbox = await NotificationOutbox.findOne({
+    _id: job.payload.outboxId,
+    status: "retrying",
+  });
+  if (!outbox) {
+    return { skipped: true };
+  }
+  const result = await deliver(outbox);
+  return { status: result.status };
+});
+
+module.exports = {
+  notificationEvents,
+  registerProvider,
+  setDefaultProvider,
+  getProvider,
+  sendNotification,
+  sendOTP,
+};
@@ -0,0 +1,244 @@
+const crypto = require("crypto");
+const axios = require("axios");
+
+// A gateway adapter implements:
+//   createIntent({ amount, currency, reference, metadata })
+//     -> { id, clientSecret, checkoutUrl, publicKey }
+//   verifyWebhook(rawBody, headers) -> normalized event, throws if the
+//     signature is invalid
+//   fetchIntent(id) -> { status: "pending" | "paid" | "failed", gatewayPaymentId }
+//   refund({ intentId, gatewayPaymentId, amount }) -> { success, refundId, message }
+// Normalized events look like
+//   { id, type, intentId, gatewayPaymentId, failureReason }
+// with type one of payment.succeeded, payment.failed, refund.succeeded.
+// Amounts are in rupees; adapters convert to the gateway's unit.
+
+const toPaise = (amount) => Math.round(amount * 100);
+
+const hmacSha256 = (secret, payload) =>
+  crypto.createHmac("sha256", secret).update(payload).digest("hex");
+
+const signatureMatches = (expected, received) => {
+  if (!received) return false;
+  const a = Buffer.from(expected);
+  const b = Buffer.from(String(received));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+// Local development gateway. Intents live in memory and `buildWebhook`
+// produces the same signed callback a real gateway would send, so the whole
+// webhook path can be exercised without network access. Never registered in
+// production, and it signs nothing without a configured secret.
+const MOCK_WEBHOOK_SECRET = process.env.MOCK_PAYMENT_WEBHOOK_SECRET;
+const mockIntents = new Map();
+
+const mockSignature = (payload) => {
+  if (!MOCK_WEBHOOK_SECRET) {
+    throw new Error("Mock payment webhook secret is not configured");
+  }
+  return hmacSha256(MOCK_WEBHOOK_SECRET, payload);
+};
+
+const mockGateway = {
+  name: "mock",
+
+  async createIntent({ amount, currency, reference }) {
+    const id = `mock_pi_${crypto.randomBytes(8).toString("hex")}`;
+    mockIntents.set(id, { status: "pending", amount, currency, reference });
+    return {
+      id,
+      clientSecret: `${id}_secret_${crypto.randomBytes(8).toString("hex")}`,
+      checkoutUrl: null,
+    };
+  },
+
+  verifyWebhook(rawBody, headers) {
+    const payload = rawBody.toString("utf8");
+    if (
+      !signatureMatches(mockSignature(payload), headers["x-mock-signature"])
+    ) {
+      throw new Error("Invalid webhook signature");
+    }
+    const body = JSON.parse(payload);
+    return {
+      id: body.id,
+      type: body.type,
+      intentId: body.data.intentId,
+      gatewayPaymentId: body.data.paymentId,
+      failureReason: body.data.failureReason,
+    };
+  },
+
+  async fetchIntent(id) {
+    const intent = mockIntents.get(id);
+    if (!intent) return { status: "pending" };
+    return { status: intent.status, gatewayPaymentId: intent.paymentId };
+  },
+
+  async refund({ intentId }) {
+    const intent = mockIntents.get(intentId);
+    if (intent) intent.status = "refunded";
+    return {
+      success: true,
+      refundId: `mock_rf_${crypto.randomBytes(8).toString("hex")}`,
+    };
+  },
+
+  // Settle a mock intent and build its signed webhook ("succeeded" | "failed")
+  buildWebhook(intentId, outcome) {
+    if (!MOCK_WEBHOOK_SECRET) {
+      throw new Error("Mock payment webhook secret is not configured");
+    }
+    const intent = mockIntents.get(intentId) || { status: "pending" };
+    const succeeded = outcome === "succeeded";
+    intent.status = succeeded ? "paid" : "failed";
+    intent.paymentId =
+      intent.paymentId || `mock_pay_${crypto.randomBytes(8).toString("hex")}`;
+    mockIntents.set(intentId, intent);
+
+    const rawBody = JSON.stringify({
+      id: `mock_evt_${crypto.randomBytes(8).toString("hex")}`,
+      type: succeeded ? "payment.succeeded" : "payment.failed",
+      data: {
+        intentId,
+        paymentId: intent.paymentId,
+        failureReason: succeeded ? undefined : "Declined by mock gateway",
+      },
+    });
+    return {
+      rawBody,
+      headers: { "x-mock-signature": mockSignature(rawBody) },
+    };
+  },
+};
+
+// Razorpay: intents are Orders, completed client-side with Checkout
+const RAZORPAY_KEY_ID = process.env.RAZORPAY_KEY_ID;
+const RAZORPAY_KEY_SECRET = process.env.RAZORPAY_KEY_SECRET;
+const RAZORPAY_WEBHOOK_SECRET = process.env.RAZORPAY_WEBHOOK_SECRET;
+const RAZORPAY_API_URL = "https://api.razorpay.com/v1";
+
+const RAZORPAY_EVENT_TYPES = {
+  "payment.captured": "payment.succeeded",
+  "order.paid": "payment.succeeded",
+  "payment.failed": "payment.failed",
+  "refund.processed": "refund.succeeded",
+};
+
+const razorpayRequest = (method, path, data) => {
+  if (!RAZORPAY_KEY_ID || !RAZORPAY_KEY_SECRET) {
+    throw new Error("Razorpay is not configured");
+  }
+  return axios({
+    method,
+    url: `${RAZORPAY_API_URL}${path}`,
+    data,
+    auth: { username: RAZORPAY_KEY_ID, password: RAZORPAY_KEY_SECRET },
+    timeout: 10000,
+  }).then((response) => response.data);
+};
+
+const razorpayGateway = {
+  name: "razorpay",
+
+  async createIntent({ amount, currency, reference, metadata = {} }) {
+    const order = await razorpayRequest("post", "/orders", {
+      amount: toPaise(amount),
+      currency,
+      receipt: reference,
+      notes: metadata,
+    });
+    return {
+      id: order.id,
+      clientSecret: order.id,
+      checkoutUrl: null,
+      publicKey: RAZORPAY_KEY_ID,
+    };
+  },
+
+  verifyWebhook(rawBody, headers) {
+    if (!RAZORPAY_WEBHOOK_SECRET) {
+      throw new Error("Razorpay webhook secret is not configured");
+    }
+    const payload = rawBody.toString("utf8");
+    if (
+      !signatureMatches(
+        hmacSha256(RAZORPAY_WEBHOOK_SECRET, payload),
+        headers["x-razorpay-signature"]
+      )
+    ) {
+      throw new Error("Invalid webhook signature");
+    }
+
+    const body = JSON.parse(payload);
+    const payment = body.payload?.payment?.entity || {};
+    const refund = body.payload?.refund?.entity || {};
+    return {
+      // Refunds are keyed by refund id so they match the event recorded
+      // when the refund was requested (see utils/payments refundPayment)
+      id: refund.id
+        ? `refund:${refund.id}`
+        : headers["x-razorpay-event-id"] || `${body.event}:${payment.id}`,
+      type: RAZORPAY_EVENT_TYPES[body.event] || body.event,
+      intentId: payment.order_id || body.payload?.order?.entity?.id,
+      gatewayPaymentId: payment.id || refund.payment_id,
+      failureReason: payment.error_description,
+    };
+  },
+
+  async fetchIntent(id) {
+    const { items = [] } = await razorpayRequest(
+      "get",
+      `/orders/${id}/payments`
+    );
+    const captured = items.find((p) => p.status === "captured");
+    if (captured) return { status: "paid", gatewayPaymentId: captured.id };
+    if (items.length && items.every((p) => p.status === "failed")) {
+      return { status: "failed" };
+    }
+    return { status: "pending" };
+  },
+
+  async refund({ gatewayPaymentId, amount }) {
+    try {
+      const refund = await razorpayRequest(
+        "post",
+        `/payments/${gatewayPaymentId}/refund`,
+        { amount: toPaise(amount) }
+      );
+      return { success: true, refundId: refund.id };
+    } catch (error) {
+      return {
+        success: false,
+        message:
+          error.response?.data?.error?.description || "Razorpay refund failed",
+      };
+    }
+  },
+};
+
+const gateways = {
+  razorpay: razorpayGateway,
+};
+// Anyone holding the mock secret could mark bookings paid, so it only
+// exists outside production
+if (process.env.NODE_ENV !== "production") {
+  gateways.mock = mockGateway;
+}
+
+// Never fall back to the mock gateway in production
+const DEFAULT_GATEWAY =
+  process.env.PAYMENT_GATEWAY ||
+  (process.env.NODE_ENV === "production" ? "razorpay" : "mock");
+
+const registerGateway = (gateway) => {
+  gateways[gateway.name] = gateway;
+};
+
+const getGateway = (name = DEFAULT_GATEWAY) => gateways[name] || null;
+
+module.exports = {
+  DEFAULT_GATEWAY,
+  registerGateway,
+  getGateway,
+};
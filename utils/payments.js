@@ -0,0 +1,484 @@
+const Payment = require("../models/Payment");
+const Booking = require("../models/Booking");
+const Refund = require("../models/Refund");
+const { DEFAULT_GATEWAY, getGateway } = require("./paymentGateways");
+const { registerHandler, scheduleJob } = require("./jobScheduler");
+const { releaseToWaitlist } = require("./waitlist");
+const { cancelBookingReminders } = require("./reminders");
+const { notifyBookingParties } = require("./inbox");
+const { createActivity } = require("./activity");
+const { issueInvoice } = require("./invoices");
+
+const PAYMENT_TIMEOUT_JOB = "payment_timeout";
+
+// How long a non-cash booking holds its slot while waiting for payment
+const PAYMENT_TIMEOUT_MINUTES =
+  parseInt(process.env.PAYMENT_TIMEOUT_MINUTES, 10) || 30;
+
+// Payment status each event moves to, and the statuses it may move from.
+// Anything else (a late failure after success, a replayed webhook) is
+// recorded on the payment but not applied.
+const EVENT_TRANSITIONS = {
+  "payment.succeeded": {
+    status: "paid",
+    from: ["created", "failed", "expired"],
+  },
+  "payment.failed": { status: "failed", from: ["created"] },
+  "refund.succeeded": { status: "refunded", from: ["paid", "refunded"] },
+};
+
+const requiresOnlinePayment = (booking) =>
+  booking.paymentMethod !== "cash" && booking.consultationFee > 0;
+
+// Every intent for a booking shares one deadline, so retrying payment can't
+// extend the hold on the slot
+const getPaymentDeadline = (booking) =>
+  new Date(
+    new Date(booking.createdAt).getTime() + PAYMENT_TIMEOUT_MINUTES * 60000
+  );
+
+const paymentReference = (payment) =>
+  payment.gatewayPaymentId || payment.gatewayIntentId;
+
+// Create the payment intent for a booking awaiting online payment, or
+// return the one still open. The gateway is the server's configured one;
+// clients never choose it.
+const createPaymentIntent = async (booking) => {
+  if (!requiresOnlinePayment(booking)) {
+    return {
+      success: false,
+      status: 400,
+      message: "This booking does not need online payment",
+    };
+  }
+  if (booking.paymentStatus === "paid") {
+    return { success: false, status: 400, message: "Booking is already paid" };
+  }
+  if (booking.status !== "pending") {
+    return {
+      success: false,
+      status: 400,
+      message: `Booking is ${booking.status}`,
+    };
+  }
+
+  const deadline = getPaymentDeadline(booking);
+  if (deadline <= new Date()) {
+    return {
+      success: false,
+      status: 400,
+      message: "The payment window for this booking has closed",
+    };
+  }
+
+  const gateway = getGateway();
+  if (!gateway) {
+    return {
+      success: false,
+      status: 503,
+      message: `Payment gateway ${DEFAULT_GATEWAY} is not available`,
+    };
+  }
+
+  const open = await Payment.findOne({
+    booking: booking._id,
+    gateway: gateway.name,
+    status: "created",
+    expiresAt: { $gt: new Date() },
+  }).sort({ createdAt: -1 });
+  if (open) {
+    return { success: true, payment: open, reused: true };
+  }
+
+  // Scheduled before calling the gateway, so the slot is freed on time even
+  // if intent creation fails and the patient never retries
+  await scheduleJob({
+    type: PAYMENT_TIMEOUT_JOB,
+    runAt: deadline,
+    payload: { bookingId: booking._id },
+    uniqueKey: `${PAYMENT_TIMEOUT_JOB}:${booking._id}`,
+  });
+
+  const intent = await gateway.createIntent({
+    amount: booking.consultationFee,
+    currency: "INR",
+    reference: booking.bookingId,
+    metadata: { bookingId: booking.bookingId },
+  });
+
+  const payment = await Payment.create({
+    booking: booking._id,
+    patient: booking.patient,
+    amount: booking.consultationFee,
+    method: booking.paymentMethod,
+    gateway: gateway.name,
+    gatewayIntentId: intent.id,
+    clientSecret: intent.clientSecret,
+    checkoutUrl: intent.checkoutUrl,
+    expiresAt: deadline,
+  });
+
+  // A retry after a failed attempt puts the booking back to pending payment
+  await Booking.updateOne(
+    { _id: booking._id, paymentStatus: "failed" },
+    { paymentStatus: "pending" }
+  );
+
+  return { success: true, payment, publicKey: intent.publicKey };
+};
+
+// Refund (part of) a captured payment through its gateway, keeping a Refund
+// record of the outcome. `policy` carries the cancellation rule that set the
+// amount (see utils/cancellationPolicy).
+const refundPayment = async (
+  payment,
+  { amount, reason, requestedBy, policy } = {}
+) => {
+  const refundable = payment.amount - (payment.refundedAmount || 0);
+  if (!["paid", "refunded"].includes(payment.status) || refundable <= 0) {
+    return {
+      success: false,
+      status: 400,
+      message: "Payment has nothing left to refund",
+    };
+  }
+
+  const refundAmount = Math.min(amount ?? refundable, refundable);
+  if (refundAmount <= 0) {
+    return { success: false, status: 400, message: "Invalid refund amount" };
+  }
+
+  // Reserve the amount first so concurrent refunds can't exceed the payment
+  const reserved = await Payment.updateOne(
+    {
+      _id: payment._id,
+      status: { $in: ["paid", "refunded"] },
+      refundedAmount: { $lte: payment.amount - refundAmount },
+    },
+    { $inc: { refundedAmount: refundAmount } }
+  );
+  if (reserved.modifiedCount !== 1) {
+    return {
+      success: false,
+      status: 409,
+      message: "Payment was refunded concurrently, please retry",
+    };
+  }
+
+  const refund = await Refund.create({
+    booking: payment.booking,
+    payment: payment._id,
+    amount: refundAmount,
+    currency: payment.currency,
+    gateway: payment.gateway,
+    reason,
+    policy,
+    requestedBy,
+  });
+
+  const gateway = getGateway(payment.gateway);
+  let result;
+  try {
+    result = await gateway.refund({
+      intentId: payment.gatewayIntentId,
+      gatewayPaymentId: payment.gatewayPaymentId,
+      amount: refundAmount,
+    });
+  } catch (error) {
+    result = { success: false, message: error.message };
+  }
+  if (!result.success) {
+    await Payment.updateOne(
+      { _id: payment._id },
+      { $inc: { refundedAmount: -refundAmount } }
+    );
+    await Refund.updateOne(
+      { _id: refund._id },
+      { status: "failed", failureReason: result.message }
+    );
+    return {
+      success: false,
+      status: 502,
+      message: result.message,
+      refund: refund._id,
+    };
+  }
+
+  await Refund.updateOne(
+    { _id: refund._id },
+    { status: "succeeded", gatewayRefundId: result.refundId }
+  );
+  // Gateways confirm refunds asynchronously; apply it now so the booking
+  // doesn't depend on the webhook arriving. The webhook uses the same event id.
+  await applyPaymentEvent(payment.gateway, {
+    id: `refund:${result.refundId}`,
+    type: "refund.succeeded",
+    intentId: payment.gatewayIntentId,
+  });
+
+  await createActivity({
+    type: "payment_refunded",
+    message: `Refunded ₹${refundAmount}${reason ? ` (${reason})` : ""}`,
+    user: requestedBy,
+    targetId: payment.booking,
+    targetModel: "Booking",
+    metadata: {
+      paymentId: payment._id,
+      refundId: refund._id,
+      gatewayRefundId: result.refundId,
+    },
+  });
+
+  return {
+    success: true,
+    refund: refund._id,
+    refundId: result.refundId,
+    amount: refundAmount,
+  };
+};
+
+// Mirror a payment's new status onto its booking
+const settleBooking = async (payment) => {
+  if (payment.status === "paid") {
+    const booking = await Booking.findOneAndUpdate(
+      {
+        _id: payment.booking,
+        status: { $in: ["pending", "confirmed"] },
+        paymentStatus: { $ne: "paid" },
+      },
+      {
+        status: "confirmed",
+        paymentStatus: "paid",
+        paymentId: paymentReference(payment),
+      },
+      { new: true }
+    );
+    if (booking) {
+      await createActivity({
+        type: "payment_received",
+        message: `Payment received for booking ${booking.bookingId}`,
+        user: booking.patient,
+        targetId: booking._id,
+        targetModel: "Booking",
+        metadata: { paymentId: payment._id, amount: payment.amount },
+      });
+      try {
+        await issueInvoice(booking._id);
+      } catch (error) {
+        // The invoice is issued on first request instead
+        console.error("Issue invoice error:", error);
+      }
+      return;
+    }
+
+    // The booking was cancelled/expired meanwhile, or another intent already
+    // paid for it: give this money back
+    const current = await Booking.findById(payment.booking);
+    const paidByThis =
+      current &&
+      current.paymentStatus === "paid" &&
+      current.paymentId === paymentReference(payment);
+    if (!paidByThis) {
+      const result = await refundPayment(payment, {
+        reason:
+          current && current.paymentStatus === "paid"
+            ? "Duplicate payment"
+            : "Booking no longer active",
+      });
+      if (!result.success) {
+        console.error("Automatic refund failed:", payment._id, result);
+      }
+    }
+  } else if (payment.status === "failed") {
+    await Booking.updateOne(
+      { _id: payment.booking, paymentStatus: "pending" },
+      { paymentStatus: "failed" }
+    );
+  } else if (payment.status === "refunded") {
+    await Booking.updateOne(
+      { _id: payment.booking, paymentId: paymentReference(payment) },
+      { paymentStatus: "refunded" }
+    );
+  }
+};
+
+// Apply a normalized gateway event. Idempotent: each event id is applied at
+// most once, and events that no longer fit the payment's state are ignored.
+const applyPaymentEvent = async (gatewayName, event) => {
+  const transition = EVENT_TRANSITIONS[event.type];
+  if (!transition) {
+    return { success: true, ignored: true };
+  }
+
+  const now = new Date();
+  const set = { status: transition.status };
+  if (transition.status === "paid") {
+    set.paidAt = now;
+    set.failureReason = null;
+    if (event.gatewayPaymentId) set.gatewayPaymentId = event.gatewayPaymentId;
+  } else if (transition.status === "failed") {
+    set.failureReason = event.failureReason || "Payment failed";
+  } else if (transition.status === "refunded") {
+    set.refundedAt = now;
+  }
+
+  const payment = await Payment.findOneAndUpdate(
+    {
+      gateway: gatewayName,
+      gatewayIntentId: event.intentId,
+      status: { $in: transition.from },
+      "events.eventId": { $ne: event.id },
+    },
+    {
+      $set: set,
+      $push: {
+        events: { eventId: event.id, type: event.type, status: set.status },
+      },
+    },
+    { new: true }
+  );
+
+  if (!payment) {
+    const existing = await Payment.findOne({
+      gateway: gatewayName,
+      gatewayIntentId: event.intentId,
+    });
+    if (!existing) {
+      return {
+        success: false,
+        status: 404,
+        message: "Unknown payment intent",
+      };
+    }
+    await Payment.updateOne(
+      { _id: existing._id, "events.eventId": { $ne: event.id } },
+      {
+        $push: {
+          events: {
+            eventId: event.id,
+            type: event.type,
+            status: existing.status,
+            ignored: true,
+          },
+        },
+      }
+    );
+    return { success: true, duplicate: true, payment: existing };
+  }
+
+  await settleBooking(payment);
+  return { success: true, payment };
+};
+
+// Ask the gateway for the intent's state and apply it, for lost webhooks
+const reconcilePayment = async (payment) => {
+  const gateway = getGateway(payment.gateway);
+  const remote = await gateway.fetchIntent(payment.gatewayIntentId);
+  if (!["paid", "failed"].includes(remote.status)) {
+    return { success: true, unchanged: true, payment };
+  }
+
+  return applyPaymentEvent(payment.gateway, {
+    id: `reconcile:${payment.gatewayIntentId}:${remote.status}`,
+    type: remote.status === "paid" ? "payment.succeeded" : "payment.failed",
+    intentId: payment.gatewayIntentId,
+    gatewayPaymentId: remote.gatewayPaymentId,
+  });
+};
+
+// Job handler: cancel a booking whose payment window closed unpaid
+const expireUnpaidBooking = async (job) => {
+  const { bookingId } = job.payload;
+  const booking = await Booking.findById(bookingId);
+  if (
+    !booking ||
+    booking.status !== "pending" ||
+    booking.paymentStatus === "paid"
+  ) {
+    return { skipped: true };
+  }
+
+  // A webhook may have been lost: check with the gateway before giving up
+  const open = await Payment.find({
+    booking: booking._id,
+    status: { $in: ["created", "failed"] },
+  });
+  for (const payment of open) {
+    await reconcilePayment(payment);
+  }
+  await Payment.updateMany(
+    { booking: booking._id, status: "created" },
+    { status: "expired" }
+  );
+
+  const expired = await Booking.findOneAndUpdate(
+    { _id: booking._id, status: "pending", paymentStatus: { $ne: "paid" } },
+    {
+      status: "cancelled",
+      notes: "Cancelled automatically: payment not completed",
+    },
+    { new: true }
+  );
+  if (!expired) {
+    return { status: "paid" };
+  }
+
+  await releaseToWaitlist(expired);
+  await cancelBookingReminders(expired);
+  await notifyBookingParties(expired, "booking_cancelled");
+  await createActivity({
+    type: "appointment_cancelled",
+    message: `Booking ${expired.bookingId} cancelled: payment not completed`,
+    user: expired.patient,
+    targetId: expired._id,
+    targetModel: "Booking",
+  });
+  return { status: "cancelled" };
+};
+
+registerHandler(PAYMENT_TIMEOUT_JOB, expireUnpaidBooking);
+
+// Cash is collected at the clinic, so completing a cash booking records it
+// as paid and issues its receipt. Returns the paid booking, or null if it
+// wasn't an unpaid cash booking.
+const recordCashPayment = async (booking, { actorId } = {}) => {
+  const paid = await Booking.findOneAndUpdate(
+    {
+      _id: booking._id,
+      paymentMethod: "cash",
+      paymentStatus: { $in: ["pending", "failed"] },
+    },
+    { paymentStatus: "paid" },
+    { new: true }
+  );
+  if (!paid) return null;
+  // Keep the caller's copy in sync so a later save() doesn't undo this
+  booking.paymentStatus = paid.paymentStatus;
+
+  await createActivity({
+    type: "payment_received",
+    message: `Cash payment recorded for booking ${paid.bookingId}`,
+    user: actorId || paid.patient,
+    targetId: paid._id,
+    targetModel: "Booking",
+    metadata: { method: "cash", amount: paid.consultationFee },
+  });
+  try {
+    await issueInvoice(paid._id);
+  } catch (error) {
+    // The invoice is issued on first request instead
+    console.error("Issue invoice error:", error);
+  }
+  return paid;
+};
+
+module.exports = {
+  PAYMENT_TIMEOUT_MINUTES,
+  requiresOnlinePayment,
+  getPaymentDeadline,
+  createPaymentIntent,
+  applyPaymentEvent,
+  reconcilePayment,
+  refundPayment,
+  recordCashPayment,
+};
@@ -0,0 +1,182 @@
+// Minimal PDF writer for simple text documents (invoices, receipts). Uses the
+// built-in Helvetica fonts, so nothing is embedded and no external service or
+// library is needed. Text is WinAnsi (Latin-1); other characters print as "?".
+
+// Helvetica glyph widths for ASCII 32-126, in 1/1000 em
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278,
+  278, 556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584,
+  584, 556, 1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556,
+  833, 722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278,
+  278, 278, 469, 556, 333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222,
+  500, 222, 833, 556, 556, 556, 556, 333, 500, 278, 556, 500, 722, 500, 500,
+  500, 334, 260, 334, 584,
+];
+
+const FONTS = { regular: "F1", bold: "F2" };
+
+const toLatin1 = (text) =>
+  String(text ?? "")
+    .replace(/₹/g, "Rs.")
+    .replace(/[^\x20-\xff]/g, "?");
+
+const escapeText = (text) => text.replace(/([\\()])/g, "\\$1");
+
+// Width of `text` in points; bold is approximated as slightly wider
+const textWidth = (text, size, font = "regular") => {
+  let units = 0;
+  for (const ch of toLatin1(text)) {
+    const code = ch.charCodeAt(0);
+    units += code >= 32 && code <= 126 ? HELVETICA_WIDTHS[code - 32] : 556;
+  }
+  return ((units * size) / 1000) * (font === "bold" ? 1.05 : 1);
+};
+
+const num = (n) => Number(n.toFixed(2));
+
+class PdfDocument {
+  // A4 portrait by default; coordinates are points from the top-left corner
+  constructor({ width = 595, height = 842 } = {}) {
+    this.width = width;
+    this.height = height;
+    this.pages = [];
+    this.addPage();
+  }
+
+  addPage() {
+    this.ops = [];
+    this.pages.push(this.ops);
+    return this;
+  }
+
+  // Options: size, font ("regular" | "bold"), align ("left" | "right" |
+  // "center") and width, the box `align` is relative to
+  text(
+    value,
+    x,
+    y,
+    { size = 10, font = "regular", align = "left", width } = {}
+  ) {
+    const text = toLatin1(value);
+    let left = x;
+    if (align !== "left" && width) {
+      const free = width - textWidth(text, size, font);
+      left = x + (align === "right" ? free : free / 2);
+    }
+    this.ops.push(
+      `BT /${FONTS[font]} ${size} Tf ${num(left)} ${num(
+        this.height - y - size
+      )} Td (${escapeText(text)}) Tj ET`
+    );
+    return this;
+  }
+
+  // Break `value` into lines no wider than `width`; returns the lines
+  wrap(value, width, { size = 10, font = "regular" } = {}) {
+    const lines = [];
+    for (const paragraph of toLatin1(value).split("\n")) {
+      let line = "";
+      for (const word of paragraph.split(" ")) {
+        const next = line ? `${line} ${word}` : word;
+        if (line && textWidth(next, size, font) > width) {
+          lines.push(line);
+          line = word;
+        } else {
+          line = next;
+        }
+      }
+      lines.push(line);
+    }
+    return lines;
+  }
+
+  line(x1, y1, x2, y2, { lineWidth = 0.5 } = {}) {
+    this.ops.push(
+      `${lineWidth} w ${num(x1)} ${num(this.height - y1)} m ${num(x2)} ${num(
+        this.height - y2
+      )} l S`
+    );
+    return this;
+  }
+
+  // Filled rectangle; `gray` runs from 0 (black) to 1 (white)
+  rect(x, y, width, height, { gray = 0.9 } = {}) {
+    this.ops.push(
+      `${gray} g ${num(x)} ${num(this.height - y - height)} ${num(width)} ${num(
+        height
+      )} re f 0 g`
+    );
+    return this;
+  }
+
+  toBuffer() {
+    const objects = [];
+    const addObject = (body) => {
+      objects.push(body);
+      return objects.length;
+    };
+
+    const catalog = addObject(null);
+    const pagesRoot = addObject(null);
+    const regular = addObject(
+      "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>"
+    );
+    const bold = addObject(
+      "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>"
+    );
+
+    const pageIds = this.pages.map((ops) => {
+      const stream = Buffer.from(ops.join("\n"), "latin1");
+      const content = addObject(
+        Buffer.concat([
+          Buffer.from(`<< /Length ${stream.length} >>\nstream\n`),
+          stream,
+          Buffer.from("\nendstream"),
+        ])
+      );
+      return addObject(
+        `<< /Type /Page /Parent ${pagesRoot} 0 R /MediaBox [0 0 ${this.width} ${this.height}] ` +
+          `/Resources << /Font << /F1 ${regular} 0 R /F2 ${bold} 0 R >> >> /Contents ${content} 0 R >>`
+      );
+    });
+
+    objects[catalog - 1] = `<< /Type /Catalog /Pages ${pagesRoot} 0 R >>`;
+    objects[pagesRoot - 1] = `<< /Type /Pages /Kids [${pageIds
+      .map((id) => `${id} 0 R`)
+      .join(" ")}] /Count ${pageIds.length} >>`;
+
+    const chunks = [Buffer.from("%PDF-1.4\n%\xe2\xe3\xcf\xd3\n", "latin1")];
+    let offset = chunks[0].length;
+    const offsets = objects.map((body, i) => {
+      const chunk = Buffer.concat([
+        Buffer.from(`${i + 1} 0 obj\n`),
+        Buffer.isBuffer(body) ? body : Buffer.from(body, "latin1"),
+        Buffer.from("\nendobj\n"),
+      ]);
+      chunks.push(chunk);
+      const start = offset;
+      offset += chunk.length;
+      return start;
+    });
+
+    const xref = [
+      "xref",
+      `0 ${objects.length + 1}`,
+      "0000000000 65535 f ",
+      ...offsets.map((o) => `${String(o).padStart(10, "0")} 00000 n `),
+      "trailer",
+      `<< /Size ${objects.length + 1} /Root ${catalog} 0 R >>`,
+      "startxref",
+      String(offset),
+      "%%EOF",
+    ].join("\n");
+    chunks.push(Buffer.from(xref));
+
+    return Buffer.concat(chunks);
+  }
+}
+
+module.exports = {
+  PdfDocument,
+  textWidth,
+};
@@ -0,0 +1,138 @@
+const Pharmacy = require("../models/Pharmacy");
+const PharmacyInventory = require("../models/PharmacyInventory");
+const { parseClockTime, formatClockTime } = require("./labOrders");
+const { inStockFilter, sellableQuantity } = require("./pharmacyInventory");
+const { escapeRegex } = require("./regex");
+
+const DAYS = [
+  "sunday",
+  "monday",
+  "tuesday",
+  "wednesday",
+  "thursday",
+  "friday",
+  "saturday",
+];
+const IST_OFFSET_MINUTES = 330;
+
+// Opening window of `day` in minutes since midnight, or null when closed.
+// A close time at or before the open time runs past midnight.
+const hoursFor = (pharmacy, day) => {
+  const hours = pharmacy.operatingHours && pharmacy.operatingHours[day];
+  if (!hours || hours.isClosed) return null;
+  const open = parseClockTime(hours.open);
+  const close = parseClockTime(hours.close);
+  if (open === null || close === null) return null;
+  return { open, close: close <= open ? close + 24 * 60 : close };
+};
+
+// Whether the pharmacy is open at `at` (IST), and when it next closes
+const openStatus = (pharmacy, at = new Date()) => {
+  if (pharmacy.is24Hours) return { isOpen: true, closesAt: null };
+
+  const ist = new Date(at.getTime() + IST_OFFSET_MINUTES * 60000);
+  const dayIndex = ist.getUTCDay();
+  const minute = ist.getUTCHours() * 60 + ist.getUTCMinutes();
+
+  const today = hoursFor(pharmacy, DAYS[dayIndex]);
+  if (today && minute >= today.open && minute < today.close) {
+    return { isOpen: true, closesAt: formatClockTime(today.close % 1440) };
+  }
+  // Still inside yesterday's overnight window
+  const yesterday = hoursFor(pharmacy, DAYS[(dayIndex + 6) % 7]);
+  if (yesterday && minute + 1440 < yesterday.close) {
+    return { isOpen: true, closesAt: formatClockTime(yesterday.close % 1440) };
+  }
+  return { isOpen: false, closesAt: null };
+};
+
+// Pharmacies within `radiusKm` of lat/lng stocking a medicine matching
+// `name`, nearest first. Closed pharmacies are left out unless
+// `includeClosed` is set.
+const findMedicineNearby = async ({
+  name,
+  lat,
+  lng,
+  radiusKm = 5,
+  includeClosed = false,
+  limit = 20,
+}) => {
+  const now = new Date();
+  const nearby = await Pharmacy.aggregate([
+    {
+      $geoNear: {
+        near: { type: "Point", coordinates: [lng, lat] },
+        distanceField: "distance",
+        maxDistance: radiusKm * 1000,
+        spherical: true,
+        query: { isActive: true },
+      },
+    },
+    { $limit: 200 },
+    {
+      $project: {
+        name: 1,
+        address: 1,
+        place: 1,
+        phone: 1,
+        coordinates: 1,
+        operatingHours: 1,
+        is24Hours: 1,
+        rating: 1,
+        distance: 1,
+      },
+    },
+  ]);
+
+  const candidates = nearby
+    .map((pharmacy) => ({ pharmacy, ...openStatus(pharmacy, now) }))
+    .filter((c) => includeClosed || c.isOpen);
+  if (!candidates.length) return [];
+
+  const items = await PharmacyInventory.find({
+    pharmacy: { $in: candidates.map((c) => c.pharmacy._id) },
+    availability: true,
+    nameKey: new RegExp(escapeRegex(name.trim().toLowerCase())),
+    ...inStockFilter(now),
+  }).select(
+    "pharmacy name manufacturer category price requiresPrescription batches"
+  );
+
+  const byPharmacy = new Map();
+  for (const item of items) {
+    const key = item.pharmacy.toString();
+    if (!byPharmacy.has(key)) byPharmacy.set(key, []);
+    byPharmacy.get(key).push({
+      _id: item._id,
+      name: item.name,
+      manufacturer: item.manufacturer,
+      category: item.category,
+      price: item.price,
+      requiresPrescription: item.requiresPrescription,
+      availableQuantity: sellableQuantity(item, now),
+    });
+  }
+
+  // $geoNear already returned pharmacies nearest first
+  return candidates
+    .filter((c) => byPharmacy.has(c.pharmacy._id.toString()))
+    .slice(0, limit)
+    .map(({ pharmacy, isOpen, closesAt }) => {
+      const { operatingHours, distance, ...details } = pharmacy;
+      const medications = byPharmacy
+        .get(pharmacy._id.toString())
+        .sort((a, b) => (a.price ?? Infinity) - (b.price ?? Infinity));
+      return {
+        pharmacy: details,
+        distance: parseFloat((distance / 1000).toFixed(2)),
+        isOpen,
+        closesAt,
+        medications,
+      };
+    });
+};
+
+module.exports = {
+  openStatus,
+  findMedicineNearby,
+};
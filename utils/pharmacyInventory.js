@@ -0,0 +1,208 @@
+const mongoose = require("mongoose");
+const PharmacyInventory = require("../models/PharmacyInventory");
+const { escapeRegex } = require("./regex");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Matches items with at least one unexpired batch in stock
+const inStockFilter = (at = new Date()) => ({
+  batches: { $elemMatch: { quantity: { $gt: 0 }, expiryDate: { $gt: at } } },
+});
+
+// Query for a pharmacy's listing. Every filter is scoped by pharmacy so it
+// runs on the { pharmacy, ... } indexes.
+const buildInventoryQuery = (
+  pharmacyId,
+  { search, category, inStock, includeUnlisted } = {}
+) => {
+  const query = { pharmacy: pharmacyId };
+  if (!includeUnlisted) query.availability = true;
+  if (search) {
+    query.nameKey = new RegExp(escapeRegex(search.trim().toLowerCase()));
+  }
+  if (category) {
+    query.category = new RegExp(`^${escapeRegex(category.trim())}$`, "i");
+  }
+  if (inStock) Object.assign(query, inStockFilter());
+  return query;
+};
+
+// Units that can still be sold (unexpired batches only)
+const sellableQuantity = (item, at = new Date()) =>
+  (item.batches || [])
+    .filter((b) => b.expiryDate > at)
+    .reduce((sum, b) => sum + b.quantity, 0);
+
+// Listing shape: the item with its sellable stock and earliest live expiry
+const withStock = (item, at = new Date()) => {
+  const data = item.toObject ? item.toObject() : { ...item };
+  const live = (item.batches || []).filter(
+    (b) => b.quantity > 0 && b.expiryDate > at
+  );
+  data.availableQuantity = sellableQuantity(item, at);
+  data.inStock = data.availableQuantity > 0;
+  data.lowStock = data.availableQuantity <= (item.reorderLevel || 0);
+  data.nearestExpiry = live.length
+    ? new Date(Math.min(...live.map((b) => b.expiryDate.getTime())))
+    : null;
+  return data;
+};
+
+// Save an inventory item after `change(item)` edits it, reloading and
+// retrying on concurrent edits. Returns what `change` returns, or null when
+// the item is gone.
+const editItem = async (itemId, change, { attempts = 3 } = {}) => {
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    const item = await PharmacyInventory.findById(itemId);
+    if (!item) return null;
+    const result = change(item);
+    if (!item.isModified()) return result;
+
+    try {
+      await item.save();
+      return result;
+    } catch (error) {
+      if (!(error instanceof mongoose.Error.VersionError)) throw error;
+      if (attempt === attempts) throw error;
+    }
+  }
+  return null;
+};
+
+// Take `quantity` units out of stock, earliest-expiring batch first. With
+// `allOrNothing` nothing is taken unless every unit is sellable. Returns
+// { taken, available, batches: [{ batch, quantity }] } so the units can be
+// put back with returnStock.
+const takeStock = async (itemId, quantity, { allOrNothing = false } = {}) => {
+  const result = await editItem(itemId, (item) => {
+    const now = new Date();
+    const available = sellableQuantity(item, now);
+    if (allOrNothing && available < quantity) {
+      return { taken: 0, available, batches: [] };
+    }
+
+    let remaining = quantity;
+    const taken = [];
+    const batches = [...item.batches]
+      .filter((b) => b.quantity > 0 && b.expiryDate > now)
+      .sort((a, b) => a.expiryDate - b.expiryDate);
+    for (const batch of batches) {
+      if (!remaining) break;
+      const units = Math.min(batch.quantity, remaining);
+      batch.quantity -= units;
+      remaining -= units;
+      taken.push({ batch: batch._id, quantity: units });
+    }
+    return { taken: quantity - remaining, available, batches: taken };
+  });
+  return result || { taken: 0, available: 0, batches: [] };
+};
+
+// Put units taken by takeStock back into their batches. Batches deleted in
+// the meantime can't be refilled; returns the units actually returned.
+const returnStock = async (itemId, batches = []) => {
+  const result = await editItem(itemId, (item) => {
+    let returned = 0;
+    for (const { batch, quantity } of batches) {
+      const target = item.batches.id(batch);
+      if (!target || !quantity) continue;
+      target.quantity += quantity;
+      returned += quantity;
+    }
+    return returned;
+  });
+  return result || 0;
+};
+
+// Low-stock items and batches expiring within `days` for one pharmacy
+const inventoryReport = async (pharmacyId, { days = 30 } = {}) => {
+  const now = new Date();
+  const horizon = new Date(now.getTime() + days * DAY_MS);
+  const pharmacy = new mongoose.Types.ObjectId(pharmacyId);
+
+  const lowStock = await PharmacyInventory.aggregate([
+    { $match: { pharmacy, availability: true } },
+    {
+      $addFields: {
+        availableQuantity: {
+          $sum: {
+            $map: {
+              input: {
+                $filter: {
+                  input: "$batches",
+                  cond: { $gt: ["$$this.expiryDate", now] },
+                },
+              },
+              in: "$$this.quantity",
+            },
+          },
+        },
+      },
+    },
+    { $match: { $expr: { $lte: ["$availableQuantity", "$reorderLevel"] } } },
+    { $sort: { availableQuantity: 1, nameKey: 1 } },
+    {
+      $project: {
+        name: 1,
+        sku: 1,
+        manufacturer: 1,
+        category: 1,
+        availableQuantity: 1,
+        reorderLevel: 1,
+        shortfall: { $subtract: ["$reorderLevel", "$availableQuantity"] },
+      },
+    },
+  ]);
+
+  // Batches still holding stock that expire before the horizon (or already
+  // have), earliest first
+  const expiring = await PharmacyInventory.aggregate([
+    {
+      $match: {
+        pharmacy,
+        batches: {
+          $elemMatch: { quantity: { $gt: 0 }, expiryDate: { $lte: horizon } },
+        },
+      },
+    },
+    { $unwind: "$batches" },
+    {
+      $match: {
+        "batches.quantity": { $gt: 0 },
+        "batches.expiryDate": { $lte: horizon },
+      },
+    },
+    { $sort: { "batches.expiryDate": 1 } },
+    {
+      $project: {
+        _id: 0,
+        item: "$_id",
+        name: 1,
+        sku: 1,
+        batch: "$batches._id",
+        batchNumber: "$batches.batchNumber",
+        expiryDate: "$batches.expiryDate",
+        quantity: "$batches.quantity",
+        expired: { $lte: ["$batches.expiryDate", now] },
+      },
+    },
+  ]);
+
+  return {
+    generatedAt: now,
+    days,
+    lowStock,
+    nearExpiry: expiring.filter((b) => !b.expired),
+    expired: expiring.filter((b) => b.expired),
+  };
+};
+
+module.exports = {
+  inStockFilter,
+  buildInventoryQuery,
+  sellableQuantity,
+  withStock,
+  takeStock,
+  returnStock,
+  inventoryReport,
+};
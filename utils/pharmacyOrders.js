@@ -0,0 +1,315 @@
+const PharmacyOrder = require("../models/PharmacyOrder");
+const { createNotification } = require("./inbox");
+const { createActivity } = require("./activity");
+const {
+  sellableQuantity,
+  takeStock,
+  returnStock,
+} = require("./pharmacyInventory");
+
+// Status each order status may move to. The pharmacy answers a placed order
+// by accepting it in full, in part, or rejecting it.
+const PHARMACY_ORDER_TRANSITIONS = {
+  placed: ["accepted", "partially_fulfilled", "rejected", "cancelled"],
+  accepted: ["ready", "cancelled"],
+  partially_fulfilled: ["ready", "cancelled"],
+  ready: ["completed"],
+  rejected: [],
+  completed: [],
+  cancelled: [],
+};
+
+const STATUS_MESSAGES = {
+  accepted: "The pharmacy accepted your order.",
+  partially_fulfilled:
+    "The pharmacy can fulfil part of your order. Check the order for details.",
+  rejected: "The pharmacy could not accept your order.",
+  ready: "Your medicines are ready.",
+  completed: "Your order is complete.",
+  cancelled: "Your pharmacy order was cancelled.",
+};
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Order lines for `entries` ([{ medicationId, quantity }]) priced from the
+// pharmacy's inventory items. Returns { items, subtotal, requiresPrescription }
+// or { errors }.
+const buildOrderItems = (inventoryItems, entries) => {
+  const byId = new Map(inventoryItems.map((i) => [i._id.toString(), i]));
+  const errors = [];
+  const items = [];
+  for (const entry of entries || []) {
+    const medication = byId.get(String(entry.medicationId));
+    const quantity = parseInt(entry.quantity, 10) || 1;
+    if (!medication) {
+      errors.push(`Medication ${entry.medicationId} is not sold here`);
+    } else if (!medication.availability) {
+      errors.push(`${medication.name} is currently unavailable`);
+    } else if (quantity < 1) {
+      errors.push(`Invalid quantity for ${medication.name}`);
+    } else if (items.some((i) => i.medication.equals(medication._id))) {
+      errors.push(`${medication.name} is listed more than once`);
+    } else if (sellableQuantity(medication) < quantity) {
+      const available = sellableQuantity(medication);
+      errors.push(
+        available
+          ? `Only ${available} of ${medication.name} in stock`
+          : `${medication.name} is out of stock`
+      );
+    } else {
+      items.push({
+        medication: medication._id,
+        name: medication.name,
+        category: medication.category,
+        price: medication.price || 0,
+        requiresPrescription: Boolean(medication.requiresPrescription),
+        quantity,
+      });
+    }
+  }
+  if (!items.length && !errors.length) errors.push("Add at least one item");
+  if (errors.length) return { errors };
+
+  return {
+    items,
+    subtotal: roundAmount(
+      items.reduce((sum, i) => sum + i.price * i.quantity, 0)
+    ),
+    requiresPrescription: items.some((i) => i.requiresPrescription),
+  };
+};
+
+// Apply the pharmacy's per-item answer ([{ itemId, fulfilledQuantity, note }];
+// unlisted items are fulfilled in full). Returns the resulting status, items
+// and total, or { error }.
+const applyFulfilment = (order, decisions = []) => {
+  const byItem = new Map(decisions.map((d) => [String(d.itemId), d]));
+  const items = [];
+  for (const item of order.items) {
+    const decision = byItem.get(item._id.toString());
+    const fulfilled = decision
+      ? parseInt(decision.fulfilledQuantity, 10)
+      : item.quantity;
+    if (isNaN(fulfilled) || fulfilled < 0 || fulfilled > item.quantity) {
+      return {
+        error: `Fulfilled quantity for ${item.name} must be 0-${item.quantity}`,
+      };
+    }
+    items.push({
+      ...item.toObject(),
+      fulfilledQuantity: fulfilled,
+      note: decision?.note,
+    });
+  }
+
+  const fulfilledUnits = items.reduce((n, i) => n + i.fulfilledQuantity, 0);
+  const orderedUnits = items.reduce((n, i) => n + i.quantity, 0);
+  const status =
+    fulfilledUnits === 0
+      ? "rejected"
+      : fulfilledUnits === orderedUnits
+      ? "accepted"
+      : "partially_fulfilled";
+
+  return {
+    status,
+    items,
+    total: roundAmount(
+      items.reduce((sum, i) => sum + i.price * i.fulfilledQuantity, 0)
+    ),
+  };
+};
+
+const canTransition = (from, to) =>
+  (PHARMACY_ORDER_TRANSITIONS[from] || []).includes(to);
+
+// Statuses in which the pharmacy holds the fulfilled units for the patient
+const RESERVING_STATUSES = ["accepted", "partially_fulfilled"];
+
+// Put the units held for `items` back on the shelf. Returns the items whose
+// units couldn't all be returned ([{ itemId, name, quantity }]).
+const releaseOrderStock = async (items) => {
+  const unreturned = [];
+  for (const item of items) {
+    const batches = item.stockBatches || [];
+    const held = batches.reduce((n, b) => n + b.quantity, 0);
+    if (!held) continue;
+    let returned = 0;
+    try {
+      returned = await returnStock(item.medication, batches);
+    } catch (error) {
+      console.error("Pharmacy stock release error:", error);
+    }
+    if (returned < held) {
+      unreturned.push({
+        itemId: item._id,
+        name: item.name,
+        quantity: held - returned,
+      });
+    }
+  }
+  return unreturned;
+};
+
+// Take the fulfilled units of `items` out of stock so no other order can
+// sell them; all or nothing. Returns { success, items } with each item's
+// stockBatches, or { success: false, shortages: [{ itemId, name, requested,
+// available }] } with nothing taken.
+const reserveOrderStock = async (items) => {
+  const reserved = [];
+  const shortages = [];
+  try {
+    for (const item of items) {
+      if (!item.fulfilledQuantity) {
+        reserved.push({ ...item, stockBatches: [] });
+        continue;
+      }
+      const stock = await takeStock(item.medication, item.fulfilledQuantity, {
+        allOrNothing: true,
+      });
+      if (stock.taken < item.fulfilledQuantity) {
+        shortages.push({
+          itemId: item._id,
+          name: item.name,
+          requested: item.fulfilledQuantity,
+          available: stock.available,
+        });
+      } else {
+        reserved.push({ ...item, stockBatches: stock.batches });
+      }
+    }
+  } catch (error) {
+    await releaseOrderStock(reserved);
+    throw error;
+  }
+
+  if (shortages.length) {
+    await releaseOrderStock(reserved);
+    return { success: false, shortages };
+  }
+  return { success: true, items: reserved };
+};
+
+// Deduct stock on hand-over for orders accepted before units were reserved
+// at /respond. Returns the items that couldn't be deducted in full
+// ([{ itemId, name, requested, deducted }]).
+const deductOrderStock = async (items) => {
+  const shortages = [];
+  for (const item of items) {
+    if (!item.fulfilledQuantity) continue;
+    let deducted = 0;
+    try {
+      ({ taken: deducted } = await takeStock(
+        item.medication,
+        item.fulfilledQuantity
+      ));
+    } catch (error) {
+      console.error("Pharmacy stock deduction error:", error);
+    }
+    if (deducted < item.fulfilledQuantity) {
+      shortages.push({
+        itemId: item._id,
+        name: item.name,
+        requested: item.fulfilledQuantity,
+        deducted,
+      });
+    }
+  }
+  return shortages;
+};
+
+// Move an order to `status` (with any extra fields in `set`), telling the
+// patient. Accepting holds the fulfilled units and cancelling an accepted
+// order releases them. Returns { success, order, stockShortages?,
+// unreturnedStock? } or { success: false, status, message, shortages? }.
+const updatePharmacyOrderStatus = async (
+  order,
+  status,
+  { actorId, note, set = {} } = {}
+) => {
+  if (!canTransition(order.status, status)) {
+    return {
+      success: false,
+      status: 400,
+      message: `Cannot move an order from ${order.status} to ${status}`,
+    };
+  }
+
+  const reserving = RESERVING_STATUSES.includes(status);
+  let reservedItems = [];
+  if (reserving) {
+    const reservation = await reserveOrderStock(
+      set.items || order.items.map((i) => i.toObject())
+    );
+    if (!reservation.success) {
+      return {
+        success: false,
+        status: 409,
+        message: "Not enough stock to fulfil this order",
+        shortages: reservation.shortages,
+      };
+    }
+    reservedItems = reservation.items;
+    set = { ...set, items: reservedItems, stockReserved: true };
+  }
+
+  // Conditional on the current status so concurrent updates can't skip a step
+  const updated = await PharmacyOrder.findOneAndUpdate(
+    { _id: order._id, status: order.status },
+    {
+      ...set,
+      status,
+      $push: { statusHistory: { status, note, changedBy: actorId } },
+    },
+    { new: true }
+  );
+  if (!updated) {
+    if (reserving) await releaseOrderStock(reservedItems);
+    return {
+      success: false,
+      status: 409,
+      message: "Order was updated concurrently, please retry",
+    };
+  }
+
+  const stock = {};
+  if (status === "cancelled" && updated.stockReserved) {
+    const unreturned = await releaseOrderStock(updated.items);
+    if (unreturned.length) stock.unreturnedStock = unreturned;
+  }
+  if (status === "completed" && !updated.stockReserved) {
+    const shortages = await deductOrderStock(updated.items);
+    if (shortages.length) stock.stockShortages = shortages;
+  }
+
+  await createNotification({
+    recipient: updated.patient,
+    type: "pharmacy_order_updated",
+    title: `Pharmacy order ${updated.orderId}`,
+    message: STATUS_MESSAGES[status],
+    targetId: updated._id,
+    targetModel: "PharmacyOrder",
+    actor: actorId,
+  });
+
+  await createActivity({
+    type:
+      status === "cancelled"
+        ? "pharmacy_order_cancelled"
+        : "pharmacy_order_updated",
+    message: `Pharmacy order ${updated.orderId} status updated to ${status}`,
+    user: actorId,
+    targetId: updated._id,
+    targetModel: "PharmacyOrder",
+  });
+
+  return { success: true, order: updated, ...stock };
+};
+
+module.exports = {
+  PHARMACY_ORDER_TRANSITIONS,
+  buildOrderItems,
+  applyFulfilment,
+  canTransition,
+  updatePharmacyOrderStatus,
+};
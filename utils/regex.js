@@ -0,0 +1,6 @@
+// Escape user input for use as a literal inside a RegExp
+function escapeRegex(value = "") {
+  return String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+module.exports = { escapeRegex };
@@ -0,0 +1,186 @@
+const Booking = require("../models/Booking");
+const { sendNotification, notificationEvents } = require("./notifications");
+const { getTemplate } = require("./notificationTemplates");
+const { getAppointmentDateTime } = require("./slotReservation");
+const { registerHandler, scheduleJob, cancelJobs } = require("./jobScheduler");
+
+const REMINDER_JOB = "booking_reminder";
+
+// Hours before the appointment at which reminders go out
+const REMINDER_OFFSETS_HOURS = (process.env.REMINDER_OFFSETS_HOURS || "24,2")
+  .split(",")
+  .map((h) => parseInt(h, 10))
+  .filter((h) => h > 0);
+
+// Template for a reminder kind ("24h", "2h"); custom offsets use the generic text
+const reminderTemplate = (kind) =>
+  getTemplate(`booking_reminder_${kind}`)
+    ? `booking_reminder_${kind}`
+    : "booking_reminder";
+
+// `booking` needs doctor and clinic populated with their names
+const reminderVariables = (booking) => ({
+  doctorName: booking.doctor ? booking.doctor.name : "your doctor",
+  date: new Date(booking.appointmentDate).toDateString(),
+  time: booking.appointmentTime,
+  clinic:
+    booking.clinic && booking.clinic.name ? ` (${booking.clinic.name})` : "",
+  bookingId: booking.bookingId,
+});
+
+// Queue reminders for a booking's current slot. Offsets already in the past
+// (e.g. booked an hour ahead) are skipped. Safe to call again for the same
+// slot: jobs are keyed by booking, kind and appointment time.
+const scheduleBookingReminders = async (booking) => {
+  try {
+    const appointmentAt = getAppointmentDateTime(booking);
+    const reminders = [];
+
+    for (const hours of REMINDER_OFFSETS_HOURS) {
+      const runAt = new Date(appointmentAt.getTime() - hours * 3600000);
+      if (runAt <= new Date()) continue;
+
+      const kind = `${hours}h`;
+      const job = await scheduleJob({
+        type: REMINDER_JOB,
+        runAt,
+        payload: { bookingId: booking._id, kind, appointmentAt },
+        uniqueKey: `${REMINDER_JOB}:${
+          booking._id
+        }:${kind}:${appointmentAt.getTime()}`,
+      });
+      reminders.push({ kind, scheduledFor: runAt, job: job._id });
+    }
+
+    if (reminders.length) {
+      // Drop stale entries for re-armed jobs before recording the new ones
+      await Booking.updateOne(
+        { _id: booking._id },
+        { $pull: { reminders: { job: { $in: reminders.map((r) => r.job) } } } }
+      );
+      await Booking.updateOne(
+        { _id: booking._id },
+        { $push: { reminders: { $each: reminders } } }
+      );
+    }
+    return reminders;
+  } catch (error) {
+    // A reminder problem must never fail the booking itself
+    console.error("Schedule reminders error:", error);
+    return [];
+  }
+};
+
+// Cancel reminders that haven't gone out yet (cancelled, no-show, rescheduled)
+const cancelBookingReminders = async (booking) => {
+  try {
+    const jobs = await cancelJobs({
+      type: REMINDER_JOB,
+      "payload.bookingId": booking._id,
+    });
+    if (jobs.length) {
+      await Booking.updateOne(
+        { _id: booking._id },
+        { $set: { "reminders.$[r].status": "cancelled" } },
+        { arrayFilters: [{ "r.job": { $in: jobs.map((job) => job._id) } }] }
+      );
+    }
+    return jobs.length;
+  } catch (error) {
+    console.error("Cancel reminders error:", error);
+    return 0;
+  }
+};
+
+const recordReminder = (job, fields) =>
+  Booking.updateOne(
+    { _id: job.payload.bookingId },
+    {
+      $set: Object.fromEntries(
+        Object.entries(fields)
+          .filter(([, value]) => value !== undefined)
+          .map(([key, value]) => [`reminders.$[r].${key}`, value])
+      ),
+    },
+    { arrayFilters: [{ "r.job": job._id }] }
+  );
+
+// Job handler: send one reminder, unless the booking moved on since it was queued
+const sendBookingReminder = async (job) => {
+  const { bookingId, kind, appointmentAt } = job.payload;
+  const booking = await Booking.findById(bookingId)
+    .populate("doctor", "name")
+    .populate("clinic", "name")
+    .populate("patient", "preferences");
+  if (!booking) {
+    return { status: "skipped", reason: "Booking not found" };
+  }
+
+  let skip = null;
+  if (!["pending", "confirmed"].includes(booking.status)) {
+    skip = { status: "cancelled", error: `Booking is ${booking.status}` };
+  } else if (
+    getAppointmentDateTime(booking).getTime() !==
+    new Date(appointmentAt).getTime()
+  ) {
+    skip = { status: "cancelled", error: "Booking was rescheduled" };
+  } else if (booking.patient?.preferences?.notifications?.sms === false) {
+    skip = { status: "skipped", error: "Patient has SMS notifications off" };
+  }
+  if (skip) {
+    await recordReminder(job, skip);
+    return skip;
+  }
+
+  const result = await sendNotification({
+    to: booking.patientDetails.phone,
+    template: reminderTemplate(kind),
+    variables: reminderVariables(booking),
+    locale: booking.patient?.preferences?.language,
+    user: booking.patient?._id,
+    targetId: booking._id,
+    targetModel: "Booking",
+  });
+
+  // Failed sends are retried by the notification outbox; the final outcome
+  // is copied onto the booking when it settles (see below)
+  const delivery = {
+    status: result.status || "failed",
+    notification: result.outboxId,
+    provider: result.provider,
+    providerMessageId: result.requestId,
+    sentAt: result.success ? new Date() : undefined,
+    error: result.success ? null : result.message,
+  };
+  await recordReminder(job, delivery);
+  return delivery;
+};
+
+// Keep the booking's reminder status in step with outbox retries
+notificationEvents.on("settled", (outbox) => {
+  if (outbox.targetModel !== "Booking") return;
+  Booking.updateOne(
+    { _id: outbox.targetId },
+    {
+      $set: {
+        "reminders.$[r].status": outbox.status,
+        "reminders.$[r].providerMessageId": outbox.providerMessageId,
+        "reminders.$[r].sentAt": outbox.sentAt,
+        "reminders.$[r].error": outbox.lastError,
+      },
+    },
+    { arrayFilters: [{ "r.notification": outbox._id }] }
+  ).catch((error) => console.error("Reminder status update error:", error));
+});
+
+registerHandler(REMINDER_JOB, sendBookingReminder);
+
+module.exports = {
+  REMINDER_JOB,
+  REMINDER_OFFSETS_HOURS,
+  reminderTemplate,
+  reminderVariables,
+  scheduleBookingReminders,
+  cancelBookingReminders,
+  sendBookingReminder,
+};
@@ -0,0 +1,238 @@
+const Doctor = require("../models/Doctor");
+const ScheduleTemplate = require("../models/ScheduleTemplate");
+const {
+  getDayBounds,
+  findScheduleDay,
+  carryOverBookingCounts,
+} = require("./slotReservation");
+
+// Indexed by Date#getDay()
+const WEEKDAYS = [
+  "sunday",
+  "monday",
+  "tuesday",
+  "wednesday",
+  "thursday",
+  "friday",
+  "saturday",
+];
+
+const toMinutes = (time) => {
+  const [h, m] = String(time)
+    .split(":")
+    .map((v) => parseInt(v, 10) || 0);
+  return h * 60 + m;
+};
+
+const toTimeString = (minutes) => {
+  const h = String(Math.floor(minutes / 60)).padStart(2, "0");
+  const m = String(minutes % 60).padStart(2, "0");
+  return `${h}:${m}`;
+};
+
+// Expand one weekly rule into fixed-length slots. A slot that would overlap a
+// break is skipped and slot generation resumes when the break ends.
+const buildRuleSlots = (rule) => {
+  const end = toMinutes(rule.endTime);
+  const duration = rule.slotDuration || 15;
+  const breaks = (rule.breaks || []).map((b) => [
+    toMinutes(b.startTime),
+    toMinutes(b.endTime),
+  ]);
+
+  const slots = [];
+  let cursor = toMinutes(rule.startTime);
+  while (cursor + duration <= end) {
+    const clash = breaks.find(
+      ([breakStart, breakEnd]) =>
+        cursor < breakEnd && cursor + duration > breakStart
+    );
+    if (clash) {
+      cursor = Math.max(clash[1], cursor + 1);
+      continue;
+    }
+    slots.push({
+      startTime: toTimeString(cursor),
+      endTime: toTimeString(cursor + duration),
+      isAvailable: true,
+      maxBookings: rule.maxBookings || 1,
+      currentBookings: 0,
+    });
+    cursor += duration;
+  }
+  return slots;
+};
+
+const isTemplateEffective = (template, day) => {
+  if (template.isActive === false) return false;
+  const { start: from } = getDayBounds(template.effectiveFrom || 0);
+  if (day < from) return false;
+  if (template.effectiveUntil) {
+    const { start: until } = getDayBounds(template.effectiveUntil);
+    if (day > until) return false;
+  }
+  return true;
+};
+
+// Generate date-wise schedule entries for `days` days starting at `from`.
+// When several templates cover a date, the one effective most recently wins,
+// so a new template can take over from a given date without editing the old.
+const generateScheduleDays = (templates, { from = new Date(), days = 30 }) => {
+  const { start } = getDayBounds(from);
+  const generated = [];
+
+  for (let i = 0; i < days; i += 1) {
+    const day = new Date(start);
+    day.setDate(start.getDate() + i);
+
+    const template = templates
+      .filter((t) => isTemplateEffective(t, day))
+      .sort((a, b) => new Date(b.effectiveFrom) - new Date(a.effectiveFrom))[0];
+    if (!template) continue;
+
+    const weekday = WEEKDAYS[day.getDay()];
+    const slotsByStart = new Map();
+    (template.rules || [])
+      .filter((rule) => rule.day === weekday)
+      .forEach((rule) => {
+        buildRuleSlots(rule).forEach((slot) => {
+          if (!slotsByStart.has(slot.startTime)) {
+            slotsByStart.set(slot.startTime, slot);
+          }
+        });
+      });
+    const slots = [...slotsByStart.values()].sort((a, b) =>
+      a.startTime.localeCompare(b.startTime)
+    );
+
+    // Days without rules are written as closed rather than left unscheduled,
+    // otherwise the booking flow would treat them as open for any time
+    generated.push({ date: day, isAvailable: slots.length > 0, slots });
+  }
+
+  return generated;
+};
+
+// Merge generated days into a stored schedule. Generated dates replace the
+// stored ones, live booking counters are kept, and slots that still hold
+// bookings but are no longer offered stay on the day as unavailable so the
+// seats can be released later.
+const mergeGeneratedDays = (existingSchedules, generatedDays) => {
+  const existing = existingSchedules || [];
+  const merged = carryOverBookingCounts(existing, generatedDays).map((day) => {
+    const existingDay = findScheduleDay(existing, day.date);
+    if (!existingDay) return day;
+
+    const orphaned = (existingDay.slots || [])
+      .filter(
+        (sl) =>
+          (sl.currentBookings || 0) > 0 &&
+          !day.slots.some((s) => s.startTime === sl.startTime)
+      )
+      .map((sl) => ({ ...sl, isAvailable: false }));
+    return { ...day, slots: [...day.slots, ...orphaned] };
+  });
+
+  const untouched = existing.filter(
+    (day) => !findScheduleDay(generatedDays, day.date)
+  );
+
+  return [...untouched, ...merged].sort(
+    (a, b) => new Date(a.date) - new Date(b.date)
+  );
+};
+
+// Materialize all active templates for a doctor (optionally at one clinic)
+// into the doctor's date-wise schedule for the rolling window.
+const materializeSchedule = async ({
+  doctorId,
+  clinicId = null,
+  from = new Date(),
+  days,
+}) => {
+  const templates = await ScheduleTemplate.find({
+    doctor: doctorId,
+    clinic: clinicId || null,
+    isActive: true,
+  });
+  if (!templates.length) {
+    return { success: false, message: "No active schedule templates found" };
+  }
+
+  const windowDays =
+    days || Math.max(...templates.map((t) => t.windowDays || 30));
+  const generated = generateScheduleDays(templates, { from, days: windowDays });
+
+  // Optimistic concurrency on updatedAt: a booking that reserves a seat while
+  // we merge bumps updatedAt, and we retry with fresh counters
+  for (let attempt = 0; attempt < 3; attempt += 1) {
+    const doctor = await Doctor.findById(doctorId)
+      .select("name updatedAt bookingSchedule clinicDetails")
+      .lean();
+    if (!doctor) {
+      return { success: false, message: "Doctor not found" };
+    }
+
+    let update;
+    let options = {};
+    if (clinicId) {
+      const clinicDetail = (doctor.clinicDetails || []).find(
+        (cd) => cd.clinic && cd.clinic.toString() === clinicId.toString()
+      );
+      if (!clinicDetail) {
+        return {
+          success: false,
+          message: "Doctor is not associated with this clinic",
+        };
+      }
+      update = {
+        $set: {
+          "clinicDetails.$[elem].clinicSchedule": mergeGeneratedDays(
+            clinicDetail.clinicSchedule,
+            generated
+          ),
+        },
+      };
+      options = { arrayFilters: [{ "elem.clinic": clinicDetail.clinic }] };
+    } else {
+      update = {
+        $set: {
+          bookingSchedule: mergeGeneratedDays(doctor.bookingSchedule, generated),
+        },
+      };
+    }
+
+    const result = await Doctor.updateOne(
+      { _id: doctorId, updatedAt: doctor.updatedAt },
+      update,
+      { ...options, runValidators: true }
+    );
+    if (result.modifiedCount === 1) {
+      await ScheduleTemplate.updateMany(
+        { _id: { $in: templates.map((t) => t._id) } },
+        { lastGeneratedAt: new Date() }
+      );
+      return {
+        success: true,
+        doctorName: doctor.name,
+        days: generated.length,
+        schedule: generated,
+      };
+    }
+  }
+
+  return {
+    success: false,
+    message: "Schedule changed while generating, please retry",
+  };
+};
+
+module.exports = {
+  WEEKDAYS,
+  toMinutes,
+  toTimeString,
+  buildRuleSlots,
+  generateScheduleDays,
+  mergeGeneratedDays,
+  materializeSchedule,
+};
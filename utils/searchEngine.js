@@ -0,0 +1,485 @@
+const SearchDocument = require("../models/SearchDocument");
+const {
+  normalize,
+  tokenize,
+  editDistance,
+  allowedEdits,
+  stemOf,
+  analyzeQuery,
+} = require("./searchVocabulary");
+const { ENTITY_TYPES } = require("./searchIndex");
+const { escapeRegex } = require("./regex");
+
+// Candidates fetched per entity type before ranking; merged pagination runs
+// over these, so very deep pages of broad queries are cut off
+const CANDIDATE_LIMIT = parseInt(process.env.SEARCH_CANDIDATE_LIMIT, 10) || 100;
+// Largest "near me" radius accepted, in km
+const MAX_RADIUS_KM = 200;
+
+// Points each signal can contribute. Text relevance dominates; the rest
+// order equally relevant results.
+const WEIGHTS = {
+  text: 60,
+  specialization: 15,
+  rating: 10,
+  distance: 15,
+  verified: 4,
+  featured: 4,
+  available: 4,
+};
+
+// How well `token` matches `value`: 1 exact, then prefix, word prefix,
+// substring and, for longer words, near misses within a typo or two
+const MATCH_KINDS = [
+  ["exact", 1],
+  ["prefix", 0.85],
+  ["word", 0.7],
+  ["partial", 0.45],
+  ["fuzzy", 0.4],
+];
+const matchQuality = (token, value) => {
+  const text = normalize(value);
+  if (!text || !token) return null;
+  if (text === token) return MATCH_KINDS[0];
+  if (text.startsWith(token)) return MATCH_KINDS[1];
+  const words = text.split(" ");
+  if (words.some((w) => w.startsWith(token))) return MATCH_KINDS[2];
+  if (text.includes(token)) return MATCH_KINDS[3];
+  // "cardiologist" against a "Cardiology" department
+  const stem = stemOf(token);
+  if (stem && words.some((w) => w.startsWith(stem))) return MATCH_KINDS[2];
+  const max = allowedEdits(token);
+  if (
+    max &&
+    !token.includes(" ") &&
+    words.some((w) => editDistance(token, w, max) <= max)
+  ) {
+    return MATCH_KINDS[4];
+  }
+  return null;
+};
+
+// Best weighted match of `token` (a word or the whole phrase) over fields
+const bestFieldMatch = (token, fields) => {
+  let best = null;
+  for (const field of fields) {
+    for (const value of field.values) {
+      const match = matchQuality(token, value);
+      if (!match) continue;
+      const quality = match[1] * field.weight;
+      if (!best || quality > best.quality) {
+        best = { quality, field: field.name, kind: match[0], value };
+      }
+    }
+  }
+  return best;
+};
+
+// Text relevance in [0, 1]: the average best match of each query word,
+// or the whole phrase if that matches better
+const textRelevance = (tokens, fields) => {
+  if (!tokens.length) return { quality: 0, matches: [] };
+  const matches = tokens.map((token) => ({
+    token,
+    ...(bestFieldMatch(token, fields) || { quality: 0 }),
+  }));
+  const average =
+    matches.reduce((sum, m) => sum + m.quality, 0) / matches.length;
+
+  if (tokens.length > 1) {
+    const phrase = bestFieldMatch(tokens.join(" "), fields);
+    if (phrase && phrase.quality > average) {
+      return {
+        quality: phrase.quality,
+        matches: [{ token: tokens.join(" "), ...phrase }],
+      };
+    }
+  }
+  return { quality: average, matches };
+};
+
+const ratingOf = (doc) => ({
+  average: parseFloat(doc.rating?.average) || 0,
+  count: doc.rating?.count || 0,
+});
+
+const prefixPatterns = (terms) =>
+  terms.map((t) => new RegExp(`^${escapeRegex(t)}`));
+
+// Index entries with a keyword starting with any of `terms`
+const anyKeywordFilter = (terms) =>
+  terms.length ? { keywords: { $in: prefixPatterns(terms) } } : null;
+
+// Index entries matching every word of the query, as typed or as corrected
+// and mapped by analyzeQuery
+const allKeywordsFilter = (analysis) => {
+  const variants = [
+    analysis.original,
+    analysis.tokens,
+    analysis.tokens.map((t) => stemOf(t) || t),
+  ].filter((v) => v.length);
+  const unique = [...new Map(variants.map((v) => [v.join(" "), v])).values()];
+  if (!unique.length) return null;
+  return {
+    $or: unique.map((words) => ({
+      keywords: { $all: prefixPatterns(words) },
+    })),
+  };
+};
+
+const locationFilter = (city) => {
+  if (!city) return null;
+  return {
+    locations: new RegExp(escapeRegex(normalize(city.split(",")[0])), "i"),
+  };
+};
+
+const range = (value) => {
+  if (!value) return null;
+  const [min, max] = String(value).split("-").map(Number);
+  return max ? { $gte: min, $lte: max } : { $gte: min };
+};
+
+const combine = (...filters) => {
+  const parts = filters.filter(Boolean);
+  return parts.length ? { $and: parts } : {};
+};
+
+// Index filter for the search filters that apply to an entity type
+const facetFilter = (provider, filters) => {
+  const applies = (name) => filters[name] && provider.filters.includes(name);
+  return combine(
+    applies("rating") && {
+      "rating.average": { $gte: parseFloat(filters.rating) },
+    },
+    applies("fee") && { fee: range(filters.fee) },
+    applies("experience") && { experience: range(filters.experience) },
+    applies("specialization") && {
+      specializations: {
+        $in: prefixPatterns(tokenize(filters.specialization)),
+      },
+    }
+  );
+};
+
+// "Near me" parameters: the origin [lng, lat] and radius in km, or null
+// unless a valid lat and lng were given
+const parseNear = ({ lat, lng, distance }) => {
+  const latitude = parseFloat(lat);
+  const longitude = parseFloat(lng);
+  if (
+    isNaN(latitude) ||
+    isNaN(longitude) ||
+    Math.abs(latitude) > 90 ||
+    Math.abs(longitude) > 180
+  ) {
+    return null;
+  }
+  const radiusKm = parseFloat(distance);
+  return {
+    origin: [longitude, latitude],
+    radiusKm: radiusKm > 0 ? Math.min(radiusKm, MAX_RADIUS_KM) : 50,
+  };
+};
+
+// Index entries within the radius, nearest first, with `distance` in
+// metres. Entries without real coordinates never match.
+const geoNearStage = (near, query) => ({
+  $geoNear: {
+    near: { type: "Point", coordinates: near.origin },
+    distanceField: "distance",
+    maxDistance: near.radiusKm * 1000,
+    spherical: true,
+    key: "location",
+    query,
+  },
+});
+
+const toKm = (metres) => parseFloat((metres / 1000).toFixed(2));
+
+// Candidates of one entity type from the search index, as the entity
+// summaries stored there. Near a point, only entries within the radius are
+// returned, each with its `distance` in km.
+const fetchCandidates = async (provider, { terms, city, filters, near }) => {
+  const query = {
+    entityType: provider.type,
+    ...combine(
+      anyKeywordFilter(terms),
+      locationFilter(city),
+      facetFilter(provider, filters)
+    ),
+  };
+
+  // Only CANDIDATE_LIMIT entries per type are ranked: the best rated ones,
+  // or the nearest when searching near a point
+  if (!near) {
+    const docs = await SearchDocument.find(query)
+      .sort({ "rating.average": -1, _id: 1 })
+      .select("summary")
+      .limit(CANDIDATE_LIMIT)
+      .lean();
+    return docs.map((d) => d.summary);
+  }
+
+  const docs = await SearchDocument.aggregate([
+    geoNearStage(near, query),
+    { $limit: CANDIDATE_LIMIT },
+    { $project: { summary: 1, distance: 1 } },
+  ]);
+  return docs.map((d) => ({ ...d.summary, distance: toKm(d.distance) }));
+};
+
+// Distance in km to each `type` entity within the radius, keyed by entity
+// id, for callers that load the entities themselves
+const nearbyDistances = async (type, near, limit = 1000) => {
+  const docs = await SearchDocument.aggregate([
+    geoNearStage(near, { entityType: type }),
+    { $limit: limit },
+    { $project: { entityId: 1, distance: 1 } },
+  ]);
+  return new Map(docs.map((d) => [String(d.entityId), toKm(d.distance)]));
+};
+
+// Ids of `type` entities whose index entry matches the whole query, for
+// callers that load the entities themselves
+const matchingEntityIds = async (type, analysis, limit = 1000) => {
+  const filter = allKeywordsFilter(analysis);
+  if (!filter) return [];
+  const docs = await SearchDocument.find({ entityType: type, ...filter })
+    .select("entityId")
+    .limit(limit)
+    .lean();
+  return docs.map((d) => d.entityId);
+};
+
+// Index entries of `type` for as-you-type suggestions
+const suggestEntities = (type, analysis, limit = 10) => {
+  const filter = allKeywordsFilter(analysis);
+  if (!filter) return [];
+  return SearchDocument.find({ entityType: type, ...filter })
+    .sort({ "rating.average": -1 })
+    .select("entityId name summary")
+    .limit(limit)
+    .lean();
+};
+
+const PROVIDERS = {
+  doctors: ENTITY_TYPES.doctor,
+  clinics: ENTITY_TYPES.clinic,
+  pathology: ENTITY_TYPES.pathology,
+  tests: ENTITY_TYPES.test,
+  pharmacies: ENTITY_TYPES.pharmacy,
+  ambulances: ENTITY_TYPES.ambulance,
+};
+
+// Aliases accepted in ?type= (including the bucket names of GET /api/search)
+const TYPE_ALIASES = {
+  doctor: "doctors",
+  doctors: "doctors",
+  clinic: "clinics",
+  clinics: "clinics",
+  lab: "pathology",
+  labs: "pathology",
+  pathology: "pathology",
+  pathologies: "pathology",
+  test: "tests",
+  tests: "tests",
+  pharmacy: "pharmacies",
+  pharmacies: "pharmacies",
+  ambulance: "ambulances",
+  ambulances: "ambulances",
+};
+
+const resolveTypes = (type = "all") => {
+  if (!type || type === "all") return Object.keys(PROVIDERS);
+  return [
+    ...new Set(
+      String(type)
+        .split(",")
+        .map((t) => TYPE_ALIASES[t.trim().toLowerCase()])
+        .filter(Boolean)
+    ),
+  ];
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Score one candidate and explain each contribution
+const scoreCandidate = (provider, doc, context) => {
+  const explanation = [];
+  let score = 0;
+  const add = (factor, points, detail) => {
+    if (points <= 0) return;
+    score += points;
+    explanation.push({ factor, points: round(points), detail });
+  };
+
+  const text = textRelevance(context.tokens, provider.fields(doc));
+  if (context.tokens.length) {
+    add(
+      "text",
+      text.quality * WEIGHTS.text,
+      text.matches
+        .filter((m) => m.field)
+        .map((m) => `"${m.token}" ${m.kind} match on ${m.field}`)
+        .join("; ")
+    );
+  }
+
+  // A query or filter naming the specialty/category ranks specialists first
+  const specialtyTokens = context.specializationTokens.length
+    ? context.specializationTokens
+    : context.tokens;
+  if (specialtyTokens.length) {
+    const specialty = textRelevance(specialtyTokens, [
+      {
+        name: "specialization",
+        weight: 1,
+        values: provider.specialization(doc),
+      },
+    ]);
+    add(
+      "specialization",
+      specialty.quality * WEIGHTS.specialization,
+      specialty.matches
+        .filter((m) => m.field)
+        .map((m) => `"${m.token}" matches ${m.value}`)
+        .join("; ")
+    );
+  }
+
+  // Averages from a handful of reviews count for less
+  const rating = ratingOf(doc);
+  if (rating.count) {
+    const confidence = rating.count / (rating.count + 5);
+    add(
+      "rating",
+      (rating.average / 5) * confidence * WEIGHTS.rating,
+      `${rating.average} from ${rating.count} review${
+        rating.count === 1 ? "" : "s"
+      }`
+    );
+  }
+
+  // Set by fetchCandidates when searching near a point
+  const distance = typeof doc.distance === "number" ? doc.distance : null;
+  if (distance !== null) {
+    add(
+      "distance",
+      Math.max(0, 1 - distance / context.maxDistanceKm) * WEIGHTS.distance,
+      `${distance} km away`
+    );
+  }
+
+  if (doc.isVerified) add("verified", WEIGHTS.verified, "verified provider");
+  if (doc.isFeatured) add("featured", WEIGHTS.featured, "featured listing");
+  if (provider.available && provider.available(doc)) {
+    add("available", WEIGHTS.available, "available now");
+  }
+
+  return {
+    type: provider.type,
+    id: doc._id,
+    score: round(score),
+    textQuality: text.quality,
+    distance,
+    explanation,
+    item: doc,
+  };
+};
+
+// Ranked search across entity types. Returns one list ordered by score (or
+// by distance with sort=distance near a point) with pagination over the
+// merged candidates. Given lat and lng, only results within `distance` km
+// that have real coordinates are returned.
+const rankedSearch = async ({
+  q = "",
+  type = "all",
+  lat,
+  lng,
+  city,
+  distance = 50,
+  sort = "relevance",
+  page = 1,
+  limit = 20,
+  ...filters
+}) => {
+  const analysis = await analyzeQuery(q);
+  const { tokens } = analysis;
+  const near = parseNear({ lat, lng, distance });
+  const context = {
+    tokens,
+    specializationTokens: tokenize(filters.specialization),
+    maxDistanceKm: near ? near.radiusKm : null,
+  };
+
+  const types = resolveTypes(type);
+  const fetched = await Promise.all(
+    types.map((key) =>
+      fetchCandidates(PROVIDERS[key], {
+        terms: analysis.terms,
+        city,
+        filters,
+        near,
+      }).then((docs) => ({ key, docs }))
+    )
+  );
+  // Types with more matches than were ranked; their counts are lower bounds
+  const capped = fetched
+    .filter(({ docs }) => docs.length >= CANDIDATE_LIMIT)
+    .map(({ key }) => key);
+
+  const ranked = fetched
+    .flatMap(({ key, docs }) =>
+      docs.map((doc) => scoreCandidate(PROVIDERS[key], doc, context))
+    )
+    // Doctors fetched through a matching department still need some
+    // relevance to the words typed
+    .filter((r) => !tokens.length || r.textQuality > 0)
+    .sort(
+      near && sort === "distance"
+        ? (a, b) =>
+            a.distance - b.distance ||
+            b.score - a.score ||
+            String(a.item.name).localeCompare(String(b.item.name))
+        : (a, b) =>
+            b.score - a.score ||
+            (a.distance ?? Infinity) - (b.distance ?? Infinity) ||
+            String(a.item.name).localeCompare(String(b.item.name))
+    );
+
+  const pageNumber = Math.max(parseInt(page) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+  const counts = {};
+  for (const r of ranked) counts[r.type] = (counts[r.type] || 0) + 1;
+
+  return {
+    didYouMean: analysis.didYouMean,
+    corrections: analysis.corrections,
+    synonyms: analysis.synonyms,
+    results: ranked
+      .slice((pageNumber - 1) * pageSize, pageNumber * pageSize)
+      .map(({ textQuality, ...result }) => result),
+    counts,
+    capped,
+    pagination: {
+      total: ranked.length,
+      page: pageNumber,
+      pages: Math.ceil(ranked.length / pageSize),
+      limit: pageSize,
+    },
+  };
+};
+
+module.exports = {
+  WEIGHTS,
+  tokenize,
+  textRelevance,
+  resolveTypes,
+  scoreCandidate,
+  rankedSearch,
+  parseNear,
+  nearbyDistances,
+  matchingEntityIds,
+  suggestEntities,
+};
@@ -0,0 +1,453 @@
+const mongoose = require("mongoose");
+const SearchDocument = require("../models/SearchDocument");
+const { normalize } = require("./searchVocabulary");
+const { hasCoordinates } = require("./geo");
+
+const values = (...items) =>
+  items.flat().filter((v) => typeof v === "string" && v.trim());
+
+// Coordinates of a clinic, lab, pharmacy or ambulance that near-me search
+// may use. City and district centre estimates (see utils/geocoding) would
+// show every such record as being at the middle of town, so they're left out.
+const COARSE_PRECISIONS = ["district", "locality"];
+const pointOf = (entity) =>
+  entity && !COARSE_PRECISIONS.includes(entity.coordinatesPrecision)
+    ? entity.coordinates
+    : undefined;
+
+// How each entity type is copied into the search index. `select` and
+// `populate` load the fields kept as the result summary; `fields` lists the
+// weighted text a result is matched and scored on; `points` are the
+// [lng, lat] places it is found at (unlocated [0, 0] defaults and coarse
+// estimates are dropped); `filters` are the search filters that apply to
+// the type.
+const ENTITY_TYPES = {
+  doctor: {
+    type: "doctor",
+    model: "Doctor",
+    select:
+      "name qualification experience consultationFee department clinicDetails.clinic clinicDetails.isPrimary city state address rating isVerified isFeatured imageUrl services languages",
+    populate: [
+      ["department", "name heading specialization"],
+      ["clinicDetails.clinic", "name place coordinates coordinatesPrecision"],
+    ],
+    filters: ["rating", "fee", "experience", "specialization"],
+    fields: (doc) => [
+      { name: "name", weight: 1, values: values(doc.name) },
+      {
+        name: "specialization",
+        weight: 0.9,
+        values: values(
+          doc.department?.name,
+          doc.department?.heading,
+          doc.department?.specialization
+        ),
+      },
+      { name: "services", weight: 0.5, values: values(doc.services) },
+      { name: "qualification", weight: 0.4, values: values(doc.qualification) },
+      { name: "location", weight: 0.3, values: values(doc.city, doc.state) },
+    ],
+    specialization: (doc) =>
+      values(
+        doc.department?.name,
+        doc.department?.heading,
+        doc.department?.specialization
+      ),
+    locations: (doc) =>
+      values(doc.city, doc.state, doc.address?.city, doc.address?.state),
+    // Doctors are found where they practise, as well as at any location
+    // set on the doctor
+    points: (doc) => [
+      doc.address?.location?.coordinates,
+      ...(doc.clinicDetails || []).map((c) => pointOf(c.clinic)),
+    ],
+    facets: (doc) => ({
+      fee: doc.consultationFee,
+      experience: doc.experience,
+    }),
+  },
+
+  clinic: {
+    type: "clinic",
+    model: "Clinic",
+    select:
+      "name description address place state coordinates coordinatesPrecision services facilities rating isVerified type imageUrl",
+    filters: ["rating"],
+    fields: (doc) => [
+      { name: "name", weight: 1, values: values(doc.name) },
+      {
+        name: "services",
+        weight: 0.6,
+        values: values(doc.services, doc.facilities),
+      },
+      { name: "location", weight: 0.3, values: values(doc.place, doc.state) },
+      { name: "address", weight: 0.2, values: values(doc.address) },
+    ],
+    specialization: (doc) => values(doc.services),
+    locations: (doc) => values(doc.place, doc.state, doc.address),
+    points: (doc) => [pointOf(doc)],
+  },
+
+  pathology: {
+    type: "pathology",
+    model: "Pathology",
+    select:
+      "name category price isPackage homeCollection address place state coordinates coordinatesPrecision rating imageUrl components.name",
+    filters: ["rating"],
+    fields: (doc) => [
+      { name: "name", weight: 1, values: values(doc.name) },
+      { name: "category", weight: 0.7, values: values(doc.category) },
+      {
+        name: "components",
+        weight: 0.5,
+        values: values((doc.components || []).map((c) => c.name)),
+      },
+      { name: "location", weight: 0.3, values: values(doc.place, doc.state) },
+    ],
+    specialization: (doc) => values(doc.category),
+    locations: (doc) => values(doc.place, doc.state, doc.address),
+    points: (doc) => [pointOf(doc)],
+  },
+
+  test: {
+    type: "test",
+    model: "Test",
+    select:
+      "name testCode category price discountedPrice homeCollection pathologyLab place state imageUrl components.name",
+    populate: [["pathologyLab", "name coordinates coordinatesPrecision"]],
+    filters: [],
+    fields: (doc) => [
+      { name: "name", weight: 1, values: values(doc.name) },
+      { name: "testCode", weight: 0.9, values: values(doc.testCode) },
+      { name: "category", weight: 0.7, values: values(doc.category) },
+      {
+        name: "components",
+        weight: 0.5,
+        values: values((doc.components || []).map((c) => c.name)),
+      },
+    ],
+    specialization: (doc) => values(doc.category),
+    locations: (doc) => values(doc.place, doc.state),
+    // Tests are offered where their lab is
+    points: (doc) => [pointOf(doc.pathologyLab)],
+  },
+
+  pharmacy: {
+    type: "pharmacy",
+    model: "Pharmacy",
+    select:
+      "name address place state coordinates coordinatesPrecision services rating isVerified is24Hours imageUrl",
+    filters: ["rating"],
+    fields: (doc) => [
+      { name: "name", weight: 1, values: values(doc.name) },
+      { name: "services", weight: 0.5, values: values(doc.services) },
+      { name: "location", weight: 0.3, values: values(doc.place, doc.state) },
+    ],
+    specialization: (doc) => values(doc.services),
+    locations: (doc) => values(doc.place, doc.state, doc.address),
+    points: (doc) => [pointOf(doc)],
+  },
+
+  // Ambulances are looked up by where they are, so location text counts
+  // as much as the name
+  ambulance: {
+    type: "ambulance",
+    model: "Ambulance",
+    select:
+      "name city state location coordinates coordinatesPrecision vehicleType equipment is24Hours isAvailable baseRate perKmRate rating imageUrl",
+    filters: ["rating"],
+    fields: (doc) => [
+      {
+        name: "location",
+        weight: 1,
+        values: values(doc.city, doc.location, doc.state),
+      },
+      { name: "name", weight: 0.8, values: values(doc.name) },
+      { name: "vehicleType", weight: 0.8, values: values(doc.vehicleType) },
+      { name: "equipment", weight: 0.4, values: values(doc.equipment) },
+    ],
+    specialization: (doc) => values(doc.vehicleType),
+    locations: (doc) => values(doc.city, doc.state, doc.location),
+    points: (doc) => [pointOf(doc)],
+    available: (doc) => doc.isAvailable,
+  },
+};
+
+// Entities whose summary or keywords include another model's fields, and
+// need reindexing when it changes: [type, reference field]
+const DEPENDENTS = {
+  department: [["doctor", "department"]],
+  pathology: [["test", "pathologyLab"]],
+  clinic: [["doctor", "clinicDetails.clinic"]],
+};
+
+const loadEntities = (config, filter) => {
+  const query = mongoose
+    .model(config.model)
+    .find({ ...filter, isActive: true })
+    .select(config.select);
+  (config.populate || []).forEach((args) => query.populate(...args));
+  return query.lean();
+};
+
+// SearchDocument fields for an entity loaded by loadEntities
+const toSearchDocument = (config, doc, indexedAt = new Date()) => {
+  const fields = config.fields(doc);
+  const keywords = new Set(
+    fields
+      .flatMap((f) => f.values)
+      .concat(config.locations(doc))
+      .flatMap((value) => normalize(value).split(" "))
+      .filter(Boolean)
+  );
+  const points = config.points(doc).filter(hasCoordinates);
+
+  return {
+    entityType: config.type,
+    entityId: doc._id,
+    name: doc.name,
+    keywords: [...keywords],
+    specializations: [...new Set(config.specialization(doc).map(normalize))],
+    locations: config.locations(doc).map(normalize),
+    location: points.length
+      ? { type: "MultiPoint", coordinates: points }
+      : undefined,
+    rating: {
+      average: parseFloat(doc.rating?.average) || 0,
+      count: doc.rating?.count || 0,
+    },
+    ...(config.facets && config.facets(doc)),
+    summary: doc,
+    indexedAt,
+  };
+};
+
+const upsertOps = (config, docs, indexedAt) =>
+  docs.map((doc) => ({
+    replaceOne: {
+      filter: { entityType: config.type, entityId: doc._id },
+      replacement: toSearchDocument(config, doc, indexedAt),
+      upsert: true,
+    },
+  }));
+
+// Bring the index up to date for the given entities: active ones are
+// (re)written, missing or inactive ones removed. Dependent entities (e.g.
+// doctors of a changed department) are reindexed too.
+const syncEntities = async (type, ids) => {
+  if (!ids.length) return;
+
+  for (const [dependentType, field] of DEPENDENTS[type] || []) {
+    const dependentIds = await mongoose
+      .model(ENTITY_TYPES[dependentType].model)
+      .find({ [field]: { $in: ids } })
+      .distinct("_id");
+    await syncEntities(dependentType, dependentIds);
+  }
+
+  const config = ENTITY_TYPES[type];
+  if (!config) return;
+
+  const docs = await loadEntities(config, { _id: { $in: ids } });
+  if (docs.length) {
+    await SearchDocument.bulkWrite(upsertOps(config, docs));
+  }
+
+  const kept = new Set(docs.map((d) => String(d._id)));
+  const removed = ids.filter((id) => !kept.has(String(id)));
+  if (removed.length) {
+    await SearchDocument.deleteMany({
+      entityType: type,
+      entityId: { $in: removed },
+    });
+  }
+};
+
+// Index changes are best-effort: a failure is logged and left for the
+// next rebuild rather than failing the write that triggered it
+const safeSync = async (type, ids) => {
+  try {
+    await syncEntities(type, ids);
+  } catch (error) {
+    console.error(`Search index sync error (${type}):`, error);
+  }
+};
+
+// Query writes include the hottest paths in the app (slot counters, GPS
+// pings), so their index updates are batched off the request: ids queued
+// for a type are synced together SYNC_DELAY_MS after the first one
+const SYNC_DELAY_MS =
+  parseInt(process.env.SEARCH_INDEX_SYNC_DELAY_MS, 10) || 2000;
+const queued = new Map(); // type -> { ids: Map of String(id) -> id, timer }
+
+const flushQueue = (type) => {
+  const entry = queued.get(type);
+  if (!entry) return Promise.resolve();
+  queued.delete(type);
+  clearTimeout(entry.timer);
+  return safeSync(type, [...entry.ids.values()]);
+};
+
+const queueSync = (type, ids) => {
+  if (!ids.length) return;
+  if (!queued.has(type)) {
+    queued.set(type, {
+      ids: new Map(),
+      timer: setTimeout(() => flushQueue(type), SYNC_DELAY_MS),
+    });
+  }
+  ids.forEach((id) => queued.get(type).ids.set(String(id), id));
+};
+
+// Sync everything still queued, e.g. before a script disconnects
+const flushSearchIndex = () => Promise.all([...queued.keys()].map(flushQueue));
+
+// Paths whose changes show in a type's index entries: what it loads (plus
+// isActive), and what the entities depending on it populate from it
+const indexedPaths = (type) => {
+  const config = ENTITY_TYPES[type];
+  const populated = (DEPENDENTS[type] || []).flatMap(([dependent, field]) =>
+    (ENTITY_TYPES[dependent].populate || [])
+      .filter(([path]) => path === field)
+      .flatMap(([, select]) => select.split(" "))
+  );
+  return [
+    ...(config ? config.select.split(" ") : []),
+    ...populated,
+    "isActive",
+  ];
+};
+
+// Paths an update writes, without array positions
+// ("bookingSchedule.$[day].slots" -> "bookingSchedule.slots")
+const updatedPaths = (update) =>
+  Object.entries(update || {})
+    .flatMap(([key, value]) =>
+      key.startsWith("$") && value && typeof value === "object"
+        ? Object.keys(value)
+        : [key]
+    )
+    .map((path) =>
+      path
+        .split(".")
+        .filter((part) => !/^(\$(\[\w*\])?|\d+)$/.test(part))
+        .join(".")
+    );
+
+const touchesPaths = (update, paths) =>
+  // Pipeline updates can write anything
+  Array.isArray(update) ||
+  updatedPaths(update).some((updated) =>
+    paths.some(
+      (path) =>
+        updated === path ||
+        updated.startsWith(`${path}.`) ||
+        path.startsWith(`${updated}.`)
+    )
+  );
+
+const QUERY_UPDATES = ["updateOne", "updateMany", "replaceOne"];
+const QUERY_WRITES = [...QUERY_UPDATES, "deleteOne", "deleteMany"];
+
+// Mongoose plugin keeping the search index in sync with a model. `type` is
+// an ENTITY_TYPES key, or a model other entities depend on ("department").
+const searchIndexPlugin = (schema, { type }) => {
+  const paths = indexedPaths(type);
+
+  schema.post("save", function (doc) {
+    return safeSync(type, [doc._id]);
+  });
+  schema.post("insertMany", function (docs) {
+    return safeSync(
+      type,
+      docs.map((d) => d._id)
+    );
+  });
+  schema.post(
+    ["findOneAndUpdate", "findOneAndReplace", "findOneAndDelete"],
+    function (doc) {
+      if (doc) return safeSync(type, [doc._id]);
+    }
+  );
+  schema.post("deleteOne", { document: true, query: false }, function (doc) {
+    return safeSync(type, [doc._id]);
+  });
+
+  // Query updates and deletes don't return documents, so note which ones
+  // the filter matches beforehand. Updates that write no indexed path (slot
+  // counters, say) are skipped, and a plain _id filter needs no lookup.
+  schema.pre(QUERY_WRITES, { document: false, query: true }, async function () {
+    this._searchIndexIds = null;
+    if (
+      QUERY_UPDATES.includes(this.op) &&
+      this.op !== "replaceOne" &&
+      !touchesPaths(this.getUpdate(), paths)
+    ) {
+      return;
+    }
+    const { _id: id } = this.getFilter();
+    this._searchIndexIds =
+      id && (typeof id === "string" || id instanceof mongoose.Types.ObjectId)
+        ? [id]
+        : await this.model.find(this.getFilter()).distinct("_id");
+  });
+  schema.post(
+    QUERY_WRITES,
+    { document: false, query: true },
+    function (result) {
+      if (!this._searchIndexIds) return;
+      const ids = [...this._searchIndexIds];
+      if (result && result.upsertedId) ids.push(result.upsertedId);
+      const changed = result
+        ? (result.matchedCount || 0) +
+          (result.deletedCount || 0) +
+          (result.upsertedCount || 0)
+        : ids.length;
+      if (changed) queueSync(type, ids);
+    }
+  );
+};
+
+// Reindex every active entity of the given types in batches and drop index
+// entries that weren't refreshed (deleted or deactivated entities)
+const rebuildIndex = async (
+  types = Object.keys(ENTITY_TYPES),
+  { batchSize = 500 } = {}
+) => {
+  const counts = {};
+  for (const type of types) {
+    const config = ENTITY_TYPES[type];
+    const startedAt = new Date();
+    let indexed = 0;
+    let lastId = null;
+
+    for (;;) {
+      const docs = await loadEntities(
+        config,
+        lastId ? { _id: { $gt: lastId } } : {}
+      )
+        .sort({ _id: 1 })
+        .limit(batchSize);
+      if (!docs.length) break;
+      await SearchDocument.bulkWrite(upsertOps(config, docs, startedAt));
+      indexed += docs.length;
+      lastId = docs[docs.length - 1]._id;
+    }
+
+    const removed = await SearchDocument.deleteMany({
+      entityType: type,
+      indexedAt: { $lt: startedAt },
+    });
+    counts[type] = { indexed, removed: removed.deletedCount };
+  }
+  return counts;
+};
+
+module.exports = {
+  ENTITY_TYPES,
+  toSearchDocument,
+  syncEntities,
+  searchIndexPlugin,
+  flushSearchIndex,
+  rebuildIndex,
+};
@@ -0,0 +1,326 @@
+const SearchDocument = require("../models/SearchDocument");
+
+// How long the word list used for spelling correction is cached
+const VOCABULARY_TTL_MS =
+  parseInt(process.env.SEARCH_VOCABULARY_TTL_MS, 10) || 10 * 60 * 1000;
+
+const STOPWORDS = new Set(["dr", "the", "and", "of", "in", "near", "me"]);
+
+// Everyday, Hinglish and British spellings mapped to the terms used in
+// listings. Multi-word phrases are matched before single words.
+const SYNONYMS = {
+  "heart doctor": "cardiology",
+  "heart specialist": "cardiology",
+  "dil ka doctor": "cardiology",
+  dil: "cardiology",
+  hriday: "cardiology",
+  "skin doctor": "dermatology",
+  "skin specialist": "dermatology",
+  twacha: "dermatology",
+  chamdi: "dermatology",
+  "bone doctor": "orthopedics",
+  haddi: "orthopedics",
+  "haddi ka doctor": "orthopedics",
+  orthopaedic: "orthopedic",
+  orthopaedics: "orthopedics",
+  "child doctor": "pediatrics",
+  "bachon ka doctor": "pediatrics",
+  "bacchon ka doctor": "pediatrics",
+  paediatrics: "pediatrics",
+  paediatrician: "pediatrics",
+  pediatrician: "pediatrics",
+  "eye doctor": "ophthalmology",
+  aankh: "ophthalmology",
+  ankh: "ophthalmology",
+  "teeth doctor": "dentist",
+  daant: "dentist",
+  dant: "dentist",
+  "lady doctor": "gynecology",
+  "mahila doctor": "gynecology",
+  "stree rog": "gynecology",
+  gynaecology: "gynecology",
+  gynaecologist: "gynecologist",
+  "pet ka doctor": "gastroenterology",
+  "stomach doctor": "gastroenterology",
+  "brain doctor": "neurology",
+  dimag: "neurology",
+  "kidney doctor": "nephrology",
+  gurda: "kidney",
+  "kaan naak gala": "ent",
+  "ear doctor": "ent",
+  haematology: "hematology",
+  anaesthesia: "anesthesia",
+  "sugar test": "blood glucose",
+  "diabetes test": "blood glucose",
+  madhumeh: "diabetes",
+  "khoon ki jaanch": "blood test",
+  khoon: "blood",
+  cbc: "complete blood count",
+  lft: "liver function test",
+  kft: "kidney function test",
+  rft: "kidney function test",
+  "thyroid test": "thyroid profile",
+  dawai: "pharmacy",
+  dawa: "pharmacy",
+  "medical store": "pharmacy",
+  chemist: "pharmacy",
+};
+
+// Specialty words that may not appear verbatim in any listing yet but
+// should still be offered as corrections
+const BASE_TERMS = [
+  "cardiology",
+  "cardiologist",
+  "dermatology",
+  "dermatologist",
+  "orthopedics",
+  "orthopedic",
+  "pediatrics",
+  "ophthalmology",
+  "ophthalmologist",
+  "gynecology",
+  "gynecologist",
+  "gastroenterology",
+  "neurology",
+  "neurologist",
+  "nephrology",
+  "urology",
+  "psychiatry",
+  "psychiatrist",
+  "oncology",
+  "dentist",
+  "physician",
+  "pathology",
+  "radiology",
+  "glucose",
+  "thyroid",
+  "hemoglobin",
+  "cholesterol",
+  "ambulance",
+  "pharmacy",
+];
+
+const normalize = (value) =>
+  String(value || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+
+// Lowercased query words without filler such as "dr" or "near me"
+const tokenize = (q) =>
+  normalize(q)
+    .split(" ")
+    .filter((t) => t && !STOPWORDS.has(t));
+
+// Edit distance allowing single-character insertions, deletions,
+// substitutions and adjacent swaps. Stops early once it exceeds `max`.
+const editDistance = (a, b, max = Infinity) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let previous2 = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + cost
+      );
+      if (
+        previous2 &&
+        i > 1 &&
+        j > 1 &&
+        a[i - 1] === b[j - 2] &&
+        a[i - 2] === b[j - 1]
+      ) {
+        value = Math.min(value, previous2[j - 2] + 1);
+      }
+      current[j] = value;
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > max) return max + 1;
+    previous2 = previous;
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// Typos allowed for a word of this length; short words must match exactly
+const allowedEdits = (word) =>
+  word.length <= 4 ? 0 : word.length <= 8 ? 1 : 2;
+
+// Specialty name for a specialist, e.g. "cardiologist" -> "cardiology"
+const stemOf = (token) =>
+  token.endsWith("ologist") ? token.replace(/ologist$/, "ology") : null;
+
+let cache = null;
+let building = null;
+
+const buildVocabulary = async () => {
+  const rows = await SearchDocument.aggregate([
+    { $unwind: "$keywords" },
+    { $group: { _id: "$keywords", count: { $sum: 1 } } },
+  ]);
+
+  const words = new Map();
+  const addWord = (word, count = 1) => {
+    if (word.length >= 3 && !/^\d+$/.test(word)) {
+      words.set(word, (words.get(word) || 0) + count);
+    }
+  };
+  rows.forEach((row) => addWord(row._id, row.count));
+  [...BASE_TERMS, ...Object.values(SYNONYMS)]
+    .flatMap((text) => normalize(text).split(" "))
+    .forEach((word) => addWord(word));
+  return words;
+};
+
+// Rebuild the cached vocabulary; concurrent callers share one build
+const refreshVocabulary = () => {
+  if (!building) {
+    building = buildVocabulary()
+      .then((words) => {
+        cache = { words, expiresAt: Date.now() + VOCABULARY_TTL_MS };
+        return words;
+      })
+      .finally(() => {
+        building = null;
+      });
+  }
+  return building;
+};
+
+// Words from the search index (entity names, specialties, test names and
+// so on) with how many entries use each, for spelling correction. Cached
+// for VOCABULARY_TTL_MS; once expired, the old list keeps being served while
+// a new one is built in the background.
+const getVocabulary = async () => {
+  if (cache && cache.expiresAt > Date.now()) return cache.words;
+  if (cache) {
+    refreshVocabulary().catch((error) =>
+      console.error("Search vocabulary refresh error:", error)
+    );
+    return cache.words;
+  }
+  return refreshVocabulary();
+};
+
+// Drop the cached vocabulary, e.g. after bulk imports
+const clearVocabularyCache = () => {
+  cache = null;
+};
+
+// Closest vocabulary word to `token`, or null when it is already a known
+// word, the start of one (still being typed) or too far from any
+const correctWord = (token, vocabulary) => {
+  const max = allowedEdits(token);
+  if (!max || vocabulary.has(token)) return null;
+  let best = null;
+  for (const [word, count] of vocabulary) {
+    if (word.startsWith(token)) return null;
+    if (Math.abs(word.length - token.length) > max) continue;
+    const distance = editDistance(token, word, max);
+    if (
+      distance <= max &&
+      (!best ||
+        distance < best.distance ||
+        (distance === best.distance && count > best.count))
+    ) {
+      best = { word, distance, count };
+    }
+  }
+  return best ? best.word : null;
+};
+
+// Replace known phrases in `tokens` with their listing terms, longest first
+const applySynonyms = (tokens) => {
+  const phrases = Object.keys(SYNONYMS).sort(
+    (a, b) => b.split(" ").length - a.split(" ").length
+  );
+  const out = [];
+  const applied = [];
+  let i = 0;
+  while (i < tokens.length) {
+    let matched = null;
+    for (const phrase of phrases) {
+      const words = phrase.split(" ");
+      if (words.every((w, k) => tokens[i + k] === w)) {
+        matched = { phrase, length: words.length };
+        break;
+      }
+    }
+    if (matched) {
+      applied.push({ from: matched.phrase, to: SYNONYMS[matched.phrase] });
+      out.push(...tokenize(SYNONYMS[matched.phrase]));
+      i += matched.length;
+    } else {
+      out.push(tokens[i]);
+      i++;
+    }
+  }
+  return { tokens: out, applied };
+};
+
+// Interpret a search query: fix typos against the vocabulary, map synonyms
+// and Hinglish terms, and offer a "did you mean" when anything was corrected.
+// `original` are the words as typed, `tokens` what results are scored on
+// and `terms` (both, plus stems) what candidates are fetched by.
+const analyzeQuery = async (q) => {
+  const original = tokenize(q);
+  if (!original.length) {
+    return {
+      original,
+      tokens: [],
+      terms: [],
+      corrections: [],
+      synonyms: [],
+      didYouMean: null,
+    };
+  }
+
+  const vocabulary = await getVocabulary();
+  const corrections = [];
+  const corrected = original.map((token) => {
+    // Phrase synonyms are matched on the words as typed
+    if (SYNONYMS[token]) return token;
+    const word = correctWord(token, vocabulary);
+    if (!word) return token;
+    corrections.push({ from: token, to: word });
+    return word;
+  });
+
+  const { tokens, applied } = applySynonyms(corrected);
+
+  // "cardiologist" should also find the "cardiology" department
+  const stems = tokens.map(stemOf).filter(Boolean);
+
+  return {
+    original,
+    tokens,
+    terms: [...new Set([...original, ...tokens, ...stems])],
+    corrections,
+    synonyms: applied,
+    didYouMean: corrections.length
+      ? original
+          .map((t) => corrections.find((c) => c.from === t)?.to || t)
+          .join(" ")
+      : null,
+  };
+};
+
+module.exports = {
+  SYNONYMS,
+  normalize,
+  tokenize,
+  editDistance,
+  allowedEdits,
+  stemOf,
+  getVocabulary,
+  clearVocabularyCache,
+  correctWord,
+  applySynonyms,
+  analyzeQuery,
+};
@@ -0,0 +1,394 @@
+const mongoose = require("mongoose");
+const Doctor = require("../models/Doctor");
+
+// Start/end of the (server-local) calendar day containing `date`
+const getDayBounds = (date) => {
+  const start = new Date(date);
+  start.setHours(0, 0, 0, 0);
+  const end = new Date(start);
+  end.setDate(end.getDate() + 1);
+  return { start, end };
+};
+
+const formatDateKey = (date) => {
+  const d = new Date(date);
+  const month = String(d.getMonth() + 1).padStart(2, "0");
+  const day = String(d.getDate()).padStart(2, "0");
+  return `${d.getFullYear()}-${month}-${day}`;
+};
+
+// Combine appointmentDate and "HH:MM" appointmentTime into one Date
+const getAppointmentDateTime = ({ appointmentDate, appointmentTime }) => {
+  const scheduled = new Date(appointmentDate);
+  if (appointmentTime) {
+    const [h, m] = String(appointmentTime)
+      .split(":")
+      .map((v) => parseInt(v, 10) || 0);
+    scheduled.setHours(h, m, 0, 0);
+  }
+  return scheduled;
+};
+
+const findScheduleDay = (schedules, date) => {
+  const { start } = getDayBounds(date);
+  return (schedules || []).find(
+    (s) => new Date(s.date).setHours(0, 0, 0, 0) === start.getTime()
+  );
+};
+
+// Copy live currentBookings from the stored schedule onto an incoming one,
+// matching slots by day and startTime. Counters are owned by the booking
+// flow, so slots that aren't stored yet start at 0 whatever the payload says.
+const carryOverBookingCounts = (existingSchedules, incomingSchedules) => {
+  return (incomingSchedules || []).map((day) => {
+    const existingDay = findScheduleDay(existingSchedules, day.date);
+    return {
+      ...day,
+      slots: (day.slots || []).map((slot) => {
+        const existingSlot =
+          existingDay &&
+          (existingDay.slots || []).find(
+            (sl) => sl.startTime === slot.startTime
+          );
+        return {
+          ...slot,
+          currentBookings: (existingSlot && existingSlot.currentBookings) || 0,
+        };
+      }),
+    };
+  });
+};
+
+// Stored slots from today on that hold bookings but are missing from
+// `incomingSchedules`, i.e. removed or moved to another startTime. Their
+// seats could never be released, so edits dropping them are refused.
+const findDroppedBookedSlots = (
+  existingSchedules,
+  incomingSchedules,
+  from = new Date()
+) => {
+  const { start } = getDayBounds(from);
+  const dropped = [];
+  (existingSchedules || []).forEach((day) => {
+    if (new Date(day.date) < start) return;
+    const incomingDay = findScheduleDay(incomingSchedules, day.date);
+    (day.slots || []).forEach((slot) => {
+      if (!(slot.currentBookings > 0)) return;
+      const kept =
+        incomingDay &&
+        (incomingDay.slots || []).some((sl) => sl.startTime === slot.startTime);
+      if (!kept) {
+        dropped.push({
+          date: formatDateKey(day.date),
+          startTime: slot.startTime,
+          currentBookings: slot.currentBookings,
+        });
+      }
+    });
+  });
+  return dropped;
+};
+
+// Apply an admin's edit to a stored schedule. Returns { schedule } with the
+// live counters carried over, or { error, bookedSlots } when it would drop
+// slots that hold bookings.
+const applyScheduleEdit = (existingSchedules, incomingSchedules) => {
+  const bookedSlots = findDroppedBookedSlots(
+    existingSchedules,
+    incomingSchedules
+  );
+  if (bookedSlots.length) {
+    return {
+      error: `Slots with bookings cannot be removed or moved: ${bookedSlots
+        .map((sl) => `${sl.date} ${sl.startTime}`)
+        .join(", ")}`,
+      bookedSlots,
+    };
+  }
+  return {
+    schedule: carryOverBookingCounts(existingSchedules, incomingSchedules),
+  };
+};
+
+// Write an admin's schedule edit. `buildUpdate(doctor)` gets the stored
+// doctor (lean: name, updatedAt, bookingSchedule, clinicDetails) and returns
+// { update, options } or { error, bookedSlots }. Like materializeSchedule the
+// write is conditional on updatedAt, which every seat reservation bumps, and
+// is rebuilt from fresh counters on a clash. Returns { success, doctor } or
+// { success: false, status, message, bookedSlots? }.
+const updateDoctorSchedules = async (doctorId, buildUpdate) => {
+  for (let attempt = 0; attempt < 3; attempt += 1) {
+    const doctor = await Doctor.findById(doctorId)
+      .select("name updatedAt bookingSchedule clinicDetails")
+      .lean();
+    if (!doctor) {
+      return { success: false, status: 404, message: "Doctor not found" };
+    }
+
+    const built = buildUpdate(doctor);
+    if (built.error) {
+      return {
+        success: false,
+        status: built.status || 409,
+        message: built.error,
+        ...(built.bookedSlots && { bookedSlots: built.bookedSlots }),
+      };
+    }
+
+    const updated = await Doctor.findOneAndUpdate(
+      { _id: doctorId, updatedAt: doctor.updatedAt },
+      built.update,
+      { ...built.options, new: true, runValidators: true }
+    );
+    if (updated) return { success: true, doctor: updated };
+  }
+
+  return {
+    success: false,
+    status: 409,
+    message: "Schedule changed while saving, please retry",
+  };
+};
+
+// Validate a requested slot against the doctor's date-wise schedule.
+// `doctor` must have clinicDetails.clinic populated (or raw ObjectIds).
+// Returns { success, message, clinicDetail, fee, source, capacity }
+const validateBookingSlot = (
+  doctor,
+  { clinicId, appointmentDate, appointmentTime }
+) => {
+  let clinicDetail = null;
+  if (clinicId) {
+    clinicDetail = (doctor.clinicDetails || []).find((cd) => {
+      const id = cd.clinic && (cd.clinic._id || cd.clinic);
+      return id && id.toString() === clinicId.toString();
+    });
+    if (!clinicDetail) {
+      return {
+        success: false,
+        message: "Doctor is not associated with the selected clinic",
+      };
+    }
+  }
+
+  let fee = doctor.consultationFee || doctor.doctorFees || 0;
+  if (clinicDetail && typeof clinicDetail.consultationFee === "number") {
+    fee = clinicDetail.consultationFee;
+  }
+
+  const schedules = clinicDetail
+    ? clinicDetail.clinicSchedule
+    : doctor.bookingSchedule;
+  const daySchedule = findScheduleDay(schedules, appointmentDate);
+
+  // No date-wise schedule for this day: booking is open, guarded by a lock key
+  if (!daySchedule) {
+    return { success: true, clinicDetail, fee, source: "unscheduled" };
+  }
+
+  const slot =
+    daySchedule.isAvailable === false
+      ? null
+      : (daySchedule.slots || []).find(
+          (sl) => sl.startTime === appointmentTime && sl.isAvailable !== false
+        );
+  if (!slot) {
+    return {
+      success: false,
+      message: "Selected slot is not available",
+      clinicDetail,
+      fee,
+    };
+  }
+
+  return {
+    success: true,
+    clinicDetail,
+    fee,
+    source: clinicDetail ? "clinicSchedule" : "bookingSchedule",
+    capacity: slot.maxBookings || 1,
+  };
+};
+
+// Build the filter/update paths for a scheduled slot counter update
+const buildSlotUpdate = ({
+  doctorId,
+  clinicId,
+  source,
+  appointmentDate,
+  appointmentTime,
+  slotCondition,
+  inc,
+}) => {
+  const { start, end } = getDayBounds(appointmentDate);
+  const dayMatch = {
+    date: { $gte: start, $lt: end },
+    // Only new reservations care whether the day is still open
+    ...(inc > 0 && { isAvailable: { $ne: false } }),
+    slots: {
+      $elemMatch: { startTime: appointmentTime, ...slotCondition },
+    },
+  };
+  const arrayFilters = [
+    { "day.date": { $gte: start, $lt: end } },
+    { "slot.startTime": appointmentTime },
+  ];
+  Object.entries(slotCondition).forEach(([field, condition]) => {
+    arrayFilters[1][`slot.${field}`] = condition;
+  });
+
+  if (source === "clinicSchedule") {
+    const clinicObjectId = new mongoose.Types.ObjectId(String(clinicId));
+    arrayFilters.push({ "cd.clinic": clinicObjectId });
+    return {
+      filter: {
+        _id: doctorId,
+        clinicDetails: {
+          $elemMatch: {
+            clinic: clinicObjectId,
+            clinicSchedule: { $elemMatch: dayMatch },
+          },
+        },
+      },
+      update: {
+        $inc: {
+          "clinicDetails.$[cd].clinicSchedule.$[day].slots.$[slot].currentBookings":
+            inc,
+        },
+      },
+      arrayFilters,
+    };
+  }
+
+  return {
+    filter: { _id: doctorId, bookingSchedule: { $elemMatch: dayMatch } },
+    update: {
+      $inc: { "bookingSchedule.$[day].slots.$[slot].currentBookings": inc },
+    },
+    arrayFilters,
+  };
+};
+
+// Atomically take one seat in a scheduled slot. The update only matches while
+// currentBookings is below capacity, so concurrent requests cannot overbook.
+// For unscheduled days a unique lock key is returned for the Booking instead.
+const reserveSlot = async ({
+  doctorId,
+  clinicId,
+  appointmentDate,
+  appointmentTime,
+  source,
+  capacity = 1,
+}) => {
+  if (source === "unscheduled") {
+    return {
+      success: true,
+      reservation: {
+        source,
+        lockKey: `${doctorId}:${formatDateKey(
+          appointmentDate
+        )}:${appointmentTime}`,
+      },
+    };
+  }
+
+  const { filter, update, arrayFilters } = buildSlotUpdate({
+    doctorId,
+    clinicId,
+    source,
+    appointmentDate,
+    appointmentTime,
+    // $not/$gte also matches slots where the counter was never initialised
+    slotCondition: {
+      isAvailable: { $ne: false },
+      currentBookings: { $not: { $gte: capacity } },
+    },
+    inc: 1,
+  });
+
+  const result = await Doctor.updateOne(filter, update, { arrayFilters });
+  if (result.modifiedCount !== 1) {
+    return { success: false, message: "This time slot is already booked" };
+  }
+
+  return { success: true, reservation: { source } };
+};
+
+// Decrement the counter for a scheduled slot. Unscheduled bookings hold no seat.
+const releaseSeat = async ({
+  doctorId,
+  clinicId,
+  appointmentDate,
+  appointmentTime,
+  source,
+}) => {
+  if (!source || source === "unscheduled") return;
+
+  const { filter, update, arrayFilters } = buildSlotUpdate({
+    doctorId,
+    clinicId,
+    source,
+    appointmentDate,
+    appointmentTime,
+    slotCondition: { currentBookings: { $gt: 0 } },
+    inc: -1,
+  });
+  await Doctor.updateOne(filter, update, { arrayFilters });
+};
+
+// Mark a saved booking's reservation as released without touching the slot
+// counter, returning the updated booking or null if it held no live seat.
+// The caller decides whether the seat is freed or handed to someone else.
+// Atomic, so concurrent cancellations can only detach a seat once.
+const detachReservation = async (booking) => {
+  const Booking = mongoose.model("Booking");
+
+  const released = await Booking.findOneAndUpdate(
+    {
+      _id: booking._id,
+      "slotReservation.source": { $exists: true },
+      "slotReservation.releasedAt": { $exists: false },
+    },
+    {
+      $set: { "slotReservation.releasedAt": new Date() },
+      $unset: { "slotReservation.lockKey": "" },
+    },
+    { new: true }
+  );
+  if (!released) return null;
+
+  // Keep the caller's in-memory copy in sync so a later save() doesn't undo this
+  booking.slotReservation = released.slotReservation;
+  return released;
+};
+
+// Give back the seat held by a saved booking. Safe to call more than once.
+const releaseSlot = async (booking) => {
+  const released = await detachReservation(booking);
+  if (!released) return false;
+
+  await releaseSeat({
+    doctorId: released.doctor,
+    clinicId: released.clinic,
+    appointmentDate: released.appointmentDate,
+    appointmentTime: released.appointmentTime,
+    source: released.slotReservation.source,
+  });
+  return true;
+};
+
+module.exports = {
+  getDayBounds,
+  formatDateKey,
+  getAppointmentDateTime,
+  findScheduleDay,
+  carryOverBookingCounts,
+  findDroppedBookedSlots,
+  applyScheduleEdit,
+  updateDoctorSchedules,
+  validateBookingSlot,
+  reserveSlot,
+  releaseSeat,
+  detachReservation,
+  releaseSlot,
+};
@@ -9,55 +9,57 @@ const generateOTP = () => {
   return Math.floor(1000 + Math.random() * 9000).toString();
 };
 
-// Send OTP via SMS using Fast2SMS
-const sendOTP = async (phoneNumber, otp, messageType = "login") => {
+// Strip non-digits and ensure the number starts with country code (91 for India)
+const formatPhone = (phoneNumber) => {
+  const cleanPhone = String(phoneNumber).replace(/\D/g, "");
+  return cleanPhone.startsWith("91") ? cleanPhone : `91${cleanPhone}`;
+};
+
+// Map a Fast2SMS axios error to the result shape used by the senders
+const fast2smsError = (error) => {
+  console.error("SMS sending error:", error.message);
+
+  if (error.response) {
+    // Fast2SMS API error response
+    console.error("Fast2SMS API error:", error.response.data);
+    return {
+      success: false,
+      message: "SMS service error",
+      error: error.response.data,
+    };
+  } else if (error.request) {
+    // Network error
+    return {
+      success: false,
+      message: "Network error while sending SMS",
+      error: "Network error",
+    };
+  }
+  // Other error
+  return {
+    success: false,
+    message: "Failed to send SMS",
+    error: error.message,
+  };
+};
+
+// Send an OTP through the Fast2SMS OTP route. The route uses Fast2SMS's own
+// DLT-approved wording, so only the code is passed; message text for other
+// providers lives in utils/notificationTemplates.js.
+const sendFast2SMSOTP = async (phoneNumber, otp) => {
   try {
     if (!FAST2SMS_API_KEY) {
       return { success: false, message: "SMS service not configured" };
     }
 
-    // Remove any non-digit characters from phone number
-    const cleanPhone = phoneNumber.replace(/\D/g, "");
-
-    // Ensure phone number starts with country code (91 for India)
-    const formattedPhone = cleanPhone.startsWith("91")
-      ? cleanPhone
-      : `91${cleanPhone}`;
-
-    // Prepare message based on type
-    let message;
-    let variablesValues;
-
-    switch (messageType) {
-      case "login":
-        message =
-          "Your OTP for DrHelp login is {#var#}. Valid for 10 minutes. Do not share this OTP with anyone.";
-        variablesValues = otp;
-        break;
-      case "password_reset":
-        message =
-          "Your OTP for DrHelp password reset is {#var#}. Valid for 10 minutes. Do not share this OTP with anyone.";
-        variablesValues = otp;
-        break;
-      case "verification":
-        message =
-          "Your OTP for DrHelp account verification is {#var#}. Valid for 10 minutes. Do not share this OTP with anyone.";
-        variablesValues = otp;
-        break;
-      default:
-        message =
-          "Your OTP for DrHelp is {#var#}. Valid for 10 minutes. Do not share this OTP with anyone.";
-        variablesValues = otp;
-    }
-
     // Fast2SMS API request using POST method with form data
     const response = await axios.post(
       "https://www.fast2sms.com/dev/bulkV2",
       {
         authorization: FAST2SMS_API_KEY,
-        variables_values: variablesValues,
-        route: "otp", // Using otp route as specified
-        numbers: formattedPhone,
+        variables_values: otp,
+        route: "otp",
+        numbers: formatPhone(phoneNumber),
       },
       {
         headers: {
@@ -68,9 +70,6 @@ const sendOTP = async (phoneNumber, otp, messageType = "login") => {
     );
 
     if (response.data && response.data.return === true) {
-      // console.log(
-      //   `SMS sent successfully to ${phoneNumber}. Request ID: ${response.data.request_id}`
-      // );
       return {
         success: true,
         message: "SMS sent successfully",
@@ -85,31 +84,55 @@ const sendOTP = async (phoneNumber, otp, messageType = "login") => {
       };
     }
   } catch (error) {
-    console.error("SMS sending error:", error.message);
+    return fast2smsError(error);
+  }
+};
 
-    if (error.response) {
-      // Fast2SMS API error response
-      console.error("Fast2SMS API error:", error.response.data);
-      return {
-        success: false,
-        message: "SMS service error",
-        error: error.response.data,
-      };
-    } else if (error.request) {
-      // Network error
-      return {
-        success: false,
-        message: "Network error while sending SMS",
-        error: "Network error",
-      };
-    } else {
-      // Other error
+// Fast2SMS sends anything outside ASCII (e.g. Hindi templates) as unicode
+const smsLanguage = (message) =>
+  /[^\x00-\x7F]/.test(String(message)) ? "unicode" : "english";
+
+// Send a free-text transactional SMS (booking updates, waitlist offers)
+// using the Fast2SMS quick route
+const sendSMS = async (phoneNumber, message) => {
+  try {
+    if (!FAST2SMS_API_KEY) {
+      return { success: false, message: "SMS service not configured" };
+    }
+
+    const response = await axios.post(
+      "https://www.fast2sms.com/dev/bulkV2",
+      {
+        authorization: FAST2SMS_API_KEY,
+        sender_id: FAST2SMS_SENDER_ID,
+        message,
+        language: smsLanguage(message),
+        route: "q",
+        numbers: formatPhone(phoneNumber),
+      },
+      {
+        headers: {
+          "Content-Type": "application/x-www-form-urlencoded",
+        },
+        timeout: 10000,
+      }
+    );
+
+    if (response.data && response.data.return === true) {
       return {
-        success: false,
-        message: "Failed to send SMS",
-        error: error.message,
+        success: true,
+        message: "SMS sent successfully",
+        requestId: response.data.request_id,
       };
     }
+    console.error("Fast2SMS API error:", response.data);
+    return {
+      success: false,
+      message: response.data?.message?.[0] || "Failed to send SMS",
+      error: response.data,
+    };
+  } catch (error) {
+    return fast2smsError(error);
   }
 };
 
@@ -157,7 +180,9 @@ const getSMSBalance = async () => {
 
 module.exports = {
   generateOTP,
-  sendOTP,
+  formatPhone,
+  sendFast2SMSOTP,
+  sendSMS,
   verifyOTP,
   getSMSBalance,
 };
@@ -0,0 +1,316 @@
+const WaitlistEntry = require("../models/WaitlistEntry");
+const Booking = require("../models/Booking");
+const Doctor = require("../models/Doctor");
+const Clinic = require("../models/Clinic");
+const User = require("../models/User");
+const { sendNotification } = require("./notifications");
+const { findBlockingLeave } = require("./leaveCalendar");
+const { scheduleBookingReminders } = require("./reminders");
+const {
+  getDayBounds,
+  getAppointmentDateTime,
+  validateBookingSlot,
+  reserveSlot,
+  releaseSeat,
+  detachReservation,
+} = require("./slotReservation");
+
+// How long a freed slot is held for the waitlisted patient
+const WAITLIST_HOLD_MINUTES =
+  parseInt(process.env.WAITLIST_HOLD_MINUTES, 10) || 15;
+
+const notifyOffer = async (entry) => {
+  try {
+    const [doctor, patient] = await Promise.all([
+      Doctor.findById(entry.doctor).select("name"),
+      User.findById(entry.patient).select("preferences"),
+    ]);
+    const result = await sendNotification({
+      to: entry.patientDetails.phone,
+      template: "waitlist_offer",
+      variables: {
+        doctorName: doctor ? doctor.name : "your doctor",
+        date: new Date(entry.date).toDateString(),
+        time: entry.offer.appointmentTime,
+        holdMinutes: WAITLIST_HOLD_MINUTES,
+      },
+      locale: patient?.preferences?.language,
+      user: entry.patient,
+      targetId: entry._id,
+      targetModel: "WaitlistEntry",
+    });
+    await WaitlistEntry.updateOne(
+      { _id: entry._id },
+      { "offer.smsStatus": result.status || "failed" }
+    );
+    if (!result.success) {
+      console.error("Waitlist offer SMS failed:", result);
+    }
+  } catch (error) {
+    // Don't let a notification failure lose the hold
+    console.error("Waitlist offer notification error:", error);
+  }
+};
+
+// A freed seat is only worth offering if the slot is still ahead and not
+// covered by leave (e.g. bookings cancelled because the doctor is away)
+const isSeatOfferable = async ({
+  doctorId,
+  clinicId,
+  appointmentDate,
+  appointmentTime,
+}) => {
+  if (
+    getAppointmentDateTime({ appointmentDate, appointmentTime }) <= new Date()
+  ) {
+    return false;
+  }
+  const [doctor, clinic] = await Promise.all([
+    Doctor.findById(doctorId).select("state city"),
+    clinicId ? Clinic.findById(clinicId).select("state place") : null,
+  ]);
+  if (!doctor) return false;
+  const leave = await findBlockingLeave({
+    doctor,
+    clinic,
+    date: appointmentDate,
+    time: appointmentTime,
+  });
+  return !leave;
+};
+
+// Hand a freed seat to the first patient waiting for that doctor/clinic/day.
+// The seat stays counted on the schedule while it is held; if nobody is
+// waiting (or the slot can't be offered) it is released instead.
+const offerSeat = async ({
+  doctorId,
+  clinicId,
+  appointmentDate,
+  appointmentTime,
+  source,
+  fromBooking,
+}) => {
+  const offerable = await isSeatOfferable({
+    doctorId,
+    clinicId,
+    appointmentDate,
+    appointmentTime,
+  });
+  if (offerable) {
+    const { start, end } = getDayBounds(appointmentDate);
+    const now = new Date();
+    const entry = await WaitlistEntry.findOneAndUpdate(
+      {
+        doctor: doctorId,
+        clinic: clinicId || null,
+        date: { $gte: start, $lt: end },
+        status: "waiting",
+        preferredTime: { $in: [null, "", appointmentTime] },
+      },
+      {
+        $set: {
+          status: "offered",
+          offer: {
+            appointmentTime,
+            source,
+            offeredAt: now,
+            expiresAt: new Date(now.getTime() + WAITLIST_HOLD_MINUTES * 60000),
+            fromBooking,
+          },
+        },
+      },
+      { sort: { createdAt: 1 }, new: true }
+    );
+
+    if (entry) {
+      await notifyOffer(entry);
+      return entry;
+    }
+  }
+
+  await releaseSeat({
+    doctorId,
+    clinicId,
+    appointmentDate,
+    appointmentTime,
+    source,
+  });
+  return null;
+};
+
+// Free a cancelled/no-show booking's seat, offering it to the waitlist first
+const releaseToWaitlist = async (booking) => {
+  const released = await detachReservation(booking);
+  if (!released) return null;
+
+  return offerSeat({
+    doctorId: released.doctor,
+    clinicId: released.clinic,
+    appointmentDate: released.appointmentDate,
+    appointmentTime: released.appointmentTime,
+    source: released.slotReservation.source,
+    fromBooking: released._id,
+  });
+};
+
+// Move a held seat on from an entry that expired or was declined
+const passOnOffer = (entry) =>
+  offerSeat({
+    doctorId: entry.doctor,
+    clinicId: entry.clinic,
+    appointmentDate: entry.date,
+    appointmentTime: entry.offer.appointmentTime,
+    source: entry.offer.source,
+    fromBooking: entry.offer.fromBooking,
+  });
+
+// Expire holds past their deadline and pass each seat to the next in line
+const expireOffers = async () => {
+  const due = await WaitlistEntry.find({
+    status: "offered",
+    "offer.expiresAt": { $lte: new Date() },
+  })
+    .select("_id")
+    .limit(100);
+
+  let expiredCount = 0;
+  for (const { _id } of due) {
+    const expired = await WaitlistEntry.findOneAndUpdate(
+      { _id, status: "offered" },
+      { status: "expired" },
+      { new: true }
+    );
+    if (expired) {
+      expiredCount += 1;
+      await passOnOffer(expired);
+    }
+  }
+  return expiredCount;
+};
+
+// Turn a held offer into a confirmed booking for the waitlisted patient
+const acceptOffer = async (entryId, user) => {
+  const accepted = await WaitlistEntry.findOneAndUpdate(
+    {
+      _id: entryId,
+      patient: user._id,
+      status: "offered",
+      "offer.expiresAt": { $gt: new Date() },
+    },
+    { status: "booked" },
+    { new: true }
+  );
+  if (!accepted) {
+    return {
+      success: false,
+      status: 400,
+      message: "This offer has expired or is no longer available",
+    };
+  }
+
+  const { appointmentTime, source } = accepted.offer;
+
+  // The hold is void if the doctor or the slot went away meanwhile, or the
+  // doctor went on leave. A scheduled seat is still counted from the offer,
+  // so it's given back rather than passed on to a slot nobody can book.
+  const voidOffer = async (status, message) => {
+    await WaitlistEntry.updateOne({ _id: accepted._id }, { status: "expired" });
+    await releaseSeat({
+      doctorId: accepted.doctor,
+      clinicId: accepted.clinic,
+      appointmentDate: accepted.date,
+      appointmentTime,
+      source,
+    });
+    return { success: false, status, message };
+  };
+
+  const doctor = await Doctor.findById(accepted.doctor);
+  if (!doctor) return voidOffer(404, "Doctor not found");
+  const slotCheck = validateBookingSlot(doctor, {
+    clinicId: accepted.clinic,
+    appointmentDate: accepted.date,
+    appointmentTime,
+  });
+  if (!slotCheck.success) return voidOffer(409, slotCheck.message);
+
+  // Leave added while the seat was held overrides the offer
+  const clinic = accepted.clinic
+    ? await Clinic.findById(accepted.clinic).select("state place")
+    : null;
+  const blockingLeave = await findBlockingLeave({
+    doctor,
+    clinic,
+    date: accepted.date,
+    time: appointmentTime,
+  });
+  if (blockingLeave) {
+    return voidOffer(409, "Doctor is not available on the selected date");
+  }
+
+  // Scheduled seats are already counted; unscheduled ones need their lock key
+  let slotReservation = { source };
+  if (source === "unscheduled") {
+    const reservation = await reserveSlot({
+      doctorId: accepted.doctor,
+      appointmentDate: accepted.date,
+      appointmentTime,
+      source,
+    });
+    if (!reservation.success) return voidOffer(409, reservation.message);
+    slotReservation = reservation.reservation;
+  }
+
+  const booking = new Booking({
+    patient: accepted.patient,
+    doctor: accepted.doctor,
+    clinic: accepted.clinic || undefined,
+    appointmentDate: accepted.date,
+    appointmentTime,
+    patientDetails: accepted.patientDetails,
+    symptoms: accepted.symptoms,
+    reasonForVisit: accepted.reasonForVisit,
+    consultationFee: slotCheck.fee,
+    paymentMethod: "cash",
+    status: "confirmed",
+    slotReservation,
+  });
+
+  try {
+    await booking.save();
+  } catch (error) {
+    if (error.code === 11000) {
+      // Someone else took the unscheduled time meanwhile
+      return voidOffer(409, "This time slot is already booked");
+    }
+    await WaitlistEntry.updateOne({ _id: accepted._id }, { status: "offered" });
+    throw error;
+  }
+
+  accepted.booking = booking._id;
+  await accepted.save();
+  await scheduleBookingReminders(booking);
+
+  return { success: true, booking, entry: accepted };
+};
+
+// Periodically expire stale holds so seats don't stay locked
+const startWaitlistSweeper = (intervalMs = 60000) => {
+  const timer = setInterval(() => {
+    expireOffers().catch((error) =>
+      console.error("Waitlist sweeper error:", error)
+    );
+  }, intervalMs);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  WAITLIST_HOLD_MINUTES,
+  offerSeat,
+  releaseToWaitlist,
+  passOnOffer,
+  expireOffers,
+  acceptOffer,
+  startWaitlistSweeper,
+};